@@ -1,12 +1,14 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
+const { redisUrl, createRedisClient } = require('./config/redis');
 
 // Initialize express app
 const app = express();
@@ -48,6 +50,40 @@ const io = socketIo(server, {
   },
 });
 
+// REDIS ADAPTER: Share rooms and broadcasts between instances. Duel state
+// is shared through Redis as well, so the server only starts listening once
+// the adapter is connected; an instance that can't reach Redis exits instead
+// of serving rooms only it can see.
+const REDIS_ADAPTER_TIMEOUT_MS = 10000;
+
+const connectRedisAdapter = async () => {
+  if (!redisUrl) return;
+
+  const pubClient = createRedisClient('socket.io pub');
+  const subClient = createRedisClient('socket.io sub');
+  let timer;
+  // The clients keep retrying a refused connection, so give up after a
+  // while instead of waiting forever
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('Timed out connecting to Redis')),
+      REDIS_ADAPTER_TIMEOUT_MS,
+    );
+  });
+
+  try {
+    await Promise.race([
+      Promise.all([pubClient.connect(), subClient.connect()]),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  io.adapter(createAdapter(pubClient, subClient));
+  console.log('✅ Socket.IO Redis adapter connected');
+};
+
 // IMPORT: Socket handlers for real-time duels
 let setupDuelSockets;
 try {
@@ -149,6 +185,22 @@ const swaggerOptions = {
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
+// MEDIA: question attachments stored on the local filesystem (development).
+// Other storage drivers serve their own URLs.
+const mediaStorageService = require('./services/mediaStorageService');
+if (mediaStorageService.name === 'local') {
+  app.use(
+    mediaStorageService.publicPath,
+    express.static(mediaStorageService.directory, {
+      fallthrough: false,
+      setHeaders: (res) => {
+        // Images are loaded by the app from another origin
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+      },
+    }),
+  );
+}
+
 // ROOT ROUTE (enhanced version)
 app.get('/', (req, res) => {
   res.json({
@@ -188,6 +240,21 @@ const duelRoutes = require('./routes/duelRoutes');
 const duelResultRoutes = require('./routes/duelResultRoutes');
 const botRoutes = require('./routes/botRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const examSessionRoutes = require('./routes/examSessionRoutes');
+const mockExamRoutes = require('./routes/mockExamRoutes');
+const adaptivePracticeRoutes = require('./routes/adaptivePracticeRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const questionImportRoutes = require('./routes/questionImportRoutes');
+const questionExportRoutes = require('./routes/questionExportRoutes');
+const editorialRoutes = require('./routes/editorialRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const questionDuplicateRoutes = require('./routes/questionDuplicateRoutes');
+const bookmarkRoutes = require('./routes/bookmarkRoutes');
+const flashcardRoutes = require('./routes/flashcardRoutes');
+const weeklyChampionRoutes = require('./routes/weeklyChampionRoutes');
+const asyncDuelRoutes = require('./routes/asyncDuelRoutes');
+const tournamentRoutes = require('./routes/tournamentRoutes');
 
 // Mount routes (like in your old app.js)
 app.use('/api/auth', authRoutes);
@@ -212,6 +279,21 @@ app.use('/api/duels', duelRoutes);
 app.use('/api/duel-results', duelResultRoutes);
 app.use('/api/bots', botRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/exam-sessions', examSessionRoutes);
+app.use('/api/mock-exams', mockExamRoutes);
+app.use('/api/adaptive-practice', adaptivePracticeRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/question-imports', questionImportRoutes);
+app.use('/api/question-exports', questionExportRoutes);
+app.use('/api/editorial', editorialRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/question-duplicates', questionDuplicateRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/flashcards', flashcardRoutes);
+app.use('/api/weekly-champions', weeklyChampionRoutes);
+app.use('/api/async-duels', asyncDuelRoutes);
+app.use('/api/tournaments', tournamentRoutes);
 
 console.log('✅ All routes loaded successfully using simple approach');
 
@@ -322,23 +404,31 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// START SERVER (keep as is)
-server.listen(PORT, '0.0.0.0', () => {
-  console.log('\n🚀 ================================');
-  console.log(`🚀 DUS API Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📡 Socket.IO server ready for real-time duels`);
-  console.log(
-    `📚 API Documentation: ${
-      process.env.API_URL || `http://localhost:${PORT}`
-    }/api-docs`,
-  );
-  console.log(
-    `💊 Health Check: ${
-      process.env.API_URL || `http://localhost:${PORT}`
-    }/health`,
-  );
-  console.log('🚀 ================================\n');
-});
+// START SERVER once the Socket.IO adapter is ready
+const startServer = () =>
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log('\n🚀 ================================');
+    console.log(`🚀 DUS API Server running on port ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`📡 Socket.IO server ready for real-time duels`);
+    console.log(
+      `📚 API Documentation: ${
+        process.env.API_URL || `http://localhost:${PORT}`
+      }/api-docs`,
+    );
+    console.log(
+      `💊 Health Check: ${
+        process.env.API_URL || `http://localhost:${PORT}`
+      }/health`,
+    );
+    console.log('🚀 ================================\n');
+  });
+
+connectRedisAdapter()
+  .then(startServer)
+  .catch((error) => {
+    console.error('❌ Socket.IO Redis adapter failed:', error.message);
+    process.exit(1);
+  });
 
 module.exports = { app, server, io };
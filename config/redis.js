@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { createClient } = require('redis');
+
+/**
+ * Redis configuration
+ *
+ * REDIS_URL enables the shared duel state and the Socket.IO Redis adapter,
+ * so several instances can serve duels. Without it everything stays in
+ * process memory, which only supports a single instance.
+ */
+const redisUrl = process.env.REDIS_URL || null;
+
+// Create a client that logs connection errors instead of crashing. The
+// caller connects it.
+const createRedisClient = (name) => {
+  const client = createClient({ url: redisUrl });
+  client.on('error', (error) => {
+    console.error(`Redis ${name} client error:`, error.message);
+  });
+  return client;
+};
+
+module.exports = {
+  redisUrl,
+  createRedisClient,
+};
@@ -0,0 +1,197 @@
+const adaptivePracticeModel = require('../models/adaptivePracticeModel');
+const courseModel = require('../models/courseModel');
+const adaptivePracticeService = require('../services/adaptivePracticeService');
+
+const MAX_SESSION_QUESTIONS = 50;
+
+const adaptivePracticeController = {
+  // Helper: load a session owned by the current user.
+  // Sends the error response itself and returns null when access fails.
+  async loadOwnSession(req, res) {
+    const session = await adaptivePracticeModel.getSessionById(req.params.id);
+    if (!session) {
+      res.status(404).json({ message: 'Practice session not found' });
+      return null;
+    }
+
+    if (session.user_id !== req.user.userId) {
+      res
+        .status(403)
+        .json({ message: 'Unauthorized access to this practice session' });
+      return null;
+    }
+
+    return session;
+  },
+
+  // Start an adaptive practice session for a course
+  async start(req, res) {
+    try {
+      const { courseId, maxQuestions } = req.body;
+
+      if (!courseId) {
+        return res.status(400).json({ message: 'Course ID is required' });
+      }
+
+      if (
+        maxQuestions !== undefined &&
+        (isNaN(maxQuestions) ||
+          maxQuestions < 1 ||
+          maxQuestions > MAX_SESSION_QUESTIONS)
+      ) {
+        return res.status(400).json({
+          message: `Max questions must be between 1 and ${MAX_SESSION_QUESTIONS}`,
+        });
+      }
+
+      const course = await courseModel.getById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const session = await adaptivePracticeService.startSession(
+        req.user.userId,
+        course.course_id,
+        maxQuestions ? parseInt(maxQuestions) : undefined,
+      );
+
+      res.status(201).json({
+        message: 'Adaptive practice session started',
+        session,
+      });
+    } catch (error) {
+      console.error('Start adaptive practice error:', error);
+      res.status(500).json({ message: 'Failed to start practice session' });
+    }
+  },
+
+  // Serve the next question, one at a time
+  async getNextQuestion(req, res) {
+    try {
+      const session = await adaptivePracticeController.loadOwnSession(req, res);
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const question = await adaptivePracticeService.getNextQuestion(session);
+      if (!question) {
+        const { courseAbility } = await adaptivePracticeService.completeSession(
+          session,
+        );
+        return res.json({
+          message: 'No more questions available for this course',
+          finished: true,
+          courseAbility,
+        });
+      }
+
+      res.json({
+        finished: false,
+        question,
+        ability: Number(session.ability),
+        standardError: Number(session.ability_se),
+      });
+    } catch (error) {
+      console.error('Get next adaptive question error:', error);
+      res.status(500).json({ message: 'Failed to retrieve next question' });
+    }
+  },
+
+  // Answer the pending question
+  async submitAnswer(req, res) {
+    try {
+      const { questionId, userAnswer } = req.body;
+
+      if (!questionId || userAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question ID and userAnswer are required' });
+      }
+
+      const session = await adaptivePracticeController.loadOwnSession(req, res);
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const outcome = await adaptivePracticeService.submitAnswer(
+        session,
+        questionId,
+        userAnswer,
+      );
+
+      if (outcome.error) {
+        return res.status(400).json({ message: outcome.error });
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Submit adaptive answer error:', error);
+      res.status(500).json({ message: 'Failed to submit answer' });
+    }
+  },
+
+  // End the session early and store the ability estimate
+  async finish(req, res) {
+    try {
+      const session = await adaptivePracticeController.loadOwnSession(req, res);
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const { session: completedSession, courseAbility } =
+        await adaptivePracticeService.completeSession(session);
+
+      res.json({
+        message: 'Practice session completed',
+        session: completedSession,
+        courseAbility,
+      });
+    } catch (error) {
+      console.error('Finish adaptive practice error:', error);
+      res.status(500).json({ message: 'Failed to finish practice session' });
+    }
+  },
+
+  // Get the current user's ability estimate per course
+  async getAbilities(req, res) {
+    try {
+      const abilities = await adaptivePracticeModel.getUserAbilities(
+        req.user.userId,
+      );
+      res.json(abilities);
+    } catch (error) {
+      console.error('Get course abilities error:', error);
+      res.status(500).json({ message: 'Failed to retrieve ability estimates' });
+    }
+  },
+
+  // Recalibrate question difficulties from answer history (admin)
+  async calibrate(req, res) {
+    try {
+      const summary = await adaptivePracticeService.calibrateDifficulties();
+      res.json({
+        message: 'Question difficulties calibrated successfully',
+        ...summary,
+      });
+    } catch (error) {
+      console.error('Calibrate question difficulties error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to calibrate question difficulties' });
+    }
+  },
+};
+
+module.exports = adaptivePracticeController;
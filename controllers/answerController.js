@@ -1,6 +1,8 @@
 const answerModel = require('../models/answerModel');
 const resultModel = require('../models/resultModel');
 const questionModel = require('../models/questionModel');
+const bookmarkModel = require('../models/bookmarkModel');
+const flashcardService = require('../services/flashcardService');
 const { createClient } = require('@supabase/supabase-js');
 const { supabaseUrl, supabaseKey } = require('../config/supabase');
 
@@ -200,6 +202,17 @@ const answerController = {
       const incorrectAnswers =
         await answerModel.getIncorrectAnswersWithExplanations(userId, limit);
 
+      // Show the student's own bookmarks and notes next to each mistake
+      const bookmarks = await bookmarkModel.getByQuestionIds(userId, [
+        ...new Set(incorrectAnswers.map(answer => answer.question_id)),
+      ]);
+      const bookmarkMap = new Map(
+        bookmarks.map(bookmark => [bookmark.question_id, bookmark]),
+      );
+      incorrectAnswers.forEach(answer => {
+        answer.bookmark = bookmarkMap.get(answer.question_id) || null;
+      });
+
       // Log the activity
       console.log(
         `User ${userId} (${req.user.email}) viewed incorrect answers with explanations`,
@@ -253,6 +266,13 @@ const answerController = {
         answerDefinition,
       );
 
+      // Questions without an explanation get their flashcards from answer definitions
+      try {
+        await flashcardService.syncQuestion(updatedAnswer.question_id);
+      } catch (flashcardError) {
+        console.warn('Failed to sync question flashcards:', flashcardError);
+      }
+
       // Log the activity
       console.log(
         `User ${userId} (${req.user.email}) updated answer definition for answer ${answerId}`,
@@ -0,0 +1,190 @@
+const duelModel = require('../models/duelModel');
+const userModel = require('../models/userModel');
+const testModel = require('../models/testModel');
+const courseModel = require('../models/courseModel');
+const asyncDuelService = require('../services/asyncDuelService');
+
+const asyncDuelController = {
+  // Helper: load an async duel and verify the current user plays in it.
+  // Sends the error response itself and returns null when access fails.
+  async loadOwnDuel(req, res) {
+    const duel = await duelModel.getById(req.params.id);
+    if (!duel || duel.mode !== 'async') {
+      res.status(404).json({ message: 'Async duel not found' });
+      return null;
+    }
+
+    const userId = req.user.userId;
+    if (duel.initiator_id !== userId && duel.opponent_id !== userId) {
+      res.status(403).json({ message: 'Only duel participants can play' });
+      return null;
+    }
+
+    return duel;
+  },
+
+  // Challenge a user to an async duel
+  async challenge(req, res) {
+    try {
+      const initiatorId = req.user.userId;
+      const {
+        testId,
+        courseId,
+        questionCount,
+        branchType,
+        selectionType,
+        branchId,
+      } = req.body;
+      const opponentId = Number(req.body.opponentId);
+      const responseHours =
+        req.body.responseHours === undefined
+          ? asyncDuelService.MIN_RESPONSE_HOURS
+          : Number(req.body.responseHours);
+
+      if (!req.body.opponentId || isNaN(opponentId)) {
+        return res
+          .status(400)
+          .json({ message: 'A valid opponent ID is required' });
+      }
+
+      if (!testId && !courseId) {
+        return res
+          .status(400)
+          .json({ message: 'Either test ID or course ID is required' });
+      }
+
+      if (initiatorId === opponentId) {
+        return res
+          .status(400)
+          .json({ message: 'You cannot challenge yourself to a duel' });
+      }
+
+      if (
+        isNaN(responseHours) ||
+        responseHours < asyncDuelService.MIN_RESPONSE_HOURS ||
+        responseHours > asyncDuelService.MAX_RESPONSE_HOURS
+      ) {
+        return res.status(400).json({
+          message: `responseHours must be between ${asyncDuelService.MIN_RESPONSE_HOURS} and ${asyncDuelService.MAX_RESPONSE_HOURS}`,
+        });
+      }
+
+      const opponent = await userModel.findById(opponentId);
+      if (!opponent) {
+        return res.status(404).json({ message: 'Opponent not found' });
+      }
+
+      if (testId && !(await testModel.getById(testId))) {
+        return res.status(404).json({ message: 'Test not found' });
+      }
+
+      if (courseId && !(await courseModel.getById(courseId))) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const duel = await asyncDuelService.createDuel(initiatorId, opponentId, {
+        testId,
+        courseId,
+        questionCount,
+        branchType,
+        selectionType,
+        branchId,
+        responseHours,
+      });
+
+      res.status(201).json({
+        message: 'Async duel challenge sent successfully',
+        duel,
+      });
+    } catch (error) {
+      console.error('Async duel challenge error:', error);
+      res.status(500).json({ message: 'Failed to create async duel' });
+    }
+  },
+
+  // List the current user's running async duels
+  async getActive(req, res) {
+    try {
+      const duels = await asyncDuelService.getActiveForUser(req.user.userId);
+      res.json(duels);
+    } catch (error) {
+      console.error('Get active async duels error:', error);
+      res.status(500).json({ message: 'Failed to retrieve async duels' });
+    }
+  },
+
+  // Get the current user's view of an async duel
+  async getDuel(req, res) {
+    try {
+      const duel = await asyncDuelController.loadOwnDuel(req, res);
+      if (!duel) return;
+
+      const state = await asyncDuelService.getState(duel, req.user.userId);
+      res.json(state);
+    } catch (error) {
+      console.error('Get async duel error:', error);
+      res.status(500).json({ message: 'Failed to retrieve async duel' });
+    }
+  },
+
+  // Show the current question and start its clock
+  async play(req, res) {
+    try {
+      const duel = await asyncDuelController.loadOwnDuel(req, res);
+      if (!duel) return;
+
+      const outcome = await asyncDuelService.showCurrentQuestion(
+        duel,
+        req.user.userId,
+      );
+      if (outcome.error) {
+        return res.status(409).json({
+          message: outcome.error,
+          expired: outcome.expired || false,
+        });
+      }
+
+      res.json(outcome.state);
+    } catch (error) {
+      console.error('Play async duel error:', error);
+      res.status(500).json({ message: 'Failed to load the next question' });
+    }
+  },
+
+  // Answer the current question
+  async submitAnswer(req, res) {
+    try {
+      const { questionIndex, selectedAnswer } = req.body;
+
+      if (questionIndex === undefined || selectedAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question index and selectedAnswer are required' });
+      }
+
+      const duel = await asyncDuelController.loadOwnDuel(req, res);
+      if (!duel) return;
+
+      const outcome = await asyncDuelService.submitAnswer(
+        duel,
+        req.user.userId,
+        Number(questionIndex),
+        selectedAnswer,
+      );
+
+      if (outcome.error) {
+        return res.status(outcome.expired ? 409 : 400).json({
+          message: outcome.error,
+          expired: outcome.expired || false,
+        });
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Submit async duel answer error:', error);
+      res.status(500).json({ message: 'Failed to submit answer' });
+    }
+  },
+};
+
+module.exports = asyncDuelController;
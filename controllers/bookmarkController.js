@@ -0,0 +1,460 @@
+const bookmarkModel = require('../models/bookmarkModel');
+const questionModel = require('../models/questionModel');
+const bookmarkPracticeService = require('../services/bookmarkPracticeService');
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_SESSION_QUESTIONS = 100;
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+// Helper: validate a folder name. Returns an error or null.
+const validateFolderName = (name) => {
+  if (!name || !String(name).trim()) {
+    return 'Folder name is required';
+  }
+  if (String(name).trim().length > MAX_FOLDER_NAME_LENGTH) {
+    return `Folder name can be at most ${MAX_FOLDER_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Helper: validate a note. Returns an error or null.
+const validateNote = (note) => {
+  if (note !== null && note !== undefined && typeof note !== 'string') {
+    return 'Note must be a string';
+  }
+  if (note && note.length > MAX_NOTE_LENGTH) {
+    return `Note can be at most ${MAX_NOTE_LENGTH} characters`;
+  }
+  return null;
+};
+
+const bookmarkController = {
+  // Helper: load a record owned by the current user.
+  // Sends the error response itself and returns null when access fails.
+  async loadOwn(req, res, loader, id, label) {
+    const record = await loader(id);
+    if (!record) {
+      res.status(404).json({ message: `${label} not found` });
+      return null;
+    }
+
+    if (record.user_id !== req.user.userId) {
+      res.status(403).json({
+        message: `Unauthorized access to this ${label.toLowerCase()}`,
+      });
+      return null;
+    }
+
+    return record;
+  },
+
+  // Helper: check that a folder ID from the request belongs to the user.
+  // Sends the error response itself and returns false when it doesn't.
+  async checkFolder(req, res, folderId) {
+    if (folderId === null || folderId === undefined) return true;
+    const folder = await bookmarkController.loadOwn(
+      req,
+      res,
+      bookmarkModel.getFolderById,
+      folderId,
+      'Folder',
+    );
+    return !!folder;
+  },
+
+  // Get the current user's folders
+  async getFolders(req, res) {
+    try {
+      const folders = await bookmarkModel.getFolders(req.user.userId);
+      res.json(folders);
+    } catch (error) {
+      console.error('Get bookmark folders error:', error);
+      res.status(500).json({ message: 'Failed to retrieve folders' });
+    }
+  },
+
+  // Create a folder
+  async createFolder(req, res) {
+    try {
+      const nameError = validateFolderName(req.body.name);
+      if (nameError) {
+        return res.status(400).json({ message: nameError });
+      }
+
+      const folder = await bookmarkModel.createFolder(
+        req.user.userId,
+        String(req.body.name).trim(),
+      );
+      res.status(201).json({ message: 'Folder created successfully', folder });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: 'A folder with this name already exists' });
+      }
+      console.error('Create bookmark folder error:', error);
+      res.status(500).json({ message: 'Failed to create folder' });
+    }
+  },
+
+  // Rename a folder
+  async renameFolder(req, res) {
+    try {
+      const nameError = validateFolderName(req.body.name);
+      if (nameError) {
+        return res.status(400).json({ message: nameError });
+      }
+
+      const folder = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getFolderById,
+        req.params.id,
+        'Folder',
+      );
+      if (!folder) return;
+
+      const updatedFolder = await bookmarkModel.renameFolder(
+        folder.folder_id,
+        String(req.body.name).trim(),
+      );
+      res.json({
+        message: 'Folder renamed successfully',
+        folder: updatedFolder,
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: 'A folder with this name already exists' });
+      }
+      console.error('Rename bookmark folder error:', error);
+      res.status(500).json({ message: 'Failed to rename folder' });
+    }
+  },
+
+  // Delete a folder; its bookmarks are kept unfiled
+  async deleteFolder(req, res) {
+    try {
+      const folder = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getFolderById,
+        req.params.id,
+        'Folder',
+      );
+      if (!folder) return;
+
+      await bookmarkModel.deleteFolder(folder.folder_id);
+      res.json({ message: 'Folder deleted successfully' });
+    } catch (error) {
+      console.error('Delete bookmark folder error:', error);
+      res.status(500).json({ message: 'Failed to delete folder' });
+    }
+  },
+
+  // Get the current user's bookmarks, optionally of one folder
+  async getAll(req, res) {
+    try {
+      const { folderId } = req.query;
+
+      if (folderId && folderId !== 'none') {
+        const folderOk = await bookmarkController.checkFolder(
+          req,
+          res,
+          folderId,
+        );
+        if (!folderOk) return;
+      }
+
+      const bookmarks = await bookmarkModel.getByUser(
+        req.user.userId,
+        folderId || null,
+      );
+      res.json(bookmarks);
+    } catch (error) {
+      console.error('Get bookmarks error:', error);
+      res.status(500).json({ message: 'Failed to retrieve bookmarks' });
+    }
+  },
+
+  // Get the current user's bookmark of a question (null when not starred)
+  async getByQuestion(req, res) {
+    try {
+      const [bookmark] = await bookmarkModel.getByQuestionIds(req.user.userId, [
+        parseInt(req.params.questionId),
+      ]);
+      res.json({ bookmarked: !!bookmark, bookmark: bookmark || null });
+    } catch (error) {
+      console.error('Get question bookmark error:', error);
+      res.status(500).json({ message: 'Failed to retrieve bookmark' });
+    }
+  },
+
+  // Bookmark a question, optionally into a folder and with a note
+  async create(req, res) {
+    try {
+      const { questionId, folderId, note, source } = req.body;
+
+      if (!questionId) {
+        return res.status(400).json({ message: 'Question ID is required' });
+      }
+
+      const noteError = validateNote(note);
+      if (noteError) {
+        return res.status(400).json({ message: noteError });
+      }
+
+      if (source && !bookmarkModel.SOURCES.includes(source)) {
+        return res.status(400).json({
+          message: `Source must be one of: ${bookmarkModel.SOURCES.join(', ')}`,
+        });
+      }
+
+      // Students can only bookmark questions they can see
+      const question = await questionModel.getById(questionId);
+      if (!question || question.status !== 'published') {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      const folderOk = await bookmarkController.checkFolder(req, res, folderId);
+      if (!folderOk) return;
+
+      const bookmark = await bookmarkModel.create(
+        req.user.userId,
+        question.question_id,
+        folderId || null,
+        note || null,
+        source || null,
+      );
+      res
+        .status(201)
+        .json({ message: 'Question bookmarked successfully', bookmark });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: 'This question is already bookmarked' });
+      }
+      console.error('Create bookmark error:', error);
+      res.status(500).json({ message: 'Failed to bookmark question' });
+    }
+  },
+
+  // Move a bookmark to another folder (null for unfiled) or edit its note
+  async update(req, res) {
+    try {
+      const { folderId, note } = req.body;
+
+      const bookmark = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getById,
+        req.params.id,
+        'Bookmark',
+      );
+      if (!bookmark) return;
+
+      const updates = {};
+      if (folderId !== undefined) {
+        const folderOk = await bookmarkController.checkFolder(
+          req,
+          res,
+          folderId,
+        );
+        if (!folderOk) return;
+        updates.folder_id = folderId;
+      }
+      if (note !== undefined) {
+        const noteError = validateNote(note);
+        if (noteError) {
+          return res.status(400).json({ message: noteError });
+        }
+        updates.note = note || null;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'Nothing to update' });
+      }
+
+      const updatedBookmark = await bookmarkModel.update(
+        bookmark.bookmark_id,
+        updates,
+      );
+      res.json({
+        message: 'Bookmark updated successfully',
+        bookmark: updatedBookmark,
+      });
+    } catch (error) {
+      console.error('Update bookmark error:', error);
+      res.status(500).json({ message: 'Failed to update bookmark' });
+    }
+  },
+
+  // Remove a bookmark and its note
+  async delete(req, res) {
+    try {
+      const bookmark = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getById,
+        req.params.id,
+        'Bookmark',
+      );
+      if (!bookmark) return;
+
+      await bookmarkModel.delete(bookmark.bookmark_id);
+      res.json({ message: 'Bookmark removed successfully' });
+    } catch (error) {
+      console.error('Delete bookmark error:', error);
+      res.status(500).json({ message: 'Failed to remove bookmark' });
+    }
+  },
+
+  // Start a practice session over bookmarked questions
+  async startPractice(req, res) {
+    try {
+      const { folderId, questionCount } = req.body;
+
+      if (
+        questionCount !== undefined &&
+        (!Number.isInteger(questionCount) ||
+          questionCount < 1 ||
+          questionCount > MAX_SESSION_QUESTIONS)
+      ) {
+        return res.status(400).json({
+          message: `Question count must be between 1 and ${MAX_SESSION_QUESTIONS}`,
+        });
+      }
+
+      if (folderId && folderId !== 'none') {
+        const folderOk = await bookmarkController.checkFolder(
+          req,
+          res,
+          folderId,
+        );
+        if (!folderOk) return;
+      }
+
+      const { session, error } = await bookmarkPracticeService.startSession(
+        req.user.userId,
+        folderId || null,
+        questionCount,
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      res
+        .status(201)
+        .json({ message: 'Bookmark practice session started', session });
+    } catch (error) {
+      console.error('Start bookmark practice error:', error);
+      res.status(500).json({ message: 'Failed to start practice session' });
+    }
+  },
+
+  // Serve the next question of a practice session
+  async getNextPracticeQuestion(req, res) {
+    try {
+      const session = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getSessionById,
+        req.params.id,
+        'Practice session',
+      );
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const next = await bookmarkPracticeService.getNextQuestion(session);
+      if (!next) {
+        const summary = await bookmarkPracticeService.completeSession(session);
+        return res.json({ finished: true, summary });
+      }
+
+      res.json({ finished: false, ...next });
+    } catch (error) {
+      console.error('Get next bookmark practice question error:', error);
+      res.status(500).json({ message: 'Failed to retrieve next question' });
+    }
+  },
+
+  // Answer a question of a practice session
+  async submitPracticeAnswer(req, res) {
+    try {
+      const { questionId, userAnswer } = req.body;
+
+      if (!questionId || userAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question ID and userAnswer are required' });
+      }
+
+      const session = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getSessionById,
+        req.params.id,
+        'Practice session',
+      );
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const outcome = await bookmarkPracticeService.submitAnswer(
+        session,
+        questionId,
+        userAnswer,
+      );
+      if (outcome.error) {
+        return res.status(400).json({ message: outcome.error });
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Submit bookmark practice answer error:', error);
+      res.status(500).json({ message: 'Failed to submit answer' });
+    }
+  },
+
+  // End a practice session early
+  async finishPractice(req, res) {
+    try {
+      const session = await bookmarkController.loadOwn(
+        req,
+        res,
+        bookmarkModel.getSessionById,
+        req.params.id,
+        'Practice session',
+      );
+      if (!session) return;
+
+      if (session.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This practice session has already ended' });
+      }
+
+      const summary = await bookmarkPracticeService.completeSession(session);
+      res.json({ message: 'Practice session completed', ...summary });
+    } catch (error) {
+      console.error('Finish bookmark practice error:', error);
+      res.status(500).json({ message: 'Failed to finish practice session' });
+    }
+  },
+};
+
+module.exports = bookmarkController;
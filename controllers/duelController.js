@@ -4,6 +4,9 @@ const userModel = require('../models/userModel');
 const testModel = require('../models/testModel');
 const topicModel = require('../models/topicModel');
 const courseModel = require('../models/courseModel');
+const duelRatingModel = require('../models/duelRatingModel');
+const duelRatingService = require('../services/duelRatingService');
+const asyncDuelService = require('../services/asyncDuelService');
 
 const duelController = {
   // Challenge a user to a duel
@@ -171,6 +174,16 @@ const duelController = {
           .status(400)
           .json({ message: 'This duel cannot be accepted' });
       }
+      if (duel.mode === 'async') {
+        const outcome = await asyncDuelService.accept(duel);
+        if (outcome.error) {
+          return res.status(409).json({ message: outcome.error });
+        }
+        return res.json({
+          message: 'Duel accepted successfully',
+          duel: outcome.duel,
+        });
+      }
       const updatedDuel = await duelModel.accept(duelId);
       res.json({
         message: 'Duel accepted successfully',
@@ -232,6 +245,11 @@ const duelController = {
       if (duel.status !== 'active') {
         return res.status(400).json({ message: 'This duel is not active' });
       }
+      if (duel.mode === 'async') {
+        return res.status(400).json({
+          message: 'Async duel results are calculated by the server',
+        });
+      }
       let winnerId = null;
       if (initiatorScore > opponentScore) {
         winnerId = duel.initiator_id;
@@ -316,8 +334,15 @@ const duelController = {
     try {
       const limit = parseInt(req.query.limit, 10) || 10;
       const offset = parseInt(req.query.offset, 10) || 0;
+      const courseId = parseInt(req.query.courseId, 10) || null;
+      const includeProvisional = req.query.includeProvisional === 'true';
 
-      const leaderboardData = await duelModel.getLeaderboard(limit, offset);
+      const leaderboardData = await duelModel.getLeaderboard(
+        limit,
+        offset,
+        courseId,
+        includeProvisional,
+      );
 
       res.json({
         leaderboard: leaderboardData.users,
@@ -336,8 +361,13 @@ const duelController = {
     try {
       const userId = req.user.userId;
       const limit = parseInt(req.query.limit, 10) || 5;
+      const courseId = parseInt(req.query.courseId, 10) || null;
 
-      const opponents = await duelModel.getRecommendedOpponents(userId, limit);
+      const opponents = await duelModel.getRecommendedOpponents(
+        userId,
+        limit,
+        courseId,
+      );
       res.json(opponents);
     } catch (error) {
       console.error('Get recommended opponents error:', error);
@@ -346,6 +376,45 @@ const duelController = {
         .json({ message: 'Failed to retrieve recommended opponents' });
     }
   },
+
+  /**
+   * Get the current user's overall and per-course ratings.
+   */
+  async getMyRatings(req, res) {
+    try {
+      const ratings = await duelRatingModel.getUserRatings(req.user.userId);
+
+      res.json(
+        ratings.map((rating) => ({
+          ...rating,
+          provisional: duelRatingService.isProvisional(rating),
+        })),
+      );
+    } catch (error) {
+      console.error('Get duel ratings error:', error);
+      res.status(500).json({ message: 'Failed to retrieve ratings' });
+    }
+  },
+
+  /**
+   * Get the current user's rating changes, overall or for one course.
+   */
+  async getRatingHistory(req, res) {
+    try {
+      const courseId = parseInt(req.query.courseId, 10) || null;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+      const history = await duelRatingModel.getHistory(
+        req.user.userId,
+        courseId,
+        limit,
+      );
+      res.json(history);
+    } catch (error) {
+      console.error('Get duel rating history error:', error);
+      res.status(500).json({ message: 'Failed to retrieve rating history' });
+    }
+  },
 };
 
 module.exports = duelController;
@@ -0,0 +1,196 @@
+const editorialModel = require('../models/editorialModel');
+const userModel = require('../models/userModel');
+const editorialWorkflowService = require('../services/editorialWorkflowService');
+
+// Route segment -> content type
+const CONTENT_TYPE_PARAMS = {
+  tests: 'test',
+  questions: 'question',
+};
+
+// Helper: resolve the :type route parameter.
+// Sends the error response itself and returns null when invalid.
+const readContentType = (req, res) => {
+  const contentType = CONTENT_TYPE_PARAMS[req.params.type];
+  if (!contentType) {
+    res
+      .status(400)
+      .json({ message: 'Content type must be "tests" or "questions"' });
+    return null;
+  }
+  return contentType;
+};
+
+// Build a handler for one workflow transition
+const applyTransition = (action, successMessage) => async (req, res) => {
+  try {
+    const contentType = readContentType(req, res);
+    if (!contentType) return;
+
+    const outcome = await editorialWorkflowService.transition(
+      contentType,
+      req.params.id,
+      action,
+      req.user,
+      req.body.comment,
+    );
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ message: outcome.error });
+    }
+
+    res.json({ message: successMessage, item: outcome.item });
+  } catch (error) {
+    console.error(`Editorial ${action} error:`, error);
+    res.status(500).json({ message: 'Failed to update editorial status' });
+  }
+};
+
+const editorialController = {
+  // Move a draft into review
+  submit: applyTransition('submit', 'Submitted for review'),
+
+  // Send an item back to draft with review comments
+  requestChanges: applyTransition(
+    'request_changes',
+    'Changes requested, item moved back to draft',
+  ),
+
+  // Approve an item in review
+  approve: applyTransition('approve', 'Approved'),
+
+  // Make an approved item visible to students
+  publish: applyTransition('publish', 'Published'),
+
+  // Hide a published item from students again
+  unpublish: applyTransition('unpublish', 'Unpublished, item moved to draft'),
+
+  // List items in a status (defaults to the review queue)
+  async getQueue(req, res) {
+    try {
+      const contentType = readContentType(req, res);
+      if (!contentType) return;
+
+      const status = req.query.status || 'in_review';
+      if (!editorialWorkflowService.STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${editorialWorkflowService.STATUSES.join(
+            ', ',
+          )}`,
+        });
+      }
+
+      const items = await editorialModel.getByStatus(
+        contentType,
+        status,
+        req.query.mine === 'true' ? req.user.userId : null,
+      );
+      res.json(items);
+    } catch (error) {
+      console.error('Get editorial queue error:', error);
+      res.status(500).json({ message: 'Failed to retrieve editorial queue' });
+    }
+  },
+
+  // Assign a reviewer (reviewerId: null clears the assignment)
+  async assignReviewer(req, res) {
+    try {
+      const contentType = readContentType(req, res);
+      if (!contentType) return;
+
+      const { reviewerId } = req.body;
+      if (reviewerId === undefined) {
+        return res.status(400).json({ message: 'Reviewer ID is required' });
+      }
+
+      const item = await editorialModel.getItem(contentType, req.params.id);
+      if (!item) {
+        return res
+          .status(404)
+          .json({ message: `The ${contentType} was not found` });
+      }
+
+      if (reviewerId !== null) {
+        const reviewer = await userModel.findById(reviewerId);
+        if (!reviewer) {
+          return res.status(404).json({ message: 'Reviewer not found' });
+        }
+      }
+
+      const updated = await editorialModel.assignReviewer(
+        contentType,
+        item[contentType === 'test' ? 'test_id' : 'question_id'],
+        reviewerId,
+      );
+
+      res.json({
+        message: reviewerId ? 'Reviewer assigned' : 'Reviewer unassigned',
+        item: updated,
+      });
+    } catch (error) {
+      console.error('Assign reviewer error:', error);
+      res.status(500).json({ message: 'Failed to assign reviewer' });
+    }
+  },
+
+  // Get review comments and status history
+  async getComments(req, res) {
+    try {
+      const contentType = readContentType(req, res);
+      if (!contentType) return;
+
+      const item = await editorialModel.getItem(contentType, req.params.id);
+      if (!item) {
+        return res
+          .status(404)
+          .json({ message: `The ${contentType} was not found` });
+      }
+
+      const comments = await editorialModel.getComments(
+        contentType,
+        req.params.id,
+      );
+      res.json({ item, comments });
+    } catch (error) {
+      console.error('Get editorial comments error:', error);
+      res.status(500).json({ message: 'Failed to retrieve review comments' });
+    }
+  },
+
+  // Add a review comment without changing status
+  async addComment(req, res) {
+    try {
+      const contentType = readContentType(req, res);
+      if (!contentType) return;
+
+      const { comment } = req.body;
+      if (!comment || !String(comment).trim()) {
+        return res.status(400).json({ message: 'Comment is required' });
+      }
+
+      const item = await editorialModel.getItem(contentType, req.params.id);
+      if (!item) {
+        return res
+          .status(404)
+          .json({ message: `The ${contentType} was not found` });
+      }
+
+      const newComment = await editorialModel.addComment(
+        contentType,
+        req.params.id,
+        req.user.userId,
+        String(comment).trim(),
+      );
+
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment: newComment,
+      });
+    } catch (error) {
+      console.error('Add editorial comment error:', error);
+      res.status(500).json({ message: 'Failed to add review comment' });
+    }
+  },
+};
+
+module.exports = editorialController;
@@ -0,0 +1,199 @@
+const examAttemptModel = require('../models/examAttemptModel');
+const testModel = require('../models/testModel');
+const examSessionService = require('../services/examSessionService');
+
+const examSessionController = {
+  // Helper: load an attempt and verify it belongs to the current user.
+  // Sends the error response itself and returns null when access fails.
+  async loadOwnAttempt(req, res) {
+    const attempt = await examAttemptModel.getById(req.params.id);
+    if (!attempt) {
+      res.status(404).json({ message: 'Exam attempt not found' });
+      return null;
+    }
+
+    if (attempt.user_id !== req.user.userId && req.user.role !== 'admin') {
+      res.status(403).json({ message: 'Unauthorized access to this attempt' });
+      return null;
+    }
+
+    return attempt;
+  },
+
+  // Start a timed attempt for a test, or resume the running one
+  async start(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { testId } = req.body;
+
+      if (!testId) {
+        return res.status(400).json({ message: 'Test ID is required' });
+      }
+
+      const test = await testModel.getById(testId);
+      if (!test || test.status !== 'published') {
+        return res.status(404).json({ message: 'Test not found' });
+      }
+
+      const { attempt, resumed } = await examSessionService.startOrResume(
+        userId,
+        test,
+      );
+      if (!attempt) {
+        return res.status(400).json({ message: 'This test has no questions' });
+      }
+
+      const state = await examSessionService.getAttemptState(attempt);
+
+      res.status(resumed ? 200 : 201).json({
+        message: resumed
+          ? 'Resumed exam attempt in progress'
+          : 'Exam attempt started',
+        resumed,
+        attempt: state,
+      });
+    } catch (error) {
+      console.error('Start exam attempt error:', error);
+      res.status(500).json({ message: 'Failed to start exam attempt' });
+    }
+  },
+
+  // List the current user's attempts that are still running
+  async getActive(req, res) {
+    try {
+      const attempts = await examAttemptModel.getInProgressByUser(
+        req.user.userId,
+      );
+
+      const active = [];
+      for (const attempt of attempts) {
+        const current = await examSessionService.enforceDeadline(attempt);
+        if (current && current.status === 'in_progress') {
+          active.push({
+            attemptId: current.attempt_id,
+            testId: current.test_id,
+            testTitle: attempt.tests?.title,
+            startedAt: current.started_at,
+            deadlineAt: current.deadline_at,
+          });
+        }
+      }
+
+      res.json(active);
+    } catch (error) {
+      console.error('Get active exam attempts error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve active exam attempts' });
+    }
+  },
+
+  // Get full attempt state (used to resume after an app crash)
+  async getAttempt(req, res) {
+    try {
+      const attempt = await examSessionController.loadOwnAttempt(req, res);
+      if (!attempt) return;
+
+      const current = await examSessionService.enforceDeadline(attempt);
+      const state = await examSessionService.getAttemptState(current);
+
+      res.json(state);
+    } catch (error) {
+      console.error('Get exam attempt error:', error);
+      res.status(500).json({ message: 'Failed to retrieve exam attempt' });
+    }
+  },
+
+  // Save the answer to one question
+  async saveAnswer(req, res) {
+    try {
+      const { questionId, userAnswer } = req.body;
+
+      if (!questionId || userAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question ID and userAnswer are required' });
+      }
+
+      const attempt = await examSessionController.loadOwnAttempt(req, res);
+      if (!attempt) return;
+
+      if (attempt.user_id !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'Only the attempt owner can answer questions' });
+      }
+
+      const outcome = await examSessionService.saveAnswer(
+        attempt,
+        questionId,
+        userAnswer,
+      );
+
+      if (outcome.error) {
+        return res.status(outcome.expired ? 409 : 400).json({
+          message: outcome.error,
+          expired: outcome.expired || false,
+        });
+      }
+
+      res.json({
+        message: 'Answer saved',
+        answer: outcome.saved,
+      });
+    } catch (error) {
+      console.error('Save exam answer error:', error);
+      res.status(500).json({ message: 'Failed to save answer' });
+    }
+  },
+
+  // Submit the attempt before the deadline
+  async submit(req, res) {
+    try {
+      const attempt = await examSessionController.loadOwnAttempt(req, res);
+      if (!attempt) return;
+
+      if (attempt.user_id !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'Only the attempt owner can submit it' });
+      }
+
+      if (attempt.status !== 'in_progress') {
+        return res.status(409).json({
+          message: 'This attempt has already been submitted',
+          resultId: attempt.result_id,
+        });
+      }
+
+      const status = examSessionService.isExpired(attempt)
+        ? 'expired'
+        : 'submitted';
+      const outcome = await examSessionService.finalizeAttempt(attempt, status);
+
+      if (outcome.alreadyClosed) {
+        return res
+          .status(409)
+          .json({ message: 'This attempt has already been submitted' });
+      }
+
+      res.json({
+        message:
+          status === 'expired'
+            ? 'Time was up; saved answers were submitted automatically'
+            : 'Exam attempt submitted successfully',
+        result: outcome.result,
+        grading: {
+          totalQuestions: outcome.grading.totalQuestions,
+          answeredCount: outcome.grading.answeredCount,
+          correctCount: outcome.grading.correctCount,
+        },
+      });
+    } catch (error) {
+      console.error('Submit exam attempt error:', error);
+      res.status(500).json({ message: 'Failed to submit exam attempt' });
+    }
+  },
+};
+
+module.exports = examSessionController;
@@ -0,0 +1,378 @@
+const flashcardModel = require('../models/flashcardModel');
+const courseModel = require('../models/courseModel');
+const topicModel = require('../models/topicModel');
+const flashcardService = require('../services/flashcardService');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CARD_TEXT_LENGTH = 4000;
+
+// Helper: validate one side of a card. Returns an error or null.
+const validateCardText = (text, side) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return `Card ${side} is required`;
+  }
+  if (text.length > MAX_CARD_TEXT_LENGTH) {
+    return `Card ${side} can be at most ${MAX_CARD_TEXT_LENGTH} characters`;
+  }
+  return null;
+};
+
+const flashcardController = {
+  // Helper: load a deck by ID.
+  // Sends the error response itself and returns null when it is missing.
+  async loadDeck(req, res, deckId) {
+    const deck = await flashcardModel.getDeckById(deckId);
+    if (!deck) {
+      res.status(404).json({ message: 'Deck not found' });
+      return null;
+    }
+    return deck;
+  },
+
+  // Helper: load a study session owned by the current user that is still
+  // open. Sends the error response itself and returns null otherwise.
+  async loadOwnSession(req, res) {
+    const session = await flashcardModel.getSessionById(req.params.id);
+    if (!session) {
+      res.status(404).json({ message: 'Study session not found' });
+      return null;
+    }
+
+    if (session.user_id !== req.user.userId) {
+      res
+        .status(403)
+        .json({ message: 'Unauthorized access to this study session' });
+      return null;
+    }
+
+    if (session.status !== 'in_progress') {
+      res.status(409).json({ message: 'This study session has already ended' });
+      return null;
+    }
+
+    return session;
+  },
+
+  // Get decks, optionally of a course or topic
+  async getDecks(req, res) {
+    try {
+      const { courseId, topicId } = req.query;
+      const decks = await flashcardModel.getDecks(
+        courseId || null,
+        topicId || null,
+      );
+      res.json(decks);
+    } catch (error) {
+      console.error('Get flashcard decks error:', error);
+      res.status(500).json({ message: 'Failed to retrieve decks' });
+    }
+  },
+
+  // Get a deck with its cards
+  async getDeck(req, res) {
+    try {
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      const cards = await flashcardModel.getCardsByDeck(deck.deck_id);
+      res.json({ ...deck, cards });
+    } catch (error) {
+      console.error('Get flashcard deck error:', error);
+      res.status(500).json({ message: 'Failed to retrieve deck' });
+    }
+  },
+
+  // Create a deck for a course or one of its topics
+  async createDeck(req, res) {
+    try {
+      const { courseId, topicId, title, description } = req.body;
+
+      if (!courseId || !title || !String(title).trim()) {
+        return res
+          .status(400)
+          .json({ message: 'Course ID and title are required' });
+      }
+      if (String(title).trim().length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({
+          message: `Title can be at most ${MAX_TITLE_LENGTH} characters`,
+        });
+      }
+
+      const course = await courseModel.getById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      if (topicId) {
+        const topic = await topicModel.getById(topicId);
+        if (!topic) {
+          return res.status(404).json({ message: 'Topic not found' });
+        }
+        if (topic.course_id !== course.course_id) {
+          return res
+            .status(400)
+            .json({ message: 'Topic does not belong to this course' });
+        }
+      }
+
+      const deck = await flashcardModel.createDeck(
+        course.course_id,
+        topicId || null,
+        String(title).trim(),
+        description || null,
+        req.user.userId,
+      );
+      res.status(201).json({ message: 'Deck created successfully', deck });
+    } catch (error) {
+      console.error('Create flashcard deck error:', error);
+      res.status(500).json({ message: 'Failed to create deck' });
+    }
+  },
+
+  // Rename a deck or change its description
+  async updateDeck(req, res) {
+    try {
+      const { title, description } = req.body;
+
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      const updates = {};
+      if (title !== undefined) {
+        if (!title || !String(title).trim()) {
+          return res.status(400).json({ message: 'Title cannot be empty' });
+        }
+        if (String(title).trim().length > MAX_TITLE_LENGTH) {
+          return res.status(400).json({
+            message: `Title can be at most ${MAX_TITLE_LENGTH} characters`,
+          });
+        }
+        updates.title = String(title).trim();
+      }
+      if (description !== undefined) {
+        updates.description = description || null;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'Nothing to update' });
+      }
+
+      const updatedDeck = await flashcardModel.updateDeck(
+        deck.deck_id,
+        updates,
+      );
+      res.json({ message: 'Deck updated successfully', deck: updatedDeck });
+    } catch (error) {
+      console.error('Update flashcard deck error:', error);
+      res.status(500).json({ message: 'Failed to update deck' });
+    }
+  },
+
+  // Delete a deck with its cards and study history
+  async deleteDeck(req, res) {
+    try {
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      await flashcardModel.deleteDeck(deck.deck_id);
+      res.json({ message: 'Deck deleted successfully' });
+    } catch (error) {
+      console.error('Delete flashcard deck error:', error);
+      res.status(500).json({ message: 'Failed to delete deck' });
+    }
+  },
+
+  // Generate cards from the explanations and answer definitions of the
+  // deck's published questions
+  async generateCards(req, res) {
+    try {
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      const result = await flashcardService.generateForDeck(deck);
+      res.json({ message: 'Flashcards generated', ...result });
+    } catch (error) {
+      console.error('Generate flashcards error:', error);
+      res.status(500).json({ message: 'Failed to generate flashcards' });
+    }
+  },
+
+  // Add a hand-written card to a deck
+  async createCard(req, res) {
+    try {
+      const { front, back, sourceQuestionId } = req.body;
+
+      const textError =
+        validateCardText(front, 'front') || validateCardText(back, 'back');
+      if (textError) {
+        return res.status(400).json({ message: textError });
+      }
+
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      if (sourceQuestionId) {
+        const question = await flashcardModel.getSourceQuestion(
+          sourceQuestionId,
+        );
+        if (!question) {
+          return res.status(404).json({ message: 'Question not found' });
+        }
+      }
+
+      const [card] = await flashcardModel.createCards([
+        {
+          deckId: deck.deck_id,
+          front: front.trim(),
+          back: back.trim(),
+          sourceQuestionId: sourceQuestionId || null,
+          sourceType: 'manual',
+        },
+      ]);
+      res.status(201).json({ message: 'Card created successfully', card });
+    } catch (error) {
+      console.error('Create flashcard error:', error);
+      res.status(500).json({ message: 'Failed to create card' });
+    }
+  },
+
+  // Edit a card. Generated cards are rewritten when their question's
+  // explanation changes, so editing one turns it into a manual card.
+  async updateCard(req, res) {
+    try {
+      const { front, back } = req.body;
+
+      const card = await flashcardModel.getCardById(req.params.cardId);
+      if (!card) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+
+      const updates = {};
+      if (front !== undefined) {
+        const textError = validateCardText(front, 'front');
+        if (textError) {
+          return res.status(400).json({ message: textError });
+        }
+        updates.front = front.trim();
+      }
+      if (back !== undefined) {
+        const textError = validateCardText(back, 'back');
+        if (textError) {
+          return res.status(400).json({ message: textError });
+        }
+        updates.back = back.trim();
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'Nothing to update' });
+      }
+
+      const updatedCard = await flashcardModel.updateCard(card.flashcard_id, {
+        ...updates,
+        source_type: 'manual',
+      });
+      res.json({ message: 'Card updated successfully', card: updatedCard });
+    } catch (error) {
+      console.error('Update flashcard error:', error);
+      res.status(500).json({ message: 'Failed to update card' });
+    }
+  },
+
+  // Delete a card
+  async deleteCard(req, res) {
+    try {
+      const card = await flashcardModel.getCardById(req.params.cardId);
+      if (!card) {
+        return res.status(404).json({ message: 'Card not found' });
+      }
+
+      await flashcardModel.deleteCard(card.flashcard_id);
+      res.json({ message: 'Card deleted successfully' });
+    } catch (error) {
+      console.error('Delete flashcard error:', error);
+      res.status(500).json({ message: 'Failed to delete card' });
+    }
+  },
+
+  // Get today's due and new cards of a deck for the current user
+  async getStudyQueue(req, res) {
+    try {
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      const queue = await flashcardService.getStudyQueue(req.user.userId, deck);
+      res.json({
+        deckId: deck.deck_id,
+        dueCount: queue.due.length,
+        newCount: queue.newCards.length,
+        ...queue,
+      });
+    } catch (error) {
+      console.error('Get flashcard queue error:', error);
+      res.status(500).json({ message: 'Failed to retrieve study queue' });
+    }
+  },
+
+  // Start a study session on a deck
+  async startSession(req, res) {
+    try {
+      const deck = await flashcardController.loadDeck(req, res, req.params.id);
+      if (!deck) return;
+
+      const session = await flashcardModel.createSession(
+        req.user.userId,
+        deck.deck_id,
+      );
+      res.status(201).json({ message: 'Study session started', session });
+    } catch (error) {
+      console.error('Start flashcard session error:', error);
+      res.status(500).json({ message: 'Failed to start study session' });
+    }
+  },
+
+  // Record a recall grade for a card of the session's deck
+  async gradeCard(req, res) {
+    try {
+      const { flashcardId, grade } = req.body;
+
+      if (!flashcardId || !Number.isInteger(grade) || grade < 0 || grade > 5) {
+        return res.status(400).json({
+          message: 'Flashcard ID and an integer grade from 0 to 5 are required',
+        });
+      }
+
+      const session = await flashcardController.loadOwnSession(req, res);
+      if (!session) return;
+
+      const outcome = await flashcardService.gradeCard(
+        session,
+        flashcardId,
+        grade,
+      );
+      if (outcome.error) {
+        return res.status(400).json({ message: outcome.error });
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Grade flashcard error:', error);
+      res.status(500).json({ message: 'Failed to record grade' });
+    }
+  },
+
+  // End a study session
+  async finishSession(req, res) {
+    try {
+      const session = await flashcardController.loadOwnSession(req, res);
+      if (!session) return;
+
+      const summary = await flashcardService.completeSession(session);
+      res.json({ message: 'Study session completed', ...summary });
+    } catch (error) {
+      console.error('Finish flashcard session error:', error);
+      res.status(500).json({ message: 'Failed to finish study session' });
+    }
+  },
+};
+
+module.exports = flashcardController;
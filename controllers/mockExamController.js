@@ -0,0 +1,289 @@
+const mockExamModel = require('../models/mockExamModel');
+const courseModel = require('../models/courseModel');
+const mockExamService = require('../services/mockExamService');
+const scoreDistributionService = require('../services/scoreDistributionService');
+
+const MAX_QUESTIONS_PER_COURSE = 100;
+
+const mockExamController = {
+  // Helper: load a mock exam owned by the current user (or any, for admins).
+  // Sends the error response itself and returns null when access fails.
+  async loadOwnMockExam(req, res) {
+    const mockExam = await mockExamModel.getById(req.params.id);
+    if (!mockExam) {
+      res.status(404).json({ message: 'Mock exam not found' });
+      return null;
+    }
+
+    if (mockExam.user_id !== req.user.userId && req.user.role !== 'admin') {
+      res
+        .status(403)
+        .json({ message: 'Unauthorized access to this mock exam' });
+      return null;
+    }
+
+    return mockExam;
+  },
+
+  // Build a new mock exam across courses
+  async create(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { title, courseQuestionCounts, durationMinutes, tagIds } = req.body;
+
+      if (
+        durationMinutes !== undefined &&
+        (isNaN(durationMinutes) || durationMinutes < 1 || durationMinutes > 300)
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'Duration must be between 1 and 300 minutes' });
+      }
+
+      if (
+        tagIds !== undefined &&
+        (!Array.isArray(tagIds) ||
+          tagIds.length === 0 ||
+          tagIds.some((id) => !Number.isInteger(id) || id < 1))
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'tagIds must be a non-empty array of tag IDs' });
+      }
+
+      let counts;
+      if (courseQuestionCounts !== undefined) {
+        if (
+          !courseQuestionCounts ||
+          typeof courseQuestionCounts !== 'object' ||
+          Array.isArray(courseQuestionCounts) ||
+          Object.keys(courseQuestionCounts).length === 0
+        ) {
+          return res.status(400).json({
+            message:
+              'courseQuestionCounts must be an object in format {"courseId": questionCount}',
+          });
+        }
+
+        counts = {};
+        for (const [courseId, count] of Object.entries(courseQuestionCounts)) {
+          const parsed = parseInt(count);
+          if (
+            isNaN(parsed) ||
+            parsed < 1 ||
+            parsed > MAX_QUESTIONS_PER_COURSE
+          ) {
+            return res.status(400).json({
+              message: `Question count for course ${courseId} must be between 1 and ${MAX_QUESTIONS_PER_COURSE}`,
+            });
+          }
+
+          const course = await courseModel.getById(courseId);
+          if (!course) {
+            return res
+              .status(404)
+              .json({ message: `Course ${courseId} not found` });
+          }
+          counts[course.course_id] = parsed;
+        }
+      }
+
+      const { mockExam, shortages } = await mockExamService.createMockExam(
+        userId,
+        { title, courseQuestionCounts: counts, durationMinutes, tagIds },
+      );
+
+      if (!mockExam) {
+        return res.status(400).json({
+          message: tagIds
+            ? 'No questions with the selected tags in the selected courses'
+            : 'No questions available for the selected courses',
+          shortages,
+        });
+      }
+
+      const state = await mockExamService.getMockExamState(mockExam);
+
+      res.status(201).json({
+        message: 'Mock exam created successfully',
+        mockExam: state,
+        ...(shortages.length > 0 && { shortages }),
+      });
+    } catch (error) {
+      console.error('Create mock exam error:', error);
+      res.status(500).json({ message: 'Failed to create mock exam' });
+    }
+  },
+
+  // Get mock exam state, with its result once it is closed
+  async getById(req, res) {
+    try {
+      let mockExam = await mockExamController.loadOwnMockExam(req, res);
+      if (!mockExam) return;
+
+      if (
+        mockExam.status === 'in_progress' &&
+        mockExamService.isExpired(mockExam)
+      ) {
+        await mockExamService.finalizeMockExam(mockExam, 'expired');
+        mockExam = await mockExamModel.getById(mockExam.mock_exam_id);
+      }
+
+      const state = await mockExamService.getMockExamState(mockExam);
+      const result =
+        mockExam.status === 'in_progress'
+          ? null
+          : await mockExamModel.getResultByMockExamId(mockExam.mock_exam_id);
+
+      res.json({ ...state, result });
+    } catch (error) {
+      console.error('Get mock exam error:', error);
+      res.status(500).json({ message: 'Failed to retrieve mock exam' });
+    }
+  },
+
+  // Save the answer to one question
+  async saveAnswer(req, res) {
+    try {
+      const { questionId, userAnswer } = req.body;
+
+      if (!questionId || userAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question ID and userAnswer are required' });
+      }
+
+      const mockExam = await mockExamController.loadOwnMockExam(req, res);
+      if (!mockExam) return;
+
+      if (mockExam.user_id !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'Only the exam owner can answer questions' });
+      }
+
+      const outcome = await mockExamService.saveAnswer(
+        mockExam,
+        questionId,
+        userAnswer,
+      );
+
+      if (outcome.error) {
+        return res.status(outcome.expired ? 409 : 400).json({
+          message: outcome.error,
+          expired: outcome.expired || false,
+        });
+      }
+
+      res.json({ message: 'Answer saved', answer: outcome.saved });
+    } catch (error) {
+      console.error('Save mock exam answer error:', error);
+      res.status(500).json({ message: 'Failed to save answer' });
+    }
+  },
+
+  // Submit and score the mock exam
+  async submit(req, res) {
+    try {
+      const mockExam = await mockExamController.loadOwnMockExam(req, res);
+      if (!mockExam) return;
+
+      if (mockExam.user_id !== req.user.userId) {
+        return res
+          .status(403)
+          .json({ message: 'Only the exam owner can submit it' });
+      }
+
+      if (mockExam.status !== 'in_progress') {
+        return res
+          .status(409)
+          .json({ message: 'This mock exam has already been submitted' });
+      }
+
+      const outcome = await mockExamService.finalizeMockExam(
+        mockExam,
+        mockExamService.isExpired(mockExam) ? 'expired' : 'submitted',
+      );
+
+      if (outcome.alreadyClosed) {
+        return res
+          .status(409)
+          .json({ message: 'This mock exam has already been submitted' });
+      }
+
+      res.json({
+        message: 'Mock exam submitted successfully',
+        result: outcome.result,
+      });
+    } catch (error) {
+      console.error('Submit mock exam error:', error);
+      res.status(500).json({ message: 'Failed to submit mock exam' });
+    }
+  },
+
+  // Get the current user's mock exam results
+  async getUserResults(req, res) {
+    try {
+      const targetUserId =
+        req.query.userId && req.user.role === 'admin'
+          ? req.query.userId
+          : req.user.userId;
+
+      const results = await mockExamModel.getResultsByUserId(targetUserId);
+      res.json(results);
+    } catch (error) {
+      console.error('Get mock exam results error:', error);
+      res.status(500).json({ message: 'Failed to retrieve mock exam results' });
+    }
+  },
+
+  // Get the net percentage distribution across all mock exam takers
+  async getDistribution(req, res) {
+    try {
+      const distribution =
+        await scoreDistributionService.getMockExamDistribution();
+      res.json(scoreDistributionService.toPublic(distribution));
+    } catch (error) {
+      console.error('Get mock exam distribution error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve mock exam distribution' });
+    }
+  },
+
+  // Get percentile and estimated rank of a mock exam result
+  async getResultStanding(req, res) {
+    try {
+      const result = await mockExamModel.getResultById(req.params.resultId);
+      if (!result) {
+        return res.status(404).json({ message: 'Mock exam result not found' });
+      }
+
+      if (result.user_id !== req.user.userId && req.user.role !== 'admin') {
+        return res
+          .status(403)
+          .json({ message: 'Unauthorized access to this result' });
+      }
+
+      const distribution =
+        await scoreDistributionService.getMockExamDistribution();
+      const netPercent = scoreDistributionService.getNetPercent(result);
+
+      res.json({
+        mockExamResultId: result.mock_exam_result_id,
+        mockExamId: result.mock_exam_id,
+        totalNet: Number(result.total_net),
+        netPercent,
+        ...scoreDistributionService.getStanding(distribution, netPercent),
+        averageNetPercent: distribution.mean,
+        histogram: distribution.histogram,
+        generatedAt: distribution.generatedAt,
+      });
+    } catch (error) {
+      console.error('Get mock exam result standing error:', error);
+      res.status(500).json({ message: 'Failed to retrieve result standing' });
+    }
+  },
+};
+
+module.exports = mockExamController;
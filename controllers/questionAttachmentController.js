@@ -0,0 +1,110 @@
+const questionModel = require('../models/questionModel');
+const questionAttachmentModel = require('../models/questionAttachmentModel');
+const questionAttachmentService = require('../services/questionAttachmentService');
+
+const questionAttachmentController = {
+  // Get all attachments of a question, grouped by target
+  async getAttachments(req, res) {
+    try {
+      const question = await questionModel.getById(req.params.id);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      res.json(question.attachments);
+    } catch (error) {
+      console.error('Get question attachments error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve question attachments' });
+    }
+  },
+
+  // Upload an image for the question text, an option or the explanation
+  async upload(req, res) {
+    try {
+      const { content, mimeType, target, optionKey, altText } = req.body;
+
+      if (!content || !target) {
+        return res
+          .status(400)
+          .json({ message: 'Content (base64) and target are required' });
+      }
+
+      const question = await questionModel.getById(req.params.id);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      const outcome = await questionAttachmentService.upload(
+        question,
+        { content, mimeType, target, optionKey, altText },
+        req.user.userId,
+      );
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ message: outcome.error });
+      }
+
+      res.status(201).json({
+        message: 'Attachment uploaded successfully',
+        attachment: questionAttachmentModel.format(outcome.attachment),
+      });
+    } catch (error) {
+      console.error('Upload question attachment error:', error);
+      res.status(500).json({ message: 'Failed to upload attachment' });
+    }
+  },
+
+  // Update the alt text of an attachment
+  async update(req, res) {
+    try {
+      const { altText } = req.body;
+      if (altText === undefined) {
+        return res.status(400).json({ message: 'Alt text is required' });
+      }
+
+      const attachment = await questionAttachmentModel.getById(
+        req.params.id,
+        req.params.attachmentId,
+      );
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const updated = await questionAttachmentModel.updateAltText(
+        attachment.attachment_id,
+        altText,
+      );
+
+      res.json({
+        message: 'Attachment updated successfully',
+        attachment: questionAttachmentModel.format(updated),
+      });
+    } catch (error) {
+      console.error('Update question attachment error:', error);
+      res.status(500).json({ message: 'Failed to update attachment' });
+    }
+  },
+
+  // Delete an attachment and its files
+  async remove(req, res) {
+    try {
+      const attachment = await questionAttachmentModel.getById(
+        req.params.id,
+        req.params.attachmentId,
+      );
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      await questionAttachmentService.remove(attachment);
+      res.json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+      console.error('Delete question attachment error:', error);
+      res.status(500).json({ message: 'Failed to delete attachment' });
+    }
+  },
+};
+
+module.exports = questionAttachmentController;
@@ -1,5 +1,10 @@
 const questionModel = require('../models/questionModel');
 const testModel = require('../models/testModel');
+const questionRevisionService = require('../services/questionRevisionService');
+const questionAttachmentModel = require('../models/questionAttachmentModel');
+const questionAttachmentService = require('../services/questionAttachmentService');
+const questionSimilarityService = require('../services/questionSimilarityService');
+const flashcardService = require('../services/flashcardService');
 
 const questionController = {
   // Create a new question
@@ -54,6 +59,16 @@ const questionController = {
         explanation || null,
       );
 
+      // Start the revision history
+      try {
+        await questionRevisionService.recordCreated(
+          [newQuestion],
+          req.user.userId,
+        );
+      } catch (revisionError) {
+        console.warn('Failed to record question revision:', revisionError);
+      }
+
       res.status(201).json({
         message: 'Question created successfully',
         question: newQuestion,
@@ -69,13 +84,13 @@ const questionController = {
     try {
       const testId = req.params.testId;
 
-      // Check if test exists
+      // Check if test exists (drafts are only listed through /api/editorial)
       const test = await testModel.getById(testId);
-      if (!test) {
+      if (!test || test.status !== 'published') {
         return res.status(404).json({ message: 'Test not found' });
       }
 
-      const questions = await questionModel.getByTestId(testId);
+      const questions = await questionModel.getByTestId(testId, true);
       res.json(questions);
     } catch (error) {
       console.error('Get questions error:', error);
@@ -89,7 +104,7 @@ const questionController = {
       const questionId = req.params.id;
 
       const question = await questionModel.getById(questionId);
-      if (!question) {
+      if (!question || question.status !== 'published') {
         return res.status(404).json({ message: 'Question not found' });
       }
 
@@ -159,6 +174,37 @@ const questionController = {
         explanation !== undefined ? explanation : existingQuestion.explanation,
       );
 
+      // Keep the previous version in the revision history
+      try {
+        await questionRevisionService.recordEdit(
+          existingQuestion,
+          updatedQuestion,
+          req.user.userId,
+          'update',
+        );
+      } catch (revisionError) {
+        console.warn('Failed to record question revision:', revisionError);
+      }
+
+      // Keep the duplicate-detection fingerprint in step with the text
+      if (questionText !== undefined || options !== undefined) {
+        try {
+          await questionSimilarityService.record([updatedQuestion]);
+        } catch (similarityError) {
+          console.warn(
+            'Failed to update question fingerprint:',
+            similarityError,
+          );
+        }
+      }
+
+      // Rewrite the flashcards generated from this question
+      try {
+        await flashcardService.syncQuestion(updatedQuestion.question_id);
+      } catch (flashcardError) {
+        console.warn('Failed to sync question flashcards:', flashcardError);
+      }
+
       res.json({
         message: 'Question updated successfully',
         question: updatedQuestion,
@@ -199,6 +245,24 @@ const questionController = {
         explanation,
       );
 
+      // Keep the previous version in the revision history
+      try {
+        await questionRevisionService.recordEdit(
+          existingQuestion,
+          updatedQuestion,
+          req.user.userId,
+          'explanation',
+        );
+      } catch (revisionError) {
+        console.warn('Failed to record question revision:', revisionError);
+      }
+
+      try {
+        await flashcardService.syncQuestion(updatedQuestion.question_id);
+      } catch (flashcardError) {
+        console.warn('Failed to sync question flashcards:', flashcardError);
+      }
+
       res.json({
         message: 'Question explanation updated successfully',
         question: updatedQuestion,
@@ -270,6 +334,16 @@ const questionController = {
       // Create questions
       const createdQuestions = await questionModel.createBatch(questions);
 
+      // Start the revision history
+      try {
+        await questionRevisionService.recordCreated(
+          createdQuestions,
+          req.user.userId,
+        );
+      } catch (revisionError) {
+        console.warn('Failed to record question revisions:', revisionError);
+      }
+
       res.status(201).json({
         message: 'Questions created successfully',
         questions: createdQuestions,
@@ -298,9 +372,18 @@ const questionController = {
         return res.status(404).json({ message: 'Question not found' });
       }
 
+      // Attachment rows are deleted with the question, their files are not
+      const attachments = await questionAttachmentModel.getByQuestionIds([
+        existingQuestion.question_id,
+      ]);
+
       // Delete question
       await questionModel.delete(questionId);
 
+      for (const attachment of attachments) {
+        await questionAttachmentService.removeFiles(attachment);
+      }
+
       res.json({ message: 'Question deleted successfully' });
     } catch (error) {
       console.error('Delete question error:', error);
@@ -0,0 +1,87 @@
+const questionSimilarityService = require('../services/questionSimilarityService');
+
+const MAX_MERGE_QUESTIONS = 50;
+
+const questionDuplicateController = {
+  // List clusters of near-duplicate questions across the whole bank
+  async getClusters(req, res) {
+    try {
+      const clusters = await questionSimilarityService.findClusters();
+
+      res.json({
+        threshold: questionSimilarityService.SIMILARITY_THRESHOLD,
+        totalClusters: clusters.length,
+        totalQuestions: clusters.reduce((sum, c) => sum + c.size, 0),
+        clusters,
+      });
+    } catch (error) {
+      console.error('Get duplicate clusters error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve duplicate clusters' });
+    }
+  },
+
+  // Rebuild the fingerprints of every question in the bank
+  async reindex(req, res) {
+    try {
+      const indexed = await questionSimilarityService.reindex();
+      res.json({ message: 'Question fingerprints rebuilt', indexed });
+    } catch (error) {
+      console.error('Reindex question fingerprints error:', error);
+      res.status(500).json({ message: 'Failed to rebuild fingerprints' });
+    }
+  },
+
+  // Merge duplicates into the question to keep
+  async merge(req, res) {
+    try {
+      const keepQuestionId = parseInt(req.body.keepQuestionId);
+      const duplicateQuestionIds = Array.isArray(req.body.duplicateQuestionIds)
+        ? [...new Set(req.body.duplicateQuestionIds.map((id) => parseInt(id)))]
+        : [];
+
+      if (
+        !Number.isInteger(keepQuestionId) ||
+        duplicateQuestionIds.length === 0 ||
+        duplicateQuestionIds.some((id) => !Number.isInteger(id))
+      ) {
+        return res.status(400).json({
+          message: 'Question to keep and duplicate question IDs are required',
+        });
+      }
+
+      if (duplicateQuestionIds.includes(keepQuestionId)) {
+        return res.status(400).json({
+          message: 'The question to keep cannot be one of the duplicates',
+        });
+      }
+
+      if (duplicateQuestionIds.length > MAX_MERGE_QUESTIONS) {
+        return res.status(400).json({
+          message: `At most ${MAX_MERGE_QUESTIONS} questions can be merged at once`,
+        });
+      }
+
+      const result = await questionSimilarityService.merge(
+        keepQuestionId,
+        duplicateQuestionIds,
+        req.user.userId,
+      );
+      if (result.error) {
+        return res.status(result.status).json({ message: result.error });
+      }
+
+      res.json({
+        message: 'Questions merged successfully',
+        keepQuestionId,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Merge duplicate questions error:', error);
+      res.status(500).json({ message: 'Failed to merge questions' });
+    }
+  },
+};
+
+module.exports = questionDuplicateController;
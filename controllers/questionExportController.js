@@ -0,0 +1,65 @@
+const questionExportService = require('../services/questionExportService');
+
+const SCOPE_LABELS = {
+  test: 'Test',
+  topic: 'Topic',
+  course: 'Course',
+};
+
+// Build a handler that exports one scope (test, topic or course)
+const exportScope = (scope) => async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!questionExportService.SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Format must be one of: ${questionExportService.SUPPORTED_FORMATS.join(
+          ', ',
+        )}`,
+      });
+    }
+
+    const collection = await questionExportService.collect(
+      scope,
+      req.params.id,
+    );
+    if (!collection) {
+      return res
+        .status(404)
+        .json({ message: `${SCOPE_LABELS[scope]} not found` });
+    }
+
+    const fileName = questionExportService.fileName(collection, format);
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+      return res.send(questionExportService.toHtml(collection));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(questionExportService.toCsv(collection));
+    }
+
+    res.json(questionExportService.toJson(collection));
+  } catch (error) {
+    console.error(`Export ${scope} questions error:`, error);
+    res.status(500).json({ message: 'Failed to export questions' });
+  }
+};
+
+const questionExportController = {
+  // Export the questions of a test
+  exportTest: exportScope('test'),
+
+  // Export the questions of every test in a topic
+  exportTopic: exportScope('topic'),
+
+  // Export the questions of every test in a course
+  exportCourse: exportScope('course'),
+};
+
+module.exports = questionExportController;
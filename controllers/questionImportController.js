@@ -0,0 +1,166 @@
+const testModel = require('../models/testModel');
+const questionImportModel = require('../models/questionImportModel');
+const questionImportService = require('../services/questionImportService');
+
+// Postgres foreign key violation
+const FOREIGN_KEY_VIOLATION = '23503';
+
+const questionImportController = {
+  // Helper: validate the upload fields shared by dry-run and commit.
+  // Sends the error response itself and returns null when invalid.
+  async readUpload(req, res) {
+    const { testId, format, content } = req.body;
+
+    if (!testId || !format || content === undefined || content === null) {
+      res
+        .status(400)
+        .json({ message: 'Test ID, format and content are required' });
+      return null;
+    }
+
+    if (!questionImportService.SUPPORTED_FORMATS.includes(format)) {
+      res.status(400).json({
+        message: `Format must be one of: ${questionImportService.SUPPORTED_FORMATS.join(
+          ', ',
+        )}`,
+      });
+      return null;
+    }
+
+    if (format === 'csv' && typeof content !== 'string') {
+      res.status(400).json({ message: 'CSV content must be a string' });
+      return null;
+    }
+
+    const test = await testModel.getById(testId);
+    if (!test) {
+      res.status(404).json({ message: 'Test not found' });
+      return null;
+    }
+
+    return { test, format, content };
+  },
+
+  // Dry run: parse and validate without creating questions
+  async validate(req, res) {
+    try {
+      const upload = await questionImportController.readUpload(req, res);
+      if (!upload) return;
+
+      const { report, error } = await questionImportService.buildReport(
+        upload.test.test_id,
+        upload.format,
+        upload.content,
+      );
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      res.json({ dryRun: true, report });
+    } catch (error) {
+      console.error('Validate question import error:', error);
+      res.status(500).json({ message: 'Failed to validate question import' });
+    }
+  },
+
+  // Create all valid rows and record the import
+  async commit(req, res) {
+    try {
+      const upload = await questionImportController.readUpload(req, res);
+      if (!upload) return;
+
+      const outcome = await questionImportService.commitImport(
+        upload.test.test_id,
+        req.user.userId,
+        upload.format,
+        upload.content,
+        req.body.fileName,
+      );
+      if (outcome.error) {
+        return res
+          .status(400)
+          .json({ message: outcome.error, report: outcome.report });
+      }
+
+      res.status(201).json({
+        message: `${outcome.questions.length} questions imported successfully`,
+        import: outcome.importRecord,
+        report: outcome.report,
+      });
+    } catch (error) {
+      console.error('Commit question import error:', error);
+      res.status(500).json({ message: 'Failed to import questions' });
+    }
+  },
+
+  // Get import history
+  async getHistory(req, res) {
+    try {
+      const imports = await questionImportModel.getAll(
+        req.query.testId || null,
+      );
+      res.json(imports);
+    } catch (error) {
+      console.error('Get question import history error:', error);
+      res.status(500).json({ message: 'Failed to retrieve import history' });
+    }
+  },
+
+  // Get a single import with its per-row errors
+  async getById(req, res) {
+    try {
+      const importRecord = await questionImportModel.getById(req.params.id);
+      if (!importRecord) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+
+      res.json(importRecord);
+    } catch (error) {
+      console.error('Get question import error:', error);
+      res.status(500).json({ message: 'Failed to retrieve import' });
+    }
+  },
+
+  // Delete the questions created by an import
+  async rollback(req, res) {
+    try {
+      const importRecord = await questionImportModel.getById(req.params.id);
+      if (!importRecord) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+
+      if (importRecord.status !== 'committed') {
+        return res
+          .status(409)
+          .json({ message: 'This import has already been rolled back' });
+      }
+
+      const outcome = await questionImportService.rollbackImport(
+        importRecord,
+        req.user.userId,
+      );
+      if (outcome.alreadyRolledBack) {
+        return res
+          .status(409)
+          .json({ message: 'This import has already been rolled back' });
+      }
+
+      res.json({
+        message: 'Import rolled back successfully',
+        import: outcome.importRecord,
+        deletedCount: outcome.deletedCount,
+      });
+    } catch (error) {
+      if (error.code === FOREIGN_KEY_VIOLATION) {
+        return res.status(409).json({
+          message:
+            'Some imported questions are already in use and cannot be deleted',
+        });
+      }
+      console.error('Rollback question import error:', error);
+      res.status(500).json({ message: 'Failed to roll back import' });
+    }
+  },
+};
+
+module.exports = questionImportController;
@@ -0,0 +1,106 @@
+const questionModel = require('../models/questionModel');
+const questionRevisionModel = require('../models/questionRevisionModel');
+const questionRevisionService = require('../services/questionRevisionService');
+
+const questionRevisionController = {
+  // Get the revision history of a question, newest first
+  async getRevisions(req, res) {
+    try {
+      const question = await questionModel.getById(req.params.id);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      // Questions that predate revision history get a baseline first
+      await questionRevisionModel.ensureBaseline(question);
+      const revisions = await questionRevisionModel.getByQuestionId(
+        question.question_id,
+      );
+
+      res.json(revisions);
+    } catch (error) {
+      console.error('Get question revisions error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve question revisions' });
+    }
+  },
+
+  // Compare two revisions of a question
+  async diff(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      if (!from || isNaN(from) || (to !== undefined && isNaN(to))) {
+        return res
+          .status(400)
+          .json({ message: 'Revision numbers "from" and "to" are required' });
+      }
+
+      const question = await questionModel.getById(req.params.id);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      // Without "to", compare against the latest revision
+      const [fromRevision, toRevision] = await Promise.all([
+        questionRevisionModel.getByNumber(question.question_id, parseInt(from)),
+        to !== undefined
+          ? questionRevisionModel.getByNumber(
+              question.question_id,
+              parseInt(to),
+            )
+          : questionRevisionModel.ensureBaseline(question),
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      res.json(questionRevisionService.diff(fromRevision, toRevision));
+    } catch (error) {
+      console.error('Diff question revisions error:', error);
+      res.status(500).json({ message: 'Failed to compare question revisions' });
+    }
+  },
+
+  // Restore an old revision as the current content of the question
+  async restore(req, res) {
+    try {
+      if (isNaN(req.params.revisionNumber)) {
+        return res.status(400).json({ message: 'Invalid revision number' });
+      }
+
+      const question = await questionModel.getById(req.params.id);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      const revision = await questionRevisionModel.getByNumber(
+        question.question_id,
+        req.params.revisionNumber,
+      );
+      if (!revision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+
+      const { question: restoredQuestion, revision: newRevision } =
+        await questionRevisionService.restore(
+          question,
+          revision,
+          req.user.userId,
+        );
+
+      res.json({
+        message: `Question restored to revision ${revision.revision_number}`,
+        question: restoredQuestion,
+        revision: newRevision,
+      });
+    } catch (error) {
+      console.error('Restore question revision error:', error);
+      res.status(500).json({ message: 'Failed to restore question revision' });
+    }
+  },
+};
+
+module.exports = questionRevisionController;
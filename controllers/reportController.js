@@ -1,5 +1,6 @@
 const reportModel = require('../models/reportModel');
 const questionModel = require('../models/questionModel');
+const itemAnalysisService = require('../services/itemAnalysisService');
 
 const reportController = {
   // Get all report reasons
@@ -92,6 +93,25 @@ const reportController = {
     }
   },
 
+  // Get item statistics of a reported question: difficulty, discrimination,
+  // option distribution and answer time (admin only)
+  async getQuestionItemAnalysis(req, res) {
+    try {
+      const testQuestionId = parseInt(req.params.questionId);
+
+      const question = await questionModel.getById(testQuestionId);
+      if (!question) {
+        return res.status(404).json({ message: 'Question not found' });
+      }
+
+      const analysis = await itemAnalysisService.analyzeQuestion(question);
+      res.json(analysis);
+    } catch (error) {
+      console.error('Get item analysis error:', error);
+      res.status(500).json({ message: 'Failed to retrieve item analysis' });
+    }
+  },
+
   // Get all reports (admin only)
   async getAllReports(req, res) {
     try {
@@ -148,6 +168,21 @@ const reportController = {
         });
       }
 
+      // Give moderators the question's answer statistics alongside the report
+      if (userRole === 'admin') {
+        report.item_analysis_url = `/api/reports/question/${report.test_question_id}/item-analysis`;
+        try {
+          const question = await questionModel.getById(report.test_question_id);
+          if (question) {
+            report.item_analysis = await itemAnalysisService.analyzeQuestion(
+              question,
+            );
+          }
+        } catch (analysisError) {
+          console.warn('Failed to build item analysis:', analysisError);
+        }
+      }
+
       res.json(report);
     } catch (error) {
       console.error('Get report by ID error:', error);
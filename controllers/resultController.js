@@ -2,53 +2,61 @@ const resultModel = require('../models/resultModel');
 const answerModel = require('../models/answerModel');
 const testModel = require('../models/testModel');
 const userModel = require('../models/userModel');
+const testGradingService = require('../services/testGradingService');
+const scoreDistributionService = require('../services/scoreDistributionService');
+const spacedRepetitionService = require('../services/spacedRepetitionService');
 
 const resultController = {
   // Submit a test result with answers
+  // Score and correctness are computed on the server from test_questions;
+  // a client-supplied score is only used to log mismatches.
   async submitTest(req, res) {
     try {
       const userId = req.user.userId;
-      const { testId, score, timeTaken, answers } = req.body;
+      const { testId, score: clientScore, timeTaken, answers } = req.body;
 
       // Validate input
-      if (
-        !testId ||
-        score === undefined ||
-        !answers ||
-        !Array.isArray(answers)
-      ) {
+      if (!testId || !answers || !Array.isArray(answers)) {
         return res
           .status(400)
-          .json({ message: 'Test ID, score, and answers are required' });
-      }
-
-      // Validate score is a number between 0 and 100
-      if (isNaN(score) || score < 0 || score > 100) {
-        return res
-          .status(400)
-          .json({ message: 'Score must be a number between 0 and 100' });
+          .json({ message: 'Test ID and answers are required' });
       }
 
       // Check if test exists
       const test = await testModel.getById(testId);
-      if (!test) {
+      if (!test || test.status !== 'published') {
         return res.status(404).json({ message: 'Test not found' });
       }
 
-      // Check each answer has required fields
-      for (const answer of answers) {
-        if (
-          !answer.questionId ||
-          answer.userAnswer === undefined ||
-          answer.isCorrect === undefined
-        ) {
-          return res
-            .status(400)
-            .json({
-              message:
-                'Each answer must have questionId, userAnswer, and isCorrect fields',
-            });
-        }
+      // Tests that opt in are only graded through server-timed exam
+      // sessions
+      if (test.requires_session) {
+        return res.status(409).json({
+          message:
+            'This test requires an exam session; start and submit it through /api/exam-sessions',
+        });
+      }
+
+      // Grade answers against the test's questions
+      const grading = await testGradingService.gradeSubmission(
+        testId,
+        answers,
+      );
+      if (!grading.valid) {
+        return res.status(400).json({ message: grading.message });
+      }
+
+      const score = grading.score;
+
+      // Audit client-supplied score without trusting it
+      if (
+        clientScore !== undefined &&
+        clientScore !== null &&
+        Math.abs(Number(clientScore) - score) > 0.01
+      ) {
+        console.warn(
+          `⚠️  Score mismatch for user ${userId} on test ${testId}: client=${clientScore}, server=${score}`,
+        );
       }
 
       // Create test result
@@ -59,15 +67,30 @@ const resultController = {
         timeTaken || null,
       );
 
+      await scoreDistributionService.invalidateTest(testId);
+
       // Process answers
-      const formattedAnswers = answers.map((answer) => ({
+      const formattedAnswers = grading.answers.map((answer) => ({
         resultId: newResult.result_id,
         questionId: answer.questionId,
         userAnswer: answer.userAnswer,
         isCorrect: answer.isCorrect,
       }));
 
-      await answerModel.createBatch(formattedAnswers);
+      if (formattedAnswers.length > 0) {
+        await answerModel.createBatch(formattedAnswers);
+      }
+
+      // Reschedule review cards for the answered questions
+      try {
+        await spacedRepetitionService.recordAnswers(
+          userId,
+          grading.answers.filter((answer) => answer.userAnswer),
+          'test',
+        );
+      } catch (reviewError) {
+        console.warn('Failed to update review schedule:', reviewError);
+      }
 
       // Update user statistics if needed
       try {
@@ -80,6 +103,11 @@ const resultController = {
       res.status(201).json({
         message: 'Test result submitted successfully',
         result: newResult,
+        grading: {
+          totalQuestions: grading.totalQuestions,
+          answeredCount: grading.answeredCount,
+          correctCount: grading.correctCount,
+        },
       });
     } catch (error) {
       console.error('Submit test error:', error);
@@ -175,6 +203,75 @@ const resultController = {
     }
   },
 
+  // Get score distribution for a test (histogram and percentiles)
+  async getTestDistribution(req, res) {
+    try {
+      const testId = req.params.testId;
+
+      const test = await testModel.getById(testId);
+      if (!test) {
+        return res.status(404).json({ message: 'Test not found' });
+      }
+
+      const distribution = await scoreDistributionService.getTestDistribution(
+        testId,
+      );
+
+      res.json({
+        testId,
+        testTitle: test.title,
+        ...scoreDistributionService.toPublic(distribution),
+      });
+    } catch (error) {
+      console.error('Get test distribution error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve test score distribution' });
+    }
+  },
+
+  // Get percentile and estimated rank of a result among all takers
+  async getResultStanding(req, res) {
+    try {
+      const userId = req.user.userId;
+      const resultId = req.params.id;
+
+      const result = await resultModel.getById(resultId);
+      if (!result) {
+        return res.status(404).json({ message: 'Result not found' });
+      }
+
+      if (result.user_id !== userId && req.user.role !== 'admin') {
+        return res
+          .status(403)
+          .json({ message: 'Unauthorized access to this result' });
+      }
+
+      const distribution = await scoreDistributionService.getTestDistribution(
+        result.test_id,
+      );
+      const score = Number(result.score);
+      const standing = scoreDistributionService.getStanding(
+        distribution,
+        score,
+      );
+
+      res.json({
+        resultId: result.result_id,
+        testId: result.test_id,
+        testTitle: result.test_title,
+        score,
+        ...standing,
+        averageScore: distribution.mean,
+        histogram: distribution.histogram,
+        generatedAt: distribution.generatedAt,
+      });
+    } catch (error) {
+      console.error('Get result standing error:', error);
+      res.status(500).json({ message: 'Failed to retrieve result standing' });
+    }
+  },
+
   // Get user's performance trends (for student dashboard)
   async getUserPerformanceTrends(req, res) {
     try {
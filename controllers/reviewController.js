@@ -0,0 +1,134 @@
+const reviewCardModel = require('../models/reviewCardModel');
+const courseModel = require('../models/courseModel');
+const spacedRepetitionService = require('../services/spacedRepetitionService');
+
+const MAX_DAILY_LIMIT = 500;
+
+const isValidLimit = (value) =>
+  Number.isInteger(value) && value >= 0 && value <= MAX_DAILY_LIMIT;
+
+const reviewController = {
+  // Get today's review queue (due reviews and new cards)
+  async getDue(req, res) {
+    try {
+      const { courseId } = req.query;
+
+      if (courseId) {
+        const course = await courseModel.getById(courseId);
+        if (!course) {
+          return res.status(404).json({ message: 'Course not found' });
+        }
+      }
+
+      const queue = await spacedRepetitionService.getDueQueue(
+        req.user.userId,
+        courseId ? parseInt(courseId) : null,
+      );
+
+      res.json({
+        reviewCount: queue.reviews.length,
+        newCardCount: queue.newCards.length,
+        ...queue,
+      });
+    } catch (error) {
+      console.error('Get due reviews error:', error);
+      res.status(500).json({ message: 'Failed to retrieve review queue' });
+    }
+  },
+
+  // Answer a review card and reschedule it
+  async answer(req, res) {
+    try {
+      const { questionId, userAnswer, grade } = req.body;
+
+      if (!questionId || userAnswer === undefined) {
+        return res
+          .status(400)
+          .json({ message: 'Question ID and userAnswer are required' });
+      }
+
+      if (
+        grade !== undefined &&
+        (!Number.isInteger(grade) || grade < 3 || grade > 5)
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'Grade must be an integer between 3 and 5' });
+      }
+
+      const outcome = await spacedRepetitionService.answerReview(
+        req.user.userId,
+        questionId,
+        userAnswer,
+        grade,
+      );
+
+      if (!outcome) {
+        return res
+          .status(404)
+          .json({ message: 'Question not found in your review queue' });
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Answer review error:', error);
+      res.status(500).json({ message: 'Failed to submit review answer' });
+    }
+  },
+
+  // Get the current user's daily limits per course
+  async getSettings(req, res) {
+    try {
+      const settings = await reviewCardModel.getSettings(req.user.userId);
+      res.json({
+        defaults: {
+          newCardsPerDay: spacedRepetitionService.DEFAULT_NEW_CARDS_PER_DAY,
+          reviewsPerDay: spacedRepetitionService.DEFAULT_REVIEWS_PER_DAY,
+        },
+        courses: settings,
+      });
+    } catch (error) {
+      console.error('Get review settings error:', error);
+      res.status(500).json({ message: 'Failed to retrieve review settings' });
+    }
+  },
+
+  // Set daily limits for a course
+  async updateSettings(req, res) {
+    try {
+      const { courseId, newCardsPerDay, reviewsPerDay } = req.body;
+
+      if (!courseId) {
+        return res.status(400).json({ message: 'Course ID is required' });
+      }
+
+      if (!isValidLimit(newCardsPerDay) || !isValidLimit(reviewsPerDay)) {
+        return res.status(400).json({
+          message: `Daily limits must be integers between 0 and ${MAX_DAILY_LIMIT}`,
+        });
+      }
+
+      const course = await courseModel.getById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const settings = await reviewCardModel.upsertSettings(
+        req.user.userId,
+        course.course_id,
+        newCardsPerDay,
+        reviewsPerDay,
+      );
+
+      res.json({
+        message: 'Review settings updated successfully',
+        settings,
+      });
+    } catch (error) {
+      console.error('Update review settings error:', error);
+      res.status(500).json({ message: 'Failed to update review settings' });
+    }
+  },
+};
+
+module.exports = reviewController;
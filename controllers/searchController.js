@@ -0,0 +1,76 @@
+const searchService = require('../services/searchService');
+
+const MAX_LIMIT = 50;
+
+const searchController = {
+  // Search questions, explanations, topics, subtopics and coaching notes
+  async search(req, res) {
+    try {
+      const {
+        q: searchTerm,
+        types,
+        courseId,
+        topicId,
+        answered,
+        limit = 20,
+        offset = 0,
+      } = req.query;
+
+      if (!searchTerm || !String(searchTerm).trim()) {
+        return res.status(400).json({ message: 'Search term is required' });
+      }
+
+      let resultTypes;
+      if (types) {
+        resultTypes = String(types).split(',');
+        const invalid = resultTypes.filter(
+          (type) => !searchService.RESULT_TYPES.includes(type),
+        );
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            message: `Types must be any of: ${searchService.RESULT_TYPES.join(
+              ', ',
+            )}`,
+          });
+        }
+      }
+
+      if (answered !== undefined && !['true', 'false'].includes(answered)) {
+        return res
+          .status(400)
+          .json({ message: 'Answered must be "true" or "false"' });
+      }
+
+      if ((courseId && isNaN(courseId)) || (topicId && isNaN(topicId))) {
+        return res
+          .status(400)
+          .json({ message: 'Course ID and topic ID must be numbers' });
+      }
+
+      const { terms, results, total } = await searchService.search(
+        req.user.userId,
+        searchTerm,
+        {
+          types: resultTypes,
+          courseId: courseId ? parseInt(courseId) : null,
+          topicId: topicId ? parseInt(topicId) : null,
+          answered: answered === undefined ? undefined : answered === 'true',
+          limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT),
+          offset: Math.max(parseInt(offset) || 0, 0),
+        },
+      );
+
+      res.json({
+        searchTerm,
+        terms,
+        results,
+        totalResults: total,
+      });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ message: 'Failed to search' });
+    }
+  },
+};
+
+module.exports = searchController;
@@ -0,0 +1,255 @@
+const tagModel = require('../models/tagModel');
+const searchService = require('../services/searchService');
+
+const MAX_BULK_QUESTIONS = 500;
+
+// Postgres error codes
+const UNIQUE_VIOLATION = '23505';
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// Helper: URL-safe slug with Turkish letters folded ("Kök Kanal" -> "kok-kanal")
+const slugify = (name) =>
+  searchService
+    .normalize(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Helper: validate a tag name for its category. Returns an error or null.
+const validateTagName = (category, name) => {
+  if (!name || !String(name).trim()) {
+    return 'Tag name is required';
+  }
+  if (category === 'exam_year' && !/^(19|20)\d{2}$/.test(String(name).trim())) {
+    return 'Exam year tags must be a four-digit year';
+  }
+  if (!slugify(name)) {
+    return 'Tag name must contain letters or digits';
+  }
+  return null;
+};
+
+// Helper: parse a list of positive integer IDs from an array or "1,2,3"
+const parseIds = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const ids = list
+    .filter((id) => id !== '')
+    .map((id) => parseInt(id))
+    .filter((id) => Number.isInteger(id) && id > 0);
+  return ids.length === list.filter((id) => id !== '').length ? ids : null;
+};
+
+// Build the bulk assign (or, with `remove`, unassign) handler
+const bulkUpdateTags = (remove) => async (req, res) => {
+  try {
+    const questionIds = parseIds(req.body.questionIds);
+    const tagIds = parseIds(req.body.tagIds);
+
+    if (!questionIds || !tagIds || !questionIds.length || !tagIds.length) {
+      return res
+        .status(400)
+        .json({ message: 'Question IDs and tag IDs are required' });
+    }
+
+    if (questionIds.length > MAX_BULK_QUESTIONS) {
+      return res.status(400).json({
+        message: `At most ${MAX_BULK_QUESTIONS} questions can be tagged at once`,
+      });
+    }
+
+    const tags = await tagModel.getByIds(tagIds);
+    if (tags.length !== new Set(tagIds).size) {
+      return res.status(404).json({ message: 'One or more tags not found' });
+    }
+
+    if (remove) {
+      const removed = await tagModel.unassign(questionIds, tagIds);
+      return res.json({ message: 'Tags removed successfully', removed });
+    }
+
+    const assigned = await tagModel.assign(
+      questionIds,
+      tagIds,
+      req.user.userId,
+    );
+    res.json({ message: 'Tags assigned successfully', assigned });
+  } catch (error) {
+    // A question doesn't exist
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res
+        .status(404)
+        .json({ message: 'One or more questions not found' });
+    }
+    console.error('Bulk tag update error:', error);
+    res.status(500).json({ message: 'Failed to update question tags' });
+  }
+};
+
+const tagController = {
+  // Get all tags, optionally of one category
+  async getAll(req, res) {
+    try {
+      const { category } = req.query;
+
+      if (category && !tagModel.CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          message: `Category must be one of: ${tagModel.CATEGORIES.join(', ')}`,
+        });
+      }
+
+      const tags = await tagModel.getAll(category || null);
+      res.json(tags);
+    } catch (error) {
+      console.error('Get tags error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tags' });
+    }
+  },
+
+  // Get tag by ID
+  async getById(req, res) {
+    try {
+      const tag = await tagModel.getById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      res.json(tag);
+    } catch (error) {
+      console.error('Get tag error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tag' });
+    }
+  },
+
+  // Create a tag
+  async create(req, res) {
+    try {
+      const { category, name, description } = req.body;
+
+      if (!tagModel.CATEGORIES.includes(category)) {
+        return res.status(400).json({
+          message: `Category must be one of: ${tagModel.CATEGORIES.join(', ')}`,
+        });
+      }
+
+      const nameError = validateTagName(category, name);
+      if (nameError) {
+        return res.status(400).json({ message: nameError });
+      }
+
+      const tag = await tagModel.create(
+        category,
+        String(name).trim(),
+        slugify(name),
+        description || null,
+      );
+
+      res.status(201).json({ message: 'Tag created successfully', tag });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: 'A tag with this name already exists' });
+      }
+      console.error('Create tag error:', error);
+      res.status(500).json({ message: 'Failed to create tag' });
+    }
+  },
+
+  // Rename a tag or change its description (category is fixed)
+  async update(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const tag = await tagModel.getById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      const updates = {};
+      if (name !== undefined) {
+        const nameError = validateTagName(tag.category, name);
+        if (nameError) {
+          return res.status(400).json({ message: nameError });
+        }
+        updates.name = String(name).trim();
+        updates.slug = slugify(name);
+      }
+      if (description !== undefined) {
+        updates.description = description || null;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ message: 'Nothing to update' });
+      }
+
+      const updatedTag = await tagModel.update(tag.tag_id, updates);
+      res.json({ message: 'Tag updated successfully', tag: updatedTag });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: 'A tag with this name already exists' });
+      }
+      console.error('Update tag error:', error);
+      res.status(500).json({ message: 'Failed to update tag' });
+    }
+  },
+
+  // Delete a tag and remove it from all questions
+  async delete(req, res) {
+    try {
+      const tag = await tagModel.getById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({ message: 'Tag not found' });
+      }
+
+      await tagModel.delete(tag.tag_id);
+      res.json({ message: 'Tag deleted successfully' });
+    } catch (error) {
+      console.error('Delete tag error:', error);
+      res.status(500).json({ message: 'Failed to delete tag' });
+    }
+  },
+
+  // Tag questions in bulk
+  assign: bulkUpdateTags(false),
+
+  // Remove tags from questions in bulk
+  unassign: bulkUpdateTags(true),
+
+  // Get the published questions carrying a set of tags
+  async getQuestions(req, res) {
+    try {
+      const tagIds = parseIds(req.query.tagIds);
+      const match = req.query.match || 'all';
+      const courseId = req.query.courseId ? parseInt(req.query.courseId) : null;
+
+      if (!tagIds || tagIds.length === 0) {
+        return res.status(400).json({ message: 'Tag IDs are required' });
+      }
+      if (!['all', 'any'].includes(match)) {
+        return res
+          .status(400)
+          .json({ message: 'Match must be "all" or "any"' });
+      }
+
+      const questionIds = await tagModel.getQuestionIdsByTags(tagIds, match);
+      const questions = await tagModel.getTaggedQuestions(
+        questionIds,
+        courseId,
+      );
+
+      res.json({
+        tagIds,
+        match,
+        courseId,
+        questions,
+        totalQuestions: questions.length,
+      });
+    } catch (error) {
+      console.error('Get tagged questions error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tagged questions' });
+    }
+  },
+};
+
+module.exports = tagController;
@@ -45,6 +45,7 @@ const testController = {
         topicId,
         difficultyLevel,
         timeLimit,
+        requiresSession,
       } = req.body;
 
       // Validate input
@@ -70,6 +71,15 @@ const testController = {
           .json({ message: 'Time limit must be between 1 and 180 minutes' });
       }
 
+      if (
+        requiresSession !== undefined &&
+        typeof requiresSession !== 'boolean'
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'requiresSession must be a boolean' });
+      }
+
       // Check if course exists
       const course = await courseModel.getById(courseId);
       if (!course) {
@@ -99,6 +109,7 @@ const testController = {
         topicId || null,
         difficultyLevel,
         timeLimit || 30, // Default to 30 minutes if not provided
+        requiresSession || false,
       );
 
       res.status(201).json({
@@ -112,19 +123,21 @@ const testController = {
   },
 
   // Get all tests
+  // Public listings only include published tests; drafts are listed
+  // through /api/editorial
   async getAll(req, res) {
     try {
       const { courseId, topicId, courseType } = req.query;
 
       let tests;
       if (courseId) {
-        tests = await testModel.getByCourseId(courseId);
+        tests = await testModel.getByCourseId(courseId, true);
       } else if (topicId) {
-        tests = await testModel.getByTopicId(topicId);
+        tests = await testModel.getByTopicId(topicId, true);
       } else if (courseType) {
-        tests = await testModel.getByCourseType(courseType);
+        tests = await testModel.getByCourseType(courseType, true);
       } else {
-        tests = await testModel.getAll();
+        tests = await testModel.getAll(true);
       }
 
       res.json(tests);
@@ -145,7 +158,7 @@ const testController = {
         return res.status(404).json({ message: 'Course not found' });
       }
 
-      const tests = await testModel.getByCourseId(courseId);
+      const tests = await testModel.getByCourseId(courseId, true);
       res.json(tests);
     } catch (error) {
       console.error('Get tests by course ID error:', error);
@@ -166,7 +179,7 @@ const testController = {
         return res.status(404).json({ message: topicValidation.error });
       }
 
-      const tests = await testModel.getByTopicId(topicId);
+      const tests = await testModel.getByTopicId(topicId, true);
       res.json(tests);
     } catch (error) {
       console.error('Get tests by topic ID error:', error);
@@ -187,7 +200,7 @@ const testController = {
         });
       }
 
-      const tests = await testModel.getByCourseType(courseType);
+      const tests = await testModel.getByCourseType(courseType, true);
       res.json(tests);
     } catch (error) {
       console.error('Get tests by course type error:', error);
@@ -203,7 +216,7 @@ const testController = {
       const testId = req.params.id;
 
       const test = await testModel.getById(testId);
-      if (!test) {
+      if (!test || test.status !== 'published') {
         return res.status(404).json({ message: 'Test not found' });
       }
 
@@ -219,7 +232,7 @@ const testController = {
     try {
       const testId = req.params.id;
 
-      const testWithQuestions = await testModel.getWithQuestions(testId);
+      const testWithQuestions = await testModel.getWithQuestions(testId, true);
       if (!testWithQuestions) {
         return res.status(404).json({ message: 'Test not found' });
       }
@@ -244,6 +257,7 @@ const testController = {
         topicId,
         difficultyLevel,
         timeLimit,
+        requiresSession,
       } = req.body;
 
       // Check if test exists
@@ -300,6 +314,15 @@ const testController = {
           .json({ message: 'Time limit must be between 1 and 180 minutes' });
       }
 
+      if (
+        requiresSession !== undefined &&
+        typeof requiresSession !== 'boolean'
+      ) {
+        return res
+          .status(400)
+          .json({ message: 'requiresSession must be a boolean' });
+      }
+
       // Update test
       const updatedTest = await testModel.update(
         testId,
@@ -309,6 +332,7 @@ const testController = {
         topicId,
         difficultyLevel,
         timeLimit,
+        requiresSession,
       );
 
       res.json({
@@ -0,0 +1,311 @@
+const tournamentModel = require('../models/tournamentModel');
+const courseModel = require('../models/courseModel');
+const tournamentService = require('../services/tournamentService');
+
+const STATUSES = ['registration', 'running', 'completed', 'cancelled'];
+
+// Parse an optional integer field within bounds. Returns the default when
+// it is missing and NaN when it is invalid.
+const parseBounded = (value, min, max, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max
+    ? number
+    : NaN;
+};
+
+const tournamentController = {
+  // Helper: load a tournament by the route ID. Sends the error response
+  // itself and returns null when it doesn't exist.
+  async loadTournament(req, res) {
+    const tournament = await tournamentModel.getById(req.params.id);
+    if (!tournament) {
+      res.status(404).json({ message: 'Tournament not found' });
+      return null;
+    }
+    return tournament;
+  },
+
+  // Helper: only the creator or an admin may run a tournament
+  canManage(req, tournament) {
+    return (
+      tournament.created_by === req.user.userId || req.user.role === 'admin'
+    );
+  },
+
+  // Create a tournament for a course
+  async create(req, res) {
+    try {
+      const {
+        name,
+        courseId,
+        format = 'single_elimination',
+        startsAt,
+      } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({ message: 'Tournament name is required' });
+      }
+
+      if (!courseId) {
+        return res.status(400).json({ message: 'Course ID is required' });
+      }
+
+      if (!tournamentService.FORMATS.includes(format)) {
+        return res.status(400).json({
+          message: `Format must be one of: ${tournamentService.FORMATS.join(
+            ', ',
+          )}`,
+        });
+      }
+
+      const maxPlayers = parseBounded(req.body.maxPlayers, 2, 128, 32);
+      const swissRounds = parseBounded(req.body.swissRounds, 1, 10, null);
+      const questionCount = parseBounded(req.body.questionCount, 3, 20, 5);
+      const roundHours = parseBounded(req.body.roundHours, 1, 72, 24);
+
+      if (
+        [maxPlayers, swissRounds, questionCount, roundHours].some((value) =>
+          Number.isNaN(value),
+        )
+      ) {
+        return res.status(400).json({
+          message:
+            'maxPlayers must be 2-128, swissRounds 1-10, questionCount 3-20 and roundHours 1-72',
+        });
+      }
+
+      if (startsAt && isNaN(new Date(startsAt).getTime())) {
+        return res.status(400).json({ message: 'Invalid startsAt date' });
+      }
+
+      const course = await courseModel.getById(courseId);
+      if (!course) {
+        return res.status(404).json({ message: 'Course not found' });
+      }
+
+      const tournament = await tournamentService.createTournament(
+        req.user.userId,
+        {
+          name: name.trim(),
+          courseId,
+          format,
+          maxPlayers,
+          swissRounds,
+          questionCount,
+          roundHours,
+          startsAt: startsAt ? new Date(startsAt).toISOString() : null,
+        },
+      );
+
+      res.status(201).json({
+        message: 'Tournament created successfully',
+        tournament,
+      });
+    } catch (error) {
+      console.error('Create tournament error:', error);
+      res.status(500).json({ message: 'Failed to create tournament' });
+    }
+  },
+
+  // List open and running tournaments, or those with the given status
+  async list(req, res) {
+    try {
+      const { status, courseId } = req.query;
+
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${STATUSES.join(', ')}`,
+        });
+      }
+
+      const tournaments = await tournamentModel.list({
+        status: status || ['registration', 'running'],
+        courseId: courseId || null,
+      });
+      res.json(tournaments);
+    } catch (error) {
+      console.error('List tournaments error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tournaments' });
+    }
+  },
+
+  // Completed tournaments with their winners
+  async getHistory(req, res) {
+    try {
+      const tournaments = await tournamentModel.getHistory({
+        courseId: req.query.courseId || null,
+      });
+      res.json(tournaments);
+    } catch (error) {
+      console.error('Get tournament history error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve tournament history' });
+    }
+  },
+
+  // The current user's tournaments with their record and final rank
+  async getMyTournaments(req, res) {
+    try {
+      const entries = await tournamentModel.getByUser(req.user.userId);
+      res.json(entries);
+    } catch (error) {
+      console.error('Get user tournaments error:', error);
+      res.status(500).json({ message: 'Failed to retrieve your tournaments' });
+    }
+  },
+
+  // Get a tournament with its players
+  async getTournament(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      const players = await tournamentModel.getPlayers(
+        tournament.tournament_id,
+      );
+      res.json({ tournament, players });
+    } catch (error) {
+      console.error('Get tournament error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tournament' });
+    }
+  },
+
+  async getStandings(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      const standings = await tournamentService.getStandings(tournament);
+      res.json({
+        tournamentId: tournament.tournament_id,
+        format: tournament.format,
+        status: tournament.status,
+        currentRound: tournament.current_round,
+        standings,
+      });
+    } catch (error) {
+      console.error('Get tournament standings error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve tournament standings' });
+    }
+  },
+
+  // Bracket (or Swiss pairings) by round
+  async getRounds(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      const rounds = await tournamentService.getRounds(tournament);
+      res.json({
+        tournamentId: tournament.tournament_id,
+        format: tournament.format,
+        rounds,
+      });
+    } catch (error) {
+      console.error('Get tournament rounds error:', error);
+      res.status(500).json({ message: 'Failed to retrieve tournament rounds' });
+    }
+  },
+
+  async register(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      const outcome = await tournamentService.register(
+        tournament,
+        req.user.userId,
+      );
+      if (outcome.error) {
+        return res.status(409).json({ message: outcome.error });
+      }
+
+      res.status(201).json({
+        message: 'Registered for tournament',
+        player: outcome.player,
+      });
+    } catch (error) {
+      console.error('Tournament registration error:', error);
+      res.status(500).json({ message: 'Failed to register for tournament' });
+    }
+  },
+
+  async withdraw(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      const outcome = await tournamentService.withdraw(
+        tournament,
+        req.user.userId,
+      );
+      if (outcome.error) {
+        return res.status(409).json({ message: outcome.error });
+      }
+
+      res.json({ message: 'Withdrawn from tournament' });
+    } catch (error) {
+      console.error('Tournament withdrawal error:', error);
+      res.status(500).json({ message: 'Failed to withdraw from tournament' });
+    }
+  },
+
+  // Start now instead of waiting for the start time
+  async start(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      if (!tournamentController.canManage(req, tournament)) {
+        return res
+          .status(403)
+          .json({ message: 'Only the organizer can start this tournament' });
+      }
+
+      const outcome = await tournamentService.start(tournament);
+      if (outcome.error) {
+        return res.status(409).json({ message: outcome.error });
+      }
+
+      res.json({
+        message: 'Tournament started',
+        tournament: outcome.tournament,
+      });
+    } catch (error) {
+      console.error('Start tournament error:', error);
+      res.status(500).json({ message: 'Failed to start tournament' });
+    }
+  },
+
+  async cancel(req, res) {
+    try {
+      const tournament = await tournamentController.loadTournament(req, res);
+      if (!tournament) return;
+
+      if (!tournamentController.canManage(req, tournament)) {
+        return res
+          .status(403)
+          .json({ message: 'Only the organizer can cancel this tournament' });
+      }
+
+      const outcome = await tournamentService.cancel(tournament);
+      if (outcome.error) {
+        return res.status(409).json({ message: outcome.error });
+      }
+
+      res.json({
+        message: 'Tournament cancelled',
+        tournament: outcome.tournament,
+      });
+    } catch (error) {
+      console.error('Cancel tournament error:', error);
+      res.status(500).json({ message: 'Failed to cancel tournament' });
+    }
+  },
+};
+
+module.exports = tournamentController;
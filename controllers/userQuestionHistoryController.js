@@ -1,4 +1,12 @@
 const userQuestionHistoryModel = require('../models/userQuestionHistoryModel');
+const tagModel = require('../models/tagModel');
+
+// Parse the optional ?tagIds=1,2 filter (questions must carry all tags)
+const parseTagIds = (value) => {
+  if (!value) return null;
+  const tagIds = String(value).split(',').map(id => parseInt(id)).filter(id => id > 0);
+  return tagIds.length > 0 ? tagIds : null;
+};
 
 const userQuestionHistoryController = {
   // Check if user has answered a specific question before
@@ -120,7 +128,8 @@ const userQuestionHistoryController = {
         return res.status(400).json({ message: 'Course ID is required' });
       }
 
-      const stats = await userQuestionHistoryModel.getUserCourseQuestionStats(userId, courseId);
+      const tagIds = parseTagIds(req.query.tagIds);
+      const stats = await userQuestionHistoryModel.getUserCourseQuestionStats(userId, courseId, tagIds);
       
       res.json({
         userId,
@@ -144,11 +153,13 @@ const userQuestionHistoryController = {
         return res.status(400).json({ message: 'Limit cannot exceed 200' });
       }
 
-      const incorrectAnswers = await userQuestionHistoryModel.getUserIncorrectAnswers(userId, courseId, limit);
+      const tagIds = parseTagIds(req.query.tagIds);
+      const incorrectAnswers = await userQuestionHistoryModel.getUserIncorrectAnswers(userId, courseId, limit, tagIds);
       
       res.json({
         userId,
         courseId,
+        tagIds,
         limit,
         incorrectAnswers,
       });
@@ -169,11 +180,13 @@ const userQuestionHistoryController = {
         return res.status(400).json({ message: 'Days cannot exceed 365' });
       }
 
-      const trends = await userQuestionHistoryModel.getUserQuestionTrends(userId, courseId, days);
+      const tagIds = parseTagIds(req.query.tagIds);
+      const trends = await userQuestionHistoryModel.getUserQuestionTrends(userId, courseId, days, tagIds);
       
       res.json({
         userId,
         courseId,
+        tagIds,
         days,
         trends,
       });
@@ -194,11 +207,13 @@ const userQuestionHistoryController = {
         return res.status(400).json({ message: 'Limit cannot exceed 100' });
       }
 
-      const reviewQuestions = await userQuestionHistoryModel.getQuestionsForReview(userId, courseId, limit);
+      const tagIds = parseTagIds(req.query.tagIds);
+      const reviewQuestions = await userQuestionHistoryModel.getQuestionsForReview(userId, courseId, limit, tagIds);
       
       res.json({
         userId,
         courseId,
+        tagIds,
         limit,
         reviewQuestions,
       });
@@ -208,6 +223,31 @@ const userQuestionHistoryController = {
     }
   },
 
+  // Get user's accuracy per tag, weakest first
+  async getUserTagStats(req, res) {
+    try {
+      const userId = req.user.userId;
+      const category = req.query.category || null;
+      const courseId = req.query.courseId ? parseInt(req.query.courseId) : null;
+
+      if (category && !tagModel.CATEGORIES.includes(category)) {
+        return res.status(400).json({ message: `Category must be one of: ${tagModel.CATEGORIES.join(', ')}` });
+      }
+
+      const tagStats = await userQuestionHistoryModel.getUserTagStats(userId, category, courseId);
+      
+      res.json({
+        userId,
+        category,
+        courseId,
+        tagStats,
+      });
+    } catch (error) {
+      console.error('Get user tag statistics error:', error);
+      res.status(500).json({ message: 'Failed to retrieve user tag statistics' });
+    }
+  },
+
   // Get user's performance summary
   async getUserPerformanceSummary(req, res) {
     try {
@@ -0,0 +1,59 @@
+const weeklyChampionModel = require('../models/weeklyChampionModel');
+const weeklyChampionService = require('../services/weeklyChampionService');
+
+const MAX_LIMIT = 100;
+
+const weeklyChampionController = {
+  // Get the current week's standings, overall or for a course
+  async getStandings(req, res) {
+    try {
+      const courseId = parseInt(req.query.courseId, 10) || null;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_LIMIT);
+
+      const standings = await weeklyChampionService.getStandings(
+        courseId,
+        limit,
+      );
+      res.json(standings);
+    } catch (error) {
+      console.error('Get weekly standings error:', error);
+      res.status(500).json({ message: 'Failed to retrieve weekly standings' });
+    }
+  },
+
+  // Get past champions, optionally of one competition
+  async getChampions(req, res) {
+    try {
+      const { courseId, scope } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_LIMIT);
+
+      let competition;
+      if (scope === 'overall') competition = null;
+      else if (courseId) competition = parseInt(courseId, 10);
+
+      const champions = await weeklyChampionModel.getChampions(
+        competition,
+        limit,
+      );
+      res.json(champions);
+    } catch (error) {
+      console.error('Get weekly champions error:', error);
+      res.status(500).json({ message: 'Failed to retrieve weekly champions' });
+    }
+  },
+
+  // Get the current user's weekly champion titles
+  async getMyTitles(req, res) {
+    try {
+      const titles = await weeklyChampionModel.getByUser(req.user.userId);
+      res.json({ count: titles.length, titles });
+    } catch (error) {
+      console.error('Get weekly champion titles error:', error);
+      res
+        .status(500)
+        .json({ message: 'Failed to retrieve weekly champion titles' });
+    }
+  },
+};
+
+module.exports = weeklyChampionController;
@@ -64,7 +64,38 @@ const authorizePermission = (requiredPermission) => {
   };
 };
 
+// Middleware to check if user has at least one of several permissions
+const authorizeAnyPermission = (permissions = []) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const userRole = req.user.role;
+
+      for (const permission of permissions) {
+        const result = await db.query(
+          'SELECT has_permission($1, $2) AS has_permission',
+          [userRole, permission]
+        );
+        if (result.rows[0].has_permission) {
+          return next();
+        }
+      }
+
+      return res.status(403).json({
+        message: `You need one of these permissions for this action: ${permissions.join(', ')}`
+      });
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({ message: 'Permission verification failed' });
+    }
+  };
+};
+
 module.exports = {
   authorize,
-  authorizePermission
+  authorizePermission,
+  authorizeAnyPermission
 };
\ No newline at end of file
@@ -0,0 +1,359 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// question_difficulty (question_id, difficulty, attempt_count, correct_rate,
+//   calibrated_at)
+// adaptive_sessions (session_id, user_id, course_id, status, ability,
+//   ability_se, max_questions, current_question_id, started_at, completed_at)
+// adaptive_session_answers (session_id, question_id, user_answer, is_correct,
+//   difficulty, ability_after, answered_at)
+// user_course_abilities (user_id, course_id, ability, ability_se,
+//   session_count, updated_at) with a unique constraint on (user_id, course_id)
+// Function question_answer_stats() returns table (question_id integer,
+//   attempt_count integer, correct_count integer)
+//   Counts the answers and correct answers of each question in
+//   user_question_history (group by question_id), so calibration reads one
+//   row per question instead of the whole history.
+const SESSION_FIELDS =
+  'session_id, user_id, course_id, status, ability, ability_se, max_questions, current_question_id, started_at, completed_at';
+
+const adaptivePracticeModel = {
+  // Get all question IDs of a course with their calibrated difficulty
+  async getCourseQuestions(courseId) {
+    try {
+      const data = await fetchAllRows(() =>
+        supabase
+          .from('test_questions')
+          .select(
+            `
+          question_id,
+          tests!inner (
+            course_id
+          ),
+          question_difficulty (
+            difficulty
+          )
+        `,
+          )
+          .eq('tests.course_id', courseId)
+          .eq('status', 'published')
+          .eq('tests.status', 'published')
+          .order('question_id', { ascending: true }),
+      );
+
+      return data.map((question) => {
+        // One-to-one embeds come back as an object, one-to-many as an array
+        const calibration = Array.isArray(question.question_difficulty)
+          ? question.question_difficulty[0]
+          : question.question_difficulty;
+        return {
+          question_id: question.question_id,
+          difficulty: calibration?.difficulty ?? null,
+        };
+      });
+    } catch (error) {
+      console.error('Error getting course questions for adaptive mode:', error);
+      throw error;
+    }
+  },
+
+  // Get a question for presentation or grading
+  async getQuestion(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select(
+          'question_id, test_id, question_text, options, correct_answer, explanation',
+        )
+        .eq('question_id', questionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No question found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting adaptive practice question:', error);
+      throw error;
+    }
+  },
+
+  // Get the calibrated difficulty of a question, or null when it hasn't
+  // been calibrated
+  async getDifficulty(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_difficulty')
+        .select('difficulty')
+        .eq('question_id', questionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? data.difficulty : null;
+    } catch (error) {
+      console.error('Error getting question difficulty:', error);
+      throw error;
+    }
+  },
+
+  // Get answer and correct answer counts per question (see
+  // question_answer_stats above)
+  async getQuestionAnswerStats() {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .rpc('question_answer_stats')
+          .order('question_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting question answer stats:', error);
+      throw error;
+    }
+  },
+
+  // Store calibrated difficulties
+  async upsertDifficulties(rows) {
+    try {
+      if (rows.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('question_difficulty')
+        .upsert(rows, { onConflict: 'question_id' })
+        .select('question_id');
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error storing question difficulties:', error);
+      throw error;
+    }
+  },
+
+  // Create a new in-progress session, starting from the prior ability
+  async createSession(userId, courseId, maxQuestions, ability, abilitySe) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_sessions')
+        .insert({
+          user_id: userId,
+          course_id: courseId,
+          status: 'in_progress',
+          ability,
+          ability_se: abilitySe,
+          max_questions: maxQuestions,
+        })
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating adaptive session:', error);
+      throw error;
+    }
+  },
+
+  // Get session by ID
+  async getSessionById(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_sessions')
+        .select(SESSION_FIELDS)
+        .eq('session_id', sessionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No session found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting adaptive session:', error);
+      throw error;
+    }
+  },
+
+  // Update session fields (ability, pending question, status)
+  async updateSession(sessionId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_sessions')
+        .update(updateData)
+        .eq('session_id', sessionId)
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating adaptive session:', error);
+      throw error;
+    }
+  },
+
+  // Clear the pending question if it is still questionId. Only one
+  // submission of an answer gets the session back; the others get null.
+  async claimCurrentQuestion(sessionId, questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_sessions')
+        .update({ current_question_id: null })
+        .eq('session_id', sessionId)
+        .eq('status', 'in_progress')
+        .eq('current_question_id', questionId)
+        .select(SESSION_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error claiming adaptive session question:', error);
+      throw error;
+    }
+  },
+
+  // Record a graded answer of a session
+  async addAnswer(sessionId, answer) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_session_answers')
+        .insert({
+          session_id: sessionId,
+          question_id: answer.questionId,
+          user_answer: answer.userAnswer,
+          is_correct: answer.isCorrect,
+          difficulty: answer.difficulty,
+          ability_after: answer.abilityAfter,
+          answered_at: new Date().toISOString(),
+        })
+        .select(
+          'session_id, question_id, user_answer, is_correct, difficulty, ability_after, answered_at',
+        )
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving adaptive session answer:', error);
+      throw error;
+    }
+  },
+
+  // Get answers of a session in the order they were given
+  async getAnswers(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('adaptive_session_answers')
+        .select(
+          'session_id, question_id, user_answer, is_correct, difficulty, ability_after, answered_at',
+        )
+        .eq('session_id', sessionId)
+        .order('answered_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting adaptive session answers:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's stored ability for a course
+  async getUserAbility(userId, courseId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_course_abilities')
+        .select(
+          'user_id, course_id, ability, ability_se, session_count, updated_at',
+        )
+        .eq('user_id', userId)
+        .eq('course_id', courseId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting user course ability:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's stored abilities for all courses
+  async getUserAbilities(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_course_abilities')
+        .select(
+          `
+          user_id,
+          course_id,
+          ability,
+          ability_se,
+          session_count,
+          updated_at,
+          courses (
+            title,
+            course_type
+          )
+        `,
+        )
+        .eq('user_id', userId)
+        .order('course_id', { ascending: true });
+
+      if (error) throw error;
+
+      return data.map((row) => ({
+        course_id: row.course_id,
+        course_title: row.courses?.title,
+        course_type: row.courses?.course_type,
+        ability: row.ability,
+        ability_se: row.ability_se,
+        session_count: row.session_count,
+        updated_at: row.updated_at,
+      }));
+    } catch (error) {
+      console.error('Error getting user course abilities:', error);
+      throw error;
+    }
+  },
+
+  // Store a user's latest ability for a course
+  async upsertUserAbility(userId, courseId, ability, abilitySe, sessionCount) {
+    try {
+      const { data, error } = await supabase
+        .from('user_course_abilities')
+        .upsert(
+          {
+            user_id: userId,
+            course_id: courseId,
+            ability,
+            ability_se: abilitySe,
+            session_count: sessionCount,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: 'user_id,course_id' },
+        )
+        .select(
+          'user_id, course_id, ability, ability_se, session_count, updated_at',
+        )
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error storing user course ability:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = adaptivePracticeModel;
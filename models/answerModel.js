@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const supabaseConfig = require('../config/supabase');
+const questionRevisionModel = require('./questionRevisionModel');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -17,6 +18,11 @@ const answerModel = {
     answerDefinition = null,
   ) {
     try {
+      // Link the answer to the question revision the student saw
+      const revisionIds = await questionRevisionModel.getCurrentRevisionIds([
+        questionId,
+      ]);
+
       const { data, error } = await supabase
         .from('user_answers')
         .insert({
@@ -25,9 +31,10 @@ const answerModel = {
           user_answer: userAnswer,
           is_correct: isCorrect,
           answer_definition: answerDefinition,
+          question_revision_id: revisionIds.get(Number(questionId)) || null,
         })
         .select(
-          'answer_id, result_id, question_id, user_answer, is_correct, answer_definition, created_at',
+          'answer_id, result_id, question_id, question_revision_id, user_answer, is_correct, answer_definition, created_at',
         )
         .single();
 
@@ -39,24 +46,35 @@ const answerModel = {
     }
   },
 
-  // Create multiple user answers in a transaction
+  // Create multiple user answers in a transaction. An answer's
+  // questionRevisionId is the revision captured when the question was
+  // shown; answers without one are linked to the current revision.
   async createBatch(answers) {
     try {
       // Supabase doesn't directly support transactions in the client
       // But we can use the upsert functionality for batch inserts
+      const revisionIds = await questionRevisionModel.getCurrentRevisionIds(
+        answers
+          .filter((answer) => answer.questionRevisionId === undefined)
+          .map((answer) => answer.questionId),
+      );
       const formattedAnswers = answers.map((answer) => ({
         result_id: answer.resultId,
         question_id: answer.questionId,
         user_answer: answer.userAnswer,
         is_correct: answer.isCorrect,
         answer_definition: answer.answerDefinition || null,
+        question_revision_id:
+          answer.questionRevisionId !== undefined
+            ? answer.questionRevisionId
+            : revisionIds.get(Number(answer.questionId)) || null,
       }));
 
       const { data, error } = await supabase
         .from('user_answers')
         .insert(formattedAnswers)
         .select(
-          'answer_id, result_id, question_id, user_answer, is_correct, answer_definition, created_at',
+          'answer_id, result_id, question_id, question_revision_id, user_answer, is_correct, answer_definition, created_at',
         );
 
       if (error) throw error;
@@ -77,6 +95,7 @@ const answerModel = {
           answer_id,
           result_id,
           question_id,
+          question_revision_id,
           user_answer,
           is_correct,
           answer_definition,
@@ -99,6 +118,7 @@ const answerModel = {
         answer_id: answer.answer_id,
         result_id: answer.result_id,
         question_id: answer.question_id,
+        question_revision_id: answer.question_revision_id,
         user_answer: answer.user_answer,
         is_correct: answer.is_correct,
         answer_definition: answer.answer_definition,
@@ -190,6 +210,7 @@ const answerModel = {
 
       return data.map((answer) => ({
         answer_id: answer.answer_id,
+        question_id: answer.test_questions?.question_id,
         user_answer: answer.user_answer,
         correct_answer: answer.test_questions?.correct_answer,
         explanation:
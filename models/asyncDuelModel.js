@@ -0,0 +1,245 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// async_duel_plays (play_id, duel_id, user_id, status, current_question_index,
+//   question_started_at, started_at, finished_at, reminder_sent_at,
+//   reminder_attempts, created_at)
+//   unique (duel_id, user_id)
+// status is 'not_started', 'playing' or 'finished'. question_started_at is
+// null while the current question hasn't been shown yet. reminder_attempts
+// counts failed reminder sends so a failing one is given up on.
+// duels.mode is 'live' or 'async'; async duels carry a response_deadline.
+// An async duel stays 'pending' until the opponent accepts it; the
+// challenger can play meanwhile.
+// Notification templates (notification_templates, type 'duel_invitation'):
+//   async_duel_invitation: {challenger_name}, {challenger_id}, {topic_name},
+//     {duel_id}, {response_hours}
+//   async_duel_reminder: {opponent_name}, {duel_id}, {hours_left}
+const PLAY_FIELDS =
+  'play_id, duel_id, user_id, status, current_question_index, question_started_at, started_at, finished_at, reminder_sent_at, reminder_attempts, created_at';
+const OPEN_DUEL_STATUSES = ['pending', 'active'];
+
+const asyncDuelModel = {
+  // Create a not-started play for each player of a duel
+  async createPlays(duelId, userIds) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .insert(
+          userIds.map((userId) => ({
+            duel_id: duelId,
+            user_id: userId,
+            status: 'not_started',
+            current_question_index: 0,
+            reminder_attempts: 0,
+          })),
+        )
+        .select(PLAY_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating async duel plays:', error);
+      throw error;
+    }
+  },
+
+  // Get a player's play of a duel
+  async getPlay(duelId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .select(PLAY_FIELDS)
+        .eq('duel_id', duelId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting async duel play:', error);
+      throw error;
+    }
+  },
+
+  // Get both plays of a duel
+  async getPlays(duelId) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .select(PLAY_FIELDS)
+        .eq('duel_id', duelId);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting async duel plays:', error);
+      throw error;
+    }
+  },
+
+  // Update a play only if it is still at the expected question, so two
+  // requests can't both move it on. Returns null when it had moved.
+  async advancePlay(playId, expectedIndex, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .update(updates)
+        .eq('play_id', playId)
+        .eq('current_question_index', expectedIndex)
+        .neq('status', 'finished')
+        .select(PLAY_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error advancing async duel play:', error);
+      throw error;
+    }
+  },
+
+  // Close the unfinished plays of a duel, e.g. when its deadline passed
+  async finishPlays(duelId) {
+    try {
+      const { error } = await supabase
+        .from('async_duel_plays')
+        .update({
+          status: 'finished',
+          question_started_at: null,
+          finished_at: new Date().toISOString(),
+        })
+        .eq('duel_id', duelId)
+        .neq('status', 'finished');
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error finishing async duel plays:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's plays of open (pending or running) async duels with the
+  // duel details
+  async getActiveByUser(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .select(
+          `${PLAY_FIELDS}, duels!inner(duel_id, initiator_id, opponent_id, course_id, question_count, status, mode, response_deadline, created_at, course:courses(title))`,
+        )
+        .eq('user_id', userId)
+        .eq('duels.mode', 'async')
+        .in('duels.status', OPEN_DUEL_STATUSES)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting active async duels:', error);
+      throw error;
+    }
+  },
+
+  // Get the open async duels whose response deadline has passed, including
+  // those the opponent never accepted
+  async getExpiredDuels(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('duels')
+        .select(
+          'duel_id, initiator_id, opponent_id, test_id, course_id, status, mode, response_deadline',
+        )
+        .eq('mode', 'async')
+        .in('status', OPEN_DUEL_STATUSES)
+        .lte('response_deadline', now.toISOString())
+        .order('response_deadline', { ascending: true })
+        .limit(100);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting expired async duels:', error);
+      throw error;
+    }
+  },
+
+  // Get unfinished, not yet reminded plays of open async duels whose
+  // deadline falls before the given time, skipping plays whose reminder
+  // already failed maxAttempts times
+  async getPlaysToRemind(before, now = new Date(), maxAttempts = 3) {
+    try {
+      const { data, error } = await supabase
+        .from('async_duel_plays')
+        .select(
+          `${PLAY_FIELDS}, duels!inner(initiator_id, opponent_id, status, mode, response_deadline, initiator:users!duels_initiator_id_fkey(username), opponent:users!duels_opponent_id_fkey(username))`,
+        )
+        .neq('status', 'finished')
+        .is('reminder_sent_at', null)
+        .lt('reminder_attempts', maxAttempts)
+        .eq('duels.mode', 'async')
+        .in('duels.status', OPEN_DUEL_STATUSES)
+        .gt('duels.response_deadline', now.toISOString())
+        .lte('duels.response_deadline', before.toISOString())
+        .limit(500);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting async duel plays to remind:', error);
+      throw error;
+    }
+  },
+
+  // Record that reminders went out
+  async markReminded(playIds) {
+    try {
+      if (playIds.length === 0) return 0;
+
+      const { error } = await supabase
+        .from('async_duel_plays')
+        .update({ reminder_sent_at: new Date().toISOString() })
+        .in('play_id', playIds);
+
+      if (error) throw error;
+      return playIds.length;
+    } catch (error) {
+      console.error('Error marking async duel reminders:', error);
+      throw error;
+    }
+  },
+
+  // Count a failed reminder against each play
+  async markReminderFailed(plays) {
+    try {
+      // Plays with the same count get the same update
+      const byAttempts = new Map();
+      for (const play of plays) {
+        const attempts = play.reminder_attempts || 0;
+        if (!byAttempts.has(attempts)) byAttempts.set(attempts, []);
+        byAttempts.get(attempts).push(play.play_id);
+      }
+
+      for (const [attempts, playIds] of byAttempts) {
+        const { error } = await supabase
+          .from('async_duel_plays')
+          .update({ reminder_attempts: attempts + 1 })
+          .in('play_id', playIds);
+
+        if (error) throw error;
+      }
+      return plays.length;
+    } catch (error) {
+      console.error('Error recording failed async duel reminders:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = asyncDuelModel;
@@ -0,0 +1,418 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// bookmark_folders (folder_id, user_id, name, created_at)
+//   unique (user_id, name)
+// question_bookmarks (bookmark_id, user_id, question_id, folder_id, note,
+//   source, created_at, updated_at)
+//   unique (user_id, question_id); folder_id is set null when its folder is
+//   deleted, question_id cascades on delete
+// bookmark_practice_sessions (session_id, user_id, folder_id, question_ids
+//   integer[], status, started_at, completed_at)
+// bookmark_practice_answers (session_id, question_id, user_answer,
+//   is_correct, answered_at) with primary key (session_id, question_id)
+// source is where the question was starred: 'test', 'duel', 'review' or
+// 'practice'.
+const FOLDER_FIELDS = 'folder_id, user_id, name, created_at';
+const BOOKMARK_FIELDS =
+  'bookmark_id, user_id, question_id, folder_id, note, source, created_at, updated_at';
+const SESSION_FIELDS =
+  'session_id, user_id, folder_id, question_ids, status, started_at, completed_at';
+const SOURCES = ['test', 'duel', 'review', 'practice'];
+
+const bookmarkModel = {
+  SOURCES,
+
+  // Create a folder
+  async createFolder(userId, name) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_folders')
+        .insert({ user_id: userId, name })
+        .select(FOLDER_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating bookmark folder:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's folders with their bookmark counts
+  async getFolders(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_folders')
+        .select(`${FOLDER_FIELDS}, question_bookmarks(count)`)
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+
+      return data.map(({ question_bookmarks, ...folder }) => ({
+        ...folder,
+        bookmark_count: question_bookmarks?.[0]?.count || 0,
+      }));
+    } catch (error) {
+      console.error('Error getting bookmark folders:', error);
+      throw error;
+    }
+  },
+
+  // Get folder by ID
+  async getFolderById(folderId) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_folders')
+        .select(FOLDER_FIELDS)
+        .eq('folder_id', folderId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No folder found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting bookmark folder by ID:', error);
+      throw error;
+    }
+  },
+
+  // Rename a folder
+  async renameFolder(folderId, name) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_folders')
+        .update({ name })
+        .eq('folder_id', folderId)
+        .select(FOLDER_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error renaming bookmark folder:', error);
+      throw error;
+    }
+  },
+
+  // Delete a folder (its bookmarks become unfiled)
+  async deleteFolder(folderId) {
+    try {
+      const { error } = await supabase
+        .from('bookmark_folders')
+        .delete()
+        .eq('folder_id', folderId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting bookmark folder:', error);
+      throw error;
+    }
+  },
+
+  // Bookmark a question
+  async create(
+    userId,
+    questionId,
+    folderId = null,
+    note = null,
+    source = null,
+  ) {
+    try {
+      const { data, error } = await supabase
+        .from('question_bookmarks')
+        .insert({
+          user_id: userId,
+          question_id: questionId,
+          folder_id: folderId,
+          note,
+          source,
+        })
+        .select(BOOKMARK_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating bookmark:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's bookmarks with the question and its test, newest first.
+  // folderId null returns all bookmarks; 'none' returns unfiled ones.
+  async getByUser(userId, folderId = null) {
+    try {
+      let query = supabase
+        .from('question_bookmarks')
+        .select(
+          `
+          ${BOOKMARK_FIELDS},
+          test_questions (
+            question_id,
+            question_text,
+            options,
+            tests (
+              test_id,
+              title,
+              course_id
+            )
+          )
+        `,
+        )
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (folderId === 'none') {
+        query = query.is('folder_id', null);
+      } else if (folderId) {
+        query = query.eq('folder_id', folderId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ test_questions, ...bookmark }) => ({
+        ...bookmark,
+        question_text: test_questions?.question_text,
+        options: test_questions?.options,
+        test_id: test_questions?.tests?.test_id,
+        test_title: test_questions?.tests?.title,
+        course_id: test_questions?.tests?.course_id,
+      }));
+    } catch (error) {
+      console.error('Error getting bookmarks:', error);
+      throw error;
+    }
+  },
+
+  // Get bookmark by ID
+  async getById(bookmarkId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_bookmarks')
+        .select(BOOKMARK_FIELDS)
+        .eq('bookmark_id', bookmarkId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No bookmark found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting bookmark by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's bookmarks of the given questions
+  async getByQuestionIds(userId, questionIds) {
+    try {
+      if (questionIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('question_bookmarks')
+        .select(BOOKMARK_FIELDS)
+        .eq('user_id', userId)
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting bookmarks by question IDs:', error);
+      throw error;
+    }
+  },
+
+  // Move a bookmark or change its note
+  async update(bookmarkId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('question_bookmarks')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('bookmark_id', bookmarkId)
+        .select(BOOKMARK_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating bookmark:', error);
+      throw error;
+    }
+  },
+
+  // Remove a bookmark
+  async delete(bookmarkId) {
+    try {
+      const { error } = await supabase
+        .from('question_bookmarks')
+        .delete()
+        .eq('bookmark_id', bookmarkId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting bookmark:', error);
+      throw error;
+    }
+  },
+
+  // Get the published questions among a user's bookmarks, optionally of one
+  // folder ('none' for unfiled)
+  async getPracticeQuestionIds(userId, folderId = null) {
+    try {
+      let query = supabase
+        .from('question_bookmarks')
+        .select(
+          `
+          question_id,
+          test_questions!inner (
+            status,
+            tests!inner (
+              status
+            )
+          )
+        `,
+        )
+        .eq('user_id', userId)
+        .eq('test_questions.status', 'published')
+        .eq('test_questions.tests.status', 'published');
+
+      if (folderId === 'none') {
+        query = query.is('folder_id', null);
+      } else if (folderId) {
+        query = query.eq('folder_id', folderId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data.map((row) => row.question_id);
+    } catch (error) {
+      console.error('Error getting bookmarked practice questions:', error);
+      throw error;
+    }
+  },
+
+  // Create a practice session over a fixed list of questions
+  async createSession(userId, folderId, questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_practice_sessions')
+        .insert({
+          user_id: userId,
+          folder_id: folderId,
+          question_ids: questionIds,
+          status: 'in_progress',
+        })
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating bookmark practice session:', error);
+      throw error;
+    }
+  },
+
+  // Get practice session by ID
+  async getSessionById(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_practice_sessions')
+        .select(SESSION_FIELDS)
+        .eq('session_id', sessionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No session found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting bookmark practice session:', error);
+      throw error;
+    }
+  },
+
+  // Mark a practice session completed
+  async completeSession(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_practice_sessions')
+        .update({
+          status: 'completed',
+          completed_at: new Date().toISOString(),
+        })
+        .eq('session_id', sessionId)
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error completing bookmark practice session:', error);
+      throw error;
+    }
+  },
+
+  // Record the answer to a session question
+  async addAnswer(sessionId, questionId, userAnswer, isCorrect) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_practice_answers')
+        .insert({
+          session_id: sessionId,
+          question_id: questionId,
+          user_answer: userAnswer,
+          is_correct: isCorrect,
+        })
+        .select('session_id, question_id, user_answer, is_correct, answered_at')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving bookmark practice answer:', error);
+      throw error;
+    }
+  },
+
+  // Get the answers of a practice session
+  async getAnswers(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('bookmark_practice_answers')
+        .select('question_id, user_answer, is_correct, answered_at')
+        .eq('session_id', sessionId)
+        .order('answered_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting bookmark practice answers:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = bookmarkModel;
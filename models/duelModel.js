@@ -1,6 +1,8 @@
 const { createClient } = require('@supabase/supabase-js');
 const supabaseConfig = require('../config/supabase');
 const notificationService = require('../services/notificationService');
+const duelRatingService = require('../services/duelRatingService');
+const duelRatingModel = require('./duelRatingModel');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -19,6 +21,8 @@ const duelModel = {
     selectionType = 'random',
     branchId = null,
     courseId = null, // NEW: Add courseId parameter
+    mode = 'live', // 'live' or 'async' (turn-based)
+    responseDeadline = null, // async: when the opponent's time runs out
   ) {
     try {
       console.log('🔧 DuelModel.create called with:', {
@@ -30,6 +34,7 @@ const duelModel = {
         selectionType,
         branchId,
         courseId,
+        mode,
       });
 
       // If courseId is provided but testId is not, we'll use course-based question selection
@@ -41,6 +46,8 @@ const duelModel = {
         branch_type: branchType,
         selection_type: selectionType,
         branch_id: branchId,
+        mode,
+        response_deadline: responseDeadline,
       };
 
       // Add test_id if provided (backward compatibility)
@@ -57,7 +64,7 @@ const duelModel = {
         .from('duels')
         .insert(insertData)
         .select(
-          'duel_id, initiator_id, opponent_id, test_id, course_id, status, start_time, end_time, created_at, question_count, branch_type, selection_type, branch_id',
+          'duel_id, initiator_id, opponent_id, test_id, course_id, status, start_time, end_time, created_at, question_count, branch_type, selection_type, branch_id, mode, response_deadline',
         )
         .single();
 
@@ -121,6 +128,10 @@ const duelModel = {
         branch_type: data.branch_type,
         selection_type: data.selection_type,
         branch_id: data.branch_id,
+        mode: data.mode,
+        response_deadline: data.response_deadline,
+        // Spectating is on unless a player turned it off
+        allow_spectators: data.allow_spectators !== false,
         initiator_username: data.initiator?.username,
         opponent_username: data.opponent?.username,
         test_title: data.test?.title,
@@ -165,6 +176,8 @@ const duelModel = {
         branch_type: duel.branch_type,
         selection_type: duel.selection_type,
         branch_id: duel.branch_id,
+        mode: duel.mode,
+        response_deadline: duel.response_deadline,
         initiator_username: duel.initiator?.username,
         opponent_username: duel.opponent?.username,
         test_title: duel.test?.title,
@@ -210,6 +223,8 @@ const duelModel = {
         branch_type: duel.branch_type,
         selection_type: duel.selection_type,
         branch_id: duel.branch_id,
+        mode: duel.mode,
+        response_deadline: duel.response_deadline,
         initiator_username: duel.initiator?.username,
         opponent_username: duel.opponent?.username,
         test_title: duel.test?.title,
@@ -261,6 +276,8 @@ const duelModel = {
           branch_type: duel.branch_type,
           selection_type: duel.selection_type,
           branch_id: duel.branch_id,
+          mode: duel.mode,
+          response_deadline: duel.response_deadline,
           initiator_username: duel.initiator?.username,
           opponent_username: duel.opponent?.username,
           test_title: duel.test?.title,
@@ -331,6 +348,24 @@ const duelModel = {
     }
   },
 
+  // Turn spectating of a duel on or off
+  async setAllowSpectators(duelId, allowed) {
+    try {
+      const { data, error } = await supabase
+        .from('duels')
+        .update({ allow_spectators: allowed })
+        .eq('duel_id', duelId)
+        .select('duel_id, allow_spectators')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating duel spectating:', error);
+      throw error;
+    }
+  },
+
   // Complete a duel
   async complete(duelId) {
     try {
@@ -386,6 +421,8 @@ const duelModel = {
         branch_type: duel.branch_type,
         selection_type: duel.selection_type,
         branch_id: duel.branch_id,
+        mode: duel.mode,
+        response_deadline: duel.response_deadline,
         initiator_username: duel.initiator?.username,
         opponent_username: duel.opponent?.username,
         test_title: duel.test?.title,
@@ -400,35 +437,26 @@ const duelModel = {
   // --- NEW FUNCTIONS ADDED HERE ---
 
   /**
-   * Get the duel leaderboard from the users table.
+   * Get the duel leaderboard ranked by Glicko-2 rating.
    * @param {number} limit - The number of users to return.
    * @param {number} offset - The starting position for pagination.
+   * @param {number|null} courseId - Course to rank, or null for overall ratings.
+   * @param {boolean} includeProvisional - Also list players still provisional.
    * @returns {Promise<{users: Array, total: number}>}
    */
-  async getLeaderboard(limit = 10, offset = 0) {
+  async getLeaderboard(
+    limit = 10,
+    offset = 0,
+    courseId = null,
+    includeProvisional = false,
+  ) {
     try {
-      // Your `users` table uses `user_id` as the primary key. Let's use that.
-      const { data, error, count } = await supabase
-        .from('users')
-        .select('user_id, username, duels_won, duels_lost', { count: 'exact' })
-        .order('duels_won', { ascending: false })
-        .range(offset, offset + limit - 1);
-
-      if (error) throw error;
-
-      // Calculate win rate and map to the format the frontend expects
-      const leaderboardUsers = data.map((user) => ({
-        userId: user.user_id,
-        username: user.username,
-        wins: user.duels_won || 0,
-        losses: user.duels_lost || 0,
-        totalDuels: (user.duels_won || 0) + (user.duels_lost || 0),
-        winRate:
-          (user.duels_won || 0) /
-          ((user.duels_won || 0) + (user.duels_lost || 0) || 1),
-      }));
-
-      return { users: leaderboardUsers, total: count };
+      return await duelRatingService.getLeaderboard(
+        courseId,
+        limit,
+        offset,
+        includeProvisional,
+      );
     } catch (error) {
       console.error('Error getting leaderboard:', error);
       throw error;
@@ -436,12 +464,13 @@ const duelModel = {
   },
 
   /**
-   * Get recommended opponents for a user.
+   * Get recommended opponents for a user, closest to an even match first.
    * @param {number} userId - The ID of the user requesting recommendations.
    * @param {number} limit - The number of recommendations to return.
+   * @param {number|null} courseId - Course to match on, or null for overall ratings.
    * @returns {Promise<Array>}
    */
-  async getRecommendedOpponents(userId, limit = 5) {
+  async getRecommendedOpponents(userId, limit = 5, courseId = null) {
     try {
       // 1. Get IDs of the current user's friends to exclude them.
       const { data: friends } = await supabase
@@ -452,28 +481,56 @@ const duelModel = {
 
       const friendIds = friends ? friends.map((f) => f.friend_id) : [];
 
-      // 2. Find users who are NOT the current user and NOT in the friends list.
-      const usersToExclude = [userId, ...friendIds];
+      // 2. Rated players around the user's rating.
+      const rated = await duelRatingService.getRecommendedOpponents(
+        userId,
+        friendIds,
+        courseId,
+        limit,
+      );
+      if (rated.length >= limit) return rated;
+
+      // 3. Fill up with players who have no rating yet; they start at the
+      // default rating, so they are treated as provisional.
+      const usersToExclude = [
+        userId,
+        ...friendIds,
+        ...rated.map((opponent) => opponent.userId),
+      ];
 
       const { data, error } = await supabase
         .from('users')
-        .select('user_id, username, duels_won, duels_lost')
+        .select('user_id, username')
         .not('user_id', 'in', `(${usersToExclude.join(',')})`)
-        .limit(limit);
+        .limit(limit * 4);
 
       if (error) throw error;
 
-      // 3. Map the data to the format expected by the frontend service.
-      return data.map((user) => ({
-        userId: user.user_id,
-        username: user.username,
-        skillLevel: user.duels_won || 0,
-        winRate:
-          (user.duels_won || 0) /
-          ((user.duels_won || 0) + (user.duels_lost || 0) || 1),
-        totalDuels: (user.duels_won || 0) + (user.duels_lost || 0),
-        compatibility: Math.random(),
-      }));
+      const ratedIds = new Set(
+        (
+          await duelRatingModel.getRatings(
+            data.map((user) => user.user_id),
+            courseId,
+          )
+        ).map((rating) => rating.user_id),
+      );
+
+      const unrated = data
+        .filter((user) => !ratedIds.has(user.user_id))
+        .slice(0, limit - rated.length)
+        .map((user) => ({
+          userId: user.user_id,
+          username: user.username,
+          rating: duelRatingService.DEFAULT_RATING,
+          provisional: true,
+          skillLevel: duelRatingService.DEFAULT_RATING,
+          winRate: 0,
+          totalDuels: 0,
+          winProbability: null,
+          compatibility: null,
+        }));
+
+      return [...rated, ...unrated];
     } catch (error) {
       console.error('Error getting recommended opponents:', error);
       throw error;
@@ -0,0 +1,232 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// duel_ratings (user_id, course_id, rating, rating_deviation, volatility,
+//   games_played, wins, losses, draws, last_played_at, updated_at)
+//   unique nulls not distinct (user_id, course_id); course_id null holds
+//   the overall rating across courses
+// duel_rating_history (history_id, user_id, course_id, duel_id, opponent_id,
+//   result, rating_before, rating_after, deviation_before, deviation_after,
+//   created_at)
+//   unique nulls not distinct (duel_id, user_id, course_id)
+// result is 'win', 'loss' or 'draw'.
+// Function record_duel_ratings(p_duel_id integer, p_ratings jsonb,
+//   p_history jsonb) returns jsonb
+//   Writes a duel's new ratings and history rows in one transaction. It
+//   locks the players' rating rows (select ... for update) and checks each
+//   row's games_played against the expected_games_played sent with it (0
+//   for a player without a row yet). It returns { status: 'recorded',
+//   ratings } on success, { status: 'already_rated' } when the duel has
+//   history rows, and { status: 'stale' } when another duel changed a
+//   rating after it was read; nothing is written in the last two cases.
+const RATING_FIELDS =
+  'user_id, course_id, rating, rating_deviation, volatility, games_played, wins, losses, draws, last_played_at, updated_at';
+const HISTORY_FIELDS =
+  'history_id, user_id, course_id, duel_id, opponent_id, result, rating_before, rating_after, deviation_before, deviation_after, created_at';
+
+// Restrict a query to one course, or to the overall ratings
+const inScope = (query, courseId) =>
+  courseId ? query.eq('course_id', courseId) : query.is('course_id', null);
+
+const duelRatingModel = {
+  // Get the ratings of the given users in one scope
+  async getRatings(userIds, courseId = null) {
+    try {
+      if (userIds.length === 0) return [];
+
+      const { data, error } = await inScope(
+        supabase.from('duel_ratings').select(RATING_FIELDS),
+        courseId,
+      ).in('user_id', userIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting duel ratings:', error);
+      throw error;
+    }
+  },
+
+  // Get every rating of a user with the course titles
+  async getUserRatings(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('duel_ratings')
+        .select(`${RATING_FIELDS}, courses(title)`)
+        .eq('user_id', userId)
+        .order('rating', { ascending: false });
+
+      if (error) throw error;
+
+      return data.map(({ courses, ...rating }) => ({
+        ...rating,
+        course_title: courses?.title || null,
+      }));
+    } catch (error) {
+      console.error('Error getting user duel ratings:', error);
+      throw error;
+    }
+  },
+
+  // Store a duel's new ratings and history atomically (see
+  // record_duel_ratings above). ratings carry the games_played they were
+  // computed from as expected_games_played. Returns the function's result.
+  async recordDuelRatings(duelId, ratings, history) {
+    try {
+      const { data, error } = await supabase.rpc('record_duel_ratings', {
+        p_duel_id: duelId,
+        p_ratings: ratings,
+        p_history: history,
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving duel ratings:', error);
+      throw error;
+    }
+  },
+
+  // Check whether a duel has already been rated
+  async isDuelRated(duelId) {
+    try {
+      const { count, error } = await supabase
+        .from('duel_rating_history')
+        .select('history_id', { count: 'exact', head: true })
+        .eq('duel_id', duelId);
+
+      if (error) throw error;
+      return count > 0;
+    } catch (error) {
+      console.error('Error checking duel rating history:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's rating changes in one scope, newest first
+  async getHistory(userId, courseId = null, limit = 50) {
+    try {
+      const { data, error } = await inScope(
+        supabase
+          .from('duel_rating_history')
+          .select(
+            `${HISTORY_FIELDS}, opponent:users!duel_rating_history_opponent_id_fkey(username)`,
+          ),
+        courseId,
+      )
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return data.map(({ opponent, ...entry }) => ({
+        ...entry,
+        opponent_username: opponent?.username || null,
+      }));
+    } catch (error) {
+      console.error('Error getting duel rating history:', error);
+      throw error;
+    }
+  },
+
+  // Get ratings ordered from highest, with usernames and the total count.
+  // established ({ minGames, maxDeviation }) leaves out provisional players.
+  async getLeaderboard(
+    courseId = null,
+    limit = 10,
+    offset = 0,
+    established = null,
+    excludeUserIds = [],
+  ) {
+    try {
+      let query = inScope(
+        supabase
+          .from('duel_ratings')
+          .select(`${RATING_FIELDS}, users(username)`, { count: 'exact' }),
+        courseId,
+      )
+        .order('rating', { ascending: false })
+        .order('games_played', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (established) {
+        query = query
+          .gte('games_played', established.minGames)
+          .lte('rating_deviation', established.maxDeviation);
+      }
+
+      if (excludeUserIds.length > 0) {
+        query = query.not('user_id', 'in', `(${excludeUserIds.join(',')})`);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return {
+        ratings: data.map(({ users, ...rating }) => ({
+          ...rating,
+          username: users?.username,
+        })),
+        total: count,
+      };
+    } catch (error) {
+      console.error('Error getting duel rating leaderboard:', error);
+      throw error;
+    }
+  },
+
+  // Get ratings within a range, with usernames
+  async getRatingsInRange(courseId, minRating, maxRating, excludeUserIds = []) {
+    try {
+      let query = inScope(
+        supabase
+          .from('duel_ratings')
+          .select(`${RATING_FIELDS}, users(username)`),
+        courseId,
+      )
+        .gte('rating', minRating)
+        .lte('rating', maxRating)
+        .order('last_played_at', { ascending: false })
+        .limit(200);
+
+      if (excludeUserIds.length > 0) {
+        query = query.not('user_id', 'in', `(${excludeUserIds.join(',')})`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ users, ...rating }) => ({
+        ...rating,
+        username: users?.username,
+      }));
+    } catch (error) {
+      console.error('Error getting duel ratings in range:', error);
+      throw error;
+    }
+  },
+
+  // Get the user IDs of bot accounts
+  async getBotUserIds() {
+    try {
+      const { data, error } = await supabase
+        .from('bot_users')
+        .select('user_id');
+
+      if (error) throw error;
+      return data.map((bot) => bot.user_id);
+    } catch (error) {
+      console.error('Error getting bot user IDs:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = duelRatingModel;
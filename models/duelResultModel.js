@@ -8,8 +8,14 @@ const supabase = createClient(
 );
 
 const duelResultModel = {
-  // Record duel result
-  async create(duelId, winnerId, initiatorScore, opponentScore) {
+  // Record duel result. forfeitedBy is the player who abandoned the duel.
+  async create(
+    duelId,
+    winnerId,
+    initiatorScore,
+    opponentScore,
+    forfeitedBy = null,
+  ) {
     try {
       const { data, error } = await supabase
         .from('duel_results')
@@ -18,9 +24,10 @@ const duelResultModel = {
           winner_id: winnerId,
           initiator_score: initiatorScore,
           opponent_score: opponentScore,
+          forfeited_by: forfeitedBy,
         })
         .select(
-          'duel_id, winner_id, initiator_score, opponent_score, created_at',
+          'duel_id, winner_id, initiator_score, opponent_score, forfeited_by, created_at',
         )
         .single();
 
@@ -61,6 +68,7 @@ const duelResultModel = {
             winner_id: data.winner_id,
             initiator_score: data.initiator_score,
             opponent_score: data.opponent_score,
+            forfeited_by: data.forfeited_by,
             created_at: data.created_at,
             winner_username: data.winner?.username,
           }
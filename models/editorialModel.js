@@ -0,0 +1,186 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Columns added to tests and test_questions:
+//   status ('draft', 'in_review', 'approved' or 'published'; existing rows
+//   are 'published'), reviewer_id, status_changed_at, status_changed_by
+// Tables:
+// editorial_comments (comment_id, content_type, content_id, user_id,
+//   comment, from_status, to_status, created_at)
+// content_type is 'test' or 'question'. Status transitions are logged here
+// too, with from_status/to_status set.
+const CONTENT_TABLES = {
+  test: {
+    table: 'tests',
+    idColumn: 'test_id',
+    fields:
+      'test_id, title, course_id, topic_id, status, reviewer_id, status_changed_at, status_changed_by, created_at',
+  },
+  question: {
+    table: 'test_questions',
+    idColumn: 'question_id',
+    fields:
+      'question_id, test_id, question_text, status, reviewer_id, status_changed_at, status_changed_by, created_at',
+  },
+};
+
+const COMMENT_FIELDS =
+  'comment_id, content_type, content_id, user_id, comment, from_status, to_status, created_at';
+
+const editorialModel = {
+  // Get the editorial state of a test or question
+  async getItem(contentType, contentId) {
+    try {
+      const { table, idColumn, fields } = CONTENT_TABLES[contentType];
+      const { data, error } = await supabase
+        .from(table)
+        .select(fields)
+        .eq(idColumn, contentId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No item found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting editorial item:', error);
+      throw error;
+    }
+  },
+
+  // List items in a status, oldest change first (review queue order)
+  async getByStatus(contentType, status, reviewerId = null, limit = 100) {
+    try {
+      const { table, fields } = CONTENT_TABLES[contentType];
+      let query = supabase
+        .from(table)
+        .select(fields)
+        .eq('status', status)
+        .order('status_changed_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+      if (reviewerId) {
+        query = query.eq('reviewer_id', reviewerId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting editorial queue:', error);
+      throw error;
+    }
+  },
+
+  // Move an item to a new status. Only succeeds if it is still in the
+  // expected status; returns null otherwise.
+  async updateStatus(contentType, contentId, fromStatus, toStatus, userId) {
+    try {
+      const { table, idColumn, fields } = CONTENT_TABLES[contentType];
+      const { data, error } = await supabase
+        .from(table)
+        .update({
+          status: toStatus,
+          status_changed_at: new Date().toISOString(),
+          status_changed_by: userId,
+        })
+        .eq(idColumn, contentId)
+        .eq('status', fromStatus)
+        .select(fields);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error updating editorial status:', error);
+      throw error;
+    }
+  },
+
+  // Assign (or clear, with null) the reviewer of an item
+  async assignReviewer(contentType, contentId, reviewerId) {
+    try {
+      const { table, idColumn, fields } = CONTENT_TABLES[contentType];
+      const { data, error } = await supabase
+        .from(table)
+        .update({ reviewer_id: reviewerId })
+        .eq(idColumn, contentId)
+        .select(fields)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error assigning reviewer:', error);
+      throw error;
+    }
+  },
+
+  // Add a review comment or a transition log entry
+  async addComment(
+    contentType,
+    contentId,
+    userId,
+    comment,
+    fromStatus = null,
+    toStatus = null,
+  ) {
+    try {
+      const { data, error } = await supabase
+        .from('editorial_comments')
+        .insert({
+          content_type: contentType,
+          content_id: contentId,
+          user_id: userId,
+          comment: comment || null,
+          from_status: fromStatus,
+          to_status: toStatus,
+        })
+        .select(COMMENT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding editorial comment:', error);
+      throw error;
+    }
+  },
+
+  // Get the comment and transition history of an item, oldest first
+  async getComments(contentType, contentId) {
+    try {
+      const { data, error } = await supabase
+        .from('editorial_comments')
+        .select(
+          `
+          ${COMMENT_FIELDS},
+          users (
+            username
+          )
+        `,
+        )
+        .eq('content_type', contentType)
+        .eq('content_id', contentId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return data.map(({ users, ...comment }) => ({
+        ...comment,
+        username: users?.username || null,
+      }));
+    } catch (error) {
+      console.error('Error getting editorial comments:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = editorialModel;
@@ -0,0 +1,203 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// exam_attempts (attempt_id, user_id, test_id, status, question_order jsonb,
+//   question_revisions jsonb, started_at, deadline_at, submitted_at,
+//   result_id)
+// question_revisions maps each question ID to the revision that was current
+// when the attempt started, so answers link to the version the student saw.
+// exam_attempt_answers (attempt_id, question_id, user_answer, answered_at)
+//   with a unique constraint on (attempt_id, question_id)
+const ATTEMPT_FIELDS =
+  'attempt_id, user_id, test_id, status, question_order, question_revisions, started_at, deadline_at, submitted_at, result_id';
+
+const examAttemptModel = {
+  // Create a new in-progress attempt
+  async create(
+    userId,
+    testId,
+    questionOrder,
+    questionRevisions,
+    startedAt,
+    deadlineAt,
+  ) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .insert({
+          user_id: userId,
+          test_id: testId,
+          status: 'in_progress',
+          question_order: questionOrder,
+          question_revisions: questionRevisions,
+          started_at: startedAt,
+          deadline_at: deadlineAt,
+        })
+        .select(ATTEMPT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating exam attempt:', error);
+      throw error;
+    }
+  },
+
+  // Get attempt by ID
+  async getById(attemptId) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .select(ATTEMPT_FIELDS)
+        .eq('attempt_id', attemptId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No attempt found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting exam attempt by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get the user's in-progress attempt for a test, if any
+  async getInProgress(userId, testId) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .select(ATTEMPT_FIELDS)
+        .eq('user_id', userId)
+        .eq('test_id', testId)
+        .eq('status', 'in_progress')
+        .order('started_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error getting in-progress exam attempt:', error);
+      throw error;
+    }
+  },
+
+  // Get all in-progress attempts of a user (used to resume after a crash)
+  async getInProgressByUser(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .select(
+          `
+          ${ATTEMPT_FIELDS},
+          tests (
+            title,
+            time_limit
+          )
+        `,
+        )
+        .eq('user_id', userId)
+        .eq('status', 'in_progress')
+        .order('started_at', { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting in-progress exam attempts by user:', error);
+      throw error;
+    }
+  },
+
+  // Get in-progress attempts whose deadline has passed
+  async getExpired(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .select(ATTEMPT_FIELDS)
+        .eq('status', 'in_progress')
+        .lte('deadline_at', now.toISOString());
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting expired exam attempts:', error);
+      throw error;
+    }
+  },
+
+  // Save (or overwrite) the answer to a single question
+  async saveAnswer(attemptId, questionId, userAnswer) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempt_answers')
+        .upsert(
+          {
+            attempt_id: attemptId,
+            question_id: questionId,
+            user_answer: userAnswer,
+            answered_at: new Date().toISOString(),
+          },
+          { onConflict: 'attempt_id,question_id' },
+        )
+        .select('attempt_id, question_id, user_answer, answered_at')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving exam attempt answer:', error);
+      throw error;
+    }
+  },
+
+  // Get saved answers of an attempt
+  async getAnswers(attemptId) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempt_answers')
+        .select('attempt_id, question_id, user_answer, answered_at')
+        .eq('attempt_id', attemptId);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting exam attempt answers:', error);
+      throw error;
+    }
+  },
+
+  // Close an attempt and link it to the result created from it. Only
+  // transitions attempts that are still in progress, so concurrent
+  // submitters (client, cron, lazy expiry) can't both win. Returns null
+  // when the attempt was already closed.
+  async markClosed(attemptId, status, resultId) {
+    try {
+      const { data, error } = await supabase
+        .from('exam_attempts')
+        .update({
+          status,
+          submitted_at: new Date().toISOString(),
+          result_id: resultId,
+        })
+        .eq('attempt_id', attemptId)
+        .eq('status', 'in_progress')
+        .select(ATTEMPT_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error closing exam attempt:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = examAttemptModel;
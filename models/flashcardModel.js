@@ -0,0 +1,575 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// flashcard_decks (deck_id, course_id, topic_id, title, description,
+//   created_by, created_at); topic_id null means the whole course
+// flashcards (flashcard_id, deck_id, front, back, source_question_id,
+//   source_type, created_at, updated_at)
+//   source_type is 'manual', 'explanation' or 'answer_definition';
+//   source_question_id is set null when the question is deleted, deck_id
+//   cascades on delete
+// flashcard_review_cards (user_id, flashcard_id, deck_id, ease_factor,
+//   interval_days, repetitions, lapses, due_at, last_reviewed_at,
+//   created_at) with a unique constraint on (user_id, flashcard_id); the
+//   same SM-2 fields as review_cards. deck_id references flashcard_decks.
+//   Flashcards and review_cards share the daily limits in review_settings.
+// flashcard_study_sessions (session_id, user_id, deck_id, status,
+//   started_at, completed_at)
+// flashcard_study_grades (session_id, flashcard_id, grade, reviewed_at)
+//   grade is the 0-5 recall grade
+const DECK_FIELDS =
+  'deck_id, course_id, topic_id, title, description, created_by, created_at';
+const CARD_FIELDS =
+  'flashcard_id, deck_id, front, back, source_question_id, source_type, created_at, updated_at';
+const REVIEW_FIELDS =
+  'user_id, flashcard_id, deck_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at, created_at';
+const SESSION_FIELDS =
+  'session_id, user_id, deck_id, status, started_at, completed_at';
+
+const ID_CHUNK_SIZE = 200;
+
+const flashcardModel = {
+  // Create a deck
+  async createDeck(courseId, topicId, title, description, createdBy) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_decks')
+        .insert({
+          course_id: courseId,
+          topic_id: topicId,
+          title,
+          description,
+          created_by: createdBy,
+        })
+        .select(DECK_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating flashcard deck:', error);
+      throw error;
+    }
+  },
+
+  // Get decks with their card counts, optionally of a course or topic
+  async getDecks(courseId = null, topicId = null) {
+    try {
+      let query = supabase
+        .from('flashcard_decks')
+        .select(`${DECK_FIELDS}, flashcards(count)`)
+        .order('title', { ascending: true });
+
+      if (courseId) {
+        query = query.eq('course_id', courseId);
+      }
+      if (topicId) {
+        query = query.eq('topic_id', topicId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ flashcards, ...deck }) => ({
+        ...deck,
+        card_count: flashcards?.[0]?.count || 0,
+      }));
+    } catch (error) {
+      console.error('Error getting flashcard decks:', error);
+      throw error;
+    }
+  },
+
+  // Get deck by ID
+  async getDeckById(deckId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_decks')
+        .select(DECK_FIELDS)
+        .eq('deck_id', deckId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No deck found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard deck by ID:', error);
+      throw error;
+    }
+  },
+
+  // Update deck title or description
+  async updateDeck(deckId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_decks')
+        .update(updates)
+        .eq('deck_id', deckId)
+        .select(DECK_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating flashcard deck:', error);
+      throw error;
+    }
+  },
+
+  // Delete deck (its cards, schedules and sessions cascade)
+  async deleteDeck(deckId) {
+    try {
+      const { error } = await supabase
+        .from('flashcard_decks')
+        .delete()
+        .eq('deck_id', deckId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting flashcard deck:', error);
+      throw error;
+    }
+  },
+
+  // Get the decks of a course that cover a topic (course-wide decks and
+  // the topic's own decks)
+  async getDecksCovering(courseId, topicId) {
+    try {
+      let query = supabase
+        .from('flashcard_decks')
+        .select(DECK_FIELDS)
+        .eq('course_id', courseId);
+
+      query = topicId
+        ? query.or(`topic_id.is.null,topic_id.eq.${topicId}`)
+        : query.is('topic_id', null);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting decks covering a topic:', error);
+      throw error;
+    }
+  },
+
+  // Insert cards
+  async createCards(cards) {
+    try {
+      if (cards.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('flashcards')
+        .insert(
+          cards.map((card) => ({
+            deck_id: card.deckId,
+            front: card.front,
+            back: card.back,
+            source_question_id: card.sourceQuestionId || null,
+            source_type: card.sourceType || 'manual',
+          })),
+        )
+        .select(CARD_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Get the cards of a deck, paging past the API row limit
+  async getCardsByDeck(deckId) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('flashcards')
+          .select(CARD_FIELDS)
+          .eq('deck_id', deckId)
+          .order('flashcard_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Get card by ID
+  async getCardById(flashcardId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcards')
+        .select(CARD_FIELDS)
+        .eq('flashcard_id', flashcardId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No card found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get generated cards made from a question, in any deck
+  async getGeneratedCardsByQuestion(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcards')
+        .select(CARD_FIELDS)
+        .eq('source_question_id', questionId)
+        .neq('source_type', 'manual');
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting generated flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Get which of the given decks contain generated cards (decks that were
+  // generated once keep picking up new questions)
+  async getGeneratedDeckIds(deckIds) {
+    try {
+      if (deckIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('flashcards')
+        .select('deck_id')
+        .in('deck_id', deckIds)
+        .neq('source_type', 'manual');
+
+      if (error) throw error;
+      return [...new Set(data.map((row) => row.deck_id))];
+    } catch (error) {
+      console.error('Error getting generated flashcard decks:', error);
+      throw error;
+    }
+  },
+
+  // Update card text
+  async updateCard(flashcardId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcards')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('flashcard_id', flashcardId)
+        .select(CARD_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating flashcard:', error);
+      throw error;
+    }
+  },
+
+  // Delete card
+  async deleteCard(flashcardId) {
+    try {
+      const { error } = await supabase
+        .from('flashcards')
+        .delete()
+        .eq('flashcard_id', flashcardId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting flashcard:', error);
+      throw error;
+    }
+  },
+
+  // Get published questions of a course (optionally one topic) to turn
+  // into cards, paging past the API row limit
+  async getSourceQuestions(courseId, topicId = null) {
+    try {
+      return await fetchAllRows(() => {
+        let query = supabase
+          .from('test_questions')
+          .select(
+            `
+            question_id,
+            question_text,
+            options,
+            correct_answer,
+            explanation,
+            tests!inner (
+              course_id,
+              topic_id
+            )
+          `,
+          )
+          .eq('tests.course_id', courseId)
+          .eq('status', 'published')
+          .eq('tests.status', 'published')
+          .order('question_id', { ascending: true });
+
+        if (topicId) {
+          query = query.eq('tests.topic_id', topicId);
+        }
+        return query;
+      });
+    } catch (error) {
+      console.error('Error getting flashcard source questions:', error);
+      throw error;
+    }
+  },
+
+  // Get a question with its test's course and topic
+  async getSourceQuestion(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select(
+          `
+          question_id,
+          question_text,
+          options,
+          correct_answer,
+          explanation,
+          status,
+          tests (
+            course_id,
+            topic_id,
+            status
+          )
+        `,
+        )
+        .eq('question_id', questionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No question found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard source question:', error);
+      throw error;
+    }
+  },
+
+  // Get the most recent answer definition of each question
+  async getLatestDefinitions(questionIds) {
+    try {
+      const definitions = new Map();
+
+      for (let i = 0; i < questionIds.length; i += ID_CHUNK_SIZE) {
+        const { data, error } = await supabase
+          .from('user_answers')
+          .select('question_id, answer_definition, created_at')
+          .in('question_id', questionIds.slice(i, i + ID_CHUNK_SIZE))
+          .not('answer_definition', 'is', null)
+          .neq('answer_definition', '')
+          .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        data.forEach((row) => {
+          if (!definitions.has(row.question_id)) {
+            definitions.set(row.question_id, row.answer_definition);
+          }
+        });
+      }
+
+      return definitions;
+    } catch (error) {
+      console.error('Error getting answer definitions:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's schedules for the given cards
+  async getReviewCards(userId, flashcardIds) {
+    try {
+      if (flashcardIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('flashcard_review_cards')
+        .select(REVIEW_FIELDS)
+        .eq('user_id', userId)
+        .in('flashcard_id', flashcardIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard schedules:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's schedules in a deck
+  async getDeckReviewCards(userId, deckId) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('flashcard_review_cards')
+          .select(REVIEW_FIELDS)
+          .eq('user_id', userId)
+          .eq('deck_id', deckId)
+          .order('due_at', { ascending: true })
+          .order('flashcard_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting deck flashcard schedules:', error);
+      throw error;
+    }
+  },
+
+  // Get the user's cards reviewed since a time with their deck's course
+  // (used for the daily limits shared with the question review queue)
+  async getReviewedSince(userId, since) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_review_cards')
+        .select('flashcard_id, created_at, flashcard_decks (course_id)')
+        .eq('user_id', userId)
+        .gte('last_reviewed_at', since);
+
+      if (error) throw error;
+      return data.map((row) => ({
+        flashcard_id: row.flashcard_id,
+        course_id: row.flashcard_decks?.course_id ?? null,
+        created_at: row.created_at,
+      }));
+    } catch (error) {
+      console.error('Error getting reviewed flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Insert or update a schedule after grading
+  async upsertReviewCard(reviewCard) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_review_cards')
+        .upsert(reviewCard, { onConflict: 'user_id,flashcard_id' })
+        .select(REVIEW_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving flashcard schedule:', error);
+      throw error;
+    }
+  },
+
+  // Start a study session
+  async createSession(userId, deckId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_study_sessions')
+        .insert({ user_id: userId, deck_id: deckId, status: 'in_progress' })
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating flashcard study session:', error);
+      throw error;
+    }
+  },
+
+  // Get study session by ID
+  async getSessionById(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_study_sessions')
+        .select(SESSION_FIELDS)
+        .eq('session_id', sessionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No session found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard study session:', error);
+      throw error;
+    }
+  },
+
+  // Mark a study session completed
+  async completeSession(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_study_sessions')
+        .update({
+          status: 'completed',
+          completed_at: new Date().toISOString(),
+        })
+        .eq('session_id', sessionId)
+        .select(SESSION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error completing flashcard study session:', error);
+      throw error;
+    }
+  },
+
+  // Record a recall grade
+  async addGrade(sessionId, flashcardId, grade) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_study_grades')
+        .insert({ session_id: sessionId, flashcard_id: flashcardId, grade })
+        .select('session_id, flashcard_id, grade, reviewed_at')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving flashcard grade:', error);
+      throw error;
+    }
+  },
+
+  // Get the grades of a study session
+  async getGrades(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('flashcard_study_grades')
+        .select('flashcard_id, grade, reviewed_at')
+        .eq('session_id', sessionId)
+        .order('reviewed_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting flashcard grades:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = flashcardModel;
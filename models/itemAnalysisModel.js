@@ -0,0 +1,96 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Read-only queries over user_answers (test attempts) and duel_answers
+const ID_CHUNK_SIZE = 100;
+
+const itemAnalysisModel = {
+  // Get every test-attempt answer to a question
+  async getTestResponses(questionId) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('user_answers')
+          .select('answer_id, result_id, user_answer, is_correct')
+          .eq('question_id', questionId)
+          .order('answer_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting test responses for item analysis:', error);
+      throw error;
+    }
+  },
+
+  // Get the correctness of every answer in the given test attempts
+  async getResultAnswers(resultIds) {
+    try {
+      const answers = [];
+      for (let i = 0; i < resultIds.length; i += ID_CHUNK_SIZE) {
+        const chunk = resultIds.slice(i, i + ID_CHUNK_SIZE);
+        answers.push(
+          ...(await fetchAllRows(() =>
+            supabase
+              .from('user_answers')
+              .select('answer_id, result_id, question_id, is_correct')
+              .in('result_id', chunk)
+              .order('answer_id', { ascending: true }),
+          )),
+        );
+      }
+      return answers;
+    } catch (error) {
+      console.error('Error getting attempt answers for item analysis:', error);
+      throw error;
+    }
+  },
+
+  // Get every duel answer to a question
+  async getDuelResponses(questionId) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('duel_answers')
+          .select(
+            'session_id, user_id, selected_answer, is_correct, answer_time_ms',
+          )
+          .eq('question_id', questionId)
+          .order('session_id', { ascending: true })
+          .order('user_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting duel responses for item analysis:', error);
+      throw error;
+    }
+  },
+
+  // Get the correctness of every answer in the given duel sessions
+  async getSessionAnswers(sessionIds) {
+    try {
+      const answers = [];
+      for (let i = 0; i < sessionIds.length; i += ID_CHUNK_SIZE) {
+        const chunk = sessionIds.slice(i, i + ID_CHUNK_SIZE);
+        answers.push(
+          ...(await fetchAllRows(() =>
+            supabase
+              .from('duel_answers')
+              .select('session_id, user_id, question_id, is_correct')
+              .in('session_id', chunk)
+              .order('session_id', { ascending: true })
+              .order('question_index', { ascending: true })
+              .order('user_id', { ascending: true }),
+          )),
+        );
+      }
+      return answers;
+    } catch (error) {
+      console.error('Error getting duel answers for item analysis:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = itemAnalysisModel;
@@ -0,0 +1,340 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// mock_exams (mock_exam_id, user_id, title, status, course_question_counts jsonb,
+//   questions jsonb [{ question_id, course_id, course_type, revision_id }],
+//   started_at, deadline_at, submitted_at)
+// mock_exam_answers (mock_exam_id, question_id, user_answer, answered_at)
+//   with a unique constraint on (mock_exam_id, question_id)
+// mock_exam_results (mock_exam_result_id, mock_exam_id, user_id,
+//   correct_count, wrong_count, blank_count, total_net,
+//   basic_sciences_net, basic_sciences_score, clinical_sciences_net,
+//   clinical_sciences_score, course_breakdown jsonb, time_taken, created_at)
+//   unique (mock_exam_id)
+const MOCK_EXAM_FIELDS =
+  'mock_exam_id, user_id, title, status, course_question_counts, questions, started_at, deadline_at, submitted_at';
+const MOCK_EXAM_RESULT_FIELDS =
+  'mock_exam_result_id, mock_exam_id, user_id, correct_count, wrong_count, blank_count, total_net, basic_sciences_net, basic_sciences_score, clinical_sciences_net, clinical_sciences_score, course_breakdown, time_taken, created_at';
+
+const mockExamModel = {
+  // Get questions of the given courses together with their course info
+  async getQuestionsForCourses(courseIds) {
+    try {
+      const data = await fetchAllRows(() =>
+        supabase
+          .from('test_questions')
+          .select(
+            `
+          question_id,
+          question_text,
+          options,
+          correct_answer,
+          tests!inner (
+            course_id,
+            courses (
+              course_type
+            )
+          )
+        `,
+          )
+          .in('tests.course_id', courseIds)
+          .eq('status', 'published')
+          .eq('tests.status', 'published')
+          .order('question_id', { ascending: true }),
+      );
+
+      return data.map((question) => ({
+        question_id: question.question_id,
+        question_text: question.question_text,
+        options: question.options,
+        correct_answer: question.correct_answer,
+        course_id: question.tests?.course_id,
+        course_type: question.tests?.courses?.course_type,
+      }));
+    } catch (error) {
+      console.error('Error getting questions for mock exam courses:', error);
+      throw error;
+    }
+  },
+
+  // Get full question rows by ID
+  async getQuestionsByIds(questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select('question_id, question_text, options, correct_answer')
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting mock exam questions by IDs:', error);
+      throw error;
+    }
+  },
+
+  // Create a new in-progress mock exam
+  async create(
+    userId,
+    title,
+    courseQuestionCounts,
+    questions,
+    startedAt,
+    deadlineAt,
+  ) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exams')
+        .insert({
+          user_id: userId,
+          title,
+          status: 'in_progress',
+          course_question_counts: courseQuestionCounts,
+          questions,
+          started_at: startedAt,
+          deadline_at: deadlineAt,
+        })
+        .select(MOCK_EXAM_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating mock exam:', error);
+      throw error;
+    }
+  },
+
+  // Get mock exam by ID
+  async getById(mockExamId) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exams')
+        .select(MOCK_EXAM_FIELDS)
+        .eq('mock_exam_id', mockExamId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No mock exam found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting mock exam by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get in-progress mock exams whose deadline has passed
+  async getExpired(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exams')
+        .select(MOCK_EXAM_FIELDS)
+        .eq('status', 'in_progress')
+        .lte('deadline_at', now.toISOString());
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting expired mock exams:', error);
+      throw error;
+    }
+  },
+
+  // Save (or overwrite) the answer to a single question
+  async saveAnswer(mockExamId, questionId, userAnswer) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_answers')
+        .upsert(
+          {
+            mock_exam_id: mockExamId,
+            question_id: questionId,
+            user_answer: userAnswer,
+            answered_at: new Date().toISOString(),
+          },
+          { onConflict: 'mock_exam_id,question_id' },
+        )
+        .select('mock_exam_id, question_id, user_answer, answered_at')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving mock exam answer:', error);
+      throw error;
+    }
+  },
+
+  // Get saved answers of a mock exam
+  async getAnswers(mockExamId) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_answers')
+        .select('mock_exam_id, question_id, user_answer, answered_at')
+        .eq('mock_exam_id', mockExamId);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting mock exam answers:', error);
+      throw error;
+    }
+  },
+
+  // Close a mock exam that is still in progress.
+  // Returns null when it was already closed.
+  async markClosed(mockExamId, status) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exams')
+        .update({ status, submitted_at: new Date().toISOString() })
+        .eq('mock_exam_id', mockExamId)
+        .eq('status', 'in_progress')
+        .select(MOCK_EXAM_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error closing mock exam:', error);
+      throw error;
+    }
+  },
+
+  // Store the scored result of a mock exam. Returns null when it was
+  // already stored.
+  async createResult(mockExamId, userId, scores, timeTaken) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_results')
+        .insert({
+          mock_exam_id: mockExamId,
+          user_id: userId,
+          correct_count: scores.correctCount,
+          wrong_count: scores.wrongCount,
+          blank_count: scores.blankCount,
+          total_net: scores.totalNet,
+          basic_sciences_net: scores.basicSciences.net,
+          basic_sciences_score: scores.basicSciences.score,
+          clinical_sciences_net: scores.clinicalSciences.net,
+          clinical_sciences_score: scores.clinicalSciences.score,
+          course_breakdown: scores.courseBreakdown,
+          time_taken: timeTaken,
+        })
+        .select(MOCK_EXAM_RESULT_FIELDS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') return null;
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error creating mock exam result:', error);
+      throw error;
+    }
+  },
+
+  // Get result of a mock exam
+  async getResultByMockExamId(mockExamId) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_results')
+        .select(MOCK_EXAM_RESULT_FIELDS)
+        .eq('mock_exam_id', mockExamId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not scored yet
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting mock exam result:', error);
+      throw error;
+    }
+  },
+
+  // Get a mock exam result by ID
+  async getResultById(mockExamResultId) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_results')
+        .select(MOCK_EXAM_RESULT_FIELDS)
+        .eq('mock_exam_result_id', mockExamResultId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No result found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting mock exam result by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get the total net and answer counts of every mock exam result (used to
+  // build distributions)
+  async getAllTotalNets() {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('mock_exam_results')
+          .select('user_id, total_net, correct_count, wrong_count, blank_count')
+          .order('mock_exam_result_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting mock exam total nets:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's mock exam results, newest first
+  async getResultsByUserId(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('mock_exam_results')
+        .select(
+          `
+          ${MOCK_EXAM_RESULT_FIELDS},
+          mock_exams (
+            title,
+            started_at
+          )
+        `,
+        )
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return data.map((result) => {
+        const { mock_exams: mockExam, ...rest } = result;
+        return {
+          ...rest,
+          title: mockExam?.title,
+          started_at: mockExam?.started_at,
+        };
+      });
+    } catch (error) {
+      console.error('Error getting mock exam results by user ID:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = mockExamModel;
@@ -0,0 +1,188 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const mediaStorageService = require('../services/mediaStorageService');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// question_attachments (attachment_id, question_id, target, option_key,
+//   storage_key, thumbnail_key, mime_type, size_bytes, width, height,
+//   alt_text, created_by, created_at)
+// target is 'question', 'option' (with option_key A-E) or 'explanation'.
+// Files live in the media storage adapter under storage_key/thumbnail_key.
+// Rows are deleted with their question (ON DELETE CASCADE).
+const ATTACHMENT_FIELDS =
+  'attachment_id, question_id, target, option_key, storage_key, thumbnail_key, mime_type, size_bytes, width, height, alt_text, created_by, created_at';
+
+// Client-facing shape of an attachment
+const formatAttachment = (row) => ({
+  attachmentId: row.attachment_id,
+  url: mediaStorageService.getUrl(row.storage_key),
+  thumbnailUrl: row.thumbnail_key
+    ? mediaStorageService.getUrl(row.thumbnail_key)
+    : null,
+  mimeType: row.mime_type,
+  width: row.width,
+  height: row.height,
+  altText: row.alt_text,
+});
+
+const questionAttachmentModel = {
+  // Create an attachment record (files are already stored)
+  async create(attachment) {
+    try {
+      const { data, error } = await supabase
+        .from('question_attachments')
+        .insert({
+          question_id: attachment.questionId,
+          target: attachment.target,
+          option_key: attachment.optionKey || null,
+          storage_key: attachment.storageKey,
+          thumbnail_key: attachment.thumbnailKey || null,
+          mime_type: attachment.mimeType,
+          size_bytes: attachment.sizeBytes,
+          width: attachment.width,
+          height: attachment.height,
+          alt_text: attachment.altText || null,
+          created_by: attachment.createdBy,
+        })
+        .select(ATTACHMENT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating question attachment:', error);
+      throw error;
+    }
+  },
+
+  // Get an attachment of a question
+  async getById(questionId, attachmentId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_attachments')
+        .select(ATTACHMENT_FIELDS)
+        .eq('question_id', questionId)
+        .eq('attachment_id', attachmentId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No attachment found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting question attachment:', error);
+      throw error;
+    }
+  },
+
+  // Get the attachments of several questions, in upload order
+  async getByQuestionIds(questionIds) {
+    try {
+      if (questionIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('question_attachments')
+        .select(ATTACHMENT_FIELDS)
+        .in('question_id', questionIds)
+        .order('attachment_id', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting question attachments:', error);
+      throw error;
+    }
+  },
+
+  // Update the alt text of an attachment
+  async updateAltText(attachmentId, altText) {
+    try {
+      const { data, error } = await supabase
+        .from('question_attachments')
+        .update({ alt_text: altText || null })
+        .eq('attachment_id', attachmentId)
+        .select(ATTACHMENT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating question attachment:', error);
+      throw error;
+    }
+  },
+
+  // Delete an attachment record (files are removed by the service)
+  async delete(attachmentId) {
+    try {
+      const { error } = await supabase
+        .from('question_attachments')
+        .delete()
+        .eq('attachment_id', attachmentId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting question attachment:', error);
+      throw error;
+    }
+  },
+
+  // Client-facing shape of a single attachment
+  format: formatAttachment,
+
+  // Group attachment rows of one question by where they are shown:
+  // { question: [...], options: { A: [...] }, explanation: [...] }
+  group(rows) {
+    const grouped = { question: [], options: {}, explanation: [] };
+
+    rows.forEach((row) => {
+      if (row.target === 'option') {
+        if (!grouped.options[row.option_key]) {
+          grouped.options[row.option_key] = [];
+        }
+        grouped.options[row.option_key].push(formatAttachment(row));
+      } else {
+        grouped[row.target].push(formatAttachment(row));
+      }
+    });
+
+    return grouped;
+  },
+
+  // Set `attachments` on each question (in place) and return the list
+  async attachToQuestions(questions) {
+    try {
+      const rows = await this.getByQuestionIds(
+        questions.map((question) => question.question_id),
+      );
+
+      const rowsByQuestion = new Map();
+      rows.forEach((row) => {
+        if (!rowsByQuestion.has(row.question_id)) {
+          rowsByQuestion.set(row.question_id, []);
+        }
+        rowsByQuestion.get(row.question_id).push(row);
+      });
+
+      questions.forEach((question) => {
+        question.attachments = this.group(
+          rowsByQuestion.get(question.question_id) || [],
+        );
+      });
+
+      return questions;
+    } catch (error) {
+      console.error('Error attaching media to questions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionAttachmentModel;
@@ -0,0 +1,150 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { PAGE_SIZE } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// question_fingerprints (question_id, signature integer[], band_keys text[],
+//   updated_at)
+//   question_id is the primary key and cascades on delete; band_keys has a
+//   GIN index for the overlap lookup.
+// Column added to test_questions:
+//   merged_into_question_id (set on duplicates retired by a merge)
+// Function merge_duplicate_questions(p_keep_question_id integer,
+//   p_duplicate_ids integer[], p_user_id integer) returns jsonb
+//   Runs the whole merge in one transaction. It locks the question rows and
+//   returns null if any of them was merged meanwhile. Otherwise it:
+//   - copies the duplicates' tags to the kept question
+//   - moves bookmarks, review_cards and flashcards (source_question_id) to
+//     the kept question, deleting the duplicate's row where the user (or
+//     deck) already has one for the kept question
+//   - sets merged_into_question_id, moves non-draft duplicates back to
+//     draft and logs each one in editorial_comments
+//   - deletes the duplicates' fingerprints
+//   It returns { merged, tags_moved, bookmarks_moved, review_cards_moved,
+//   flashcards_moved }.
+const FINGERPRINT_FIELDS = 'question_id, signature, band_keys';
+const QUESTION_SUMMARY = `
+  test_questions (
+    test_id,
+    question_text,
+    status
+  )
+`;
+
+const questionFingerprintModel = {
+  PAGE_SIZE,
+
+  // Insert or replace the fingerprints of questions
+  async upsertBatch(fingerprints) {
+    try {
+      const { error } = await supabase.from('question_fingerprints').upsert(
+        fingerprints.map((fingerprint) => ({
+          question_id: fingerprint.questionId,
+          signature: fingerprint.signature,
+          band_keys: fingerprint.bandKeys,
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: 'question_id' },
+      );
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error saving question fingerprints:', error);
+      throw error;
+    }
+  },
+
+  // Get fingerprints sharing at least one LSH band with the given keys
+  async getCandidates(bandKeys) {
+    try {
+      const { data, error } = await supabase
+        .from('question_fingerprints')
+        .select(`${FINGERPRINT_FIELDS}, ${QUESTION_SUMMARY}`)
+        .overlaps('band_keys', bandKeys);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting duplicate candidates:', error);
+      throw error;
+    }
+  },
+
+  // Get one page of all fingerprints (for the bank-wide report)
+  async getPage(page) {
+    try {
+      const from = page * PAGE_SIZE;
+      const { data, error } = await supabase
+        .from('question_fingerprints')
+        .select(`${FINGERPRINT_FIELDS}, ${QUESTION_SUMMARY}`)
+        .order('question_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting question fingerprints:', error);
+      throw error;
+    }
+  },
+
+  // Get one page of questions to fingerprint (merged duplicates excluded)
+  async getQuestionPage(page) {
+    try {
+      const from = page * PAGE_SIZE;
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select('question_id, question_text, options')
+        .is('merged_into_question_id', null)
+        .order('question_id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting questions to fingerprint:', error);
+      throw error;
+    }
+  },
+
+  // Get questions by ID with their merge state
+  async getQuestions(questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select('question_id, test_id, status, merged_into_question_id')
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting questions for merge:', error);
+      throw error;
+    }
+  },
+
+  // Merge duplicates into the kept question in one transaction (see
+  // merge_duplicate_questions above). Returns null when one of them was
+  // merged by someone else first.
+  async mergeQuestions(keepQuestionId, duplicateQuestionIds, userId) {
+    try {
+      const { data, error } = await supabase.rpc('merge_duplicate_questions', {
+        p_keep_question_id: keepQuestionId,
+        p_duplicate_ids: duplicateQuestionIds,
+        p_user_id: userId,
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error merging duplicate questions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionFingerprintModel;
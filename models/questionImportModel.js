@@ -0,0 +1,147 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// question_imports (import_id, test_id, user_id, format, file_name,
+//   total_rows, imported_count, skipped_count, question_ids jsonb,
+//   errors jsonb, status, created_at, rolled_back_at, rolled_back_by)
+// status is 'committed' or 'rolled_back'
+const IMPORT_FIELDS =
+  'import_id, test_id, user_id, format, file_name, total_rows, imported_count, skipped_count, question_ids, errors, status, created_at, rolled_back_at, rolled_back_by';
+
+const questionImportModel = {
+  // Record a committed import
+  async create({
+    testId,
+    userId,
+    format,
+    fileName,
+    totalRows,
+    questionIds,
+    errors,
+  }) {
+    try {
+      const { data, error } = await supabase
+        .from('question_imports')
+        .insert({
+          test_id: testId,
+          user_id: userId,
+          format,
+          file_name: fileName || null,
+          total_rows: totalRows,
+          imported_count: questionIds.length,
+          skipped_count: totalRows - questionIds.length,
+          question_ids: questionIds,
+          errors,
+          status: 'committed',
+        })
+        .select(IMPORT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating question import:', error);
+      throw error;
+    }
+  },
+
+  // Get import by ID
+  async getById(importId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_imports')
+        .select(IMPORT_FIELDS)
+        .eq('import_id', importId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No import found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting question import by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get import history, newest first, optionally for one test
+  async getAll(testId = null, limit = 50) {
+    try {
+      let query = supabase
+        .from('question_imports')
+        .select(
+          'import_id, test_id, user_id, format, file_name, total_rows, imported_count, skipped_count, status, created_at, rolled_back_at, rolled_back_by',
+        )
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (testId) {
+        query = query.eq('test_id', testId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting question imports:', error);
+      throw error;
+    }
+  },
+
+  // Mark an import as rolled back. Done before its questions are deleted so
+  // concurrent rollbacks can't both delete them.
+  // Returns null if it was already rolled back.
+  async markRolledBack(importId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_imports')
+        .update({
+          status: 'rolled_back',
+          rolled_back_at: new Date().toISOString(),
+          rolled_back_by: userId,
+        })
+        .eq('import_id', importId)
+        .eq('status', 'committed')
+        .select(IMPORT_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error rolling back question import:', error);
+      throw error;
+    }
+  },
+
+  // Undo markRolledBack after the questions could not be deleted, so the
+  // rollback can be retried
+  async reopen(importId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_imports')
+        .update({
+          status: 'committed',
+          rolled_back_at: null,
+          rolled_back_by: null,
+        })
+        .eq('import_id', importId)
+        .eq('status', 'rolled_back')
+        .select(IMPORT_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error reopening question import:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionImportModel;
@@ -1,5 +1,8 @@
 const { createClient } = require('@supabase/supabase-js');
 const supabaseConfig = require('../config/supabase');
+const questionAttachmentModel = require('./questionAttachmentModel');
+const tagModel = require('./tagModel');
+const questionSimilarityService = require('../services/questionSimilarityService');
 // Initialize Supabase client
 const supabase = createClient(
   supabaseConfig.supabaseUrl,
@@ -26,9 +29,10 @@ const questionModel = {
           options: options, // This should be in format {"A": "answer1", "B": "answer2", ...}
           correct_answer: correctAnswer,
           explanation: explanation,
+          status: 'draft', // Published through the editorial workflow
         })
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         )
         .single();
 
@@ -37,6 +41,18 @@ const questionModel = {
       // Note: We don't need to manually update the question_count anymore
       // The database trigger we created will handle this automatically
 
+      // Warn about near-duplicates already in the bank
+      data.duplicate_warnings = [];
+      try {
+        [data.duplicate_warnings] =
+          await questionSimilarityService.checkCreated([data]);
+      } catch (similarityError) {
+        console.warn(
+          'Failed to check for duplicate questions:',
+          similarityError,
+        );
+      }
+
       return data;
     } catch (error) {
       console.error('Error creating question:', error);
@@ -45,15 +61,20 @@ const questionModel = {
   },
 
   // Get questions by test ID
-  async getByTestId(testId) {
+  async getByTestId(testId, publishedOnly = false) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('test_questions')
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         )
         .eq('test_id', testId)
         .order('question_id', { ascending: true });
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query;
       if (error) throw error;
       return data;
     } catch (error) {
@@ -68,7 +89,7 @@ const questionModel = {
       const { data, error } = await supabase
         .from('test_questions')
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         )
         .eq('question_id', questionId)
         .single();
@@ -78,6 +99,9 @@ const questionModel = {
         }
         throw error;
       }
+
+      await questionAttachmentModel.attachToQuestions([data]);
+      data.tags = await tagModel.getByQuestionId(questionId);
       return data;
     } catch (error) {
       console.error('Error getting question by ID:', error);
@@ -107,7 +131,7 @@ const questionModel = {
         .update(updateData)
         .eq('question_id', questionId)
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         )
         .single();
       if (error) throw error;
@@ -149,16 +173,34 @@ const questionModel = {
         options: q.options, // Should be in format {"A": "answer1", "B": "answer2", ...}
         correct_answer: q.correctAnswer,
         explanation: q.explanation || null,
+        status: 'draft',
       }));
 
       const { data, error } = await supabase
         .from('test_questions')
         .insert(formattedQuestions)
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         );
 
       if (error) throw error;
+
+      // Warn about near-duplicates in the bank and within the batch
+      data.forEach((question) => {
+        question.duplicate_warnings = [];
+      });
+      try {
+        const warnings = await questionSimilarityService.checkCreated(data);
+        data.forEach((question, index) => {
+          question.duplicate_warnings = warnings[index];
+        });
+      } catch (similarityError) {
+        console.warn(
+          'Failed to check for duplicate questions:',
+          similarityError,
+        );
+      }
+
       return data;
     } catch (error) {
       console.error('Error batch creating questions:', error);
@@ -166,6 +208,23 @@ const questionModel = {
     }
   },
 
+  // Batch delete questions (used to roll back imports)
+  async deleteBatch(questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .delete()
+        .in('question_id', questionIds)
+        .select('question_id, test_id');
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error batch deleting questions:', error);
+      throw error;
+    }
+  },
+
   // Get questions with pagination
   async getByTestIdWithPagination(testId, page = 1, limit = 10) {
     try {
@@ -174,7 +233,7 @@ const questionModel = {
       const { data, error, count } = await supabase
         .from('test_questions')
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
           { count: 'exact' },
         )
         .eq('test_id', testId)
@@ -206,7 +265,7 @@ const questionModel = {
         .update({ explanation })
         .eq('question_id', questionId)
         .select(
-          'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
+          'question_id, test_id, question_text, options, correct_answer, explanation, status, created_at',
         )
         .single();
       if (error) throw error;
@@ -0,0 +1,229 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// question_revisions (revision_id, question_id, revision_number,
+//   question_text, options jsonb, correct_answer, explanation, change_type,
+//   edited_by, restored_from, created_at)
+//   with a unique constraint on (question_id, revision_number); question_id
+//   references test_questions with on delete cascade
+// change_type is 'baseline' (snapshot of a question that predates revision
+// history), 'create', 'update', 'explanation' or 'restore'.
+// user_answers.question_revision_id and duel_answers.question_revision_id
+// reference the revision that was current when the question was shown
+// (when the exam attempt started or the duel's questions were picked).
+// Mock exams keep it per question in mock_exams.questions.
+const REVISION_FIELDS =
+  'revision_id, question_id, revision_number, question_text, options, correct_answer, explanation, change_type, edited_by, restored_from, created_at';
+
+const snapshot = (question) => ({
+  question_id: question.question_id,
+  question_text: question.question_text,
+  options: question.options,
+  correct_answer: question.correct_answer,
+  explanation: question.explanation,
+});
+
+const questionRevisionModel = {
+  // Record a new revision holding the question's current state
+  async create(question, revisionNumber, changeType, editedBy, restoredFrom) {
+    try {
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .insert({
+          ...snapshot(question),
+          revision_number: revisionNumber,
+          change_type: changeType,
+          edited_by: editedBy || null,
+          restored_from: restoredFrom || null,
+        })
+        .select(REVISION_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating question revision:', error);
+      throw error;
+    }
+  },
+
+  // Record the first revision of newly created questions
+  async createInitial(questions, editedBy) {
+    try {
+      if (questions.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .insert(
+          questions.map((question) => ({
+            ...snapshot(question),
+            revision_number: 1,
+            change_type: 'create',
+            edited_by: editedBy || null,
+          })),
+        )
+        .select(REVISION_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating initial question revisions:', error);
+      throw error;
+    }
+  },
+
+  // Get all revisions of a question, newest first
+  async getByQuestionId(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .select(REVISION_FIELDS)
+        .eq('question_id', questionId)
+        .order('revision_number', { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting question revisions:', error);
+      throw error;
+    }
+  },
+
+  // Get one revision of a question by its number
+  async getByNumber(questionId, revisionNumber) {
+    try {
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .select(REVISION_FIELDS)
+        .eq('question_id', questionId)
+        .eq('revision_number', revisionNumber)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No revision found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting question revision:', error);
+      throw error;
+    }
+  },
+
+  // Get revisions by ID
+  async getByIds(revisionIds) {
+    try {
+      const ids = [...new Set(revisionIds)];
+      if (ids.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .select(REVISION_FIELDS)
+        .in('revision_id', ids);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting question revisions by IDs:', error);
+      throw error;
+    }
+  },
+
+  // Get the latest revision of a question
+  async getLatest(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .select(REVISION_FIELDS)
+        .eq('question_id', questionId)
+        .order('revision_number', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error getting latest question revision:', error);
+      throw error;
+    }
+  },
+
+  // Make sure a question predating revision history has a baseline
+  // revision, and return the latest revision
+  async ensureBaseline(question) {
+    try {
+      const latest = await this.getLatest(question.question_id);
+      if (latest) return latest;
+
+      // Another request may record the baseline at the same time
+      const { error } = await supabase.from('question_revisions').upsert(
+        {
+          ...snapshot(question),
+          revision_number: 1,
+          change_type: 'baseline',
+        },
+        { onConflict: 'question_id,revision_number', ignoreDuplicates: true },
+      );
+
+      if (error) throw error;
+      return await this.getLatest(question.question_id);
+    } catch (error) {
+      console.error('Error ensuring baseline question revision:', error);
+      throw error;
+    }
+  },
+
+  // Map question IDs to the ID of their current revision, recording
+  // baseline revisions for questions that don't have any yet
+  async getCurrentRevisionIds(questionIds) {
+    try {
+      const ids = [...new Set(questionIds.map(Number))];
+      const result = new Map();
+      if (ids.length === 0) return result;
+
+      const { data, error } = await supabase
+        .from('question_revisions')
+        .select('revision_id, question_id, revision_number')
+        .in('question_id', ids)
+        .order('revision_number', { ascending: false });
+
+      if (error) throw error;
+
+      // Rows are newest first, so the first one per question wins
+      data.forEach((row) => {
+        if (!result.has(row.question_id)) {
+          result.set(row.question_id, row.revision_id);
+        }
+      });
+
+      const missing = ids.filter((id) => !result.has(id));
+      if (missing.length > 0) {
+        const { data: questions, error: questionError } = await supabase
+          .from('test_questions')
+          .select(
+            'question_id, question_text, options, correct_answer, explanation',
+          )
+          .in('question_id', missing);
+
+        if (questionError) throw questionError;
+
+        for (const question of questions) {
+          const baseline = await this.ensureBaseline(question);
+          result.set(question.question_id, baseline.revision_id);
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error getting current question revisions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionRevisionModel;
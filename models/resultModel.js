@@ -1,5 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
 const supabaseConfig = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -119,6 +120,46 @@ const resultModel = {
     }
   },
 
+  // Delete a result with its answers (used to discard a result that lost
+  // the race to close its exam attempt)
+  async delete(resultId) {
+    try {
+      const { error: answersError } = await supabase
+        .from('user_answers')
+        .delete()
+        .eq('result_id', resultId);
+
+      if (answersError) throw answersError;
+
+      const { error } = await supabase
+        .from('user_test_results')
+        .delete()
+        .eq('result_id', resultId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting test result:', error);
+      throw error;
+    }
+  },
+
+  // Get every user's scores for a test (used to build score distributions)
+  async getScoresByTest(testId) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('user_test_results')
+          .select('user_id, score')
+          .eq('test_id', testId)
+          .order('result_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting scores by test ID:', error);
+      throw error;
+    }
+  },
+
   // Get average score for a test
   async getAverageScoreByTest(testId) {
     try {
@@ -0,0 +1,251 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// review_cards (card_id, user_id, question_id, course_id, ease_factor,
+//   interval_days, repetitions, lapses, due_at, last_reviewed_at, created_at)
+//   with a unique constraint on (user_id, question_id)
+// review_logs (log_id, user_id, question_id, course_id, source, quality,
+//   was_new, reviewed_at)
+// review_settings (user_id, course_id, new_cards_per_day, reviews_per_day)
+//   with a unique constraint on (user_id, course_id)
+const CARD_FIELDS =
+  'card_id, user_id, question_id, course_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at, created_at';
+
+const reviewCardModel = {
+  // Get the course of each question
+  async getQuestionCourses(questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select(
+          `
+          question_id,
+          tests (
+            course_id
+          )
+        `,
+        )
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+
+      return data.map((question) => ({
+        question_id: question.question_id,
+        course_id: question.tests?.course_id || null,
+      }));
+    } catch (error) {
+      console.error('Error getting question courses:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's cards for the given questions
+  async getCards(userId, questionIds) {
+    try {
+      const { data, error } = await supabase
+        .from('review_cards')
+        .select(CARD_FIELDS)
+        .eq('user_id', userId)
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting review cards:', error);
+      throw error;
+    }
+  },
+
+  // Insert or update cards after scheduling
+  async upsertCards(cards) {
+    try {
+      const { data, error } = await supabase
+        .from('review_cards')
+        .upsert(cards, { onConflict: 'user_id,question_id' })
+        .select(CARD_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving review cards:', error);
+      throw error;
+    }
+  },
+
+  // Get cards due before the given time, oldest due first
+  async getDueCards(userId, dueBefore, courseId = null) {
+    try {
+      let query = supabase
+        .from('review_cards')
+        .select(CARD_FIELDS)
+        .eq('user_id', userId)
+        .lte('due_at', dueBefore)
+        .order('due_at', { ascending: true });
+
+      if (courseId) {
+        query = query.eq('course_id', courseId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting due review cards:', error);
+      throw error;
+    }
+  },
+
+  // Get IDs of every question the user already has a card for in a course
+  async getCardQuestionIds(userId, courseId) {
+    try {
+      const data = await fetchAllRows(() =>
+        supabase
+          .from('review_cards')
+          .select('question_id')
+          .eq('user_id', userId)
+          .eq('course_id', courseId)
+          .order('question_id', { ascending: true }),
+      );
+      return data.map((row) => row.question_id);
+    } catch (error) {
+      console.error('Error getting review card question IDs:', error);
+      throw error;
+    }
+  },
+
+  // Get question IDs of a course (candidates for new cards)
+  async getCourseQuestionIds(courseId) {
+    try {
+      const data = await fetchAllRows(() =>
+        supabase
+          .from('test_questions')
+          .select('question_id, tests!inner(course_id)')
+          .eq('tests.course_id', courseId)
+          .eq('status', 'published')
+          .eq('tests.status', 'published')
+          .order('question_id', { ascending: true }),
+      );
+      return data.map((row) => row.question_id);
+    } catch (error) {
+      console.error('Error getting course question IDs:', error);
+      throw error;
+    }
+  },
+
+  // Get a question's answer key with its status and its test's course and
+  // status, so reviews can be limited to published questions
+  async getAnswerKey(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select(
+          'question_id, correct_answer, explanation, status, tests!inner(course_id, status)',
+        )
+        .eq('question_id', questionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting review answer key:', error);
+      throw error;
+    }
+  },
+
+  // Get questions for presentation (without the answer key)
+  async getQuestions(questionIds) {
+    try {
+      if (questionIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('test_questions')
+        .select('question_id, test_id, question_text, options')
+        .in('question_id', questionIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting review questions:', error);
+      throw error;
+    }
+  },
+
+  // Record review events
+  async addLogs(logs) {
+    try {
+      const { error } = await supabase.from('review_logs').insert(logs);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error saving review logs:', error);
+      throw error;
+    }
+  },
+
+  // Get today's review-session logs of a user (used for daily limits)
+  async getReviewLogsSince(userId, since) {
+    try {
+      const { data, error } = await supabase
+        .from('review_logs')
+        .select('question_id, course_id, was_new, reviewed_at')
+        .eq('user_id', userId)
+        .eq('source', 'review')
+        .gte('reviewed_at', since);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting review logs:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's daily limit settings
+  async getSettings(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('review_settings')
+        .select('user_id, course_id, new_cards_per_day, reviews_per_day')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting review settings:', error);
+      throw error;
+    }
+  },
+
+  // Save daily limits for a course
+  async upsertSettings(userId, courseId, newCardsPerDay, reviewsPerDay) {
+    try {
+      const { data, error } = await supabase
+        .from('review_settings')
+        .upsert(
+          {
+            user_id: userId,
+            course_id: courseId,
+            new_cards_per_day: newCardsPerDay,
+            reviews_per_day: reviewsPerDay,
+          },
+          { onConflict: 'user_id,course_id' },
+        )
+        .select('user_id, course_id, new_cards_per_day, reviews_per_day')
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving review settings:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = reviewCardModel;
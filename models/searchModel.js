@@ -0,0 +1,141 @@
+const db = require('../config/db');
+
+// Search runs in Postgres with the 'simple' text search configuration on
+// Turkish-folded text. Each content type contributes rows of the same shape:
+//   result_type, result_id, title, primary_text, secondary_text,
+//   course_id, topic_id, test_id, answered, rank, secondary_matched
+// Primary text is weighted A, secondary text (explanation, description,
+// note content) B.
+//
+// Every searched table has two stored generated columns, each with a GIN
+// index (create index ... using gin (search_document)):
+//   search_document tsvector generated always as (
+//     setweight(to_tsvector('simple', FOLD(primary)), 'A') ||
+//     setweight(to_tsvector('simple', FOLD(secondary)), 'B')) stored
+//   search_secondary tsvector generated always as (
+//     to_tsvector('simple', FOLD(secondary))) stored
+// where FOLD(col) is lower(translate(coalesce(col, ''),
+//   'ıİIşŞğĞçÇöÖüÜâÂîÎûÛ', 'iiissggccoouuaaiiuu')), the same folding as
+// searchService's TURKISH_FOLD. Primary and secondary columns:
+//   test_questions (question_text, explanation)
+//   topics (title, description)
+//   subtopics (title, description)
+//   coaching_notes (title, content)
+
+const searchModel = {
+  // Ranked search across content types. Returns { rows, total }.
+  async search({
+    tsQuery,
+    userId,
+    types,
+    courseId = null,
+    topicId = null,
+    answered,
+    limit = 20,
+    offset = 0,
+  }) {
+    const values = [tsQuery];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const selects = [];
+
+    if (types.includes('question')) {
+      const userParam = param(userId);
+      const filters = [
+        "q.search_document @@ to_tsquery('simple', $1)",
+        "q.status = 'published'",
+        "t.status = 'published'",
+      ];
+      if (courseId) filters.push(`t.course_id = ${param(courseId)}`);
+      if (topicId) filters.push(`t.topic_id = ${param(topicId)}`);
+      if (answered !== undefined) {
+        filters.push(
+          `${answered ? '' : 'NOT '}EXISTS (
+            SELECT 1 FROM user_question_history h
+            WHERE h.user_id = ${userParam} AND h.question_id = q.question_id
+          )`,
+        );
+      }
+
+      selects.push(`
+        SELECT 'question', q.question_id, t.title, q.question_text,
+               q.explanation, t.course_id, t.topic_id, t.test_id,
+               EXISTS (
+                 SELECT 1 FROM user_question_history h
+                 WHERE h.user_id = ${userParam} AND h.question_id = q.question_id
+               ),
+               q.search_document, q.search_secondary
+        FROM test_questions q
+        JOIN tests t ON t.test_id = q.test_id
+        WHERE ${filters.join(' AND ')}
+      `);
+    }
+
+    if (types.includes('topic')) {
+      const filters = ["tp.search_document @@ to_tsquery('simple', $1)"];
+      if (courseId) filters.push(`tp.course_id = ${param(courseId)}`);
+      if (topicId) filters.push(`tp.topic_id = ${param(topicId)}`);
+
+      selects.push(`
+        SELECT 'topic', tp.topic_id, tp.title, tp.title, tp.description,
+               tp.course_id, tp.topic_id, NULL::integer, NULL::boolean,
+               tp.search_document, tp.search_secondary
+        FROM topics tp
+        WHERE ${filters.join(' AND ')}
+      `);
+    }
+
+    if (types.includes('subtopic')) {
+      const filters = ["s.search_document @@ to_tsquery('simple', $1)"];
+      if (courseId) filters.push(`tp.course_id = ${param(courseId)}`);
+      if (topicId) filters.push(`s.topic_id = ${param(topicId)}`);
+
+      selects.push(`
+        SELECT 'subtopic', s.subtopic_id, s.title, s.title, s.description,
+               tp.course_id, s.topic_id, NULL::integer, NULL::boolean,
+               s.search_document, s.search_secondary
+        FROM subtopics s
+        JOIN topics tp ON tp.topic_id = s.topic_id
+        WHERE ${filters.join(' AND ')}
+      `);
+    }
+
+    if (types.includes('coaching_note')) {
+      selects.push(`
+        SELECT 'coaching_note', n.note_id, n.title, n.title, n.content,
+               NULL::integer, NULL::integer, NULL::integer, NULL::boolean,
+               n.search_document, n.search_secondary
+        FROM coaching_notes n
+        WHERE n.search_document @@ to_tsquery('simple', $1)
+          AND n.publish_date <= now()
+      `);
+    }
+
+    const query = `
+      WITH search AS (SELECT to_tsquery('simple', $1) AS query)
+      SELECT result_type, result_id, title, primary_text, secondary_text,
+             course_id, topic_id, test_id, answered,
+             ts_rank_cd(document, search.query, 1) AS rank,
+             secondary_document @@ search.query AS secondary_matched,
+             count(*) OVER () AS total
+      FROM (${selects.join(' UNION ALL ')}) AS documents (
+             result_type, result_id, title, primary_text, secondary_text,
+             course_id, topic_id, test_id, answered, document,
+             secondary_document
+           ), search
+      ORDER BY rank DESC, result_type, result_id
+      LIMIT ${param(limit)} OFFSET ${param(offset)}
+    `;
+
+    const result = await db.query(query, values);
+    return {
+      rows: result.rows,
+      total: result.rows.length > 0 ? Number(result.rows[0].total) : 0,
+    };
+  },
+};
+
+module.exports = searchModel;
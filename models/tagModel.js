@@ -0,0 +1,317 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// tags (tag_id, category, name, slug, description, created_at)
+//   unique (category, slug)
+// question_tags (question_id, tag_id, created_by, created_at)
+//   primary key (question_id, tag_id), both cascade on delete
+// category is 'concept', 'exam_year' (DUS year of a past question),
+// 'difficulty' or 'cognitive_level'.
+const TAG_FIELDS = 'tag_id, category, name, slug, description, created_at';
+const CATEGORIES = ['concept', 'exam_year', 'difficulty', 'cognitive_level'];
+const ID_CHUNK_SIZE = 200;
+
+const tagModel = {
+  CATEGORIES,
+
+  // Create a tag
+  async create(category, name, slug, description = null) {
+    try {
+      const { data, error } = await supabase
+        .from('tags')
+        .insert({ category, name, slug, description })
+        .select(TAG_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      throw error;
+    }
+  },
+
+  // Get all tags with their question counts, optionally of one category
+  async getAll(category = null) {
+    try {
+      let query = supabase
+        .from('tags')
+        .select(`${TAG_FIELDS}, question_tags(count)`)
+        .order('category', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (category) {
+        query = query.eq('category', category);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ question_tags, ...tag }) => ({
+        ...tag,
+        question_count: question_tags?.[0]?.count || 0,
+      }));
+    } catch (error) {
+      console.error('Error getting tags:', error);
+      throw error;
+    }
+  },
+
+  // Get tag by ID
+  async getById(tagId) {
+    try {
+      const { data, error } = await supabase
+        .from('tags')
+        .select(TAG_FIELDS)
+        .eq('tag_id', tagId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // No tag found
+        }
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting tag by ID:', error);
+      throw error;
+    }
+  },
+
+  // Get several tags by ID
+  async getByIds(tagIds) {
+    try {
+      const { data, error } = await supabase
+        .from('tags')
+        .select(TAG_FIELDS)
+        .in('tag_id', tagIds);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting tags by IDs:', error);
+      throw error;
+    }
+  },
+
+  // Update tag
+  async update(tagId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('tags')
+        .update(updates)
+        .eq('tag_id', tagId)
+        .select(TAG_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      throw error;
+    }
+  },
+
+  // Delete tag (its question assignments cascade)
+  async delete(tagId) {
+    try {
+      const { error } = await supabase
+        .from('tags')
+        .delete()
+        .eq('tag_id', tagId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      throw error;
+    }
+  },
+
+  // Tag every question with every tag; existing pairs are left alone.
+  // Returns the number of pairs requested.
+  async assign(questionIds, tagIds, userId) {
+    try {
+      const rows = [];
+      questionIds.forEach((questionId) => {
+        tagIds.forEach((tagId) => {
+          rows.push({
+            question_id: questionId,
+            tag_id: tagId,
+            created_by: userId,
+          });
+        });
+      });
+
+      const { error } = await supabase.from('question_tags').upsert(rows, {
+        onConflict: 'question_id,tag_id',
+        ignoreDuplicates: true,
+      });
+
+      if (error) throw error;
+      return rows.length;
+    } catch (error) {
+      console.error('Error assigning tags:', error);
+      throw error;
+    }
+  },
+
+  // Remove tags from questions. Returns the number of removed pairs.
+  async unassign(questionIds, tagIds) {
+    try {
+      const { data, error } = await supabase
+        .from('question_tags')
+        .delete()
+        .in('question_id', questionIds)
+        .in('tag_id', tagIds)
+        .select('question_id');
+
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      console.error('Error removing tags:', error);
+      throw error;
+    }
+  },
+
+  // Get the tags of a question
+  async getByQuestionId(questionId) {
+    try {
+      const { data, error } = await supabase
+        .from('question_tags')
+        .select(`tags (${TAG_FIELDS})`)
+        .eq('question_id', questionId);
+
+      if (error) throw error;
+      return data.map((row) => row.tags);
+    } catch (error) {
+      console.error('Error getting question tags:', error);
+      throw error;
+    }
+  },
+
+  // Get IDs of questions carrying all (match 'all') or any (match 'any')
+  // of the tags
+  async getQuestionIdsByTags(tagIds, match = 'all') {
+    try {
+      // Page past the API row limit so large tags aren't truncated
+      const data = await fetchAllRows(() =>
+        supabase
+          .from('question_tags')
+          .select('question_id, tag_id')
+          .in('tag_id', tagIds)
+          .order('question_id', { ascending: true })
+          .order('tag_id', { ascending: true }),
+      );
+
+      const tagCounts = new Map();
+      data.forEach((row) => {
+        tagCounts.set(
+          row.question_id,
+          (tagCounts.get(row.question_id) || 0) + 1,
+        );
+      });
+
+      const required = match === 'any' ? 1 : new Set(tagIds).size;
+      return [...tagCounts.entries()]
+        .filter(([, count]) => count >= required)
+        .map(([questionId]) => questionId);
+    } catch (error) {
+      console.error('Error getting question IDs by tags:', error);
+      throw error;
+    }
+  },
+
+  // Get the tag assignments of several questions (for per-tag stats).
+  // IDs are sent in chunks to keep request URLs short.
+  async getAssignments(questionIds, category = null) {
+    try {
+      const assignments = [];
+
+      for (let i = 0; i < questionIds.length; i += ID_CHUNK_SIZE) {
+        const chunk = questionIds.slice(i, i + ID_CHUNK_SIZE);
+        // A chunk of questions can carry more tags than one page holds
+        const data = await fetchAllRows(() => {
+          let query = supabase
+            .from('question_tags')
+            .select(`question_id, tags!inner (${TAG_FIELDS})`)
+            .in('question_id', chunk)
+            .order('question_id', { ascending: true })
+            .order('tag_id', { ascending: true });
+
+          if (category) {
+            query = query.eq('tags.category', category);
+          }
+          return query;
+        });
+
+        data.forEach((row) =>
+          assignments.push({ question_id: row.question_id, tag: row.tags }),
+        );
+      }
+
+      return assignments;
+    } catch (error) {
+      console.error('Error getting tag assignments:', error);
+      throw error;
+    }
+  },
+
+  // Published questions of a tag set (no answer key), optionally of a course
+  async getTaggedQuestions(questionIds, courseId = null) {
+    try {
+      const questions = [];
+
+      for (let i = 0; i < questionIds.length; i += ID_CHUNK_SIZE) {
+        let query = supabase
+          .from('test_questions')
+          .select(
+            `
+            question_id,
+            test_id,
+            question_text,
+            options,
+            tests!inner (
+              title,
+              course_id,
+              topic_id
+            )
+          `,
+          )
+          .in('question_id', questionIds.slice(i, i + ID_CHUNK_SIZE))
+          .eq('status', 'published')
+          .eq('tests.status', 'published');
+
+        if (courseId) {
+          query = query.eq('tests.course_id', courseId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        data.forEach(({ tests, ...question }) =>
+          questions.push({
+            ...question,
+            test_title: tests.title,
+            course_id: tests.course_id,
+            topic_id: tests.topic_id,
+          }),
+        );
+      }
+
+      return questions.sort((a, b) => a.question_id - b.question_id);
+    } catch (error) {
+      console.error('Error getting tagged questions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = tagModel;
@@ -2,6 +2,7 @@ const db = require('../config/db'); // Keeping for backward compatibility
 // Import Supabase client
 const { createClient } = require('@supabase/supabase-js');
 const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const questionAttachmentModel = require('./questionAttachmentModel');
 // Initialize Supabase client
 const supabase = createClient(supabaseUrl, supabaseKey);
 
@@ -14,6 +15,7 @@ const testModel = {
     topicId,
     difficultyLevel,
     timeLimit = 30,
+    requiresSession = false, // only gradable through a timed exam session
   ) {
     try {
       const { data, error } = await supabase
@@ -25,6 +27,9 @@ const testModel = {
           topic_id: topicId,
           difficulty_level: difficultyLevel,
           time_limit: timeLimit,
+          requires_session: requiresSession,
+          // New tests stay hidden from students until published
+          status: 'draft',
           // question_count will default to 0 as set in the database
         })
         .select('*')
@@ -38,12 +43,10 @@ const testModel = {
   },
 
   // Get all tests
-  async getAll() {
+  async getAll(publishedOnly = false) {
     try {
-      const { data, error } = await supabase
-        .from('tests')
-        .select(
-          `
+      let query = supabase.from('tests').select(
+        `
           *,
           courses (
             course_id,
@@ -56,8 +59,14 @@ const testModel = {
             description
           )
         `,
-        )
-        .order('created_at', { ascending: false });
+      );
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query.order('created_at', {
+        ascending: false,
+      });
       if (error) throw error;
       return data;
     } catch (error) {
@@ -67,9 +76,9 @@ const testModel = {
   },
 
   // Get tests by course ID
-  async getByCourseId(courseId) {
+  async getByCourseId(courseId, publishedOnly = false) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('tests')
         .select(
           `
@@ -86,8 +95,14 @@ const testModel = {
           )
         `,
         )
-        .eq('course_id', courseId)
-        .order('created_at', { ascending: false });
+        .eq('course_id', courseId);
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query.order('created_at', {
+        ascending: false,
+      });
       if (error) throw error;
       return data;
     } catch (error) {
@@ -97,9 +112,9 @@ const testModel = {
   },
 
   // Get tests by topic ID
-  async getByTopicId(topicId) {
+  async getByTopicId(topicId, publishedOnly = false) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('tests')
         .select(
           `
@@ -116,8 +131,14 @@ const testModel = {
           )
         `,
         )
-        .eq('topic_id', topicId)
-        .order('created_at', { ascending: false });
+        .eq('topic_id', topicId);
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query.order('created_at', {
+        ascending: false,
+      });
       if (error) throw error;
       return data;
     } catch (error) {
@@ -127,9 +148,9 @@ const testModel = {
   },
 
   // Get tests by course type
-  async getByCourseType(courseType) {
+  async getByCourseType(courseType, publishedOnly = false) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('tests')
         .select(
           `
@@ -146,8 +167,14 @@ const testModel = {
           )
         `,
         )
-        .eq('courses.course_type', courseType)
-        .order('created_at', { ascending: false });
+        .eq('courses.course_type', courseType);
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data, error } = await query.order('created_at', {
+        ascending: false,
+      });
       if (error) throw error;
       return data;
     } catch (error) {
@@ -195,6 +222,7 @@ const testModel = {
     topicId,
     difficultyLevel,
     timeLimit,
+    requiresSession,
   ) {
     try {
       // Create update object with only the fields that are provided
@@ -206,6 +234,8 @@ const testModel = {
       if (difficultyLevel !== undefined)
         updateData.difficulty_level = difficultyLevel;
       if (timeLimit !== undefined) updateData.time_limit = timeLimit;
+      if (requiresSession !== undefined)
+        updateData.requires_session = requiresSession;
 
       // Only proceed with update if there are fields to update
       if (Object.keys(updateData).length === 0) {
@@ -243,25 +273,36 @@ const testModel = {
   },
 
   // Get test with questions
-  async getWithQuestions(testId) {
+  // With publishedOnly, unpublished tests return null and only published
+  // questions are included
+  async getWithQuestions(testId, publishedOnly = false) {
     try {
       // First, get the test
       const test = await this.getById(testId);
       if (!test) return null;
+      if (publishedOnly && test.status !== 'published') return null;
 
       // Then get questions for this test
       // Note: options will be in format {"A": "answer1", "B": "answer2", ...}
       // and explanation field is now included
-      const { data: questions, error } = await supabase
+      let query = supabase
         .from('test_questions')
         .select(
           'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
         )
-        .eq('test_id', testId)
-        .order('question_id', { ascending: true });
+        .eq('test_id', testId);
+      if (publishedOnly) {
+        query = query.eq('status', 'published');
+      }
+
+      const { data: questions, error } = await query.order('question_id', {
+        ascending: true,
+      });
 
       if (error) throw error;
 
+      await questionAttachmentModel.attachToQuestions(questions || []);
+
       // Return combined object
       return {
         ...test,
@@ -355,6 +396,7 @@ const testModel = {
   },
 
   // Get questions for a test (lightweight version without full test data)
+  // Only published questions: this backs student test sessions and grading
   async getQuestions(testId) {
     try {
       const { data: questions, error } = await supabase
@@ -363,6 +405,7 @@ const testModel = {
           'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
         )
         .eq('test_id', testId)
+        .eq('status', 'published')
         .order('question_id', { ascending: true });
 
       if (error) throw error;
@@ -380,7 +423,8 @@ const testModel = {
       const { data: allQuestions, error: countError } = await supabase
         .from('test_questions')
         .select('question_id')
-        .eq('test_id', testId);
+        .eq('test_id', testId)
+        .eq('status', 'published');
 
       if (countError) throw countError;
 
@@ -400,6 +444,7 @@ const testModel = {
           'question_id, test_id, question_text, options, correct_answer, explanation, created_at',
         )
         .eq('test_id', testId)
+        .eq('status', 'published')
         .order('random()')
         .limit(limit);
 
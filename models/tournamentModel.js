@@ -0,0 +1,388 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// tournaments (tournament_id, name, course_id, format, status, created_by,
+//   max_players, swiss_rounds, question_count, round_hours, starts_at,
+//   current_round, winner_id, created_at, started_at, completed_at)
+// tournament_players (tournament_id, user_id, seed, points, wins, losses,
+//   draws, eliminated_in_round, final_rank, registered_at)
+//   unique (tournament_id, user_id)
+// tournament_matches (match_id, tournament_id, round, match_number,
+//   player1_id, player2_id, duel_id, winner_id, status, deadline_at,
+//   created_at, completed_at)
+//   unique (tournament_id, round, match_number)
+// format is 'single_elimination' or 'swiss'. status is 'registration',
+// 'running', 'completed' or 'cancelled'. A match is 'scheduled' until it is
+// 'completed', a 'bye' (player2_id null) or a 'walkover' (not played by the
+// deadline).
+// Function register_tournament_player(p_tournament_id integer,
+//   p_user_id integer) returns jsonb
+//   Registers a player in one transaction. It locks the tournament row
+//   (select ... for update), so concurrent registrations and the start are
+//   serialized, and inserts the player with zeroed points, wins, losses and
+//   draws only while the tournament is in registration and has fewer than
+//   max_players players. It returns { status: 'registered', player } on
+//   success, or { status: 'closed' }, { status: 'full' } or
+//   { status: 'already_registered' } without inserting anything.
+const TOURNAMENT_FIELDS =
+  'tournament_id, name, course_id, format, status, created_by, max_players, swiss_rounds, question_count, round_hours, starts_at, current_round, winner_id, created_at, started_at, completed_at';
+const PLAYER_FIELDS =
+  'tournament_id, user_id, seed, points, wins, losses, draws, eliminated_in_round, final_rank, registered_at';
+const MATCH_FIELDS =
+  'match_id, tournament_id, round, match_number, player1_id, player2_id, duel_id, winner_id, status, deadline_at, created_at, completed_at';
+
+const tournamentModel = {
+  // Create a tournament open for registration
+  async create(tournament) {
+    try {
+      const { data, error } = await supabase
+        .from('tournaments')
+        .insert({ ...tournament, status: 'registration', current_round: 0 })
+        .select(TOURNAMENT_FIELDS)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating tournament:', error);
+      throw error;
+    }
+  },
+
+  // Get a tournament with its course, creator and winner names
+  async getById(tournamentId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournaments')
+        .select(
+          `${TOURNAMENT_FIELDS}, course:courses(title), creator:users!tournaments_created_by_fkey(username), winner:users!tournaments_winner_id_fkey(username)`,
+        )
+        .eq('tournament_id', tournamentId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting tournament:', error);
+      throw error;
+    }
+  },
+
+  // List tournaments, soonest first, optionally by status and course
+  async list({ status = null, courseId = null, limit = 50 } = {}) {
+    try {
+      let query = supabase
+        .from('tournaments')
+        .select(`${TOURNAMENT_FIELDS}, course:courses(title)`)
+        .order('starts_at', { ascending: true, nullsFirst: false })
+        .limit(limit);
+
+      if (status) query = query.in('status', [].concat(status));
+      if (courseId) query = query.eq('course_id', courseId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error listing tournaments:', error);
+      throw error;
+    }
+  },
+
+  // Completed tournaments with their winners, latest first
+  async getHistory({ courseId = null, limit = 50 } = {}) {
+    try {
+      let query = supabase
+        .from('tournaments')
+        .select(
+          `${TOURNAMENT_FIELDS}, course:courses(title), winner:users!tournaments_winner_id_fkey(username)`,
+        )
+        .eq('status', 'completed')
+        .order('completed_at', { ascending: false })
+        .limit(limit);
+
+      if (courseId) query = query.eq('course_id', courseId);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting tournament history:', error);
+      throw error;
+    }
+  },
+
+  // Tournaments a user registered for with their record in each, latest
+  // first
+  async getByUser(userId, limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_players')
+        .select(
+          `${PLAYER_FIELDS}, tournament:tournaments(${TOURNAMENT_FIELDS}, course:courses(title))`,
+        )
+        .eq('user_id', userId)
+        .order('registered_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting user tournaments:', error);
+      throw error;
+    }
+  },
+
+  // Update a tournament only while it has the expected status and round,
+  // so concurrent requests can't both start or advance it. Returns null
+  // when it had changed.
+  async updateIf(tournamentId, expected, updates) {
+    try {
+      let query = supabase
+        .from('tournaments')
+        .update(updates)
+        .eq('tournament_id', tournamentId)
+        .eq('status', expected.status);
+
+      if (expected.round !== undefined) {
+        query = query.eq('current_round', expected.round);
+      }
+
+      const { data, error } = await query.select(TOURNAMENT_FIELDS);
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error updating tournament:', error);
+      throw error;
+    }
+  },
+
+  // Tournaments still open for registration whose start time has come
+  async getDueToStart(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('tournaments')
+        .select(TOURNAMENT_FIELDS)
+        .eq('status', 'registration')
+        .lte('starts_at', now.toISOString())
+        .limit(50);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting tournaments due to start:', error);
+      throw error;
+    }
+  },
+
+  // Running tournaments, oldest start first
+  async getRunning() {
+    try {
+      const { data, error } = await supabase
+        .from('tournaments')
+        .select(TOURNAMENT_FIELDS)
+        .eq('status', 'running')
+        .order('started_at', { ascending: true })
+        .limit(200);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting running tournaments:', error);
+      throw error;
+    }
+  },
+
+  // Get the registered players with their usernames, in seed order
+  async getPlayers(tournamentId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_players')
+        .select(`${PLAYER_FIELDS}, user:users(username)`)
+        .eq('tournament_id', tournamentId)
+        .order('seed', { ascending: true, nullsFirst: false })
+        .order('registered_at', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting tournament players:', error);
+      throw error;
+    }
+  },
+
+  async countPlayers(tournamentId) {
+    try {
+      const { count, error } = await supabase
+        .from('tournament_players')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('tournament_id', tournamentId);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting tournament players:', error);
+      throw error;
+    }
+  },
+
+  // Register a player within the tournament's player limit (see
+  // register_tournament_player above). Returns the function's result.
+  async addPlayer(tournamentId, userId) {
+    try {
+      const { data, error } = await supabase.rpc('register_tournament_player', {
+        p_tournament_id: tournamentId,
+        p_user_id: userId,
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error registering tournament player:', error);
+      throw error;
+    }
+  },
+
+  // Withdraw a player. Returns false when they weren't registered.
+  async removePlayer(tournamentId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_players')
+        .delete()
+        .eq('tournament_id', tournamentId)
+        .eq('user_id', userId)
+        .select('user_id');
+
+      if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      console.error('Error withdrawing tournament player:', error);
+      throw error;
+    }
+  },
+
+  // Write several players' records at once (seeds, scores, ranks)
+  async updatePlayers(tournamentId, players) {
+    try {
+      if (players.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('tournament_players')
+        .upsert(
+          players.map((player) => ({ ...player, tournament_id: tournamentId })),
+          { onConflict: 'tournament_id,user_id' },
+        )
+        .select(PLAYER_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error updating tournament players:', error);
+      throw error;
+    }
+  },
+
+  async createMatches(matches) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_matches')
+        .insert(matches)
+        .select(MATCH_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error creating tournament matches:', error);
+      throw error;
+    }
+  },
+
+  // Get every match of a tournament, by round and bracket position
+  async getMatches(tournamentId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_matches')
+        .select(MATCH_FIELDS)
+        .eq('tournament_id', tournamentId)
+        .order('round', { ascending: true })
+        .order('match_number', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting tournament matches:', error);
+      throw error;
+    }
+  },
+
+  async getMatchByDuelId(duelId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_matches')
+        .select(MATCH_FIELDS)
+        .eq('duel_id', duelId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error getting tournament match by duel:', error);
+      throw error;
+    }
+  },
+
+  // Record a match outcome unless it was already decided. Returns null
+  // when it was.
+  async completeMatch(matchId, status, winnerId) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_matches')
+        .update({
+          status,
+          winner_id: winnerId,
+          completed_at: new Date().toISOString(),
+        })
+        .eq('match_id', matchId)
+        .eq('status', 'scheduled')
+        .select(MATCH_FIELDS);
+
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error completing tournament match:', error);
+      throw error;
+    }
+  },
+
+  // Scheduled matches of running tournaments whose deadline has passed
+  async getOverdueMatches(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('tournament_matches')
+        .select(`${MATCH_FIELDS}, tournaments!inner(status)`)
+        .eq('status', 'scheduled')
+        .eq('tournaments.status', 'running')
+        .lte('deadline_at', now.toISOString())
+        .order('deadline_at', { ascending: true })
+        .limit(200);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error getting overdue tournament matches:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = tournamentModel;
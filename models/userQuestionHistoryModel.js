@@ -1,9 +1,44 @@
 const { createClient } = require('@supabase/supabase-js');
 const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const tagModel = require('./tagModel');
+const { fetchAllRows } = require('./utils/paging');
 
 // Initialize Supabase client
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Keeps .in() filters well under the URL length limit
+const ID_CHUNK_SIZE = 200;
+
+// Read the first limit rows of a query, or every row (paged past the API
+// row limit) when there is no limit
+const readRows = async (buildQuery, limit) => {
+  if (!limit) return fetchAllRows(buildQuery);
+
+  const { data, error } = await buildQuery().limit(limit);
+  if (error) throw error;
+  return data;
+};
+
+// Run a history query, restricted to questions carrying all of the given
+// tags. The question IDs are sent in chunks, so with tags the rows come
+// back chunk by chunk and callers must re-sort (and re-limit) them.
+// buildQuery must return a fresh, consistently ordered query.
+const fetchByTags = async (buildQuery, tagIds, limit = null) => {
+  if (!tagIds || tagIds.length === 0) {
+    return readRows(buildQuery, limit);
+  }
+
+  const questionIds = await tagModel.getQuestionIdsByTags(tagIds);
+  const rows = [];
+  for (let i = 0; i < questionIds.length; i += ID_CHUNK_SIZE) {
+    const chunk = questionIds.slice(i, i + ID_CHUNK_SIZE);
+    rows.push(...(await readRows(() => buildQuery().in('question_id', chunk), limit)));
+  }
+  return rows;
+};
+
+const byAnswerDate = (a, b) => new Date(a.answer_date) - new Date(b.answer_date);
+
 const userQuestionHistoryModel = {
   // Check if user has answered a specific question before
   async hasUserAnsweredQuestion(userId, questionId) {
@@ -104,15 +139,19 @@ const userQuestionHistoryModel = {
   },
 
   // Get user's question statistics for a specific course
-  async getUserCourseQuestionStats(userId, courseId) {
+  async getUserCourseQuestionStats(userId, courseId, tagIds = null) {
     try {
-      const { data, error } = await supabase
-        .from('user_question_history')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('course_id', courseId);
-
-      if (error) throw error;
+      const data = await fetchByTags(
+        () =>
+          supabase
+            .from('user_question_history')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('course_id', courseId)
+            .order('answer_date', { ascending: true })
+            .order('question_id', { ascending: true }),
+        tagIds
+      );
 
       // Calculate statistics
       const totalQuestions = data.length;
@@ -147,6 +186,7 @@ const userQuestionHistoryModel = {
       return {
         courseId,
         userId,
+        tagIds: tagIds || [],
         totalQuestions,
         correctAnswers,
         incorrectAnswers,
@@ -160,24 +200,23 @@ const userQuestionHistoryModel = {
   },
 
   // Get user's recent incorrect answers for review
-  async getUserIncorrectAnswers(userId, courseId = null, limit = 50) {
+  async getUserIncorrectAnswers(userId, courseId = null, limit = 50, tagIds = null) {
     try {
-      let query = supabase
-        .from('user_question_history')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('is_correct', false)
-        .order('answer_date', { ascending: false })
-        .limit(limit);
-
-      if (courseId) {
-        query = query.eq('course_id', courseId);
-      }
-
-      const { data, error } = await query;
+      const data = await fetchByTags(() => {
+        let query = supabase
+          .from('user_question_history')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('is_correct', false)
+          .order('answer_date', { ascending: false });
+
+        if (courseId) {
+          query = query.eq('course_id', courseId);
+        }
+        return query;
+      }, tagIds, limit);
 
-      if (error) throw error;
-      return data;
+      return data.sort((a, b) => byAnswerDate(b, a)).slice(0, limit);
     } catch (error) {
       console.error('Error getting user incorrect answers:', error);
       throw error;
@@ -185,28 +224,28 @@ const userQuestionHistoryModel = {
   },
 
   // Get user's question performance trends
-  async getUserQuestionTrends(userId, courseId = null, days = 30) {
+  async getUserQuestionTrends(userId, courseId = null, days = 30, tagIds = null) {
     try {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      let query = supabase
-        .from('user_question_history')
-        .select('*')
-        .eq('user_id', userId)
-        .gte('answer_date', startDate.toISOString())
-        .order('answer_date', { ascending: true });
-
-      if (courseId) {
-        query = query.eq('course_id', courseId);
-      }
-
-      const { data, error } = await query;
-
-      if (error) throw error;
+      const data = await fetchByTags(() => {
+        let query = supabase
+          .from('user_question_history')
+          .select('*')
+          .eq('user_id', userId)
+          .gte('answer_date', startDate.toISOString())
+          .order('answer_date', { ascending: true })
+          .order('question_id', { ascending: true });
+
+        if (courseId) {
+          query = query.eq('course_id', courseId);
+        }
+        return query;
+      }, tagIds);
 
       // Group by date
-      const trendsByDate = data.reduce((acc, question) => {
+      const trendsByDate = data.sort(byAnswerDate).reduce((acc, question) => {
         const date = question.answer_date.split('T')[0]; // Get date only
         if (!acc[date]) {
           acc[date] = {
@@ -233,22 +272,22 @@ const userQuestionHistoryModel = {
   },
 
   // Get questions that user should review (frequently missed)
-  async getQuestionsForReview(userId, courseId = null, limit = 20) {
+  async getQuestionsForReview(userId, courseId = null, limit = 20, tagIds = null) {
     try {
-      let query = supabase
-        .from('user_question_history')
-        .select('question_id, question_text, is_correct, answer_date')
-        .eq('user_id', userId)
-        .eq('is_correct', false)
-        .order('answer_date', { ascending: false });
-
-      if (courseId) {
-        query = query.eq('course_id', courseId);
-      }
-
-      const { data, error } = await query;
-
-      if (error) throw error;
+      const data = await fetchByTags(() => {
+        let query = supabase
+          .from('user_question_history')
+          .select('question_id, question_text, is_correct, answer_date')
+          .eq('user_id', userId)
+          .eq('is_correct', false)
+          .order('answer_date', { ascending: false })
+          .order('question_id', { ascending: true });
+
+        if (courseId) {
+          query = query.eq('course_id', courseId);
+        }
+        return query;
+      }, tagIds);
 
       // Group by question and find frequently missed ones
       const questionStats = data.reduce((acc, answer) => {
@@ -289,6 +328,63 @@ const userQuestionHistoryModel = {
       throw error;
     }
   },
+
+  // Get user's accuracy per tag (optionally one tag category, e.g. concept)
+  async getUserTagStats(userId, category = null, courseId = null) {
+    try {
+      // Every answer counts, so page past the API row limit
+      const data = await fetchAllRows(() => {
+        let query = supabase
+          .from('user_question_history')
+          .select('question_id, is_correct, answer_date')
+          .eq('user_id', userId)
+          .order('answer_date', { ascending: true })
+          .order('question_id', { ascending: true });
+
+        if (courseId) {
+          query = query.eq('course_id', courseId);
+        }
+        return query;
+      });
+
+      const questionIds = [...new Set(data.map(answer => answer.question_id))];
+      const assignments = await tagModel.getAssignments(questionIds, category);
+
+      const tagsByQuestion = new Map();
+      assignments.forEach(({ question_id, tag }) => {
+        if (!tagsByQuestion.has(question_id)) tagsByQuestion.set(question_id, []);
+        tagsByQuestion.get(question_id).push(tag);
+      });
+
+      const tagStats = {};
+      data.forEach(answer => {
+        (tagsByQuestion.get(answer.question_id) || []).forEach(tag => {
+          if (!tagStats[tag.tag_id]) {
+            tagStats[tag.tag_id] = {
+              tagId: tag.tag_id,
+              category: tag.category,
+              name: tag.name,
+              totalQuestions: 0,
+              correctAnswers: 0,
+              accuracy: 0,
+            };
+          }
+          tagStats[tag.tag_id].totalQuestions++;
+          if (answer.is_correct) tagStats[tag.tag_id].correctAnswers++;
+        });
+      });
+
+      return Object.values(tagStats)
+        .map(stat => ({
+          ...stat,
+          accuracy: Math.round((stat.correctAnswers / stat.totalQuestions) * 10000) / 100,
+        }))
+        .sort((a, b) => a.accuracy - b.accuracy);
+    } catch (error) {
+      console.error('Error getting user tag statistics:', error);
+      throw error;
+    }
+  },
 };
 
 module.exports = userQuestionHistoryModel;
@@ -0,0 +1,23 @@
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Read every row of a query, paging past the API row limit.
+// buildQuery must return a fresh, consistently ordered query.
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + PAGE_SIZE - 1,
+    );
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+};
+
+module.exports = {
+  PAGE_SIZE,
+  fetchAllRows,
+};
@@ -0,0 +1,226 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config/supabase');
+const { PAGE_SIZE, fetchAllRows } = require('./utils/paging');
+
+// Initialize Supabase client
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Tables:
+// weekly_competition_stats (week_start, course_id, user_id, duel_wins,
+//   questions_answered, study_seconds, score, created_at)
+//   unique nulls not distinct (week_start, course_id, user_id)
+// weekly_champions (champion_id, week_start, iso_week, course_id, user_id,
+//   score, duel_wins, questions_answered, study_seconds, created_at)
+//   unique nulls not distinct (week_start, course_id)
+// week_start is the Monday of the ISO week (Istanbul time) and iso_week its
+// label, e.g. '2026-W42'. course_id null is the overall competition.
+const STATS_FIELDS =
+  'week_start, course_id, user_id, duel_wins, questions_answered, study_seconds, score';
+const CHAMPION_FIELDS =
+  'champion_id, week_start, iso_week, course_id, user_id, score, duel_wins, questions_answered, study_seconds, created_at';
+
+const weeklyChampionModel = {
+  // Get the duel wins in a time range with the duel's course
+  async getDuelWins(start, end) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('duel_results')
+          .select('duel_id, winner_id, created_at, duels!inner(course_id)')
+          .not('winner_id', 'is', null)
+          .gte('created_at', start.toISOString())
+          .lt('created_at', end.toISOString())
+          .order('duel_id', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting weekly duel wins:', error);
+      throw error;
+    }
+  },
+
+  // Get the answered questions in a time range from the answer history
+  async getAnsweredQuestions(start, end) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('user_question_history')
+          .select('user_id, course_id, answer_date')
+          .gte('answer_date', start.toISOString())
+          .lt('answer_date', end.toISOString())
+          .order('answer_date', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting weekly answered questions:', error);
+      throw error;
+    }
+  },
+
+  // Get the completed course study sessions between two dates (inclusive)
+  async getStudySessions(firstDate, lastDate) {
+    try {
+      return await fetchAllRows(() =>
+        supabase
+          .from('user_course_study_sessions')
+          .select('user_id, course_id, session_date, study_duration_seconds')
+          .eq('session_status', 'completed')
+          .gte('session_date', firstDate)
+          .lte('session_date', lastDate)
+          .order('session_date', { ascending: true }),
+      );
+    } catch (error) {
+      console.error('Error getting weekly study sessions:', error);
+      throw error;
+    }
+  },
+
+  // Save a week's per-user totals
+  async saveStats(rows) {
+    try {
+      for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+        const { error } = await supabase
+          .from('weekly_competition_stats')
+          .upsert(rows.slice(i, i + PAGE_SIZE), {
+            onConflict: 'week_start,course_id,user_id',
+          });
+
+        if (error) throw error;
+      }
+      return rows.length;
+    } catch (error) {
+      console.error('Error saving weekly competition stats:', error);
+      throw error;
+    }
+  },
+
+  // Get a week's saved totals for one competition, best first
+  async getStats(weekStart, courseId = null, limit = 10) {
+    try {
+      let query = supabase
+        .from('weekly_competition_stats')
+        .select(`${STATS_FIELDS}, users(username)`)
+        .eq('week_start', weekStart)
+        .order('score', { ascending: false })
+        .limit(limit);
+
+      query = courseId
+        ? query.eq('course_id', courseId)
+        : query.is('course_id', null);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ users, ...row }) => ({
+        ...row,
+        username: users?.username,
+      }));
+    } catch (error) {
+      console.error('Error getting weekly competition stats:', error);
+      throw error;
+    }
+  },
+
+  // Record the champions of a week
+  async createChampions(champions) {
+    try {
+      if (champions.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('weekly_champions')
+        .insert(champions)
+        .select(CHAMPION_FIELDS);
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error saving weekly champions:', error);
+      throw error;
+    }
+  },
+
+  // Check whether a week has already been crowned
+  async isWeekCrowned(weekStart) {
+    try {
+      const { count, error } = await supabase
+        .from('weekly_champions')
+        .select('champion_id', { count: 'exact', head: true })
+        .eq('week_start', weekStart);
+
+      if (error) throw error;
+      return count > 0;
+    } catch (error) {
+      console.error('Error checking weekly champions:', error);
+      throw error;
+    }
+  },
+
+  // Get past champions, newest week first. courseId undefined returns every
+  // competition, null only the overall one.
+  async getChampions(courseId = undefined, limit = 20) {
+    try {
+      let query = supabase
+        .from('weekly_champions')
+        .select(`${CHAMPION_FIELDS}, users(username), courses(title)`)
+        .order('week_start', { ascending: false })
+        .limit(limit);
+
+      if (courseId === null) {
+        query = query.is('course_id', null);
+      } else if (courseId !== undefined) {
+        query = query.eq('course_id', courseId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(({ users, courses, ...champion }) => ({
+        ...champion,
+        username: users?.username,
+        course_title: courses?.title || null,
+      }));
+    } catch (error) {
+      console.error('Error getting weekly champions:', error);
+      throw error;
+    }
+  },
+
+  // Get a user's titles, newest first
+  async getByUser(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('weekly_champions')
+        .select(`${CHAMPION_FIELDS}, courses(title)`)
+        .eq('user_id', userId)
+        .order('week_start', { ascending: false });
+
+      if (error) throw error;
+
+      return data.map(({ courses, ...champion }) => ({
+        ...champion,
+        course_title: courses?.title || null,
+      }));
+    } catch (error) {
+      console.error('Error getting user weekly champion titles:', error);
+      throw error;
+    }
+  },
+
+  // Count a user's titles across all competitions
+  async countByUser(userId) {
+    try {
+      const { count, error } = await supabase
+        .from('weekly_champions')
+        .select('champion_id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      return count || 0;
+    } catch (error) {
+      console.error('Error counting weekly champion titles:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = weeklyChampionModel;
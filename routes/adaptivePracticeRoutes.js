@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const adaptivePracticeController = require('../controllers/adaptivePracticeController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Adaptive Practice
+ *   description: Practice sessions that adapt question difficulty to the student
+ */
+
+/**
+ * @swagger
+ * /api/adaptive-practice:
+ *   post:
+ *     summary: Start an adaptive practice session for a course
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - courseId
+ *             properties:
+ *               courseId:
+ *                 type: integer
+ *               maxQuestions:
+ *                 type: integer
+ *                 default: 20
+ *                 description: The session may end earlier once the ability estimate is precise enough
+ *     responses:
+ *       201:
+ *         description: Session started
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.post('/', authSupabase, adaptivePracticeController.start);
+
+/**
+ * @swagger
+ * /api/adaptive-practice/abilities:
+ *   get:
+ *     summary: Get the current user's ability estimate per course
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ability estimates on a logit scale (0 is average)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/abilities', authSupabase, adaptivePracticeController.getAbilities);
+
+/**
+ * @swagger
+ * /api/adaptive-practice/calibrate:
+ *   post:
+ *     summary: Recalibrate question difficulties from answer history
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Difficulties calibrated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/calibrate',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  adaptivePracticeController.calibrate,
+);
+
+/**
+ * @swagger
+ * /api/adaptive-practice/{id}/next:
+ *   get:
+ *     summary: Get the next question of the session
+ *     description: Returns the pending question if one was already served, so the call is safe to repeat.
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Next question, or the final ability estimate when no questions remain
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.get(
+  '/:id/next',
+  authSupabase,
+  adaptivePracticeController.getNextQuestion,
+);
+
+/**
+ * @swagger
+ * /api/adaptive-practice/{id}/answers:
+ *   post:
+ *     summary: Answer the pending question
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - userAnswer
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               userAnswer:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Correctness, explanation and updated ability estimate
+ *       400:
+ *         description: Invalid input or not the pending question
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.post(
+  '/:id/answers',
+  authSupabase,
+  adaptivePracticeController.submitAnswer,
+);
+
+/**
+ * @swagger
+ * /api/adaptive-practice/{id}/finish:
+ *   post:
+ *     summary: End the session and store the final ability estimate
+ *     tags: [Adaptive Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session completed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.post('/:id/finish', authSupabase, adaptivePracticeController.finish);
+
+module.exports = router;
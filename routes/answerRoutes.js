@@ -252,6 +252,8 @@ router.get('/result/:resultId', authSupabase, answerController.getByResultId);
  *                     properties:
  *                       answer_id:
  *                         type: integer
+ *                       question_id:
+ *                         type: integer
  *                       user_answer:
  *                         type: string
  *                       correct_answer:
@@ -269,6 +271,11 @@ router.get('/result/:resultId', authSupabase, answerController.getByResultId);
  *                       answered_at:
  *                         type: string
  *                         format: date-time
+ *                       bookmark:
+ *                         nullable: true
+ *                         description: The user's bookmark and note on the question, if any
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Bookmark'
  *                 count:
  *                   type: integer
  *       401:
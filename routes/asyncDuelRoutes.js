@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const asyncDuelController = require('../controllers/asyncDuelController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Async Duels
+ *   description: Turn-based duels played on each player's own time
+ */
+
+/**
+ * @swagger
+ * /api/async-duels:
+ *   post:
+ *     summary: Challenge a user to an async duel
+ *     description: The question set is frozen when the duel is created. The challenger can play straight away; the opponent accepts or declines through /api/duels/{id}/accept and /api/duels/{id}/decline before playing. A duel not accepted by the response deadline is discarded; otherwise both players must finish before it, after which unplayed questions count as unanswered.
+ *     tags: [Async Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - opponentId
+ *             properties:
+ *               opponentId:
+ *                 type: integer
+ *               courseId:
+ *                 type: integer
+ *                 description: Either courseId or testId is required
+ *               testId:
+ *                 type: integer
+ *               questionCount:
+ *                 type: integer
+ *                 default: 5
+ *               branchType:
+ *                 type: string
+ *               selectionType:
+ *                 type: string
+ *               branchId:
+ *                 type: integer
+ *               responseHours:
+ *                 type: integer
+ *                 minimum: 24
+ *                 maximum: 48
+ *                 default: 24
+ *                 description: Hours the players have to finish
+ *     responses:
+ *       201:
+ *         description: Async duel created and opponent invited; it stays pending until they accept
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Opponent, test or course not found
+ */
+router.post('/', authSupabase, asyncDuelController.challenge);
+
+/**
+ * @swagger
+ * /api/async-duels/active:
+ *   get:
+ *     summary: Get the current user's pending and running async duels
+ *     tags: [Async Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open async duels with each player's progress and whose turn it is
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/active', authSupabase, asyncDuelController.getActive);
+
+/**
+ * @swagger
+ * /api/async-duels/{id}:
+ *   get:
+ *     summary: Get the current user's view of an async duel
+ *     description: Includes the question being played while its clock runs, the opponent's progress (not their answers) and the result once completed.
+ *     tags: [Async Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duel ID
+ *     responses:
+ *       200:
+ *         description: Duel state
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Async duel not found
+ */
+router.get('/:id', authSupabase, asyncDuelController.getDuel);
+
+/**
+ * @swagger
+ * /api/async-duels/{id}/play:
+ *   post:
+ *     summary: Show the current question and start its clock
+ *     description: Returns the running question if it was already shown. A question left to run out of time counts as unanswered and the next one is shown.
+ *     tags: [Async Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duel ID
+ *     responses:
+ *       200:
+ *         description: Duel state with the current question
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Async duel not found
+ *       409:
+ *         description: Duel is no longer running or the opponent hasn't accepted it yet
+ */
+router.post('/:id/play', authSupabase, asyncDuelController.play);
+
+/**
+ * @swagger
+ * /api/async-duels/{id}/answers:
+ *   post:
+ *     summary: Answer the current question
+ *     description: Time taken is measured on the server from when the question was shown. An answer after the time limit counts as unanswered.
+ *     tags: [Async Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Duel ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionIndex
+ *               - selectedAnswer
+ *             properties:
+ *               questionIndex:
+ *                 type: integer
+ *               selectedAnswer:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Answer graded; includes the results when both players have finished
+ *       400:
+ *         description: Invalid input, not the current question, already answered or duel not accepted yet
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Async duel not found
+ *       409:
+ *         description: Duel is no longer running
+ */
+router.post('/:id/answers', authSupabase, asyncDuelController.submitAnswer);
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const express = require('express');
+const router = express.Router();
+const bookmarkController = require('../controllers/bookmarkController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookmarks
+ *   description: |
+ *     Personal question bookmarks with private notes, organized in folders,
+ *     and practice sessions built from them
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Bookmark:
+ *       type: object
+ *       properties:
+ *         bookmark_id:
+ *           type: integer
+ *         question_id:
+ *           type: integer
+ *         folder_id:
+ *           type: integer
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           enum: [test, duel, review, practice]
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/bookmarks:
+ *   get:
+ *     summary: Get the current user's bookmarks with their questions
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *         description: Folder ID, or "none" for unfiled bookmarks
+ *     responses:
+ *       200:
+ *         description: Bookmarks, newest first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Folder not found
+ *   post:
+ *     summary: Bookmark a question
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               folderId:
+ *                 type: integer
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *               source:
+ *                 type: string
+ *                 enum: [test, duel, review, practice]
+ *                 description: Where the question was bookmarked from
+ *     responses:
+ *       201:
+ *         description: Question bookmarked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 bookmark:
+ *                   $ref: '#/components/schemas/Bookmark'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Question or folder not found
+ *       409:
+ *         description: Question already bookmarked
+ */
+router.get('/', authSupabase, bookmarkController.getAll);
+router.post('/', authSupabase, bookmarkController.create);
+
+/**
+ * @swagger
+ * /api/bookmarks/folders:
+ *   get:
+ *     summary: Get the current user's bookmark folders with counts
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Folders ordered by name
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a bookmark folder
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       201:
+ *         description: Folder created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Folder name already used
+ */
+router.get('/folders', authSupabase, bookmarkController.getFolders);
+router.post('/folders', authSupabase, bookmarkController.createFolder);
+
+/**
+ * @swagger
+ * /api/bookmarks/folders/{id}:
+ *   put:
+ *     summary: Rename a bookmark folder
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Folder renamed
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the user's folder
+ *       404:
+ *         description: Folder not found
+ *       409:
+ *         description: Folder name already used
+ *   delete:
+ *     summary: Delete a bookmark folder
+ *     description: The folder's bookmarks are kept and become unfiled.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Folder deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the user's folder
+ *       404:
+ *         description: Folder not found
+ */
+router.put('/folders/:id', authSupabase, bookmarkController.renameFolder);
+router.delete('/folders/:id', authSupabase, bookmarkController.deleteFolder);
+
+/**
+ * @swagger
+ * /api/bookmarks/practice:
+ *   post:
+ *     summary: Start a practice session from bookmarked questions
+ *     description: Picks a random selection of the user's published bookmarked questions. Answers also update the review schedule.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 description: Folder ID, or "none" for unfiled bookmarks; all bookmarks when omitted
+ *               questionCount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 20
+ *     responses:
+ *       201:
+ *         description: Session started
+ *       400:
+ *         description: Invalid input or no bookmarked questions
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Folder not found
+ */
+router.post('/practice', authSupabase, bookmarkController.startPractice);
+
+/**
+ * @swagger
+ * /api/bookmarks/practice/{id}/next:
+ *   get:
+ *     summary: Get the next question of a bookmark practice session
+ *     description: Returns the first unanswered question with the student's note, so the call is safe to repeat.
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Next question, or the session summary when all are answered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.get(
+  '/practice/:id/next',
+  authSupabase,
+  bookmarkController.getNextPracticeQuestion,
+);
+
+/**
+ * @swagger
+ * /api/bookmarks/practice/{id}/answers:
+ *   post:
+ *     summary: Answer a question of a bookmark practice session
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - userAnswer
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               userAnswer:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Correctness and explanation; includes the summary after the last question
+ *       400:
+ *         description: Invalid input, question not in the session or already answered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.post(
+  '/practice/:id/answers',
+  authSupabase,
+  bookmarkController.submitPracticeAnswer,
+);
+
+/**
+ * @swagger
+ * /api/bookmarks/practice/{id}/finish:
+ *   post:
+ *     summary: End a bookmark practice session early
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session summary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.post(
+  '/practice/:id/finish',
+  authSupabase,
+  bookmarkController.finishPractice,
+);
+
+/**
+ * @swagger
+ * /api/bookmarks/question/{questionId}:
+ *   get:
+ *     summary: Get the current user's bookmark of a question
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Whether the question is bookmarked, with the bookmark
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/question/:questionId',
+  authSupabase,
+  bookmarkController.getByQuestion,
+);
+
+/**
+ * @swagger
+ * /api/bookmarks/{id}:
+ *   put:
+ *     summary: Move a bookmark to another folder or edit its note
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null moves the bookmark out of its folder
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Bookmark updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the user's bookmark or folder
+ *       404:
+ *         description: Bookmark or folder not found
+ *   delete:
+ *     summary: Remove a bookmark and its note
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bookmark removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the user's bookmark
+ *       404:
+ *         description: Bookmark not found
+ */
+router.put('/:id', authSupabase, bookmarkController.update);
+router.delete('/:id', authSupabase, bookmarkController.delete);
+
+module.exports = router;
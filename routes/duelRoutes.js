@@ -29,9 +29,17 @@ const { authSupabase } = require('../middleware/authSupabase');
  *         name: offset
  *         schema: { type: integer, default: 0 }
  *         description: The starting position for pagination.
+ *       - in: query
+ *         name: courseId
+ *         schema: { type: integer }
+ *         description: Rank by the course rating instead of the overall rating.
+ *       - in: query
+ *         name: includeProvisional
+ *         schema: { type: boolean, default: false }
+ *         description: Also list players with fewer than 10 rated duels or an unsettled rating.
  *     responses:
  *       200:
- *         description: The duel leaderboard
+ *         description: Players ordered by Glicko-2 rating, without bots
  */
 router.get('/leaderboard', authSupabase, duelController.getLeaderboard);
 
@@ -48,9 +56,15 @@ router.get('/leaderboard', authSupabase, duelController.getLeaderboard);
  *         name: limit
  *         schema: { type: integer, default: 5 }
  *         description: The number of recommendations to return.
+ *       - in: query
+ *         name: courseId
+ *         schema: { type: integer }
+ *         description: Match on the course rating instead of the overall rating.
  *     responses:
  *       200:
- *         description: A list of recommended opponents
+ *         description: |
+ *           Opponents ordered from the most even match by win probability,
+ *           followed by unrated players when there are too few rated ones
  */
 router.get(
   '/recommended-opponents',
@@ -58,6 +72,43 @@ router.get(
   duelController.getRecommendedOpponents,
 );
 
+/**
+ * @swagger
+ * /api/duels/ratings:
+ *   get:
+ *     summary: Get the current user's duel ratings
+ *     description: The overall rating (course_id null) and one rating per course played. Duels against bots are not rated.
+ *     tags: [Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ratings with deviation, volatility, record and provisional flag
+ */
+router.get('/ratings', authSupabase, duelController.getMyRatings);
+
+/**
+ * @swagger
+ * /api/duels/ratings/history:
+ *   get:
+ *     summary: Get the current user's rating changes
+ *     tags: [Duels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema: { type: integer }
+ *         description: Course rating to show; the overall rating when omitted.
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Rating changes per duel, newest first
+ */
+router.get('/ratings/history', authSupabase, duelController.getRatingHistory);
+
 /**
  * @swagger
  * /api/duels/pending:
@@ -192,6 +243,7 @@ router.get('/:id', authSupabase, duelController.getDuelDetails);
  * /api/duels/{id}/accept:
  *   post:
  *     summary: Accept a duel challenge
+ *     description: An async duel can only be accepted before its response deadline.
  *     tags: [Duels]
  *     security:
  *       - bearerAuth: []
@@ -213,6 +265,8 @@ router.get('/:id', authSupabase, duelController.getDuelDetails);
  *         description: Only the challenged user can accept
  *       404:
  *         description: Duel not found
+ *       409:
+ *         description: Async duel has expired
  */
 router.post('/:id/accept', authSupabase, duelController.acceptChallenge);
 
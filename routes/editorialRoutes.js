@@ -0,0 +1,390 @@
+const express = require('express');
+const router = express.Router();
+const editorialController = require('../controllers/editorialController');
+const { authSupabase } = require('../middleware/authSupabase');
+const {
+  authorizePermission,
+  authorizeAnyPermission,
+} = require('../middleware/authorize');
+
+// Writers (manage_questions), reviewers (review_content) and publishers
+// (publish_content) can be separate roles. Everyone in the workflow can read
+// and add review comments.
+const EDITORIAL_PERMISSIONS = [
+  'manage_questions',
+  'review_content',
+  'publish_content',
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Editorial
+ *   description: |
+ *     Draft → in review → approved → published workflow for tests and
+ *     questions. Students only see published items.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     EditorialContentType:
+ *       in: path
+ *       name: type
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [tests, questions]
+ *     EditorialContentId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *       description: Test or question ID
+ *   schemas:
+ *     EditorialTransition:
+ *       type: object
+ *       properties:
+ *         comment:
+ *           type: string
+ *           description: Review comment stored with the transition
+ */
+
+/**
+ * @swagger
+ * /api/editorial/{type}:
+ *   get:
+ *     summary: List tests or questions in an editorial status
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_review, approved, published]
+ *           default: in_review
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only items assigned to the current reviewer
+ *     responses:
+ *       200:
+ *         description: Items, longest waiting first
+ *       400:
+ *         description: Invalid type or status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/:type',
+  authSupabase,
+  authorizeAnyPermission(EDITORIAL_PERMISSIONS),
+  editorialController.getQueue,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/submit:
+ *   post:
+ *     summary: Submit a draft for review
+ *     description: Requires the manage_questions permission.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EditorialTransition'
+ *     responses:
+ *       200:
+ *         description: Item is now in review
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item is not a draft
+ */
+router.post(
+  '/:type/:id/submit',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  editorialController.submit,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/request-changes:
+ *   post:
+ *     summary: Send an item in review back to draft
+ *     description: Requires the review_content permission and a comment.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EditorialTransition'
+ *     responses:
+ *       200:
+ *         description: Item moved back to draft
+ *       400:
+ *         description: Comment missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item is not in review or approved
+ */
+router.post(
+  '/:type/:id/request-changes',
+  authSupabase,
+  authorizePermission('review_content'),
+  editorialController.requestChanges,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/approve:
+ *   post:
+ *     summary: Approve an item in review
+ *     description: |
+ *       Requires the review_content permission. If a reviewer is assigned,
+ *       only that reviewer (or an admin) can approve, and nobody can approve
+ *       an item they submitted themselves.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EditorialTransition'
+ *     responses:
+ *       200:
+ *         description: Item approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden or not the assigned reviewer
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item is not in review
+ */
+router.post(
+  '/:type/:id/approve',
+  authSupabase,
+  authorizePermission('review_content'),
+  editorialController.approve,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/publish:
+ *   post:
+ *     summary: Publish an approved item
+ *     description: Requires the publish_content permission.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EditorialTransition'
+ *     responses:
+ *       200:
+ *         description: Item published
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item is not approved
+ */
+router.post(
+  '/:type/:id/publish',
+  authSupabase,
+  authorizePermission('publish_content'),
+  editorialController.publish,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/unpublish:
+ *   post:
+ *     summary: Take a published item back to draft
+ *     description: Requires the publish_content permission and a comment.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EditorialTransition'
+ *     responses:
+ *       200:
+ *         description: Item moved back to draft
+ *       400:
+ *         description: Comment missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: Item is not published
+ */
+router.post(
+  '/:type/:id/unpublish',
+  authSupabase,
+  authorizePermission('publish_content'),
+  editorialController.unpublish,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/reviewer:
+ *   put:
+ *     summary: Assign a reviewer
+ *     description: Requires the assign_reviewers permission.
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reviewerId
+ *             properties:
+ *               reviewerId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User ID of the reviewer, or null to unassign
+ *     responses:
+ *       200:
+ *         description: Reviewer assigned
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item or reviewer not found
+ */
+router.put(
+  '/:type/:id/reviewer',
+  authSupabase,
+  authorizePermission('assign_reviewers'),
+  editorialController.assignReviewer,
+);
+
+/**
+ * @swagger
+ * /api/editorial/{type}/{id}/comments:
+ *   get:
+ *     summary: Get review comments and status history
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     responses:
+ *       200:
+ *         description: Editorial state and comments, oldest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ *   post:
+ *     summary: Add a review comment
+ *     tags: [Editorial]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EditorialContentType'
+ *       - $ref: '#/components/parameters/EditorialContentId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       400:
+ *         description: Comment missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Item not found
+ */
+router.get(
+  '/:type/:id/comments',
+  authSupabase,
+  authorizeAnyPermission(EDITORIAL_PERMISSIONS),
+  editorialController.getComments,
+);
+router.post(
+  '/:type/:id/comments',
+  authSupabase,
+  authorizeAnyPermission(EDITORIAL_PERMISSIONS),
+  editorialController.addComment,
+);
+
+module.exports = router;
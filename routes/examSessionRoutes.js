@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const examSessionController = require('../controllers/examSessionController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exam Sessions
+ *   description: Server-timed test attempts
+ */
+
+/**
+ * @swagger
+ * /api/exam-sessions:
+ *   post:
+ *     summary: Start a timed attempt for a test, or resume the running one
+ *     description: The deadline is taken from the test's time limit and the question order is frozen for the attempt. When the deadline passes the attempt is submitted automatically.
+ *     tags: [Exam Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - testId
+ *             properties:
+ *               testId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Existing attempt resumed
+ *       201:
+ *         description: Attempt started
+ *       400:
+ *         description: Invalid input or test has no questions
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Test not found
+ */
+router.post('/', authSupabase, examSessionController.start);
+
+/**
+ * @swagger
+ * /api/exam-sessions/active:
+ *   get:
+ *     summary: Get the current user's attempts that are still running
+ *     tags: [Exam Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of running attempts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/active', authSupabase, examSessionController.getActive);
+
+/**
+ * @swagger
+ * /api/exam-sessions/{id}:
+ *   get:
+ *     summary: Get attempt state with questions, saved answers and remaining time
+ *     tags: [Exam Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attempt ID
+ *     responses:
+ *       200:
+ *         description: Attempt state
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attempt not found
+ */
+router.get('/:id', authSupabase, examSessionController.getAttempt);
+
+/**
+ * @swagger
+ * /api/exam-sessions/{id}/answers:
+ *   put:
+ *     summary: Save the answer to a single question
+ *     tags: [Exam Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attempt ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - userAnswer
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               userAnswer:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Selected option key, or null to clear the answer
+ *     responses:
+ *       200:
+ *         description: Answer saved
+ *       400:
+ *         description: Invalid input or question not in this attempt
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attempt not found
+ *       409:
+ *         description: Deadline passed; the attempt was submitted automatically
+ */
+router.put('/:id/answers', authSupabase, examSessionController.saveAnswer);
+
+/**
+ * @swagger
+ * /api/exam-sessions/{id}/submit:
+ *   post:
+ *     summary: Submit the attempt and create the test result
+ *     tags: [Exam Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attempt ID
+ *     responses:
+ *       200:
+ *         description: Attempt submitted and graded
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attempt not found
+ *       409:
+ *         description: Attempt already submitted
+ */
+router.post('/:id/submit', authSupabase, examSessionController.submit);
+
+module.exports = router;
@@ -0,0 +1,531 @@
+const express = require('express');
+const router = express.Router();
+const flashcardController = require('../controllers/flashcardController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Flashcards
+ *   description: |
+ *     Flashcard decks per course or topic, generated from question
+ *     explanations and answer definitions, studied on the SM-2 schedule
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FlashcardDeck:
+ *       type: object
+ *       properties:
+ *         deck_id:
+ *           type: integer
+ *         course_id:
+ *           type: integer
+ *         topic_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for a deck covering the whole course
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         card_count:
+ *           type: integer
+ *     Flashcard:
+ *       type: object
+ *       properties:
+ *         flashcard_id:
+ *           type: integer
+ *         deck_id:
+ *           type: integer
+ *         front:
+ *           type: string
+ *         back:
+ *           type: string
+ *         source_question_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Question the card was made from
+ *         source_type:
+ *           type: string
+ *           enum: [manual, explanation, answer_definition]
+ */
+
+/**
+ * @swagger
+ * /api/flashcards:
+ *   get:
+ *     summary: Get flashcard decks
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Decks with card counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FlashcardDeck'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a flashcard deck
+ *     description: Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - courseId
+ *               - title
+ *             properties:
+ *               courseId:
+ *                 type: integer
+ *               topicId:
+ *                 type: integer
+ *                 description: Limit the deck to one topic of the course
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Deck created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course or topic not found
+ */
+router.get('/', authSupabase, flashcardController.getDecks);
+router.post(
+  '/',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.createDeck,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/cards/{cardId}:
+ *   put:
+ *     summary: Edit a card
+ *     description: |
+ *       An edited generated card becomes a manual card and is no longer
+ *       rewritten when its question changes. Requires the manage_questions
+ *       permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               front:
+ *                 type: string
+ *               back:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Card updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Card not found
+ *   delete:
+ *     summary: Delete a card
+ *     description: Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Card deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Card not found
+ */
+router.put(
+  '/cards/:cardId',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.updateCard,
+);
+router.delete(
+  '/cards/:cardId',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.deleteCard,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/sessions/{id}/grades:
+ *   post:
+ *     summary: Grade recall of a card in a study session
+ *     description: Reschedules the card for the current user with SM-2.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - flashcardId
+ *               - grade
+ *             properties:
+ *               flashcardId:
+ *                 type: integer
+ *               grade:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 5
+ *                 description: Recall grade; below 3 counts as a lapse
+ *     responses:
+ *       200:
+ *         description: Grade recorded with the card's next due date
+ *       400:
+ *         description: Invalid grade or card not in the session deck
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the session
+ *       404:
+ *         description: Study session not found
+ *       409:
+ *         description: Study session has already ended
+ */
+router.post(
+  '/sessions/:id/grades',
+  authSupabase,
+  flashcardController.gradeCard,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/sessions/{id}/finish:
+ *   post:
+ *     summary: End a study session
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session summary with review count, lapses and average grade
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of the session
+ *       404:
+ *         description: Study session not found
+ *       409:
+ *         description: Study session has already ended
+ */
+router.post(
+  '/sessions/:id/finish',
+  authSupabase,
+  flashcardController.finishSession,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/{id}:
+ *   get:
+ *     summary: Get a deck with its cards
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deck with cards
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Deck not found
+ *   put:
+ *     summary: Update a deck's title or description
+ *     description: Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deck updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Deck not found
+ *   delete:
+ *     summary: Delete a deck with its cards and study history
+ *     description: Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deck deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Deck not found
+ */
+router.get('/:id', authSupabase, flashcardController.getDeck);
+router.put(
+  '/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.updateDeck,
+);
+router.delete(
+  '/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.deleteDeck,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/{id}/generate:
+ *   post:
+ *     summary: Generate cards from the deck's questions
+ *     description: |
+ *       Creates a card for each published question of the deck's course or
+ *       topic that has an explanation or answer definition and no card yet.
+ *       Generated decks then pick up new and changed explanations
+ *       automatically. Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Counts of created, already present and skipped questions
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Deck not found
+ */
+router.post(
+  '/:id/generate',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.generateCards,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/{id}/cards:
+ *   post:
+ *     summary: Add a hand-written card to a deck
+ *     description: Requires the manage_questions permission.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - front
+ *               - back
+ *             properties:
+ *               front:
+ *                 type: string
+ *                 maxLength: 4000
+ *               back:
+ *                 type: string
+ *                 maxLength: 4000
+ *               sourceQuestionId:
+ *                 type: integer
+ *                 description: Question the card refers back to
+ *     responses:
+ *       201:
+ *         description: Card created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 card:
+ *                   $ref: '#/components/schemas/Flashcard'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Deck or question not found
+ */
+router.post(
+  '/:id/cards',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  flashcardController.createCard,
+);
+
+/**
+ * @swagger
+ * /api/flashcards/{id}/due:
+ *   get:
+ *     summary: Get today's cards of a deck for the current user
+ *     description: |
+ *       Cards due by the end of the review day, followed by unseen cards up
+ *       to the course's daily new-card limit from the review settings.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Due and new cards
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Deck not found
+ */
+router.get('/:id/due', authSupabase, flashcardController.getStudyQueue);
+
+/**
+ * @swagger
+ * /api/flashcards/{id}/sessions:
+ *   post:
+ *     summary: Start a study session on a deck
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Study session started
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Deck not found
+ */
+router.post('/:id/sessions', authSupabase, flashcardController.startSession);
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const mockExamController = require('../controllers/mockExamController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Mock Exams
+ *   description: Full DUS mock exams (deneme sınavı) with net scoring
+ */
+
+/**
+ * @swagger
+ * /api/mock-exams:
+ *   post:
+ *     summary: Build a new mock exam across courses
+ *     description: Questions are drawn from each course's tests. Without courseQuestionCounts the DUS split of 40 basic-science and 80 clinical-science questions is spread over all courses. Scoring follows DUS rules where four wrong answers cancel one correct.
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               courseQuestionCounts:
+ *                 type: object
+ *                 description: 'Question count per course in format {"courseId": count}'
+ *                 example:
+ *                   1: 10
+ *                   7: 15
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 150
+ *               tagIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Only use questions carrying all of these tags, e.g. the 2019 exam year tag with an endodontics course count
+ *     responses:
+ *       201:
+ *         description: Mock exam created
+ *       400:
+ *         description: Invalid input or no questions available
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.post('/', authSupabase, mockExamController.create);
+
+/**
+ * @swagger
+ * /api/mock-exams/results:
+ *   get:
+ *     summary: Get the current user's mock exam results with net breakdown
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of mock exam results
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/results', authSupabase, mockExamController.getUserResults);
+
+/**
+ * @swagger
+ * /api/mock-exams/distribution:
+ *   get:
+ *     summary: Get net percentage distribution across all mock exam takers
+ *     description: Mock exams can have different question counts, so takers are compared by total net as a percentage of the questions.
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Histogram and percentiles of each taker's best net percentage
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/distribution', authSupabase, mockExamController.getDistribution);
+
+/**
+ * @swagger
+ * /api/mock-exams/results/{resultId}/standing:
+ *   get:
+ *     summary: Get percentile rank and estimated rank of a mock exam result
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: resultId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Mock exam result ID
+ *     responses:
+ *       200:
+ *         description: Percentile, estimated rank among takers and net percentage histogram
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Result not found
+ */
+router.get(
+  '/results/:resultId/standing',
+  authSupabase,
+  mockExamController.getResultStanding,
+);
+
+/**
+ * @swagger
+ * /api/mock-exams/{id}:
+ *   get:
+ *     summary: Get a mock exam with saved answers, and its result once submitted
+ *     description: Questions are shown as they were when the mock exam was built, even if they were edited since.
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Mock exam ID
+ *     responses:
+ *       200:
+ *         description: Mock exam details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Mock exam not found
+ */
+router.get('/:id', authSupabase, mockExamController.getById);
+
+/**
+ * @swagger
+ * /api/mock-exams/{id}/answers:
+ *   put:
+ *     summary: Save the answer to a single mock exam question
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Mock exam ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - userAnswer
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               userAnswer:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Selected option key, or null to leave blank
+ *     responses:
+ *       200:
+ *         description: Answer saved
+ *       400:
+ *         description: Invalid input or question not in this mock exam
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mock exam not found
+ *       409:
+ *         description: Deadline passed; the mock exam was submitted automatically
+ */
+router.put('/:id/answers', authSupabase, mockExamController.saveAnswer);
+
+/**
+ * @swagger
+ * /api/mock-exams/{id}/submit:
+ *   post:
+ *     summary: Submit and score the mock exam
+ *     description: Answers are graded against the answer key the questions had when the mock exam was built.
+ *     tags: [Mock Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Mock exam ID
+ *     responses:
+ *       200:
+ *         description: Mock exam scored
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Mock exam not found
+ *       409:
+ *         description: Mock exam already submitted
+ */
+router.post('/:id/submit', authSupabase, mockExamController.submit);
+
+module.exports = router;
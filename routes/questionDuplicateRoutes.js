@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const questionDuplicateController = require('../controllers/questionDuplicateController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Question Duplicates
+ *   description: |
+ *     Near-duplicate detection across the question bank. Questions are
+ *     compared by MinHash signatures of their normalized text and option set.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DuplicateWarning:
+ *       type: object
+ *       properties:
+ *         questionId:
+ *           type: integer
+ *         testId:
+ *           type: integer
+ *         questionText:
+ *           type: string
+ *           description: Truncated question text
+ *         similarity:
+ *           type: number
+ *           description: Estimated similarity between 0 and 1
+ */
+
+/**
+ * @swagger
+ * /api/question-duplicates:
+ *   get:
+ *     summary: List clusters of near-duplicate questions across the bank
+ *     description: Largest clusters first. Requires the manage_questions permission.
+ *     tags: [Question Duplicates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Duplicate clusters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get(
+  '/',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionDuplicateController.getClusters,
+);
+
+/**
+ * @swagger
+ * /api/question-duplicates/reindex:
+ *   post:
+ *     summary: Rebuild the fingerprints of every question
+ *     description: Needed once for questions created before duplicate detection. Requires the manage_questions permission.
+ *     tags: [Question Duplicates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of questions indexed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/reindex',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionDuplicateController.reindex,
+);
+
+/**
+ * @swagger
+ * /api/question-duplicates/merge:
+ *   post:
+ *     summary: Merge duplicates into one question
+ *     description: |
+ *       Tags of the duplicates are copied to the kept question, and their
+ *       bookmarks, review cards and flashcards move to it. Duplicates are
+ *       moved back to draft and marked as merged rather than deleted, so
+ *       answer history is kept. The merge runs in one transaction. Requires
+ *       the manage_questions permission.
+ *     tags: [Question Duplicates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keepQuestionId
+ *               - duplicateQuestionIds
+ *             properties:
+ *               keepQuestionId:
+ *                 type: integer
+ *               duplicateQuestionIds:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Questions merged
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: A question was already merged
+ */
+router.post(
+  '/merge',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionDuplicateController.merge,
+);
+
+module.exports = router;
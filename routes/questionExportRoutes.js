@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const questionExportController = require('../controllers/questionExportController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Question Exports
+ *   description: Export questions as CSV, JSON or a printable HTML booklet
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     QuestionExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [csv, json, html]
+ *         default: json
+ *       description: |
+ *         csv and json use the same fields as the question import and can be
+ *         re-imported. html is an exam booklet with the answer key on a
+ *         separate page.
+ */
+
+/**
+ * @swagger
+ * /api/question-exports/tests/{id}:
+ *   get:
+ *     summary: Export the questions of a test
+ *     tags: [Question Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Test ID
+ *       - $ref: '#/components/parameters/QuestionExportFormat'
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Test not found
+ */
+router.get(
+  '/tests/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionExportController.exportTest,
+);
+
+/**
+ * @swagger
+ * /api/question-exports/topics/{id}:
+ *   get:
+ *     summary: Export the questions of every test in a topic
+ *     tags: [Question Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Topic ID
+ *       - $ref: '#/components/parameters/QuestionExportFormat'
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Topic not found
+ */
+router.get(
+  '/topics/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionExportController.exportTopic,
+);
+
+/**
+ * @swagger
+ * /api/question-exports/courses/{id}:
+ *   get:
+ *     summary: Export the questions of every test in a course
+ *     tags: [Question Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Course ID
+ *       - $ref: '#/components/parameters/QuestionExportFormat'
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Course not found
+ */
+router.get(
+  '/courses/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionExportController.exportCourse,
+);
+
+module.exports = router;
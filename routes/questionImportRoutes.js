@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const questionImportController = require('../controllers/questionImportController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Question Imports
+ *   description: Bulk question import from CSV or JSON files
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionImportUpload:
+ *       type: object
+ *       required:
+ *         - testId
+ *         - format
+ *         - content
+ *       properties:
+ *         testId:
+ *           type: integer
+ *           description: Test the questions are imported into
+ *         format:
+ *           type: string
+ *           enum: [csv, json]
+ *         content:
+ *           description: |
+ *             File contents. CSV files need a header row with question_text,
+ *             option_a to option_e, correct_answer and explanation columns
+ *             (comma or semicolon separated). JSON files contain an array of
+ *             { questionText, options: { A..E }, correctAnswer, explanation }.
+ *           oneOf:
+ *             - type: string
+ *             - type: array
+ *               items:
+ *                 type: object
+ *         fileName:
+ *           type: string
+ *           description: Original file name, kept in the import history
+ */
+
+/**
+ * @swagger
+ * /api/question-imports/validate:
+ *   post:
+ *     summary: Dry-run an import and get a per-row validation report
+ *     description: Rows that closely resemble a question in the bank or another row of the file carry non-blocking duplicate warnings.
+ *     tags: [Question Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionImportUpload'
+ *     responses:
+ *       200:
+ *         description: Validation report; nothing is written
+ *       400:
+ *         description: Invalid input or unreadable file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Test not found
+ */
+router.post(
+  '/validate',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionImportController.validate,
+);
+
+/**
+ * @swagger
+ * /api/question-imports:
+ *   post:
+ *     summary: Import all valid rows of a file
+ *     description: Invalid rows are skipped and listed in the report and the import history.
+ *     tags: [Question Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionImportUpload'
+ *     responses:
+ *       201:
+ *         description: Questions imported
+ *       400:
+ *         description: Invalid input or no valid rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Test not found
+ *   get:
+ *     summary: Get import history
+ *     tags: [Question Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: testId
+ *         schema:
+ *           type: integer
+ *         description: Only imports into this test
+ *     responses:
+ *       200:
+ *         description: Imports, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post(
+  '/',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionImportController.commit,
+);
+router.get(
+  '/',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionImportController.getHistory,
+);
+
+/**
+ * @swagger
+ * /api/question-imports/{id}:
+ *   get:
+ *     summary: Get an import with its skipped rows
+ *     tags: [Question Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: Import details
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Import not found
+ */
+router.get(
+  '/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionImportController.getById,
+);
+
+/**
+ * @swagger
+ * /api/question-imports/{id}/rollback:
+ *   post:
+ *     summary: Roll back an import by deleting the questions it created
+ *     tags: [Question Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: Import rolled back
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Import not found
+ *       409:
+ *         description: Already rolled back, or questions are already answered
+ */
+router.post(
+  '/:id/rollback',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionImportController.rollback,
+);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const questionController = require('../controllers/questionController');
+const questionRevisionController = require('../controllers/questionRevisionController');
+const questionAttachmentController = require('../controllers/questionAttachmentController');
 const { authSupabase } = require('../middleware/authSupabase');
 const { authorize, authorizePermission } = require('../middleware/authorize');
 
@@ -82,6 +84,11 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  *                     created_at:
  *                       type: string
  *                       format: date-time
+ *                     duplicate_warnings:
+ *                       type: array
+ *                       description: Near-duplicate questions already in the bank (the question is still created)
+ *                       items:
+ *                         $ref: '#/components/schemas/DuplicateWarning'
  *       400:
  *         description: Invalid input
  *       401:
@@ -140,7 +147,7 @@ router.post(
  *                       nullable: true
  *     responses:
  *       201:
- *         description: Questions created successfully
+ *         description: Questions created successfully. Each question carries duplicate_warnings for near-duplicates in the bank or the same batch.
  *       400:
  *         description: Invalid input
  *       401:
@@ -421,4 +428,341 @@ router.delete(
   questionController.delete,
 );
 
+/**
+ * @swagger
+ * /api/questions/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a question
+ *     description: Every edit is kept with its editor and timestamp. Answers point at the revision that was shown.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question not found
+ */
+router.get(
+  '/:id/revisions',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionRevisionController.getRevisions,
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a question
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number (defaults to the latest)
+ *     responses:
+ *       200:
+ *         description: Field and option changes with word-level diffs
+ *       400:
+ *         description: Invalid revision numbers
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question or revision not found
+ */
+router.get(
+  '/:id/revisions/diff',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionRevisionController.diff,
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/{revisionNumber}/restore:
+ *   post:
+ *     summary: Restore an old revision of a question
+ *     description: The restored content is saved as a new revision, so history is never rewritten.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *       - in: path
+ *         name: revisionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Question restored
+ *       400:
+ *         description: Invalid revision number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question or revision not found
+ */
+router.post(
+  '/:id/revisions/:revisionNumber/restore',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionRevisionController.restore,
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionAttachment:
+ *       type: object
+ *       properties:
+ *         attachmentId:
+ *           type: integer
+ *         url:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *           description: 320px wide WebP preview
+ *         mimeType:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         altText:
+ *           type: string
+ *     QuestionAttachments:
+ *       type: object
+ *       description: Attachments grouped by where they are shown
+ *       properties:
+ *         question:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuestionAttachment'
+ *         options:
+ *           type: object
+ *           description: Keyed by option letter (A-E)
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/QuestionAttachment'
+ *         explanation:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuestionAttachment'
+ */
+
+/**
+ * @swagger
+ * /api/questions/{id}/attachments:
+ *   get:
+ *     summary: Get the images attached to a question
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Attachments grouped by target
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuestionAttachments'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question not found
+ *   post:
+ *     summary: Attach an image to a question, an option or the explanation
+ *     description: |
+ *       Accepts JPEG, PNG, WebP and GIF up to 5 MB. The file type is checked
+ *       against the file content and a thumbnail is generated.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *               - target
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Base64 file content (a data URL is accepted)
+ *               mimeType:
+ *                 type: string
+ *                 description: Declared type, must match the content
+ *               target:
+ *                 type: string
+ *                 enum: [question, option, explanation]
+ *               optionKey:
+ *                 type: string
+ *                 enum: [A, B, C, D, E]
+ *                 description: Required when target is option
+ *               altText:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
+ *       400:
+ *         description: Invalid target or file
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Question not found
+ */
+router.get(
+  '/:id/attachments',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionAttachmentController.getAttachments,
+);
+router.post(
+  '/:id/attachments',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionAttachmentController.upload,
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/attachments/{attachmentId}:
+ *   put:
+ *     summary: Update the alt text of an attachment
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - altText
+ *             properties:
+ *               altText:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Attachment updated
+ *       400:
+ *         description: Alt text missing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attachment not found
+ *   delete:
+ *     summary: Delete an attachment and its files
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Attachment not found
+ */
+router.put(
+  '/:id/attachments/:attachmentId',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionAttachmentController.update,
+);
+router.delete(
+  '/:id/attachments/:attachmentId',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  questionAttachmentController.remove,
+);
+
 module.exports = router;
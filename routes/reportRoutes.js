@@ -243,6 +243,95 @@ router.get(
   reportController.checkUserReport,
 );
 
+/**
+ * @swagger
+ * /api/reports/question/{questionId}/item-analysis:
+ *   get:
+ *     summary: Get item statistics of a question (admin only)
+ *     description: |
+ *       Built from test attempt and duel answers: p-value (share answering
+ *       the current key), point-biserial discrimination against the rest of
+ *       each attempt, option distribution and average duel answer time.
+ *       Questions where a wrong option is picked more often than the keyed
+ *       answer are flagged, as the key may be wrong. Cached for 10 minutes.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Item analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 questionId:
+ *                   type: integer
+ *                 correctAnswer:
+ *                   type: string
+ *                 totalResponses:
+ *                   type: integer
+ *                 pValue:
+ *                   type: number
+ *                   nullable: true
+ *                 discrimination:
+ *                   type: number
+ *                   nullable: true
+ *                 blankCount:
+ *                   type: integer
+ *                 options:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       option:
+ *                         type: string
+ *                       isKey:
+ *                         type: boolean
+ *                       count:
+ *                         type: integer
+ *                       percentage:
+ *                         type: number
+ *                       meanRestScore:
+ *                         type: number
+ *                         nullable: true
+ *                       discrimination:
+ *                         type: number
+ *                         nullable: true
+ *                 averageAnswerTimeMs:
+ *                   type: integer
+ *                   nullable: true
+ *                 flags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [key_outpicked, negative_discrimination]
+ *                       message:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Question not found
+ */
+router.get(
+  '/question/:questionId/item-analysis',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  reportController.getQuestionItemAnalysis,
+);
+
 /**
  * @swagger
  * /api/reports/all:
@@ -305,7 +394,7 @@ router.get(
  *         description: Report ID
  *     responses:
  *       200:
- *         description: Report details
+ *         description: Report details. For admins it also includes item_analysis (see /api/reports/question/{questionId}/item-analysis).
  *       401:
  *         description: Unauthorized
  *       403:
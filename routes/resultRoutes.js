@@ -17,6 +17,7 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  * /api/results/submit:
  *   post:
  *     summary: Submit a test result with answers
+ *     description: Not available for tests that require an exam session (requires_session); those must be taken through /api/exam-sessions.
  *     tags: [Results]
  *     security:
  *       - bearerAuth: []
@@ -28,7 +29,6 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  *             type: object
  *             required:
  *               - testId
- *               - score
  *               - answers
  *             properties:
  *               testId:
@@ -36,6 +36,7 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  *               score:
  *                 type: number
  *                 format: float
+ *                 description: Ignored for grading; the score is computed on the server
  *               timeTaken:
  *                 type: integer
  *                 description: Time taken in seconds
@@ -46,23 +47,24 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  *                   required:
  *                     - questionId
  *                     - userAnswer
- *                     - isCorrect
  *                   properties:
  *                     questionId:
  *                       type: integer
  *                     userAnswer:
  *                       type: string
- *                     isCorrect:
- *                       type: boolean
+ *                       nullable: true
+ *                       description: Selected option key, or null if left blank
  *     responses:
  *       201:
  *         description: Test result submitted successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or answer to a question outside the test
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Test not found
+ *       409:
+ *         description: The test requires an exam session
  */
 router.post('/submit', authSupabase, resultController.submitTest);
 
@@ -82,6 +84,34 @@ router.post('/submit', authSupabase, resultController.submitTest);
  */
 router.get('/user', authSupabase, resultController.getUserResults);
 
+/**
+ * @swagger
+ * /api/results/{id}/standing:
+ *   get:
+ *     summary: Get percentile rank and estimated rank of a result
+ *     description: Compares the result with each taker's best score on the same test. Distributions are cached for a few minutes.
+ *     tags: [Results]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Result ID
+ *     responses:
+ *       200:
+ *         description: Percentile, estimated rank among takers and score histogram
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Result not found
+ */
+router.get('/:id/standing', authSupabase, resultController.getResultStanding);
+
 /**
  * @swagger
  * /api/results/{id}:
@@ -130,4 +160,26 @@ router.get('/:id', authSupabase, resultController.getResultDetails);
  */
 router.get('/stats/:testId', resultController.getTestStats);
 
+/**
+ * @swagger
+ * /api/results/stats/{testId}/distribution:
+ *   get:
+ *     summary: Get score distribution for a test
+ *     description: Histogram and percentiles over each taker's best score. Distributions are cached for a few minutes.
+ *     tags: [Results]
+ *     parameters:
+ *       - in: path
+ *         name: testId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Test ID
+ *     responses:
+ *       200:
+ *         description: Score distribution
+ *       404:
+ *         description: Test not found
+ */
+router.get('/stats/:testId/distribution', resultController.getTestDistribution);
+
 module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Spaced-repetition review queue (SM-2)
+ */
+
+/**
+ * @swagger
+ * /api/reviews/due:
+ *   get:
+ *     summary: Get today's review queue
+ *     description: |
+ *       Returns cards due by the end of today and, when a course is given,
+ *       new cards from that course. Both lists are capped by what remains of
+ *       the course's daily limits.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *         description: Restrict the queue to a course and include new cards
+ *     responses:
+ *       200:
+ *         description: Due reviews and new cards (without answers)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.get('/due', authSupabase, reviewController.getDue);
+
+/**
+ * @swagger
+ * /api/reviews/answer:
+ *   post:
+ *     summary: Answer a review card
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - questionId
+ *               - userAnswer
+ *             properties:
+ *               questionId:
+ *                 type: integer
+ *               userAnswer:
+ *                 type: string
+ *                 nullable: true
+ *               grade:
+ *                 type: integer
+ *                 minimum: 3
+ *                 maximum: 5
+ *                 description: How easy a correct answer felt (3 hard, 4 good, 5 easy). Ignored for wrong answers.
+ *     responses:
+ *       200:
+ *         description: Correctness, explanation and the next due date
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Question not found, not published, or neither due nor available as a new card today
+ */
+router.post('/answer', authSupabase, reviewController.answer);
+
+/**
+ * @swagger
+ * /api/reviews/settings:
+ *   get:
+ *     summary: Get daily review limits per course
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Default limits and per-course overrides
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Set daily review limits for a course
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - courseId
+ *               - newCardsPerDay
+ *               - reviewsPerDay
+ *             properties:
+ *               courseId:
+ *                 type: integer
+ *               newCardsPerDay:
+ *                 type: integer
+ *               reviewsPerDay:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.get('/settings', authSupabase, reviewController.getSettings);
+router.put('/settings', authSupabase, reviewController.updateSettings);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Turkish-aware full-text search across study content
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search questions, explanations, topics, subtopics and coaching notes
+ *     description: |
+ *       Matching ignores case and Turkish letters (ı/i, ş/s, ğ/g, ç/c, ö/o,
+ *       ü/u), and every term matches the start of a word, so "periodontal
+ *       ligament" also finds "periodontal ligamentin". Results are ranked,
+ *       with matches in question text and titles above matches in
+ *       explanations and descriptions. Snippets are HTML-escaped with
+ *       matches wrapped in <mark>. Only published questions and coaching notes
+ *       whose publish date has come are searched.
+ *     tags: [Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated subset of question, topic, subtopic, coaching_note
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: answered
+ *         schema:
+ *           type: boolean
+ *         description: Only questions the user has (or has not) answered
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Ranked results with highlighted snippets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 searchTerm:
+ *                   type: string
+ *                 terms:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Normalized search terms
+ *                 totalResults:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [question, topic, subtopic, coaching_note]
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                         description: Test title for questions
+ *                       courseId:
+ *                         type: integer
+ *                       topicId:
+ *                         type: integer
+ *                       testId:
+ *                         type: integer
+ *                       answered:
+ *                         type: boolean
+ *                         description: Questions only
+ *                       rank:
+ *                         type: number
+ *                       snippet:
+ *                         type: string
+ *                       secondarySnippet:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Explanation or description, when it matched
+ *       400:
+ *         description: Invalid search parameters
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authSupabase, searchController.search);
+
+module.exports = router;
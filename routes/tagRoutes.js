@@ -0,0 +1,320 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { authSupabase } = require('../middleware/authSupabase');
+const { authorizePermission } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: |
+ *     Question taxonomy beyond test membership: concept tags, DUS exam year,
+ *     difficulty label and cognitive level
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         tag_id:
+ *           type: integer
+ *         category:
+ *           type: string
+ *           enum: [concept, exam_year, difficulty, cognitive_level]
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         description:
+ *           type: string
+ *         question_count:
+ *           type: integer
+ *     BulkTagAssignment:
+ *       type: object
+ *       required:
+ *         - questionIds
+ *         - tagIds
+ *       properties:
+ *         questionIds:
+ *           type: array
+ *           maxItems: 500
+ *           items:
+ *             type: integer
+ *         tagIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get all tags with question counts
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [concept, exam_year, difficulty, cognitive_level]
+ *     responses:
+ *       200:
+ *         description: Tags ordered by category and name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid category
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a tag
+ *     description: Exam year tags must be a four-digit year. Requires the manage_questions permission.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - name
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [concept, exam_year, difficulty, cognitive_level]
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Tag already exists in the category
+ */
+router.get('/', authSupabase, tagController.getAll);
+router.post(
+  '/',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  tagController.create,
+);
+
+/**
+ * @swagger
+ * /api/tags/questions:
+ *   get:
+ *     summary: Get the published questions carrying a set of tags
+ *     description: Builds sets such as "all 2019 DUS endodontics questions". The answer key is not included.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tagIds
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *           default: all
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching questions
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/questions', authSupabase, tagController.getQuestions);
+
+/**
+ * @swagger
+ * /api/tags/assign:
+ *   post:
+ *     summary: Add tags to questions in bulk
+ *     description: Existing assignments are kept. Requires the manage_questions permission.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkTagAssignment'
+ *     responses:
+ *       200:
+ *         description: Tags assigned
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tag or question not found
+ */
+router.post(
+  '/assign',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  tagController.assign,
+);
+
+/**
+ * @swagger
+ * /api/tags/unassign:
+ *   post:
+ *     summary: Remove tags from questions in bulk
+ *     description: Requires the manage_questions permission.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkTagAssignment'
+ *     responses:
+ *       200:
+ *         description: Tags removed
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tag not found
+ */
+router.post(
+  '/unassign',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  tagController.unassign,
+);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   get:
+ *     summary: Get a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag details
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ *   put:
+ *     summary: Rename a tag or change its description
+ *     description: The category can't be changed. Requires the manage_questions permission.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Tag already exists in the category
+ *   delete:
+ *     summary: Delete a tag and remove it from all questions
+ *     description: Requires the manage_questions permission.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tag not found
+ */
+router.get('/:id', authSupabase, tagController.getById);
+router.put(
+  '/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  tagController.update,
+);
+router.delete(
+  '/:id',
+  authSupabase,
+  authorizePermission('manage_questions'),
+  tagController.delete,
+);
+
+module.exports = router;
@@ -52,6 +52,10 @@ const { authorize, authorizePermission } = require('../middleware/authorize');
  *                 minimum: 1
  *                 maximum: 180
  *                 description: Time limit in minutes (default 30)
+ *               requiresSession:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only accept results through a server-timed exam session (/api/exam-sessions)
  *     responses:
  *       201:
  *         description: Test created successfully
@@ -369,6 +373,9 @@ router.get(
  *                 minimum: 1
  *                 maximum: 180
  *                 description: Time limit in minutes
+ *               requiresSession:
+ *                 type: boolean
+ *                 description: Only accept results through a server-timed exam session (/api/exam-sessions)
  *     responses:
  *       200:
  *         description: Test updated successfully
@@ -0,0 +1,332 @@
+const express = require('express');
+const router = express.Router();
+const tournamentController = require('../controllers/tournamentController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tournaments
+ *   description: Single-elimination and Swiss duel tournaments
+ */
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   get:
+ *     summary: List tournaments open for registration or running
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [registration, running, completed, cancelled]
+ *         description: Only tournaments with this status
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of tournaments
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authSupabase, tournamentController.list);
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   post:
+ *     summary: Create a tournament for a course
+ *     description: Players register until the tournament is started by its organizer or its start time comes. Each round's matches are sent as normal duel challenges; matches not played within roundHours are walkovers, won by the player who accepted or played the duel.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - courseId
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Periodontoloji Kupası
+ *               courseId:
+ *                 type: integer
+ *               format:
+ *                 type: string
+ *                 enum: [single_elimination, swiss]
+ *                 default: single_elimination
+ *               maxPlayers:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 128
+ *                 default: 32
+ *               swissRounds:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 description: Swiss only; defaults to log2 of the player count
+ *               questionCount:
+ *                 type: integer
+ *                 minimum: 3
+ *                 maximum: 20
+ *                 default: 5
+ *               roundHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 72
+ *                 default: 24
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start automatically at this time
+ *     responses:
+ *       201:
+ *         description: Tournament created
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Course not found
+ */
+router.post('/', authSupabase, tournamentController.create);
+
+/**
+ * @swagger
+ * /api/tournaments/history:
+ *   get:
+ *     summary: Get completed tournaments with their winners
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Completed tournaments, latest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/history', authSupabase, tournamentController.getHistory);
+
+/**
+ * @swagger
+ * /api/tournaments/me:
+ *   get:
+ *     summary: Get the current user's tournaments with their record and final rank
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's tournament entries, latest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authSupabase, tournamentController.getMyTournaments);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}:
+ *   get:
+ *     summary: Get a tournament with its registered players
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Tournament details
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:id', authSupabase, tournamentController.getTournament);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/standings:
+ *   get:
+ *     summary: Get tournament standings
+ *     description: Swiss standings are ordered by points, then Buchholz. Bracket standings are ordered by the round each player was knocked out in.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Standings
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:id/standings', authSupabase, tournamentController.getStandings);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/rounds:
+ *   get:
+ *     summary: Get the bracket or Swiss pairings by round
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Matches grouped by round with their duels
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ */
+router.get('/:id/rounds', authSupabase, tournamentController.getRounds);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/registration:
+ *   post:
+ *     summary: Register for a tournament
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       201:
+ *         description: Registered
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       409:
+ *         description: Registration closed, tournament full or already registered
+ */
+router.post('/:id/registration', authSupabase, tournamentController.register);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/registration:
+ *   delete:
+ *     summary: Withdraw from a tournament before it starts
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Withdrawn
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       409:
+ *         description: Tournament already started or not registered
+ */
+router.delete('/:id/registration', authSupabase, tournamentController.withdraw);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/start:
+ *   post:
+ *     summary: Start a tournament now (organizer or admin)
+ *     description: Seeds the players by course duel rating and schedules the first round.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Tournament started
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tournament not found
+ *       409:
+ *         description: Already started or not enough players
+ */
+router.post('/:id/start', authSupabase, tournamentController.start);
+
+/**
+ * @swagger
+ * /api/tournaments/{id}/cancel:
+ *   post:
+ *     summary: Cancel a tournament (organizer or admin)
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Tournament ID
+ *     responses:
+ *       200:
+ *         description: Tournament cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Tournament not found
+ *       409:
+ *         description: Tournament already ended
+ */
+router.post('/:id/cancel', authSupabase, tournamentController.cancel);
+
+module.exports = router;
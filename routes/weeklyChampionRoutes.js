@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const weeklyChampionController = require('../controllers/weeklyChampionController');
+const { authSupabase } = require('../middleware/authSupabase');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Weekly Champions
+ *   description: |
+ *     Weekly competitions per course and overall. Each ISO week (Monday to
+ *     Sunday, Istanbul time) users score 20 points per duel win, 2 per
+ *     question answered and 1 per minute studied; the top scorer of each
+ *     competition is crowned on Monday.
+ */
+
+/**
+ * @swagger
+ * /api/weekly-champions/current:
+ *   get:
+ *     summary: Get the standings of the current week
+ *     tags: [Weekly Champions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *         description: Course competition; the overall competition when omitted
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Week label, end time and ranked totals
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/current', authSupabase, weeklyChampionController.getStandings);
+
+/**
+ * @swagger
+ * /api/weekly-champions/me:
+ *   get:
+ *     summary: Get the current user's weekly champion titles
+ *     tags: [Weekly Champions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Title count and titles, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', authSupabase, weeklyChampionController.getMyTitles);
+
+/**
+ * @swagger
+ * /api/weekly-champions:
+ *   get:
+ *     summary: Get past weekly champions
+ *     tags: [Weekly Champions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *         description: Only this course's competition
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [overall]
+ *         description: Only the overall competition
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Champions, newest week first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authSupabase, weeklyChampionController.getChampions);
+
+module.exports = router;
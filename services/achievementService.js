@@ -1,6 +1,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const { supabaseUrl, supabaseKey } = require('../config/supabase');
 const achievementModel = require('../models/achievementModel');
+const weeklyChampionModel = require('../models/weeklyChampionModel');
 // REMOVED: NotificationHelpers import to fix circular dependency
 // const NotificationHelpers = require('./notificationHelpers');
 
@@ -180,7 +181,7 @@ class AchievementService {
         0,
       );
 
-      // Check for weekly champion status (if implemented)
+      // Check for weekly champion status
       const weeklyChampionCount = await this.getWeeklyChampionCount(userId);
 
       const stats = {
@@ -293,13 +294,10 @@ class AchievementService {
     }
   }
 
-  // Get weekly champion count (placeholder - implement based on your weekly champion logic)
+  // Get weekly champion count (titles won in any course or overall)
   async getWeeklyChampionCount(userId) {
     try {
-      // TODO: Implement weekly champion tracking based on course study performance
-      // This would require a separate table/system to track weekly champions
-      // For now, return 0 until you implement weekly champion functionality
-      return 0;
+      return await weeklyChampionModel.countByUser(userId);
     } catch (error) {
       console.error('Error getting weekly champion count:', error);
       return 0;
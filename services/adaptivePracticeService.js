@@ -0,0 +1,313 @@
+const adaptivePracticeModel = require('../models/adaptivePracticeModel');
+
+// Rasch (one-parameter IRT) model: P(correct) = 1 / (1 + e^-(ability - difficulty))
+// Abilities and difficulties share the same logit scale.
+const MIN_LOGIT = -4;
+const MAX_LOGIT = 4;
+const GRID_STEP = 0.1;
+const PRIOR_SD = 1;
+const DEFAULT_MAX_QUESTIONS = 20;
+const MIN_QUESTIONS = 5;
+// Stop early once the ability estimate is this precise
+const TARGET_STANDARD_ERROR = 0.3;
+// Pick randomly among the closest matches so sessions don't repeat exactly
+const SELECTION_POOL_SIZE = 5;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const ABILITY_GRID = [];
+for (let t = MIN_LOGIT; t <= MAX_LOGIT + 1e-9; t += GRID_STEP) {
+  ABILITY_GRID.push(round3(t));
+}
+
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined
+    ? null
+    : String(answer).trim().toUpperCase();
+
+const adaptivePracticeService = {
+  probabilityCorrect(ability, difficulty) {
+    return 1 / (1 + Math.exp(-(ability - difficulty)));
+  },
+
+  // Difficulty from the observed correct rate, with a +1/+2 prior so
+  // questions with few answers stay close to average difficulty
+  estimateDifficulty(correctCount, attemptCount) {
+    const p = (correctCount + 1) / (attemptCount + 2);
+    return round3(clamp(Math.log((1 - p) / p), MIN_LOGIT, MAX_LOGIT));
+  },
+
+  // Expected a posteriori ability estimate over a grid, with a normal prior
+  // centred on the user's previous ability for the course.
+  // responses: [{ difficulty, isCorrect }]
+  estimateAbility(responses, priorMean = 0) {
+    const weights = ABILITY_GRID.map((theta) => {
+      let logWeight = -((theta - priorMean) ** 2) / (2 * PRIOR_SD ** 2);
+      responses.forEach(({ difficulty, isCorrect }) => {
+        const p = this.probabilityCorrect(theta, difficulty);
+        logWeight += Math.log(isCorrect ? p : 1 - p);
+      });
+      return logWeight;
+    });
+
+    // Normalize in log space to avoid underflow
+    const maxLog = Math.max(...weights);
+    const posterior = weights.map((w) => Math.exp(w - maxLog));
+    const total = posterior.reduce((sum, w) => sum + w, 0);
+
+    let mean = 0;
+    ABILITY_GRID.forEach((theta, i) => {
+      mean += (theta * posterior[i]) / total;
+    });
+    let variance = 0;
+    ABILITY_GRID.forEach((theta, i) => {
+      variance += ((theta - mean) ** 2 * posterior[i]) / total;
+    });
+
+    return {
+      ability: round3(mean),
+      standardError: round3(Math.sqrt(variance)),
+    };
+  },
+
+  // The most informative Rasch item is the one whose difficulty is closest
+  // to the current ability
+  selectNextQuestion(candidates, ability) {
+    if (candidates.length === 0) return null;
+
+    const ranked = candidates
+      .map((q) => ({ ...q, distance: Math.abs((q.difficulty ?? 0) - ability) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, SELECTION_POOL_SIZE);
+
+    return ranked[Math.floor(Math.random() * ranked.length)];
+  },
+
+  shouldStop(answerCount, maxQuestions, standardError) {
+    if (answerCount >= maxQuestions) return true;
+    return (
+      answerCount >= MIN_QUESTIONS && standardError <= TARGET_STANDARD_ERROR
+    );
+  },
+
+  // Recalibrate question difficulties from user_question_history
+  async calibrateDifficulties() {
+    try {
+      const stats = await adaptivePracticeModel.getQuestionAnswerStats();
+
+      const calibratedAt = new Date().toISOString();
+      const difficulties = stats
+        .filter((row) => row.attempt_count > 0)
+        .map((row) => ({
+          question_id: row.question_id,
+          difficulty: this.estimateDifficulty(
+            row.correct_count,
+            row.attempt_count,
+          ),
+          attempt_count: row.attempt_count,
+          correct_rate: round3(row.correct_count / row.attempt_count),
+          calibrated_at: calibratedAt,
+        }));
+
+      await adaptivePracticeModel.upsertDifficulties(difficulties);
+
+      return {
+        calibratedQuestions: difficulties.length,
+        answersUsed: difficulties.reduce((sum, d) => sum + d.attempt_count, 0),
+        calibratedAt,
+      };
+    } catch (error) {
+      console.error('Error calibrating question difficulties:', error);
+      throw error;
+    }
+  },
+
+  async startSession(userId, courseId, maxQuestions = DEFAULT_MAX_QUESTIONS) {
+    try {
+      const previous = await adaptivePracticeModel.getUserAbility(
+        userId,
+        courseId,
+      );
+      const priorAbility = previous ? Number(previous.ability) : 0;
+
+      return await adaptivePracticeModel.createSession(
+        userId,
+        courseId,
+        maxQuestions,
+        priorAbility,
+        PRIOR_SD,
+      );
+    } catch (error) {
+      console.error('Error starting adaptive session:', error);
+      throw error;
+    }
+  },
+
+  // Serve the pending question, picking a new one if none is pending.
+  // Returns null when the course has no unanswered questions left.
+  async getNextQuestion(session) {
+    try {
+      let questionId = session.current_question_id;
+      let difficulty = null;
+
+      if (!questionId) {
+        const [courseQuestions, answers] = await Promise.all([
+          adaptivePracticeModel.getCourseQuestions(session.course_id),
+          adaptivePracticeModel.getAnswers(session.session_id),
+        ]);
+        const answered = new Set(answers.map((a) => a.question_id));
+        const next = this.selectNextQuestion(
+          courseQuestions.filter((q) => !answered.has(q.question_id)),
+          Number(session.ability),
+        );
+        if (!next) return null;
+
+        questionId = next.question_id;
+        difficulty = next.difficulty;
+        await adaptivePracticeModel.updateSession(session.session_id, {
+          current_question_id: questionId,
+        });
+      } else {
+        difficulty = await adaptivePracticeModel.getDifficulty(questionId);
+      }
+
+      const question = await adaptivePracticeModel.getQuestion(questionId);
+      if (!question) return null;
+
+      return {
+        question_id: question.question_id,
+        question_text: question.question_text,
+        options: question.options,
+        difficulty,
+      };
+    } catch (error) {
+      console.error('Error getting next adaptive question:', error);
+      throw error;
+    }
+  },
+
+  // Grade the answer to the pending question and update the ability estimate
+  async submitAnswer(session, questionId, userAnswer) {
+    try {
+      if (String(session.current_question_id) !== String(questionId)) {
+        return { error: 'This is not the current question of the session' };
+      }
+
+      const [question, storedDifficulty, previousAnswers, previousAbility] =
+        await Promise.all([
+          adaptivePracticeModel.getQuestion(questionId),
+          adaptivePracticeModel.getDifficulty(questionId),
+          adaptivePracticeModel.getAnswers(session.session_id),
+          adaptivePracticeModel.getUserAbility(
+            session.user_id,
+            session.course_id,
+          ),
+        ]);
+
+      if (!question) {
+        return { error: 'Question not found' };
+      }
+
+      const difficulty = storedDifficulty ?? 0;
+      const selected = normalizeAnswer(userAnswer);
+      const isCorrect =
+        selected !== null &&
+        selected === normalizeAnswer(question.correct_answer);
+
+      const responses = previousAnswers
+        .map((a) => ({
+          difficulty: Number(a.difficulty),
+          isCorrect: a.is_correct,
+        }))
+        .concat({ difficulty: Number(difficulty), isCorrect });
+      const { ability, standardError } = this.estimateAbility(
+        responses,
+        previousAbility ? Number(previousAbility.ability) : 0,
+      );
+
+      // A concurrent submission of the same question may have won
+      const claimed = await adaptivePracticeModel.claimCurrentQuestion(
+        session.session_id,
+        session.current_question_id,
+      );
+      if (!claimed) {
+        return { error: 'This is not the current question of the session' };
+      }
+
+      await adaptivePracticeModel.addAnswer(session.session_id, {
+        questionId: question.question_id,
+        userAnswer: selected,
+        isCorrect,
+        difficulty,
+        abilityAfter: ability,
+      });
+
+      const finished = this.shouldStop(
+        responses.length,
+        session.max_questions,
+        standardError,
+      );
+
+      const updatedSession = await adaptivePracticeModel.updateSession(
+        session.session_id,
+        {
+          ability,
+          ability_se: standardError,
+        },
+      );
+
+      const completion = finished
+        ? await this.completeSession(updatedSession)
+        : null;
+
+      return {
+        isCorrect,
+        correctAnswer: question.correct_answer,
+        explanation: question.explanation,
+        ability,
+        standardError,
+        answeredCount: responses.length,
+        finished,
+        courseAbility: completion?.courseAbility || null,
+      };
+    } catch (error) {
+      console.error('Error submitting adaptive answer:', error);
+      throw error;
+    }
+  },
+
+  // Close the session and store the final ability for the course
+  async completeSession(session) {
+    try {
+      const previous = await adaptivePracticeModel.getUserAbility(
+        session.user_id,
+        session.course_id,
+      );
+
+      const updatedSession = await adaptivePracticeModel.updateSession(
+        session.session_id,
+        {
+          status: 'completed',
+          current_question_id: null,
+          completed_at: new Date().toISOString(),
+        },
+      );
+
+      const courseAbility = await adaptivePracticeModel.upsertUserAbility(
+        session.user_id,
+        session.course_id,
+        session.ability,
+        session.ability_se,
+        (previous?.session_count || 0) + 1,
+      );
+
+      return { session: updatedSession, courseAbility };
+    } catch (error) {
+      console.error('Error completing adaptive session:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = adaptivePracticeService;
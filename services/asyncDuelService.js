@@ -0,0 +1,486 @@
+const asyncDuelModel = require('../models/asyncDuelModel');
+const duelModel = require('../models/duelModel');
+const duelResultModel = require('../models/duelResultModel');
+const duelSessionService = require('./duelSessionService');
+const duelStateService = require('./duelStateService');
+const notificationService = require('./notificationService');
+const NotificationHelpers = require('./notificationHelpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_RESPONSE_HOURS = 24;
+const MAX_RESPONSE_HOURS = 48;
+const QUESTION_TIME_LIMIT = 60000; // 60 seconds in milliseconds
+// Allowance for an answer's trip to the server
+const ANSWER_GRACE_MS = 3000;
+// Players who haven't finished hear about it this long before the deadline
+const REMINDER_LEAD_MS = 6 * HOUR_MS;
+const FINALIZE_LOCK_MS = 10 * 60 * 1000;
+// A reminder that fails this many times is given up on
+const MAX_REMINDER_ATTEMPTS = 3;
+
+const isPastDeadline = (duel, now) =>
+  new Date(duel.response_deadline).getTime() <= now;
+
+// Why a user can't play the duel right now, or null when they can. The
+// challenger can play while the duel waits for the opponent to accept.
+const playError = (duel, userId, now) => {
+  if (
+    !['pending', 'active'].includes(duel.status) ||
+    isPastDeadline(duel, now)
+  ) {
+    return { error: 'This duel is no longer running', expired: true };
+  }
+  if (duel.status === 'pending' && duel.opponent_id === userId) {
+    return { error: 'Accept the duel before playing it' };
+  }
+  return null;
+};
+
+const questionEndTime = (play) =>
+  new Date(play.question_started_at).getTime() + QUESTION_TIME_LIMIT;
+
+// Store a player's answer to their current question and move them on.
+// The play is claimed first so a question is only answered once; it is
+// marked finished only after the last answer is stored, so results never
+// miss it. Returns null when another request answered the question.
+const recordAnswer = async (play, session, selectedAnswer, timeTaken) => {
+  const index = play.current_question_index;
+  const claimed = await asyncDuelModel.advancePlay(play.play_id, index, {
+    status: 'playing',
+    current_question_index: index + 1,
+    question_started_at: null,
+  });
+  if (!claimed) return null;
+
+  const question = session.questions[index];
+  const { isCorrect } = await duelSessionService.submitAnswer(
+    session.session_id,
+    play.user_id,
+    question.question_id,
+    index,
+    selectedAnswer,
+    timeTaken,
+  );
+
+  let updated = claimed;
+  if (index + 1 >= session.questions.length) {
+    updated = await asyncDuelModel.advancePlay(play.play_id, index + 1, {
+      status: 'finished',
+      finished_at: new Date().toISOString(),
+    });
+  }
+
+  return { play: updated || claimed, question, isCorrect };
+};
+
+// Draws have no notification template, so only decided duels notify
+const notifyResults = async (duel, results) => {
+  if (!results.winnerId) return;
+
+  const winnerId = results.winnerId;
+  const loserId =
+    winnerId === duel.initiator_id ? duel.opponent_id : duel.initiator_id;
+  const scoreOf = (userId) =>
+    (results.user1.userId === userId ? results.user1 : results.user2).score;
+  const nameOf = (userId) =>
+    (userId === duel.initiator_id
+      ? duel.initiator_username
+      : duel.opponent_username) || 'Unknown';
+
+  try {
+    await NotificationHelpers.sendDuelWinnerNotification(
+      winnerId,
+      nameOf(loserId),
+      scoreOf(winnerId),
+      scoreOf(loserId),
+      duel.duel_id,
+    );
+    await NotificationHelpers.sendDuelLoserNotification(
+      loserId,
+      nameOf(winnerId),
+      scoreOf(loserId),
+      scoreOf(winnerId),
+      duel.duel_id,
+    );
+  } catch (error) {
+    console.warn('Failed to send async duel result notifications:', error);
+  }
+};
+
+/**
+ * Asynchronous (turn-based) duels
+ *
+ * Both players get the same frozen question set and play it whenever they
+ * like before the response deadline. Each question is timed on the server
+ * from the moment it is shown; the result is calculated once both players
+ * have finished or the deadline passes, whichever comes first.
+ */
+const asyncDuelService = {
+  MIN_RESPONSE_HOURS,
+  MAX_RESPONSE_HOURS,
+
+  // Create an async duel, freeze its questions and invite the opponent.
+  // The duel stays pending until the opponent accepts it; the challenger
+  // can play straight away.
+  async createDuel(initiatorId, opponentId, options) {
+    const deadline = new Date(Date.now() + options.responseHours * HOUR_MS);
+
+    const duel = await duelModel.create(
+      initiatorId,
+      opponentId,
+      options.testId || null,
+      options.questionCount || 5,
+      options.branchType || 'mixed',
+      options.selectionType || 'random',
+      options.branchId || null,
+      options.courseId || null,
+      'async',
+      deadline.toISOString(),
+    );
+
+    try {
+      await duelSessionService.createSession(duel);
+      await duelSessionService.getQuestionsForDuel(duel.duel_id);
+      await asyncDuelModel.createPlays(duel.duel_id, [initiatorId, opponentId]);
+    } catch (error) {
+      // Don't leave behind a duel nobody can play
+      try {
+        await duelModel.decline(duel.duel_id);
+      } catch (cleanupError) {
+        console.warn('Failed to discard async duel:', cleanupError);
+      }
+      throw error;
+    }
+
+    const created = await duelModel.getById(duel.duel_id);
+
+    try {
+      await notificationService.sendNotification(
+        opponentId,
+        'duel_invitation',
+        'async_duel_invitation',
+        {
+          challenger_name: created.initiator_username || 'Unknown',
+          challenger_id: initiatorId,
+          topic_name: created.course_title || created.test_title || 'Genel',
+          duel_id: created.duel_id,
+          response_hours: options.responseHours,
+        },
+      );
+    } catch (error) {
+      console.warn('Failed to send async duel invitation:', error);
+    }
+
+    return created;
+  },
+
+  // The opponent takes up the challenge and can start playing
+  async accept(duel, now = Date.now()) {
+    if (duel.status !== 'pending') {
+      return { error: 'This duel cannot be accepted' };
+    }
+    if (isPastDeadline(duel, now)) {
+      return { error: 'This duel has expired', expired: true };
+    }
+
+    return { duel: await duelModel.accept(duel.duel_id) };
+  },
+
+  // A player's view of the duel: their progress, the question they are on
+  // (while its clock runs), the opponent's progress and, once completed,
+  // the result. The opponent's answers are never included.
+  async getState(duel, userId, now = Date.now()) {
+    const [session, plays] = await Promise.all([
+      duelSessionService.getSessionByDuelId(duel.duel_id),
+      asyncDuelModel.getPlays(duel.duel_id),
+    ]);
+    const play = plays.find((p) => p.user_id === userId);
+    const other = plays.find((p) => p.user_id !== userId);
+    const questions = session?.questions || [];
+
+    const state = {
+      duelId: duel.duel_id,
+      status: duel.status,
+      responseDeadline: duel.response_deadline,
+      totalQuestions: questions.length,
+      play: {
+        status: play.status,
+        questionIndex: play.current_question_index,
+        startedAt: play.started_at,
+        finishedAt: play.finished_at,
+      },
+      opponent: other
+        ? {
+            userId: other.user_id,
+            status: other.status,
+            questionsPlayed: other.current_question_index,
+          }
+        : null,
+      question: null,
+      result: null,
+    };
+
+    const current = questions[play.current_question_index];
+    if (play.status !== 'finished' && play.question_started_at && current) {
+      const endTime = questionEndTime(play);
+      state.question = {
+        ...duelSessionService.toClientQuestion(current),
+        index: play.current_question_index,
+        timeLimit: QUESTION_TIME_LIMIT,
+        timeRemaining: Math.ceil(Math.max(0, endTime - now) / 1000),
+        serverEndTime: endTime,
+      };
+    }
+
+    if (duel.status === 'completed') {
+      state.result = await duelResultModel.getByDuelId(duel.duel_id);
+    }
+
+    return state;
+  },
+
+  // Count a shown question whose time ran out as unanswered. Returns the
+  // play as it is afterwards.
+  async expireQuestion(play, session, now = Date.now()) {
+    if (play.status === 'finished' || !play.question_started_at) return play;
+    if (now <= questionEndTime(play) + ANSWER_GRACE_MS) return play;
+
+    const recorded = await recordAnswer(
+      play,
+      session,
+      null,
+      QUESTION_TIME_LIMIT,
+    );
+    return recorded
+      ? recorded.play
+      : asyncDuelModel.getPlay(play.duel_id, play.user_id);
+  },
+
+  // Show the player their current question and start its clock, or return
+  // the one already running. A question left to time out counts as
+  // unanswered and the next one is shown.
+  async showCurrentQuestion(duel, userId) {
+    const now = Date.now();
+    const blocked = playError(duel, userId, now);
+    if (blocked) return blocked;
+
+    const session = await duelSessionService.getSessionByDuelId(duel.duel_id);
+    let play = await asyncDuelModel.getPlay(duel.duel_id, userId);
+    play = await this.expireQuestion(play, session, now);
+
+    if (play.status === 'finished') {
+      await this.finalizeIfDone(duel);
+      const current = await duelModel.getById(duel.duel_id);
+      return { state: await this.getState(current, userId) };
+    }
+
+    if (
+      !play.question_started_at &&
+      play.current_question_index < session.questions.length
+    ) {
+      const shownAt = new Date(now).toISOString();
+      await asyncDuelModel.advancePlay(
+        play.play_id,
+        play.current_question_index,
+        {
+          status: 'playing',
+          question_started_at: shownAt,
+          started_at: play.started_at || shownAt,
+        },
+      );
+    }
+
+    return { state: await this.getState(duel, userId) };
+  },
+
+  // Answer the player's current question. The time taken is measured on
+  // the server; an answer after the time limit counts as unanswered.
+  async submitAnswer(duel, userId, questionIndex, selectedAnswer) {
+    const now = Date.now();
+    const blocked = playError(duel, userId, now);
+    if (blocked) return blocked;
+
+    const play = await asyncDuelModel.getPlay(duel.duel_id, userId);
+    if (play.status === 'finished') {
+      return { error: 'You have already played this duel' };
+    }
+    if (
+      play.current_question_index !== questionIndex ||
+      !play.question_started_at
+    ) {
+      return { error: 'This is not your current question' };
+    }
+
+    const session = await duelSessionService.getSessionByDuelId(duel.duel_id);
+    const elapsed = now - new Date(play.question_started_at).getTime();
+    const late = elapsed > QUESTION_TIME_LIMIT + ANSWER_GRACE_MS;
+
+    const recorded = await recordAnswer(
+      play,
+      session,
+      late ? null : selectedAnswer,
+      Math.min(elapsed, QUESTION_TIME_LIMIT),
+    );
+    if (!recorded) {
+      return { error: 'This question was already answered' };
+    }
+
+    const finished = recorded.play.status === 'finished';
+    const results = finished ? await this.finalizeIfDone(duel) : null;
+
+    return {
+      isCorrect: recorded.isCorrect,
+      late,
+      correctAnswer: recorded.question.correct_answer,
+      explanation: recorded.question.explanation,
+      finished,
+      results,
+    };
+  },
+
+  // Calculate the result when both players have finished. Returns the
+  // results, or null while someone is still playing.
+  async finalizeIfDone(duel) {
+    const plays = await asyncDuelModel.getPlays(duel.duel_id);
+    if (plays.some((play) => play.status !== 'finished')) return null;
+    return this.finalize(duel);
+  },
+
+  // Close the duel and record its result. Questions nobody played count as
+  // unanswered. Returns the results, or null when the duel was already
+  // closed by another request or instance.
+  async finalize(duel) {
+    const lockName = `async-duel-complete:${duel.duel_id}`;
+    if (!(await duelStateService.acquireLock(lockName, FINALIZE_LOCK_MS))) {
+      return null;
+    }
+
+    try {
+      const current = await duelModel.getById(duel.duel_id);
+      if (current.status !== 'active') return null;
+
+      const session = await duelSessionService.getSessionByDuelId(duel.duel_id);
+      await asyncDuelModel.finishPlays(duel.duel_id);
+      for (let index = 0; index < session.questions.length; index++) {
+        await duelSessionService.autoSubmitUnanswered(
+          session.session_id,
+          index,
+        );
+      }
+
+      const results = await duelSessionService.calculateFinalResults(
+        session.session_id,
+      );
+      if (!results) {
+        throw new Error(`Could not calculate results of duel ${duel.duel_id}`);
+      }
+
+      await duelSessionService.completeDuelSession(session.session_id, results);
+      await notifyResults(current, results);
+
+      return results;
+    } catch (error) {
+      console.error('Error finalizing async duel:', error);
+      // Let the next attempt retry
+      await duelStateService.releaseLock(lockName);
+      throw error;
+    }
+  },
+
+  // Open async duels of a user with whose turn it is
+  async getActiveForUser(userId) {
+    const plays = await asyncDuelModel.getActiveByUser(userId);
+
+    return plays.map((play) => ({
+      duelId: play.duel_id,
+      status: play.duels.status,
+      courseId: play.duels.course_id,
+      courseTitle: play.duels.course?.title,
+      opponentId:
+        play.duels.initiator_id === userId
+          ? play.duels.opponent_id
+          : play.duels.initiator_id,
+      questionCount: play.duels.question_count,
+      responseDeadline: play.duels.response_deadline,
+      playStatus: play.status,
+      questionsPlayed: play.current_question_index,
+      // The opponent has to accept a pending duel before playing it
+      yourTurn:
+        play.status !== 'finished' &&
+        (play.duels.status === 'active' || play.duels.initiator_id === userId),
+    }));
+  },
+
+  // Settle every running async duel whose deadline has passed and discard
+  // the ones the opponent never accepted
+  async processDeadlines(now = new Date()) {
+    const expired = await asyncDuelModel.getExpiredDuels(now);
+    let completed = 0;
+    let discarded = 0;
+    let failed = 0;
+
+    for (const duel of expired) {
+      try {
+        if (duel.status === 'pending') {
+          await duelModel.decline(duel.duel_id);
+          discarded++;
+        } else if (await this.finalize(duel)) {
+          completed++;
+        }
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { completed, discarded, failed };
+  },
+
+  // Remind players who haven't finished that the deadline is close. A
+  // failed reminder is retried on later runs up to MAX_REMINDER_ATTEMPTS
+  // times.
+  async sendReminders(now = new Date()) {
+    const plays = await asyncDuelModel.getPlaysToRemind(
+      new Date(now.getTime() + REMINDER_LEAD_MS),
+      now,
+      MAX_REMINDER_ATTEMPTS,
+    );
+    const reminded = [];
+    const failed = [];
+
+    for (const play of plays) {
+      const duel = play.duels;
+      const opponent =
+        play.user_id === duel.initiator_id ? duel.opponent : duel.initiator;
+      const hoursLeft = Math.max(
+        1,
+        Math.round((new Date(duel.response_deadline) - now) / HOUR_MS),
+      );
+
+      try {
+        await notificationService.sendNotification(
+          play.user_id,
+          'duel_invitation',
+          'async_duel_reminder',
+          {
+            opponent_name: opponent?.username || 'Unknown',
+            duel_id: play.duel_id,
+            hours_left: hoursLeft,
+          },
+        );
+        reminded.push(play.play_id);
+      } catch (error) {
+        console.warn('Failed to send async duel reminder:', error);
+        failed.push(play);
+      }
+    }
+
+    await asyncDuelModel.markReminded(reminded);
+    await asyncDuelModel.markReminderFailed(failed);
+    return {
+      reminded: reminded.length,
+      failed: failed.length,
+    };
+  },
+};
+
+module.exports = asyncDuelService;
@@ -0,0 +1,172 @@
+const bookmarkModel = require('../models/bookmarkModel');
+const questionModel = require('../models/questionModel');
+const spacedRepetitionService = require('./spacedRepetitionService');
+
+const DEFAULT_SESSION_QUESTIONS = 20;
+
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined || answer === ''
+    ? null
+    : String(answer).trim().toUpperCase();
+
+// Fisher-Yates shuffle on a copy
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const bookmarkPracticeService = {
+  DEFAULT_SESSION_QUESTIONS,
+
+  // Start a session over a random selection of the user's bookmarked
+  // questions. Returns { session } or { error } when nothing is bookmarked.
+  async startSession(
+    userId,
+    folderId = null,
+    questionCount = DEFAULT_SESSION_QUESTIONS,
+  ) {
+    try {
+      const questionIds = await bookmarkModel.getPracticeQuestionIds(
+        userId,
+        folderId,
+      );
+      if (questionIds.length === 0) {
+        return { error: 'No bookmarked questions to practice' };
+      }
+
+      const session = await bookmarkModel.createSession(
+        userId,
+        folderId === 'none' ? null : folderId,
+        shuffle(questionIds).slice(0, questionCount),
+      );
+      return { session };
+    } catch (error) {
+      console.error('Error starting bookmark practice:', error);
+      throw error;
+    }
+  },
+
+  // Serve the first unanswered question with the student's note.
+  // Returns null when every question has been answered.
+  async getNextQuestion(session) {
+    try {
+      const answers = await bookmarkModel.getAnswers(session.session_id);
+      const answered = new Set(answers.map((a) => a.question_id));
+      const questionId = session.question_ids.find((id) => !answered.has(id));
+      if (!questionId) return null;
+
+      const [question, bookmarks] = await Promise.all([
+        questionModel.getById(questionId),
+        bookmarkModel.getByQuestionIds(session.user_id, [questionId]),
+      ]);
+      if (!question) return null;
+
+      return {
+        question: {
+          question_id: question.question_id,
+          question_text: question.question_text,
+          options: question.options,
+          // Explanation images would give the answer away
+          attachments: {
+            question: question.attachments?.question || [],
+            options: question.attachments?.options || {},
+          },
+        },
+        note: bookmarks[0]?.note || null,
+        position: answered.size + 1,
+        totalQuestions: session.question_ids.length,
+      };
+    } catch (error) {
+      console.error('Error getting next bookmark practice question:', error);
+      throw error;
+    }
+  },
+
+  // Grade an answer, feed it to the review schedule and close the session
+  // after its last question. Returns the outcome or { error }.
+  async submitAnswer(session, questionId, userAnswer) {
+    try {
+      const id = parseInt(questionId);
+      if (!session.question_ids.includes(id)) {
+        return { error: 'This question is not part of the session' };
+      }
+
+      const answers = await bookmarkModel.getAnswers(session.session_id);
+      if (answers.some((a) => a.question_id === id)) {
+        return { error: 'This question has already been answered' };
+      }
+
+      const question = await questionModel.getById(id);
+      if (!question) {
+        return { error: 'Question not found' };
+      }
+
+      const selected = normalizeAnswer(userAnswer);
+      const isCorrect =
+        selected !== null &&
+        selected === normalizeAnswer(question.correct_answer);
+
+      await bookmarkModel.addAnswer(
+        session.session_id,
+        id,
+        selected,
+        isCorrect,
+      );
+
+      try {
+        await spacedRepetitionService.recordAnswers(
+          session.user_id,
+          [{ questionId: id, isCorrect }],
+          'bookmark',
+        );
+      } catch (reviewError) {
+        console.warn('Failed to update review schedule:', reviewError);
+      }
+
+      const answeredCount = answers.length + 1;
+      const finished = answeredCount >= session.question_ids.length;
+      const summary = finished ? await this.completeSession(session) : null;
+
+      return {
+        isCorrect,
+        correctAnswer: question.correct_answer,
+        explanation: question.explanation,
+        answeredCount,
+        totalQuestions: session.question_ids.length,
+        finished,
+        summary,
+      };
+    } catch (error) {
+      console.error('Error submitting bookmark practice answer:', error);
+      throw error;
+    }
+  },
+
+  // Close the session and summarize it
+  async completeSession(session) {
+    try {
+      const [completedSession, answers] = await Promise.all([
+        bookmarkModel.completeSession(session.session_id),
+        bookmarkModel.getAnswers(session.session_id),
+      ]);
+
+      return {
+        session: completedSession,
+        answeredCount: answers.length,
+        correctCount: answers.filter((a) => a.is_correct).length,
+        incorrectQuestionIds: answers
+          .filter((a) => !a.is_correct)
+          .map((a) => a.question_id),
+      };
+    } catch (error) {
+      console.error('Error completing bookmark practice:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = bookmarkPracticeService;
@@ -0,0 +1,333 @@
+const duelRatingModel = require('../models/duelRatingModel');
+const testModel = require('../models/testModel');
+
+// Glicko-2 (Glickman, 2012), applied after every duel instead of in fixed
+// rating periods. Inactivity widens the deviation by one rating period's
+// worth of volatility per week away.
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;
+const TAU = 0.5;
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+const RATING_PERIOD_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Players are provisional until they have played enough duels and their
+// deviation has settled; they are left off the leaderboard by default
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_DEVIATION = 110;
+
+const RECOMMENDATION_WINDOW = 300;
+// A duel rated against ratings another duel changed meanwhile is
+// recomputed from the fresh ratings
+const MAX_RECORD_ATTEMPTS = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) =>
+  1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+// New volatility by the Illinois algorithm (step 5 of the paper)
+const nextVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (
+      (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) -
+      (x - a) / (TAU * TAU)
+    );
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+};
+
+const duelRatingService = {
+  DEFAULT_RATING,
+  PROVISIONAL_GAMES,
+
+  // A rating row for a player who has not duelled in this scope yet
+  initialRating(userId, courseId = null) {
+    return {
+      user_id: userId,
+      course_id: courseId,
+      rating: DEFAULT_RATING,
+      rating_deviation: DEFAULT_DEVIATION,
+      volatility: DEFAULT_VOLATILITY,
+      games_played: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      last_played_at: null,
+    };
+  },
+
+  isProvisional(rating) {
+    return (
+      rating.games_played < PROVISIONAL_GAMES ||
+      Number(rating.rating_deviation) > PROVISIONAL_DEVIATION
+    );
+  },
+
+  // Deviation after time away, capped at the deviation of a new player
+  decayedDeviation(rating, now = new Date()) {
+    const deviation = Number(rating.rating_deviation);
+    if (!rating.last_played_at) return deviation;
+
+    const periods =
+      Math.max(0, now - new Date(rating.last_played_at)) /
+      (RATING_PERIOD_DAYS * DAY_MS);
+    const phi = deviation / SCALE;
+    const sigma = Number(rating.volatility);
+    return Math.min(
+      DEFAULT_DEVIATION,
+      Math.sqrt(phi * phi + sigma * sigma * periods) * SCALE,
+    );
+  },
+
+  // Chance that the player beats the opponent
+  winProbability(rating, opponent, now = new Date()) {
+    return expectedScore(
+      (Number(rating.rating) - DEFAULT_RATING) / SCALE,
+      (Number(opponent.rating) - DEFAULT_RATING) / SCALE,
+      this.decayedDeviation(opponent, now) / SCALE,
+    );
+  },
+
+  // Apply one game to a rating. score is 1 for a win, 0.5 for a draw and 0
+  // for a loss; the opponent's rating is taken as it was before the game.
+  applyGame(rating, opponent, score, now = new Date()) {
+    const mu = (Number(rating.rating) - DEFAULT_RATING) / SCALE;
+    const phi = this.decayedDeviation(rating, now) / SCALE;
+    const sigma = Number(rating.volatility);
+    const opponentMu = (Number(opponent.rating) - DEFAULT_RATING) / SCALE;
+    const opponentPhi = this.decayedDeviation(opponent, now) / SCALE;
+
+    const gPhi = g(opponentPhi);
+    const expected = expectedScore(mu, opponentMu, opponentPhi);
+    const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+    const delta = v * gPhi * (score - expected);
+
+    const newSigma = nextVolatility(phi, sigma, delta, v);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+    return {
+      ...rating,
+      rating: round2(newMu * SCALE + DEFAULT_RATING),
+      rating_deviation: round2(Math.max(MIN_DEVIATION, newPhi * SCALE)),
+      volatility: Math.round(newSigma * 1e6) / 1e6,
+      games_played: rating.games_played + 1,
+      wins: rating.wins + (score === 1 ? 1 : 0),
+      losses: rating.losses + (score === 0 ? 1 : 0),
+      draws: rating.draws + (score === 0.5 ? 1 : 0),
+      last_played_at: now.toISOString(),
+    };
+  },
+
+  // Course a duel is rated in: its own course, or its test's course for
+  // older test-based duels
+  async getDuelCourseId(duel) {
+    if (duel.course_id) return duel.course_id;
+    if (!duel.test_id) return null;
+    const test = await testModel.getById(duel.test_id);
+    return test?.course_id || null;
+  },
+
+  // Update both players' overall and course ratings after a duel.
+  // winnerId null is a draw. Duels already rated are skipped, and so are
+  // duels against bots: they would let players farm rating off easy bots.
+  async recordDuel(duel, winnerId, now = new Date()) {
+    try {
+      if (await duelRatingModel.isDuelRated(duel.duel_id)) return null;
+
+      const players = [duel.initiator_id, duel.opponent_id];
+      const botUserIds = await duelRatingModel.getBotUserIds();
+      if (players.some((id) => botUserIds.includes(id))) return null;
+      const courseId = await this.getDuelCourseId(duel);
+      const scopes = courseId ? [null, courseId] : [null];
+
+      for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+        const updated = [];
+        const history = [];
+        for (const scope of scopes) {
+          const existing = await duelRatingModel.getRatings(players, scope);
+          const [first, second] = players.map(
+            (id) =>
+              existing.find((r) => r.user_id === id) ||
+              this.initialRating(id, scope),
+          );
+
+          [
+            [first, second],
+            [second, first],
+          ].forEach(([rating, opponent]) => {
+            let result = 'draw';
+            if (winnerId) {
+              result = winnerId === rating.user_id ? 'win' : 'loss';
+            }
+            const score = { win: 1, draw: 0.5, loss: 0 }[result];
+            const next = this.applyGame(rating, opponent, score, now);
+
+            updated.push({
+              ...next,
+              expected_games_played: rating.games_played,
+            });
+            history.push({
+              user_id: rating.user_id,
+              course_id: scope,
+              duel_id: duel.duel_id,
+              opponent_id: opponent.user_id,
+              result,
+              rating_before: rating.rating,
+              rating_after: next.rating,
+              deviation_before: rating.rating_deviation,
+              deviation_after: next.rating_deviation,
+            });
+          });
+        }
+
+        const outcome = await duelRatingModel.recordDuelRatings(
+          duel.duel_id,
+          updated,
+          history,
+        );
+        if (outcome.status === 'recorded') return outcome.ratings;
+        if (outcome.status === 'already_rated') return null;
+      }
+
+      throw new Error(
+        `Ratings for duel ${duel.duel_id} kept changing while being updated`,
+      );
+    } catch (error) {
+      console.error('Error updating duel ratings:', error);
+      throw error;
+    }
+  },
+
+  // Rating leaderboard of a course (or overall), without bots. Provisional
+  // players are only listed when asked for.
+  async getLeaderboard(
+    courseId = null,
+    limit = 10,
+    offset = 0,
+    includeProvisional = false,
+  ) {
+    try {
+      const botUserIds = await duelRatingModel.getBotUserIds();
+      const { ratings, total } = await duelRatingModel.getLeaderboard(
+        courseId,
+        limit,
+        offset,
+        includeProvisional
+          ? null
+          : {
+              minGames: PROVISIONAL_GAMES,
+              maxDeviation: PROVISIONAL_DEVIATION,
+            },
+        botUserIds,
+      );
+
+      const users = ratings.map((rating, index) => {
+        const totalDuels = rating.wins + rating.losses + rating.draws;
+        return {
+          rank: offset + index + 1,
+          userId: rating.user_id,
+          username: rating.username,
+          rating: Math.round(Number(rating.rating)),
+          ratingDeviation: Math.round(Number(rating.rating_deviation)),
+          provisional: this.isProvisional(rating),
+          wins: rating.wins,
+          losses: rating.losses,
+          draws: rating.draws,
+          totalDuels,
+          winRate: rating.wins / (totalDuels || 1),
+        };
+      });
+
+      return { users, total };
+    } catch (error) {
+      console.error('Error getting rating leaderboard:', error);
+      throw error;
+    }
+  },
+
+  // Opponents closest to an even match, by the chance the user beats them.
+  // Returns the candidates ordered from the most balanced match.
+  async getRecommendedOpponents(
+    userId,
+    excludeUserIds = [],
+    courseId = null,
+    limit = 5,
+    now = new Date(),
+  ) {
+    try {
+      const [own] = await duelRatingModel.getRatings([userId], courseId);
+      const rating = own || this.initialRating(userId, courseId);
+      const center = Number(rating.rating);
+
+      const candidates = await duelRatingModel.getRatingsInRange(
+        courseId,
+        center - RECOMMENDATION_WINDOW,
+        center + RECOMMENDATION_WINDOW,
+        [userId, ...excludeUserIds],
+      );
+
+      return candidates
+        .map((candidate) => {
+          const winProbability = this.winProbability(rating, candidate, now);
+          const totalDuels =
+            candidate.wins + candidate.losses + candidate.draws;
+          return {
+            userId: candidate.user_id,
+            username: candidate.username,
+            rating: Math.round(Number(candidate.rating)),
+            provisional: this.isProvisional(candidate),
+            skillLevel: Math.round(Number(candidate.rating)),
+            winRate: candidate.wins / (totalDuels || 1),
+            totalDuels,
+            winProbability: round2(winProbability),
+            // 1 for an even match, 0 for a certain result
+            compatibility: round2(1 - Math.abs(winProbability - 0.5) * 2),
+          };
+        })
+        .sort((a, b) => b.compatibility - a.compatibility)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error getting rating-based opponents:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = duelRatingService;
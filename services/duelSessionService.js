@@ -4,6 +4,10 @@ const { createClient } = require('@supabase/supabase-js');
 const supabaseConfig = require('../config/supabase');
 const duelModel = require('../models/duelModel');
 const duelResultModel = require('../models/duelResultModel');
+const duelRatingService = require('./duelRatingService');
+const tournamentService = require('./tournamentService');
+const questionAttachmentModel = require('../models/questionAttachmentModel');
+const questionRevisionModel = require('../models/questionRevisionModel');
 
 const supabase = createClient(
   supabaseConfig.supabaseUrl,
@@ -24,6 +28,39 @@ const duelSessionService = {
     return await duelModel.getById(duelId);
   },
 
+  // The stored session of a duel with its frozen question set
+  async getSessionByDuelId(duelId) {
+    try {
+      const { data, error } = await supabase
+        .from('duel_sessions')
+        .select('session_id, duel_id, status, questions')
+        .eq('duel_id', duelId)
+        .order('session_id', { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data[0] || null;
+    } catch (error) {
+      console.error('Error getting duel session:', error);
+      throw error;
+    }
+  },
+
+  // Question as sent to players, without the answer. Explanation images are
+  // only sent with the round result.
+  toClientQuestion(question) {
+    return {
+      id: question.question_id,
+      text: question.question_text,
+      options: question.options,
+      attachments: question.attachments
+        ? {
+            question: question.attachments.question,
+            options: question.attachments.options,
+          }
+        : null,
+    };
+  },
+
   // ... [keeping all existing methods unchanged until updateUserStats] ...
 
   async createSession(duel) {
@@ -118,7 +155,9 @@ const duelSessionService = {
         tests!inner(course_id)
       `,
         )
-        .eq('tests.course_id', courseId);
+        .eq('tests.course_id', courseId)
+        .eq('status', 'published')
+        .eq('tests.status', 'published');
 
       if (error) {
         console.error(
@@ -175,6 +214,28 @@ const duelSessionService = {
       const questionCount = duel.question_count || 5;
       const limitedQuestions = shuffledQuestions.slice(0, questionCount);
 
+      // Images travel with the stored questions so every round can show them
+      try {
+        await questionAttachmentModel.attachToQuestions(limitedQuestions);
+      } catch (attachmentError) {
+        console.warn(
+          'Failed to load duel question attachments:',
+          attachmentError,
+        );
+      }
+
+      // Answers are linked to the revision the players were shown
+      try {
+        const revisionIds = await questionRevisionModel.getCurrentRevisionIds(
+          limitedQuestions.map((q) => q.question_id),
+        );
+        limitedQuestions.forEach((q) => {
+          q.revision_id = revisionIds.get(Number(q.question_id)) || null;
+        });
+      } catch (revisionError) {
+        console.warn('Failed to load duel question revisions:', revisionError);
+      }
+
       console.log(
         `✅ Selected ${limitedQuestions.length} questions for duel ${duelId}`,
       );
@@ -297,6 +358,19 @@ const duelSessionService = {
 
       if (questionError) throw questionError;
 
+      // Revision captured when the duel's questions were picked
+      const { data: session, error: sessionError } = await supabase
+        .from('duel_sessions')
+        .select('questions')
+        .eq('session_id', sessionId)
+        .single();
+
+      if (sessionError) throw sessionError;
+
+      const frozenQuestion = (session.questions || []).find(
+        (q) => String(q.question_id) === String(questionId),
+      );
+
       const isCorrect = selectedAnswer === question.correct_answer;
       console.log(
         `📝 ANSWER EVALUATION: selected="${selectedAnswer}", correct="${question.correct_answer}", isCorrect=${isCorrect}`,
@@ -311,6 +385,7 @@ const duelSessionService = {
         selected_answer: selectedAnswer,
         is_correct: isCorrect,
         answer_time_ms: timeTaken,
+        question_revision_id: frozenQuestion?.revision_id || null,
       };
 
       console.log(`📝 INSERTING ANSWER:`, insertData);
@@ -325,6 +400,8 @@ const duelSessionService = {
       }
 
       console.log(`✅ ANSWER INSERTED successfully for user ${userId}`);
+
+      return { isCorrect };
     } catch (error) {
       console.error('📝 Error submitting answer:', error);
       throw error;
@@ -362,6 +439,7 @@ const duelSessionService = {
           options: questionDetails.options,
           correctAnswer: questionDetails.correct_answer,
           explanation: questionDetails.explanation || null,
+          attachments: questionDetails.attachments || null,
         },
         answers: answersData.map((a) => ({
           userId: a.user_id,
@@ -422,6 +500,7 @@ const duelSessionService = {
           selected_answer: null,
           is_correct: false,
           answer_time_ms: QUESTION_TIME_LIMIT, // 60 seconds
+          question_revision_id: currentQuestion.revision_id || null,
         }));
 
         console.log(
@@ -514,6 +593,108 @@ const duelSessionService = {
     }
   },
 
+  // Results of a duel abandoned by one player: the scores so far, with the
+  // other player as the winner
+  async calculateForfeitResults(sessionId, forfeitedBy) {
+    try {
+      const { data: session, error: sessionError } = await supabase
+        .from('duel_sessions')
+        .select('duel_id')
+        .eq('session_id', sessionId)
+        .single();
+      if (sessionError) return null;
+
+      const duel = await duelModel.getById(session.duel_id);
+      if (!duel) return null;
+
+      // Nobody may have answered yet
+      const noAnswers = (userId) => ({
+        userId,
+        score: 0,
+        totalTime: 0,
+        accuracy: 0,
+      });
+      const results = (await this.calculateFinalResults(sessionId)) || {
+        user1: noAnswers(duel.initiator_id),
+        user2: noAnswers(duel.opponent_id),
+      };
+
+      return {
+        ...results,
+        winnerId:
+          forfeitedBy === duel.initiator_id
+            ? duel.opponent_id
+            : duel.initiator_id,
+        forfeitedBy,
+      };
+    } catch (error) {
+      console.error('Error calculating forfeit results:', error);
+      return null;
+    }
+  },
+
+  // Correct answers and answer time per player over the rounds before
+  // questionIndex, keyed by user ID
+  async getScores(sessionId, questionIndex) {
+    try {
+      const { data, error } = await supabase
+        .from('duel_answers')
+        .select('user_id, is_correct, answer_time_ms')
+        .eq('session_id', sessionId)
+        .lt('question_index', questionIndex);
+      if (error) throw error;
+
+      const scores = {};
+      data.forEach((answer) => {
+        if (!scores[answer.user_id]) {
+          scores[answer.user_id] = { score: 0, totalTime: 0 };
+        }
+        if (answer.is_correct) scores[answer.user_id].score++;
+        scores[answer.user_id].totalTime +=
+          answer.answer_time_ms || QUESTION_TIME_LIMIT;
+      });
+      return scores;
+    } catch (error) {
+      console.error('Error getting duel scores:', error);
+      throw error;
+    }
+  },
+
+  // IDs of the players who have answered a question of the session
+  async getAnsweredUserIds(sessionId, questionIndex) {
+    try {
+      const { data, error } = await supabase
+        .from('duel_answers')
+        .select('user_id')
+        .eq('session_id', sessionId)
+        .eq('question_index', questionIndex);
+      if (error) throw error;
+
+      return data.map((answer) => answer.user_id);
+    } catch (error) {
+      console.error('Error getting answered users:', error);
+      throw error;
+    }
+  },
+
+  // IDs of the players who chose an answer to any question of the session.
+  // Answers filled in when a question timed out don't count.
+  async getPlayedUserIds(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('duel_answers')
+        .select('user_id')
+        .eq('session_id', sessionId)
+        .not('selected_answer', 'is', null);
+      if (error) throw error;
+
+      return [...new Set(data.map((answer) => answer.user_id))];
+    } catch (error) {
+      console.error('Error getting users who played:', error);
+      throw error;
+    }
+  },
+
   async completeDuelSession(sessionId, finalResults) {
     try {
       const { data: session, error: sessionError } = await supabase
@@ -530,7 +711,7 @@ const duelSessionService = {
 
       await duelModel.complete(session.duel_id);
 
-      const { user1, user2, winnerId } = finalResults;
+      const { user1, user2, winnerId, forfeitedBy = null } = finalResults;
       const duel = await duelModel.getById(session.duel_id);
 
       let initiatorScore =
@@ -543,6 +724,7 @@ const duelSessionService = {
         winnerId,
         initiatorScore,
         opponentScore,
+        forfeitedBy,
       );
 
       if (winnerId) {
@@ -553,6 +735,18 @@ const duelSessionService = {
         await this.updateUserStats(user1.userId, null);
         await this.updateUserStats(user2.userId, null);
       }
+
+      try {
+        await duelRatingService.recordDuel(duel, winnerId);
+      } catch (ratingError) {
+        console.warn('Failed to update duel ratings:', ratingError);
+      }
+
+      try {
+        await tournamentService.recordDuelResult(duel, winnerId);
+      } catch (tournamentError) {
+        console.warn('Failed to record tournament match:', tournamentError);
+      }
     } catch (error) {
       console.error('Error completing duel session:', error);
     }
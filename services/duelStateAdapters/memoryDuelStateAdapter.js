@@ -0,0 +1,100 @@
+/**
+ * In-memory duel state adapter (single instance)
+ *
+ * Keeps everything in process Maps with the same semantics as the Redis
+ * adapter, including expiry. State is lost on restart and is not shared
+ * between instances.
+ */
+const createMemoryDuelStateAdapter = () => {
+  const values = new Map(); // key -> { value, expiresAt }
+  const hashes = new Map(); // key -> Map of field -> value
+  const lists = new Map(); // key -> array of values
+
+  const read = (key) => {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, ttlMs = null) {
+      values.set(key, {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+    },
+
+    async setIfAbsent(key, value, ttlMs = null) {
+      if (read(key) !== null) return false;
+      await this.set(key, value, ttlMs);
+      return true;
+    },
+
+    async compareAndSet(key, expected, value) {
+      if (read(key) !== expected) return false;
+      values.get(key).value = value;
+      return true;
+    },
+
+    async expire(key, ttlMs) {
+      const entry = values.get(key);
+      if (entry) entry.expiresAt = Date.now() + ttlMs;
+    },
+
+    async delete(key) {
+      values.delete(key);
+      hashes.delete(key);
+      lists.delete(key);
+    },
+
+    async deleteIfEquals(key, expected) {
+      if (read(key) !== expected) return false;
+      values.delete(key);
+      return true;
+    },
+
+    async keys(prefix) {
+      return [...values.keys()].filter(
+        (key) => key.startsWith(prefix) && read(key) !== null,
+      );
+    },
+
+    async hashSetIfAbsent(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      const hash = hashes.get(key);
+      if (hash.has(String(field))) return false;
+      hash.set(String(field), value);
+      return true;
+    },
+
+    async hashDelete(key, field) {
+      const hash = hashes.get(key);
+      return Boolean(hash && hash.delete(String(field)));
+    },
+
+    async hashGetAll(key) {
+      return Object.fromEntries(hashes.get(key) || []);
+    },
+
+    async pushCapped(key, value, max) {
+      const list = [...(lists.get(key) || []), value];
+      lists.set(key, list.slice(-max));
+    },
+
+    async listAll(key) {
+      return [...(lists.get(key) || [])];
+    },
+  };
+};
+
+module.exports = createMemoryDuelStateAdapter;
@@ -0,0 +1,130 @@
+const { createRedisClient } = require('../../config/redis');
+
+// Compare-and-swap helpers run as scripts so they are atomic across
+// instances
+const COMPARE_AND_SET = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'KEEPTTL')
+  return 1
+end
+return 0`;
+const DELETE_IF_EQUALS = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+/**
+ * Redis duel state adapter (multi-instance)
+ *
+ * Every key is stored under `prefix` so the duel state can share a Redis
+ * database with other data.
+ */
+const createRedisDuelStateAdapter = ({ prefix = 'dus:duel:' } = {}) => {
+  const client = createRedisClient('duel state');
+  const ready = client.connect();
+  // Commands report a failed connection; don't crash before the first one
+  ready.catch(() => {});
+  const k = (key) => `${prefix}${key}`;
+
+  const run = async (command) => {
+    await ready;
+    return command();
+  };
+
+  return {
+    name: 'redis',
+
+    get(key) {
+      return run(() => client.get(k(key)));
+    },
+
+    set(key, value, ttlMs = null) {
+      return run(() =>
+        client.set(
+          k(key),
+          value,
+          ttlMs ? { expiration: { type: 'PX', value: ttlMs } } : undefined,
+        ),
+      );
+    },
+
+    async setIfAbsent(key, value, ttlMs = null) {
+      const reply = await run(() =>
+        client.set(k(key), value, {
+          condition: 'NX',
+          ...(ttlMs && { expiration: { type: 'PX', value: ttlMs } }),
+        }),
+      );
+      return reply === 'OK';
+    },
+
+    async compareAndSet(key, expected, value) {
+      const reply = await run(() =>
+        client.eval(COMPARE_AND_SET, {
+          keys: [k(key)],
+          arguments: [expected, value],
+        }),
+      );
+      return reply === 1;
+    },
+
+    expire(key, ttlMs) {
+      return run(() => client.pExpire(k(key), ttlMs));
+    },
+
+    delete(key) {
+      return run(() => client.del(k(key)));
+    },
+
+    async deleteIfEquals(key, expected) {
+      const reply = await run(() =>
+        client.eval(DELETE_IF_EQUALS, {
+          keys: [k(key)],
+          arguments: [expected],
+        }),
+      );
+      return reply === 1;
+    },
+
+    async keys(keyPrefix) {
+      await ready;
+      const found = [];
+      for await (const batch of client.scanIterator({
+        MATCH: `${k(keyPrefix)}*`,
+        COUNT: 100,
+      })) {
+        found.push(...batch.map((key) => key.slice(prefix.length)));
+      }
+      return found;
+    },
+
+    async hashSetIfAbsent(key, field, value) {
+      const added = await run(() =>
+        client.hSetNX(k(key), String(field), value),
+      );
+      return Boolean(added);
+    },
+
+    async hashDelete(key, field) {
+      const removed = await run(() => client.hDel(k(key), String(field)));
+      return removed > 0;
+    },
+
+    hashGetAll(key) {
+      return run(() => client.hGetAll(k(key)));
+    },
+
+    pushCapped(key, value, max) {
+      return run(() =>
+        client.multi().rPush(k(key), value).lTrim(k(key), -max, -1).exec(),
+      );
+    },
+
+    listAll(key) {
+      return run(() => client.lRange(k(key), 0, -1));
+    },
+  };
+};
+
+module.exports = createRedisDuelStateAdapter;
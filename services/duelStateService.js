@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const os = require('os');
+const { redisUrl } = require('../config/redis');
+const createMemoryDuelStateAdapter = require('./duelStateAdapters/memoryDuelStateAdapter');
+const createRedisDuelStateAdapter = require('./duelStateAdapters/redisDuelStateAdapter');
+
+/**
+ * Shared real-time duel state
+ *
+ * Live sessions, socket routing, bot sessions, timers, the matchmaking
+ * queue and a few shared caches live here instead of in socket handler Maps, so any instance can
+ * serve any duel and a restart doesn't lose live duels.
+ *
+ * Every adapter implements (values are strings):
+ *   get(key) / set(key, value, ttlMs) / delete(key) / expire(key, ttlMs)
+ *   setIfAbsent(key, value, ttlMs)       - true when the key was created
+ *   compareAndSet(key, expected, value)  - true when the value was swapped
+ *   deleteIfEquals(key, expected)        - true when the key was deleted
+ *   keys(prefix)                         - keys starting with prefix
+ *   hashSetIfAbsent / hashDelete / hashGetAll - one hash of fields
+ *   pushCapped(key, value, max) / listAll(key) - a bounded list
+ *
+ * DUEL_STATE_DRIVER selects the adapter: 'redis' by default when REDIS_URL
+ * is set, 'memory' otherwise.
+ *
+ * Timers are records with a deadline and the instance that owns them. The
+ * owner arms a local timeout; when an owner stops heartbeating another
+ * instance claims its timers and re-arms them for the time left.
+ */
+const STATE_ADAPTERS = {
+  memory: () => createMemoryDuelStateAdapter(),
+  redis: () =>
+    createRedisDuelStateAdapter({
+      prefix: process.env.DUEL_STATE_PREFIX || 'dus:duel:',
+    }),
+};
+
+const driver = process.env.DUEL_STATE_DRIVER || (redisUrl ? 'redis' : 'memory');
+
+if (!STATE_ADAPTERS[driver]) {
+  throw new Error(
+    `Unknown DUEL_STATE_DRIVER "${driver}". Use one of: ${Object.keys(
+      STATE_ADAPTERS,
+    ).join(', ')}`,
+  );
+}
+
+const adapter = STATE_ADAPTERS[driver]();
+
+// Abandoned sessions expire on their own; completed ones are kept briefly
+// for late clients
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+const INSTANCE_TTL_MS = 15000;
+const UPDATE_RETRIES = 10;
+const QUEUE_KEY = 'matchmaking:queue';
+
+const instanceId = `${os.hostname()}-${process.pid}-${crypto
+  .randomUUID()
+  .slice(0, 8)}`;
+
+const sessionKey = (duelId) => `session:${duelId}`;
+const timerKey = (duelId, kind) => `timer:${duelId}:${kind}`;
+
+// connectedUsers is a Map in the handler and an entry list when stored
+const serializeSession = (session) =>
+  JSON.stringify({
+    ...session,
+    connectedUsers: [...session.connectedUsers.entries()],
+  });
+
+const deserializeSession = (raw) => {
+  const session = JSON.parse(raw);
+  return { ...session, connectedUsers: new Map(session.connectedUsers) };
+};
+
+const duelStateService = {
+  driver,
+  instanceId,
+  SESSION_TTL_MS,
+  INSTANCE_TTL_MS,
+
+  async getSession(duelId) {
+    const raw = await adapter.get(sessionKey(duelId));
+    return raw === null ? null : deserializeSession(raw);
+  },
+
+  // Store a new session unless another instance already did. Returns the
+  // stored session.
+  async addSession(session) {
+    const added = await adapter.setIfAbsent(
+      sessionKey(session.duelId),
+      serializeSession(session),
+      SESSION_TTL_MS,
+    );
+    return added ? session : this.getSession(session.duelId);
+  },
+
+  // Apply a change to a stored session, retrying when another instance
+  // changed it in between. mutate may run more than once. Returns the
+  // updated session, or null when there is none.
+  async updateSession(duelId, mutate) {
+    const key = sessionKey(duelId);
+    for (let attempt = 0; attempt < UPDATE_RETRIES; attempt++) {
+      const raw = await adapter.get(key);
+      if (raw === null) return null;
+
+      const session = deserializeSession(raw);
+      mutate(session);
+      if (await adapter.compareAndSet(key, raw, serializeSession(session))) {
+        return session;
+      }
+    }
+    throw new Error(`Duel session ${duelId} kept changing during update`);
+  },
+
+  expireSession(duelId, ttlMs = SESSION_TTL_MS) {
+    return adapter.expire(sessionKey(duelId), ttlMs);
+  },
+
+  deleteSession(duelId) {
+    return adapter.delete(sessionKey(duelId));
+  },
+
+  // Socket of a user's latest connection, on whichever instance
+  getUserSocket(userId) {
+    return adapter.get(`user-socket:${userId}`);
+  },
+
+  setUserSocket(userId, socketId) {
+    return adapter.set(`user-socket:${userId}`, socketId, SESSION_TTL_MS);
+  },
+
+  // Forget a socket unless the user has connected again since
+  removeUserSocket(userId, socketId) {
+    return adapter.deleteIfEquals(`user-socket:${userId}`, socketId);
+  },
+
+  async getBotSession(duelId) {
+    const raw = await adapter.get(`bot-session:${duelId}`);
+    return raw === null ? null : JSON.parse(raw);
+  },
+
+  setBotSession(duelId, botSession) {
+    return adapter.set(
+      `bot-session:${duelId}`,
+      JSON.stringify(botSession),
+      SESSION_TTL_MS,
+    );
+  },
+
+  deleteBotSession(duelId) {
+    return adapter.delete(`bot-session:${duelId}`);
+  },
+
+  // Record a timer owned by this instance. Replaces any timer of the same
+  // kind for the duel.
+  async setTimer(duelId, kind, deadline, data = {}) {
+    const timer = { duelId, kind, deadline, data, owner: instanceId };
+    await adapter.set(timerKey(duelId, kind), JSON.stringify(timer));
+    return timer;
+  },
+
+  async getTimer(duelId, kind) {
+    const raw = await adapter.get(timerKey(duelId, kind));
+    return raw === null ? null : JSON.parse(raw);
+  },
+
+  async getTimers() {
+    const keys = await adapter.keys('timer:');
+    const raws = await Promise.all(keys.map((key) => adapter.get(key)));
+    return raws.filter((raw) => raw !== null).map((raw) => JSON.parse(raw));
+  },
+
+  // Remove a timer that is due, so exactly one instance runs it. False
+  // when it was cancelled, replaced or claimed meanwhile.
+  takeTimer(timer) {
+    return adapter.deleteIfEquals(
+      timerKey(timer.duelId, timer.kind),
+      JSON.stringify(timer),
+    );
+  },
+
+  // Take over a timer from an instance that stopped heartbeating. Returns
+  // the claimed timer, or null when someone else got it first.
+  async claimTimer(timer) {
+    const claimed = { ...timer, owner: instanceId };
+    const swapped = await adapter.compareAndSet(
+      timerKey(timer.duelId, timer.kind),
+      JSON.stringify(timer),
+      JSON.stringify(claimed),
+    );
+    return swapped ? claimed : null;
+  },
+
+  deleteTimer(duelId, kind) {
+    return adapter.delete(timerKey(duelId, kind));
+  },
+
+  // Mark this instance alive for INSTANCE_TTL_MS
+  heartbeat() {
+    return adapter.set(
+      `instance:${instanceId}`,
+      String(Date.now()),
+      INSTANCE_TTL_MS,
+    );
+  },
+
+  async isInstanceAlive(id) {
+    return (await adapter.get(`instance:${id}`)) !== null;
+  },
+
+  // Short exclusive lock across instances. True when this instance got it.
+  acquireLock(name, ttlMs) {
+    return adapter.setIfAbsent(`lock:${name}`, instanceId, ttlMs);
+  },
+
+  releaseLock(name) {
+    return adapter.deleteIfEquals(`lock:${name}`, instanceId);
+  },
+
+  // Matchmaking entries of every course, in join order
+  async getQueueEntries() {
+    const entries = Object.values(await adapter.hashGetAll(QUEUE_KEY)).map(
+      (raw) => JSON.parse(raw),
+    );
+    return entries.sort((a, b) => a.joinedAt - b.joinedAt);
+  },
+
+  // False when the user is already queued
+  addQueueEntry(entry) {
+    return adapter.hashSetIfAbsent(
+      QUEUE_KEY,
+      entry.userId,
+      JSON.stringify(entry),
+    );
+  },
+
+  // False when the user wasn't queued (or was taken by another instance)
+  removeQueueEntry(userId) {
+    return adapter.hashDelete(QUEUE_KEY, userId);
+  },
+
+  addRecentWait(courseId, waitMs, max) {
+    return adapter.pushCapped(`matchmaking:waits:${courseId}`, waitMs, max);
+  },
+
+  async getRecentWaits(courseId) {
+    const waits = await adapter.listAll(`matchmaking:waits:${courseId}`);
+    return waits.map(Number);
+  },
+
+  // Cached values of other services (JSON), shared so an invalidation on
+  // one instance reaches every instance
+  async getCached(key) {
+    const raw = await adapter.get(`cache:${key}`);
+    return raw === null ? null : JSON.parse(raw);
+  },
+
+  setCached(key, value, ttlMs) {
+    return adapter.set(`cache:${key}`, JSON.stringify(value), ttlMs);
+  },
+
+  deleteCached(key) {
+    return adapter.delete(`cache:${key}`);
+  },
+};
+
+module.exports = duelStateService;
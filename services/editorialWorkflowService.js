@@ -0,0 +1,97 @@
+const editorialModel = require('../models/editorialModel');
+
+const STATUSES = ['draft', 'in_review', 'approved', 'published'];
+const CONTENT_TYPES = ['test', 'question'];
+
+// Allowed transitions. Each one is exposed as its own route so it can be
+// gated by a separate permission (see routes/editorialRoutes.js).
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review' },
+  request_changes: {
+    from: ['in_review', 'approved'],
+    to: 'draft',
+    commentRequired: true,
+  },
+  approve: { from: ['in_review'], to: 'approved', reviewerOnly: true },
+  publish: { from: ['approved'], to: 'published' },
+  unpublish: { from: ['published'], to: 'draft', commentRequired: true },
+};
+
+const editorialWorkflowService = {
+  STATUSES,
+  CONTENT_TYPES,
+  TRANSITIONS,
+
+  // Apply a transition. Returns { item } on success or
+  // { error, status } with the HTTP status to respond with.
+  async transition(contentType, contentId, action, user, comment) {
+    try {
+      const rule = TRANSITIONS[action];
+
+      if (rule.commentRequired && !(comment && String(comment).trim())) {
+        return { error: 'A comment is required for this action', status: 400 };
+      }
+
+      const item = await editorialModel.getItem(contentType, contentId);
+      if (!item) {
+        return { error: `The ${contentType} was not found`, status: 404 };
+      }
+
+      if (!rule.from.includes(item.status)) {
+        return {
+          error: `Cannot ${action.replace('_', ' ')} a ${contentType} that is ${
+            item.status
+          }`,
+          status: 409,
+        };
+      }
+
+      if (rule.reviewerOnly && user.role !== 'admin') {
+        // An assigned reviewer owns the decision
+        if (item.reviewer_id && item.reviewer_id !== user.userId) {
+          return {
+            error: `This ${contentType} is assigned to another reviewer`,
+            status: 403,
+          };
+        }
+        // Writers can't approve their own submissions
+        if (item.status_changed_by === user.userId) {
+          return {
+            error: `You cannot approve a ${contentType} you submitted`,
+            status: 403,
+          };
+        }
+      }
+
+      const updated = await editorialModel.updateStatus(
+        contentType,
+        contentId,
+        item.status,
+        rule.to,
+        user.userId,
+      );
+      if (!updated) {
+        return {
+          error: `The ${contentType} was changed by someone else, please reload`,
+          status: 409,
+        };
+      }
+
+      await editorialModel.addComment(
+        contentType,
+        contentId,
+        user.userId,
+        comment,
+        item.status,
+        rule.to,
+      );
+
+      return { item: updated };
+    } catch (error) {
+      console.error('Error applying editorial transition:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = editorialWorkflowService;
@@ -0,0 +1,287 @@
+const examAttemptModel = require('../models/examAttemptModel');
+const testModel = require('../models/testModel');
+const resultModel = require('../models/resultModel');
+const answerModel = require('../models/answerModel');
+const questionRevisionModel = require('../models/questionRevisionModel');
+const testGradingService = require('./testGradingService');
+const spacedRepetitionService = require('./spacedRepetitionService');
+const scoreDistributionService = require('./scoreDistributionService');
+
+const DEFAULT_TIME_LIMIT_MINUTES = 30;
+// Answers arriving slightly after the deadline are still accepted to
+// absorb network latency; anything later is rejected.
+const ANSWER_GRACE_MS = 5000;
+
+// Fisher-Yates shuffle on a copy
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const examSessionService = {
+  isExpired(attempt, now = Date.now(), graceMs = 0) {
+    return new Date(attempt.deadline_at).getTime() + graceMs <= now;
+  },
+
+  // Start a new attempt, or return the user's running attempt for the test
+  async startOrResume(userId, test) {
+    try {
+      const existing = await examAttemptModel.getInProgress(
+        userId,
+        test.test_id,
+      );
+
+      if (existing) {
+        if (!this.isExpired(existing)) {
+          return { attempt: existing, resumed: true };
+        }
+        // Deadline passed while nobody was watching: submit what was saved
+        await this.finalizeAttempt(existing, 'expired');
+      }
+
+      const questions = await testModel.getQuestions(test.test_id);
+      if (questions.length === 0) {
+        return { attempt: null, resumed: false };
+      }
+
+      const timeLimitMinutes = test.time_limit || DEFAULT_TIME_LIMIT_MINUTES;
+      const startedAt = new Date();
+      const deadlineAt = new Date(
+        startedAt.getTime() + timeLimitMinutes * 60 * 1000,
+      );
+
+      const questionIds = questions.map((q) => q.question_id);
+      const revisionIds = await questionRevisionModel.getCurrentRevisionIds(
+        questionIds,
+      );
+
+      const attempt = await examAttemptModel.create(
+        userId,
+        test.test_id,
+        shuffle(questionIds),
+        Object.fromEntries(revisionIds),
+        startedAt.toISOString(),
+        deadlineAt.toISOString(),
+      );
+
+      return { attempt, resumed: false };
+    } catch (error) {
+      console.error('Error starting exam attempt:', error);
+      throw error;
+    }
+  },
+
+  // Auto-submit the attempt if its deadline has passed.
+  // Returns the (possibly refreshed) attempt.
+  async enforceDeadline(attempt) {
+    if (attempt.status !== 'in_progress' || !this.isExpired(attempt)) {
+      return attempt;
+    }
+    await this.finalizeAttempt(attempt, 'expired');
+    return examAttemptModel.getById(attempt.attempt_id);
+  },
+
+  // Build the client-facing state: questions in frozen order without the
+  // answer key, saved answers and remaining time
+  async getAttemptState(attempt) {
+    try {
+      const [questions, savedAnswers] = await Promise.all([
+        testModel.getQuestions(attempt.test_id),
+        examAttemptModel.getAnswers(attempt.attempt_id),
+      ]);
+
+      const questionMap = new Map(
+        questions.map((q) => [String(q.question_id), q]),
+      );
+      const orderedQuestions = (attempt.question_order || [])
+        .map((id) => questionMap.get(String(id)))
+        .filter(Boolean)
+        .map((q) => ({
+          question_id: q.question_id,
+          question_text: q.question_text,
+          options: q.options,
+        }));
+
+      const answers = {};
+      savedAnswers.forEach((a) => {
+        answers[a.question_id] = a.user_answer;
+      });
+
+      const remainingMs =
+        attempt.status === 'in_progress'
+          ? Math.max(0, new Date(attempt.deadline_at).getTime() - Date.now())
+          : 0;
+
+      return {
+        attemptId: attempt.attempt_id,
+        testId: attempt.test_id,
+        status: attempt.status,
+        startedAt: attempt.started_at,
+        deadlineAt: attempt.deadline_at,
+        submittedAt: attempt.submitted_at,
+        resultId: attempt.result_id,
+        remainingSeconds: Math.floor(remainingMs / 1000),
+        serverTime: new Date().toISOString(),
+        questions: orderedQuestions,
+        answers,
+      };
+    } catch (error) {
+      console.error('Error building exam attempt state:', error);
+      throw error;
+    }
+  },
+
+  // Save a single answer. Returns { saved } or { error } for the controller.
+  async saveAnswer(attempt, questionId, userAnswer) {
+    if (attempt.status !== 'in_progress') {
+      return { error: 'This attempt has already been submitted' };
+    }
+
+    if (this.isExpired(attempt, Date.now(), ANSWER_GRACE_MS)) {
+      await this.finalizeAttempt(attempt, 'expired');
+      return { error: 'Time is up for this attempt', expired: true };
+    }
+
+    const inAttempt = (attempt.question_order || []).some(
+      (id) => String(id) === String(questionId),
+    );
+    if (!inAttempt) {
+      return { error: `Question ${questionId} is not part of this attempt` };
+    }
+
+    const saved = await examAttemptModel.saveAnswer(
+      attempt.attempt_id,
+      questionId,
+      userAnswer === null || userAnswer === undefined
+        ? null
+        : String(userAnswer).trim().toUpperCase(),
+    );
+    return { saved };
+  },
+
+  // Grade the saved answers and store them as a regular test result.
+  // status is 'submitted' for a manual submit, 'expired' for auto-submit.
+  // The result is stored before the attempt is closed, so a failure part
+  // way through leaves the attempt in progress to be submitted again.
+  async finalizeAttempt(attempt, status = 'submitted') {
+    try {
+      const [questions, savedAnswers] = await Promise.all([
+        testModel.getQuestions(attempt.test_id),
+        examAttemptModel.getAnswers(attempt.attempt_id),
+      ]);
+
+      // Grade against the questions frozen into the attempt only
+      const frozenIds = new Set(
+        (attempt.question_order || []).map((id) => String(id)),
+      );
+      const attemptQuestions = questions.filter((q) =>
+        frozenIds.has(String(q.question_id)),
+      );
+      const grading = testGradingService.gradeAnswers(
+        attemptQuestions,
+        savedAnswers
+          .filter((a) => frozenIds.has(String(a.question_id)))
+          .map((a) => ({
+            questionId: a.question_id,
+            userAnswer: a.user_answer,
+          })),
+      );
+
+      // Time taken is capped at the deadline
+      const endTime = Math.min(
+        Date.now(),
+        new Date(attempt.deadline_at).getTime(),
+      );
+      const timeTaken = Math.max(
+        0,
+        Math.round((endTime - new Date(attempt.started_at).getTime()) / 1000),
+      );
+
+      const result = await resultModel.create(
+        attempt.user_id,
+        attempt.test_id,
+        grading.score,
+        timeTaken,
+      );
+
+      let closed = null;
+      try {
+        if (grading.answers.length > 0) {
+          await answerModel.createBatch(
+            grading.answers.map((answer) => ({
+              resultId: result.result_id,
+              questionId: answer.questionId,
+              userAnswer: answer.userAnswer,
+              isCorrect: answer.isCorrect,
+              questionRevisionId:
+                attempt.question_revisions?.[answer.questionId] ?? undefined,
+            })),
+          );
+        }
+
+        // Close the attempt and link the result in one conditional update
+        // so a concurrent submit can't store a second result
+        closed = await examAttemptModel.markClosed(
+          attempt.attempt_id,
+          status,
+          result.result_id,
+        );
+      } finally {
+        if (!closed) {
+          await resultModel.delete(result.result_id).catch((cleanupError) => {
+            console.warn('Failed to discard exam result:', cleanupError);
+          });
+        }
+      }
+
+      if (!closed) {
+        return { alreadyClosed: true, attempt };
+      }
+
+      await scoreDistributionService.invalidateTest(attempt.test_id);
+
+      try {
+        await spacedRepetitionService.recordAnswers(
+          attempt.user_id,
+          grading.answers.filter((answer) => answer.userAnswer),
+          'test',
+        );
+      } catch (reviewError) {
+        console.warn('Failed to update review schedule:', reviewError);
+      }
+
+      console.log(
+        `📝 Exam attempt ${attempt.attempt_id} ${status} with score ${grading.score}`,
+      );
+
+      return { alreadyClosed: false, attempt: closed, result, grading };
+    } catch (error) {
+      console.error('Error finalizing exam attempt:', error);
+      throw error;
+    }
+  },
+
+  // Auto-submit every attempt whose deadline has passed (cron entry point)
+  async processExpiredAttempts() {
+    const expired = await examAttemptModel.getExpired();
+    let submitted = 0;
+    let failed = 0;
+
+    for (const attempt of expired) {
+      try {
+        const outcome = await this.finalizeAttempt(attempt, 'expired');
+        if (!outcome.alreadyClosed) submitted++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { submitted, failed };
+  },
+};
+
+module.exports = examSessionService;
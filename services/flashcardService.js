@@ -0,0 +1,237 @@
+const flashcardModel = require('../models/flashcardModel');
+const spacedRepetitionService = require('./spacedRepetitionService');
+
+const MAX_CARD_TEXT_LENGTH = 4000;
+// Grades below this are lapses, as in the question schedule
+const PASSING_GRADE = 3;
+
+const flashcardService = {
+  // Card text for a question: the question on the front, the keyed answer
+  // with its explanation (or, failing that, an answer definition) on the
+  // back. Returns null when there is nothing to explain.
+  buildCard(question, definition = null) {
+    const explanation = question.explanation && question.explanation.trim();
+    const text = explanation || (definition && definition.trim());
+    if (!text) return null;
+
+    const key = question.correct_answer;
+    const answer = question.options?.[key]
+      ? `${key}) ${question.options[key]}`
+      : key;
+
+    return {
+      front: question.question_text.slice(0, MAX_CARD_TEXT_LENGTH),
+      back: `${answer}\n\n${text}`.slice(0, MAX_CARD_TEXT_LENGTH),
+      sourceQuestionId: question.question_id,
+      sourceType: explanation ? 'explanation' : 'answer_definition',
+    };
+  },
+
+  // Create cards for the deck's questions that don't have one yet.
+  // Returns { created, alreadyPresent, withoutExplanation }.
+  async generateForDeck(deck) {
+    try {
+      const [questions, existingCards] = await Promise.all([
+        flashcardModel.getSourceQuestions(deck.course_id, deck.topic_id),
+        flashcardModel.getCardsByDeck(deck.deck_id),
+      ]);
+
+      const covered = new Set(
+        existingCards
+          .filter((card) => card.source_type !== 'manual')
+          .map((card) => card.source_question_id),
+      );
+      const pending = questions.filter((q) => !covered.has(q.question_id));
+      const definitions = await flashcardModel.getLatestDefinitions(
+        pending.filter((q) => !q.explanation).map((q) => q.question_id),
+      );
+
+      const cards = pending
+        .map((q) => this.buildCard(q, definitions.get(q.question_id)))
+        .filter(Boolean)
+        .map((card) => ({ ...card, deckId: deck.deck_id }));
+
+      const created = await flashcardModel.createCards(cards);
+
+      return {
+        created: created.length,
+        alreadyPresent: questions.length - pending.length,
+        withoutExplanation: pending.length - cards.length,
+      };
+    } catch (error) {
+      console.error('Error generating flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Bring a question's generated cards up to date after its explanation or
+  // answer definition changes, and add it to generated decks that cover it
+  async syncQuestion(questionId) {
+    try {
+      const question = await flashcardModel.getSourceQuestion(questionId);
+      if (
+        !question ||
+        question.status !== 'published' ||
+        question.tests?.status !== 'published'
+      ) {
+        return { updated: 0, created: 0 };
+      }
+
+      const definitions = question.explanation
+        ? new Map()
+        : await flashcardModel.getLatestDefinitions([question.question_id]);
+      const card = this.buildCard(
+        question,
+        definitions.get(question.question_id),
+      );
+      if (!card) return { updated: 0, created: 0 };
+
+      const existingCards = await flashcardModel.getGeneratedCardsByQuestion(
+        question.question_id,
+      );
+      let updated = 0;
+      for (const existing of existingCards) {
+        if (existing.front !== card.front || existing.back !== card.back) {
+          await flashcardModel.updateCard(existing.flashcard_id, {
+            front: card.front,
+            back: card.back,
+            source_type: card.sourceType,
+          });
+          updated++;
+        }
+      }
+
+      const decks = await flashcardModel.getDecksCovering(
+        question.tests.course_id,
+        question.tests.topic_id,
+      );
+      const withCard = new Set(existingCards.map((c) => c.deck_id));
+      const generatedDeckIds = await flashcardModel.getGeneratedDeckIds(
+        decks.map((d) => d.deck_id).filter((id) => !withCard.has(id)),
+      );
+      const created = await flashcardModel.createCards(
+        generatedDeckIds.map((deckId) => ({ ...card, deckId })),
+      );
+
+      return { updated, created: created.length };
+    } catch (error) {
+      console.error('Error syncing question flashcards:', error);
+      throw error;
+    }
+  },
+
+  // Today's cards of a deck: due cards first, then unseen cards, each
+  // capped by what remains of the course's daily limits from the review
+  // settings (shared with the question review queue)
+  async getStudyQueue(userId, deck, now = new Date()) {
+    try {
+      const { end } = spacedRepetitionService.getDayBounds(now);
+      const [cards, schedules, limitsFor, done] = await Promise.all([
+        flashcardModel.getCardsByDeck(deck.deck_id),
+        flashcardModel.getDeckReviewCards(userId, deck.deck_id),
+        spacedRepetitionService.getLimits(userId),
+        spacedRepetitionService.getDoneToday(userId, now),
+      ]);
+      const limits = limitsFor(deck.course_id);
+      const doneToday = done(deck.course_id);
+      const remainingReviews = Math.max(
+        0,
+        limits.reviewsPerDay - doneToday.reviews,
+      );
+      const remainingNew = Math.max(
+        0,
+        limits.newCardsPerDay - doneToday.newCards,
+      );
+
+      const cardMap = new Map(cards.map((c) => [c.flashcard_id, c]));
+      const scheduled = new Set(schedules.map((s) => s.flashcard_id));
+
+      const due = schedules
+        .filter((s) => new Date(s.due_at) < end && cardMap.has(s.flashcard_id))
+        .slice(0, remainingReviews)
+        .map((s) => ({
+          ...cardMap.get(s.flashcard_id),
+          due_at: s.due_at,
+          interval_days: s.interval_days,
+          repetitions: s.repetitions,
+        }));
+      const newCards = cards
+        .filter((c) => !scheduled.has(c.flashcard_id))
+        .slice(0, remainingNew);
+
+      return { due, newCards };
+    } catch (error) {
+      console.error('Error building flashcard queue:', error);
+      throw error;
+    }
+  },
+
+  // Record a recall grade (0-5) and reschedule the card with SM-2.
+  // Returns the new schedule or { error }.
+  async gradeCard(session, flashcardId, grade) {
+    try {
+      const card = await flashcardModel.getCardById(flashcardId);
+      if (!card || card.deck_id !== session.deck_id) {
+        return { error: 'This card is not part of the session deck' };
+      }
+
+      const [existing] = await flashcardModel.getReviewCards(session.user_id, [
+        card.flashcard_id,
+      ]);
+      const schedule = spacedRepetitionService.schedule(
+        existing || null,
+        grade,
+      );
+
+      const [reviewCard] = await Promise.all([
+        flashcardModel.upsertReviewCard({
+          user_id: session.user_id,
+          flashcard_id: card.flashcard_id,
+          deck_id: card.deck_id,
+          ...schedule,
+        }),
+        flashcardModel.addGrade(session.session_id, card.flashcard_id, grade),
+      ]);
+
+      return {
+        flashcardId: card.flashcard_id,
+        sourceQuestionId: card.source_question_id,
+        grade,
+        lapsed: grade < PASSING_GRADE,
+        nextDueAt: reviewCard.due_at,
+        intervalDays: reviewCard.interval_days,
+      };
+    } catch (error) {
+      console.error('Error grading flashcard:', error);
+      throw error;
+    }
+  },
+
+  // Close a study session and summarize its grades
+  async completeSession(session) {
+    try {
+      const [completedSession, grades] = await Promise.all([
+        flashcardModel.completeSession(session.session_id),
+        flashcardModel.getGrades(session.session_id),
+      ]);
+
+      return {
+        session: completedSession,
+        reviewedCount: grades.length,
+        lapseCount: grades.filter((g) => g.grade < PASSING_GRADE).length,
+        averageGrade:
+          grades.length > 0
+            ? Math.round(
+                (grades.reduce((sum, g) => sum + g.grade, 0) / grades.length) *
+                  100,
+              ) / 100
+            : null,
+      };
+    } catch (error) {
+      console.error('Error completing flashcard session:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = flashcardService;
@@ -0,0 +1,228 @@
+const itemAnalysisModel = require('../models/itemAnalysisModel');
+
+// Reports are rebuilt at most once per TTL; a popular question has
+// thousands of responses and each needs its attempt's other answers
+const CACHE_TTL_MS = 10 * 60 * 1000;
+// Below this many responses the statistics are too noisy to flag anything
+const MIN_RESPONSES_FOR_FLAGS = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined || String(answer).trim() === ''
+    ? null
+    : String(answer).trim().toUpperCase();
+
+const cache = new Map();
+
+const itemAnalysisService = {
+  MIN_RESPONSES_FOR_FLAGS,
+
+  // Point-biserial correlation between a 0/1 flag and a continuous score.
+  // Returns null when either side has no variance.
+  pointBiserial(pairs) {
+    const n = pairs.length;
+    if (n < 2) return null;
+
+    const mean = pairs.reduce((sum, p) => sum + p.score, 0) / n;
+    const variance =
+      pairs.reduce((sum, p) => sum + (p.score - mean) ** 2, 0) / n;
+    const flagged = pairs.filter((p) => p.flag);
+    const share = flagged.length / n;
+    if (variance === 0 || share === 0 || share === 1) return null;
+
+    const meanFlagged =
+      flagged.reduce((sum, p) => sum + p.score, 0) / flagged.length;
+    const meanOthers =
+      pairs.filter((p) => !p.flag).reduce((sum, p) => sum + p.score, 0) /
+      (n - flagged.length);
+
+    return round3(
+      ((meanFlagged - meanOthers) / Math.sqrt(variance)) *
+        Math.sqrt(share * (1 - share)),
+    );
+  },
+
+  // Share of the other answers in each attempt that were correct, keyed by
+  // attempt. The question itself is left out so it doesn't inflate its own
+  // discrimination (corrected item-total correlation).
+  restScores(answers, attemptKey, questionId) {
+    const totals = new Map();
+    answers.forEach((answer) => {
+      if (answer.question_id === questionId) return;
+      const key = attemptKey(answer);
+      const total = totals.get(key) || { answered: 0, correct: 0 };
+      total.answered++;
+      if (answer.is_correct) total.correct++;
+      totals.set(key, total);
+    });
+
+    const scores = new Map();
+    totals.forEach((total, key) => {
+      scores.set(key, total.correct / total.answered);
+    });
+    return scores;
+  },
+
+  // Collect test and duel responses to a question as
+  // { answer, restScore, timeMs, source }
+  async getResponses(questionId) {
+    try {
+      const [testResponses, duelResponses] = await Promise.all([
+        itemAnalysisModel.getTestResponses(questionId),
+        itemAnalysisModel.getDuelResponses(questionId),
+      ]);
+
+      const resultIds = [...new Set(testResponses.map((r) => r.result_id))];
+      const sessionIds = [...new Set(duelResponses.map((r) => r.session_id))];
+      const [resultAnswers, sessionAnswers] = await Promise.all([
+        itemAnalysisModel.getResultAnswers(resultIds),
+        itemAnalysisModel.getSessionAnswers(sessionIds),
+      ]);
+
+      const resultScores = this.restScores(
+        resultAnswers,
+        (a) => a.result_id,
+        questionId,
+      );
+      const sessionScores = this.restScores(
+        sessionAnswers,
+        (a) => `${a.session_id}:${a.user_id}`,
+        questionId,
+      );
+
+      return [
+        ...testResponses.map((r) => ({
+          answer: normalizeAnswer(r.user_answer),
+          restScore: resultScores.get(r.result_id) ?? null,
+          timeMs: null,
+          source: 'test',
+        })),
+        ...duelResponses.map((r) => ({
+          answer: normalizeAnswer(r.selected_answer),
+          restScore: sessionScores.get(`${r.session_id}:${r.user_id}`) ?? null,
+          timeMs: r.answer_time_ms > 0 ? r.answer_time_ms : null,
+          source: 'duel',
+        })),
+      ];
+    } catch (error) {
+      console.error('Error getting item analysis responses:', error);
+      throw error;
+    }
+  },
+
+  // Item statistics for a question from its responses. Correctness is
+  // judged against the current key, so a corrected key shows its effect
+  // on the whole history.
+  computeStatistics(question, responses) {
+    const key = normalizeAnswer(question.correct_answer);
+    const optionKeys = Object.keys(question.options || {}).map(normalizeAnswer);
+    const total = responses.length;
+
+    // Answers that aren't an option (timeouts, skipped) count as blank
+    const answerOf = (response) =>
+      optionKeys.includes(response.answer) ? response.answer : null;
+
+    const scored = responses.filter((r) => r.restScore !== null);
+    const correctCount = responses.filter((r) => answerOf(r) === key).length;
+    const blankCount = responses.filter((r) => answerOf(r) === null).length;
+
+    const options = optionKeys.map((option) => {
+      const picks = responses.filter((r) => answerOf(r) === option);
+      const scoredPicks = scored.filter((r) => answerOf(r) === option);
+      return {
+        option,
+        isKey: option === key,
+        count: picks.length,
+        percentage: total > 0 ? round2((picks.length / total) * 100) : 0,
+        // Mean score of pickers on the rest of their attempt; distractors
+        // should attract weaker students
+        meanRestScore:
+          scoredPicks.length > 0
+            ? round3(
+                scoredPicks.reduce((sum, r) => sum + r.restScore, 0) /
+                  scoredPicks.length,
+              )
+            : null,
+        discrimination: this.pointBiserial(
+          scored.map((r) => ({
+            flag: answerOf(r) === option,
+            score: r.restScore,
+          })),
+        ),
+      };
+    });
+
+    const discrimination = this.pointBiserial(
+      scored.map((r) => ({ flag: answerOf(r) === key, score: r.restScore })),
+    );
+
+    const timed = responses.filter((r) => r.timeMs !== null);
+
+    const flags = [];
+    if (total >= MIN_RESPONSES_FOR_FLAGS) {
+      const outpicking = options
+        .filter((o) => !o.isKey && o.count > correctCount)
+        .map((o) => o.option)
+        .join(', ');
+      if (outpicking) {
+        flags.push({
+          type: 'key_outpicked',
+          message: `Option ${outpicking} was picked more often than the keyed answer ${key}; the key may be wrong`,
+        });
+      }
+      if (discrimination !== null && discrimination < 0) {
+        flags.push({
+          type: 'negative_discrimination',
+          message:
+            'Students who did well on the rest of their attempt answered this question worse than others',
+        });
+      }
+    }
+
+    return {
+      questionId: question.question_id,
+      correctAnswer: key,
+      totalResponses: total,
+      responsesBySource: {
+        test: responses.filter((r) => r.source === 'test').length,
+        duel: responses.filter((r) => r.source === 'duel').length,
+      },
+      pValue: total > 0 ? round3(correctCount / total) : null,
+      discrimination,
+      blankCount,
+      options,
+      averageAnswerTimeMs:
+        timed.length > 0
+          ? Math.round(
+              timed.reduce((sum, r) => sum + r.timeMs, 0) / timed.length,
+            )
+          : null,
+      timedResponses: timed.length,
+      flags,
+      generatedAt: new Date().toISOString(),
+    };
+  },
+
+  // Item analysis of a question (needs question_id, options, correct_answer)
+  async analyzeQuestion(question) {
+    try {
+      const cacheKey = `${question.question_id}:${question.correct_answer}`;
+      const cached = cache.get(cacheKey);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+      }
+
+      const responses = await this.getResponses(question.question_id);
+      const value = this.computeStatistics(question, responses);
+      cache.set(cacheKey, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+      return value;
+    } catch (error) {
+      console.error('Error analyzing question:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = itemAnalysisService;
@@ -0,0 +1,226 @@
+const duelModel = require('../models/duelModel');
+const duelRatingModel = require('../models/duelRatingModel');
+const duelRatingService = require('./duelRatingService');
+const botService = require('./botService');
+const duelStateService = require('./duelStateService');
+
+// Players wait in one queue per course. A player accepts opponents within
+// a rating window that starts narrow and widens the longer they wait; two
+// players are paired when each is inside the other's window. Nobody waits
+// longer than BOT_FALLBACK_MS before getting a bot instead. The queues
+// live in the shared duel state, so players on different instances meet.
+const INITIAL_WINDOW = 100;
+const WINDOW_STEP = 50;
+const WINDOW_STEP_MS = 5000;
+const MAX_WINDOW = 600;
+const BOT_FALLBACK_MS = 45000;
+const RECENT_WAITS = 20;
+const DUEL_QUESTION_COUNT = 5;
+
+const matchmakingService = {
+  BOT_FALLBACK_MS,
+
+  // Rating window of a queued player after waiting until now
+  windowFor(entry, now = Date.now()) {
+    const steps = Math.floor((now - entry.joinedAt) / WINDOW_STEP_MS);
+    return Math.min(MAX_WINDOW, INITIAL_WINDOW + steps * WINDOW_STEP);
+  },
+
+  // The player's course rating, or the starting rating when unrated
+  async getRating(userId, courseId) {
+    const [rating] = await duelRatingModel.getRatings([userId], courseId);
+    return rating
+      ? Number(rating.rating)
+      : duelRatingService.initialRating(userId, courseId).rating;
+  },
+
+  async getEntry(userId) {
+    const entries = await duelStateService.getQueueEntries();
+    return entries.find((e) => e.userId === userId) || null;
+  },
+
+  // Every queued player across courses, in join order
+  getQueuedEntries() {
+    return duelStateService.getQueueEntries();
+  },
+
+  // Add a player to a course queue. Returns the entry, or null when the
+  // player is already queued.
+  async join(userId, username, courseId, rating, now = Date.now()) {
+    const entry = { userId, username, courseId, rating, joinedAt: now };
+    return (await duelStateService.addQueueEntry(entry)) ? entry : null;
+  },
+
+  // Remove a player from whichever queue they are in. Returns the entry or
+  // null when they weren't queued.
+  async leave(userId) {
+    const entry = await this.getEntry(userId);
+    if (!entry) return null;
+    return (await duelStateService.removeQueueEntry(userId)) ? entry : null;
+  },
+
+  // Remember how long a matched player waited, for the ETA
+  recordWait(courseId, waitMs) {
+    return duelStateService.addRecentWait(courseId, waitMs, RECENT_WAITS);
+  },
+
+  // Position, window and estimated seconds left for a queued player.
+  // entries is the current queue when the caller already has it.
+  async getStatus(entry, now = Date.now(), entries = null) {
+    const queue = (entries || (await this.getQueuedEntries())).filter(
+      (e) => e.courseId === entry.courseId,
+    );
+    const waits = await duelStateService.getRecentWaits(entry.courseId);
+    const expectedWait =
+      waits.length > 0
+        ? Math.min(
+            BOT_FALLBACK_MS,
+            waits.reduce((sum, w) => sum + w, 0) / waits.length,
+          )
+        : BOT_FALLBACK_MS;
+    const waited = now - entry.joinedAt;
+
+    return {
+      courseId: entry.courseId,
+      position: queue.findIndex((e) => e.userId === entry.userId) + 1,
+      queueSize: queue.length,
+      rating: Math.round(entry.rating),
+      ratingWindow: this.windowFor(entry, now),
+      waitedSeconds: Math.floor(waited / 1000),
+      // Once the typical wait has passed, the bot fallback is the bound
+      etaSeconds: Math.ceil(
+        Math.max(
+          0,
+          (waited < expectedWait ? expectedWait : BOT_FALLBACK_MS) - waited,
+        ) / 1000,
+      ),
+    };
+  },
+
+  // Pair up players, longest waiting first, each with the closest-rated
+  // player whose window also covers them. Paired players leave the queue;
+  // a pair is dropped when either player left in the meantime.
+  async takeMatches(now = Date.now()) {
+    const courses = new Map();
+    (await this.getQueuedEntries()).forEach((entry) => {
+      if (!courses.has(entry.courseId)) courses.set(entry.courseId, []);
+      courses.get(entry.courseId).push(entry);
+    });
+
+    const candidates = [];
+    for (const waiting of courses.values()) {
+      const matched = new Set();
+
+      waiting.forEach((entry) => {
+        if (matched.has(entry)) return;
+
+        let best = null;
+        waiting.forEach((candidate) => {
+          if (candidate === entry || matched.has(candidate)) return;
+          const gap = Math.abs(candidate.rating - entry.rating);
+          if (
+            gap <= this.windowFor(entry, now) &&
+            gap <= this.windowFor(candidate, now) &&
+            (!best || gap < Math.abs(best.rating - entry.rating))
+          ) {
+            best = candidate;
+          }
+        });
+
+        if (best) {
+          matched.add(entry);
+          matched.add(best);
+          candidates.push([entry, best]);
+        }
+      });
+    }
+
+    const pairs = [];
+    for (const [first, second] of candidates) {
+      const [tookFirst, tookSecond] = await Promise.all([
+        duelStateService.removeQueueEntry(first.userId),
+        duelStateService.removeQueueEntry(second.userId),
+      ]);
+      if (tookFirst && tookSecond) {
+        pairs.push([first, second]);
+      } else if (tookFirst) {
+        await duelStateService.addQueueEntry(first);
+      } else if (tookSecond) {
+        await duelStateService.addQueueEntry(second);
+      }
+    }
+    return pairs;
+  },
+
+  // Take the players who have waited past the bot fallback out of the queue
+  async takeExpired(now = Date.now()) {
+    const expired = [];
+    for (const entry of await this.getQueuedEntries()) {
+      if (
+        now - entry.joinedAt >= BOT_FALLBACK_MS &&
+        (await duelStateService.removeQueueEntry(entry.userId))
+      ) {
+        expired.push(entry);
+      }
+    }
+    return expired;
+  },
+
+  // Create an accepted course duel between two matched players
+  async createMatchDuel(first, second) {
+    try {
+      const duel = await duelModel.create(
+        first.userId,
+        second.userId,
+        null,
+        DUEL_QUESTION_COUNT,
+        'mixed',
+        'random',
+        null,
+        first.courseId,
+      );
+      return await duelModel.accept(duel.duel_id);
+    } catch (error) {
+      console.error('Error creating matchmaking duel:', error);
+      throw error;
+    }
+  },
+
+  // Create a bot duel against the active bot rated closest to the player
+  async createFallbackBotDuel(entry) {
+    try {
+      const bots = (await botService.getAvailableBots()) || [];
+      if (bots.length === 0) {
+        throw new Error('No bots available');
+      }
+
+      const ratings = await duelRatingModel.getRatings(
+        bots.map((bot) => bot.userId),
+        entry.courseId,
+      );
+      const ratingOf = (bot) => {
+        const rating = ratings.find((r) => r.user_id === bot.userId);
+        return rating
+          ? Number(rating.rating)
+          : duelRatingService.DEFAULT_RATING;
+      };
+      const bot = bots.reduce((best, candidate) =>
+        Math.abs(ratingOf(candidate) - entry.rating) <
+        Math.abs(ratingOf(best) - entry.rating)
+          ? candidate
+          : best,
+      );
+
+      return await botService.createBotDuelWithCourse(
+        entry.userId,
+        entry.courseId,
+        bot.difficultyLevel,
+      );
+    } catch (error) {
+      console.error('Error creating matchmaking bot duel:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = matchmakingService;
@@ -0,0 +1,48 @@
+const path = require('path');
+const createLocalStorageAdapter = require('./storageAdapters/localStorageAdapter');
+const createSupabaseStorageAdapter = require('./storageAdapters/supabaseStorageAdapter');
+
+/**
+ * Media storage
+ *
+ * Every adapter implements:
+ *   save(key, buffer, contentType) - store a file under a key
+ *   delete(key)                    - remove it (missing files are ignored)
+ *   getUrl(key)                    - public URL for clients
+ *
+ * MEDIA_STORAGE_DRIVER selects the adapter ('local' by default). The local
+ * adapter keeps files on the server's own disk, so it is refused when
+ * NODE_ENV is production.
+ */
+const STORAGE_ADAPTERS = {
+  local: () =>
+    createLocalStorageAdapter({
+      directory:
+        process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', 'uploads'),
+      publicBaseUrl: process.env.MEDIA_PUBLIC_BASE_URL || '',
+    }),
+  supabase: () =>
+    createSupabaseStorageAdapter({
+      bucket: process.env.MEDIA_STORAGE_BUCKET || 'question-media',
+    }),
+};
+
+const driver = process.env.MEDIA_STORAGE_DRIVER || 'local';
+
+if (!STORAGE_ADAPTERS[driver]) {
+  throw new Error(
+    `Unknown MEDIA_STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(
+      STORAGE_ADAPTERS,
+    ).join(', ')}`,
+  );
+}
+
+if (driver === 'local' && process.env.NODE_ENV === 'production') {
+  throw new Error(
+    'MEDIA_STORAGE_DRIVER "local" is for development only. Set MEDIA_STORAGE_DRIVER=supabase in production.',
+  );
+}
+
+const mediaStorageService = STORAGE_ADAPTERS[driver]();
+
+module.exports = mediaStorageService;
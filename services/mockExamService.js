@@ -0,0 +1,445 @@
+const mockExamModel = require('../models/mockExamModel');
+const courseModel = require('../models/courseModel');
+const tagModel = require('../models/tagModel');
+const questionRevisionModel = require('../models/questionRevisionModel');
+const spacedRepetitionService = require('./spacedRepetitionService');
+const scoreDistributionService = require('./scoreDistributionService');
+
+// DUS layout: basic sciences and clinical sciences are scored separately
+const COURSE_TYPES = ['temel_dersler', 'klinik_dersler'];
+const DEFAULT_SECTION_QUESTION_COUNTS = {
+  temel_dersler: 40,
+  klinik_dersler: 80,
+};
+const DEFAULT_DURATION_MINUTES = 150;
+// Four wrong answers cancel one correct answer
+const WRONG_ANSWERS_PER_PENALTY = 4;
+const ANSWER_GRACE_MS = 5000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined || answer === ''
+    ? null
+    : String(answer).trim().toUpperCase();
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const mockExamService = {
+  calculateNet(correct, wrong) {
+    return round2(correct - wrong / WRONG_ANSWERS_PER_PENALTY);
+  },
+
+  // Spread the default section sizes evenly over the courses of each type
+  async getDefaultCourseQuestionCounts() {
+    const courses = await courseModel.getAll();
+    const counts = {};
+
+    COURSE_TYPES.forEach((courseType) => {
+      const sectionCourses = courses.filter(
+        (c) => c.course_type === courseType,
+      );
+      if (sectionCourses.length === 0) return;
+
+      const total = DEFAULT_SECTION_QUESTION_COUNTS[courseType];
+      const base = Math.floor(total / sectionCourses.length);
+      let remainder = total % sectionCourses.length;
+
+      sectionCourses.forEach((course) => {
+        counts[course.course_id] = base + (remainder > 0 ? 1 : 0);
+        if (remainder > 0) remainder--;
+      });
+    });
+
+    return counts;
+  },
+
+  // Pick the requested number of questions from each course, optionally
+  // only questions carrying all of the given tags (e.g. a DUS year).
+  // Returns { questions, shortages } where shortages lists courses that
+  // don't have enough questions.
+  async selectQuestions(courseQuestionCounts, tagIds = null) {
+    const courseIds = Object.keys(courseQuestionCounts).map(Number);
+    let pool = await mockExamModel.getQuestionsForCourses(courseIds);
+
+    if (tagIds && tagIds.length > 0) {
+      const tagged = new Set(await tagModel.getQuestionIdsByTags(tagIds));
+      pool = pool.filter((q) => tagged.has(q.question_id));
+    }
+
+    const selected = [];
+    const shortages = [];
+
+    // Basic sciences first, as in the real exam booklet
+    const byCourse = new Map();
+    pool.forEach((q) => {
+      if (!byCourse.has(q.course_id)) byCourse.set(q.course_id, []);
+      byCourse.get(q.course_id).push(q);
+    });
+
+    const orderedCourseIds = [...courseIds].sort((a, b) => {
+      const typeA = COURSE_TYPES.indexOf(byCourse.get(a)?.[0]?.course_type);
+      const typeB = COURSE_TYPES.indexOf(byCourse.get(b)?.[0]?.course_type);
+      return typeA - typeB;
+    });
+
+    orderedCourseIds.forEach((courseId) => {
+      const requested = courseQuestionCounts[courseId];
+      const available = byCourse.get(courseId) || [];
+
+      if (available.length < requested) {
+        shortages.push({ courseId, requested, available: available.length });
+      }
+
+      shuffle(available)
+        .slice(0, requested)
+        .forEach((q) =>
+          selected.push({
+            question_id: q.question_id,
+            course_id: q.course_id,
+            course_type: q.course_type,
+          }),
+        );
+    });
+
+    return { questions: selected, shortages };
+  },
+
+  async createMockExam(
+    userId,
+    { title, courseQuestionCounts, durationMinutes, tagIds },
+  ) {
+    try {
+      const counts =
+        courseQuestionCounts || (await this.getDefaultCourseQuestionCounts());
+      const { questions, shortages } = await this.selectQuestions(
+        counts,
+        tagIds,
+      );
+
+      if (questions.length === 0) {
+        return { mockExam: null, shortages };
+      }
+
+      // Answers are linked to the revision shown when the exam was built
+      const revisionIds = await questionRevisionModel.getCurrentRevisionIds(
+        questions.map((q) => q.question_id),
+      );
+
+      const startedAt = new Date();
+      const deadlineAt = new Date(
+        startedAt.getTime() +
+          (durationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000,
+      );
+
+      const mockExam = await mockExamModel.create(
+        userId,
+        title || `Deneme Sınavı ${startedAt.toLocaleDateString('tr-TR')}`,
+        counts,
+        questions.map((q) => ({
+          ...q,
+          revision_id: revisionIds.get(Number(q.question_id)) || null,
+        })),
+        startedAt.toISOString(),
+        deadlineAt.toISOString(),
+      );
+
+      return { mockExam, shortages };
+    } catch (error) {
+      console.error('Error creating mock exam:', error);
+      throw error;
+    }
+  },
+
+  isExpired(mockExam, now = Date.now(), graceMs = 0) {
+    return new Date(mockExam.deadline_at).getTime() + graceMs <= now;
+  },
+
+  // Map question IDs to the text, options and answer key the exam was built
+  // with: the linked revision, or the current question for exams that
+  // predate revision links
+  async getExamContent(mockExam) {
+    const examQuestions = mockExam.questions || [];
+    const questionIds = examQuestions.map((q) => q.question_id);
+    const revisionIds = examQuestions.map((q) => q.revision_id).filter(Boolean);
+    const [rows, revisions] = await Promise.all([
+      questionIds.length > 0
+        ? mockExamModel.getQuestionsByIds(questionIds)
+        : [],
+      questionRevisionModel.getByIds(revisionIds),
+    ]);
+
+    const rowMap = new Map(rows.map((r) => [r.question_id, r]));
+    const revisionMap = new Map(revisions.map((r) => [r.revision_id, r]));
+    const content = new Map();
+    examQuestions.forEach((q) => {
+      const source =
+        revisionMap.get(q.revision_id) || rowMap.get(q.question_id);
+      if (source) {
+        content.set(q.question_id, {
+          question_text: source.question_text,
+          options: source.options,
+          correct_answer: source.correct_answer,
+        });
+      }
+    });
+    return content;
+  },
+
+  // Build the client-facing exam booklet without the answer key
+  async getMockExamState(mockExam) {
+    try {
+      const [rowMap, savedAnswers] = await Promise.all([
+        this.getExamContent(mockExam),
+        mockExamModel.getAnswers(mockExam.mock_exam_id),
+      ]);
+
+      const questions = (mockExam.questions || [])
+        .filter((q) => rowMap.has(q.question_id))
+        .map((q) => ({
+          question_id: q.question_id,
+          course_id: q.course_id,
+          course_type: q.course_type,
+          question_text: rowMap.get(q.question_id).question_text,
+          options: rowMap.get(q.question_id).options,
+        }));
+
+      const answers = {};
+      savedAnswers.forEach((a) => {
+        answers[a.question_id] = a.user_answer;
+      });
+
+      const remainingMs =
+        mockExam.status === 'in_progress'
+          ? Math.max(0, new Date(mockExam.deadline_at).getTime() - Date.now())
+          : 0;
+
+      return {
+        mockExamId: mockExam.mock_exam_id,
+        title: mockExam.title,
+        status: mockExam.status,
+        startedAt: mockExam.started_at,
+        deadlineAt: mockExam.deadline_at,
+        submittedAt: mockExam.submitted_at,
+        remainingSeconds: Math.floor(remainingMs / 1000),
+        serverTime: new Date().toISOString(),
+        questions,
+        answers,
+      };
+    } catch (error) {
+      console.error('Error building mock exam state:', error);
+      throw error;
+    }
+  },
+
+  async saveAnswer(mockExam, questionId, userAnswer) {
+    if (mockExam.status !== 'in_progress') {
+      return { error: 'This mock exam has already been submitted' };
+    }
+
+    if (this.isExpired(mockExam, Date.now(), ANSWER_GRACE_MS)) {
+      await this.finalizeMockExam(mockExam, 'expired');
+      return { error: 'Time is up for this mock exam', expired: true };
+    }
+
+    const inExam = (mockExam.questions || []).some(
+      (q) => String(q.question_id) === String(questionId),
+    );
+    if (!inExam) {
+      return { error: `Question ${questionId} is not part of this mock exam` };
+    }
+
+    const saved = await mockExamModel.saveAnswer(
+      mockExam.mock_exam_id,
+      questionId,
+      normalizeAnswer(userAnswer),
+    );
+    return { saved };
+  },
+
+  // Score answers with DUS net rules.
+  // examQuestions: [{ question_id, course_id, course_type, correct_answer }]
+  // answers: Map of question_id -> selected option (or null for blank)
+  scoreAnswers(examQuestions, answers) {
+    const emptyTally = () => ({
+      questionCount: 0,
+      correct: 0,
+      wrong: 0,
+      blank: 0,
+    });
+    const sections = {};
+    COURSE_TYPES.forEach((type) => {
+      sections[type] = emptyTally();
+    });
+    const courses = {};
+
+    examQuestions.forEach((question) => {
+      const selected = normalizeAnswer(answers.get(question.question_id));
+      const outcome =
+        selected === null
+          ? 'blank'
+          : selected === normalizeAnswer(question.correct_answer)
+          ? 'correct'
+          : 'wrong';
+
+      if (!courses[question.course_id]) {
+        courses[question.course_id] = {
+          ...emptyTally(),
+          courseType: question.course_type,
+        };
+      }
+      const tallies = [courses[question.course_id]];
+      if (sections[question.course_type]) {
+        tallies.push(sections[question.course_type]);
+      }
+
+      tallies.forEach((tally) => {
+        tally.questionCount++;
+        tally[outcome]++;
+      });
+    });
+
+    const summarizeSection = (tally) => {
+      const net = this.calculateNet(tally.correct, tally.wrong);
+      return {
+        questionCount: tally.questionCount,
+        correct: tally.correct,
+        wrong: tally.wrong,
+        blank: tally.blank,
+        net,
+        // Net as a percentage of the section, floored at zero
+        score:
+          tally.questionCount > 0
+            ? round2(Math.max(0, (net / tally.questionCount) * 100))
+            : 0,
+      };
+    };
+
+    const courseBreakdown = Object.entries(courses).map(
+      ([courseId, tally]) => ({
+        courseId: Number(courseId),
+        courseType: tally.courseType,
+        questionCount: tally.questionCount,
+        correct: tally.correct,
+        wrong: tally.wrong,
+        blank: tally.blank,
+        net: this.calculateNet(tally.correct, tally.wrong),
+      }),
+    );
+
+    const correctCount = courseBreakdown.reduce((s, c) => s + c.correct, 0);
+    const wrongCount = courseBreakdown.reduce((s, c) => s + c.wrong, 0);
+    const blankCount = courseBreakdown.reduce((s, c) => s + c.blank, 0);
+
+    return {
+      correctCount,
+      wrongCount,
+      blankCount,
+      totalNet: this.calculateNet(correctCount, wrongCount),
+      basicSciences: summarizeSection(sections.temel_dersler),
+      clinicalSciences: summarizeSection(sections.klinik_dersler),
+      courseBreakdown,
+    };
+  },
+
+  // Score the saved answers and store the mock exam result. The result is
+  // stored before the mock exam is closed, and its unique key lets only one
+  // submit win; a submit that failed part way through can run again.
+  // Answers are graded against the key of the revision the exam was built
+  // with, so edits made while the exam runs don't change its score.
+  async finalizeMockExam(mockExam, status = 'submitted') {
+    try {
+      const [content, savedAnswers] = await Promise.all([
+        this.getExamContent(mockExam),
+        mockExamModel.getAnswers(mockExam.mock_exam_id),
+      ]);
+
+      const examQuestions = (mockExam.questions || [])
+        .filter((q) => content.has(q.question_id))
+        .map((q) => ({
+          ...q,
+          correct_answer: content.get(q.question_id).correct_answer,
+        }));
+      const answers = new Map(
+        savedAnswers.map((a) => [a.question_id, a.user_answer]),
+      );
+
+      const scores = this.scoreAnswers(examQuestions, answers);
+
+      const endTime = Math.min(
+        Date.now(),
+        new Date(mockExam.deadline_at).getTime(),
+      );
+      const timeTaken = Math.max(
+        0,
+        Math.round((endTime - new Date(mockExam.started_at).getTime()) / 1000),
+      );
+
+      const result = await mockExamModel.createResult(
+        mockExam.mock_exam_id,
+        mockExam.user_id,
+        scores,
+        timeTaken,
+      );
+
+      // Close it even when the result was stored by an earlier attempt
+      // that failed before getting this far
+      await mockExamModel.markClosed(mockExam.mock_exam_id, status);
+      if (!result) {
+        return { alreadyClosed: true };
+      }
+
+      await scoreDistributionService.invalidateMockExams();
+
+      // Blank answers don't reschedule review cards
+      try {
+        await spacedRepetitionService.recordAnswers(
+          mockExam.user_id,
+          examQuestions
+            .filter((q) => normalizeAnswer(answers.get(q.question_id)) !== null)
+            .map((q) => ({
+              questionId: q.question_id,
+              isCorrect:
+                normalizeAnswer(answers.get(q.question_id)) ===
+                normalizeAnswer(q.correct_answer),
+            })),
+          'mock_exam',
+        );
+      } catch (reviewError) {
+        console.warn('Failed to update review schedule:', reviewError);
+      }
+
+      return { alreadyClosed: false, result, scores };
+    } catch (error) {
+      console.error('Error finalizing mock exam:', error);
+      throw error;
+    }
+  },
+
+  // Auto-submit every mock exam whose deadline has passed (cron entry point)
+  async processExpiredMockExams() {
+    const expired = await mockExamModel.getExpired();
+    let submitted = 0;
+    let failed = 0;
+
+    for (const mockExam of expired) {
+      try {
+        const outcome = await this.finalizeMockExam(mockExam, 'expired');
+        if (!outcome.alreadyClosed) submitted++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    return { submitted, failed };
+  },
+};
+
+module.exports = mockExamService;
@@ -1,6 +1,12 @@
 const cron = require('node-cron');
 const NotificationHelpers = require('./notificationHelpers');
 const deviceTokenModel = require('../models/deviceTokenModel');
+const examSessionService = require('./examSessionService');
+const mockExamService = require('./mockExamService');
+const adaptivePracticeService = require('./adaptivePracticeService');
+const weeklyChampionService = require('./weeklyChampionService');
+const asyncDuelService = require('./asyncDuelService');
+const tournamentService = require('./tournamentService');
 
 class NotificationCronJobs {
   constructor() {
@@ -44,6 +50,21 @@ class NotificationCronJobs {
     // ENHANCED: Weekly comprehensive maintenance - Sunday at 4 AM
     this.scheduleWeeklyMaintenance();
 
+    // Auto-submit timed exam attempts and mock exams past their deadline - Every minute
+    this.scheduleExamAttemptExpiry();
+
+    // Question difficulty calibration for adaptive practice - Daily at 3:30 AM
+    this.scheduleDifficultyCalibration();
+
+    // Crown last week's champions - Monday at 00:05
+    this.scheduleWeeklyChampions();
+
+    // Settle async duels past their deadline and remind slow players - Every 5 minutes
+    this.scheduleAsyncDuels();
+
+    // Start due tournaments, settle overdue matches and resume stalled rounds - Every 5 minutes
+    this.scheduleTournaments();
+
     console.log(
       `${this.jobs.length} enhanced notification cron jobs initialized`,
     );
@@ -244,6 +265,190 @@ class NotificationCronJobs {
     });
   }
 
+  // Schedule auto-submission of exam attempts and mock exams whose deadline has passed
+  scheduleExamAttemptExpiry() {
+    const job = cron.schedule(
+      '* * * * *',
+      async () => {
+        try {
+          const result = await examSessionService.processExpiredAttempts();
+          if (result.submitted > 0 || result.failed > 0) {
+            console.log(
+              `Expired exam attempts auto-submitted: ${result.submitted} successful, ${result.failed} failed`,
+            );
+          }
+
+          const mockResult = await mockExamService.processExpiredMockExams();
+          if (mockResult.submitted > 0 || mockResult.failed > 0) {
+            console.log(
+              `Expired mock exams auto-submitted: ${mockResult.submitted} successful, ${mockResult.failed} failed`,
+            );
+          }
+        } catch (error) {
+          console.error('Error in exam attempt expiry cron job:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'Europe/Istanbul',
+      },
+    );
+
+    this.jobs.push({
+      name: 'exam_attempt_expiry',
+      schedule: '* * * * *',
+      job,
+    });
+  }
+
+  // Schedule recalibration of question difficulties from answer history
+  scheduleDifficultyCalibration() {
+    const job = cron.schedule(
+      '30 3 * * *',
+      async () => {
+        console.log('Running question difficulty calibration job...');
+        try {
+          const result = await adaptivePracticeService.calibrateDifficulties();
+          console.log(
+            `Question difficulties calibrated: ${result.calibratedQuestions} questions from ${result.answersUsed} answers`,
+          );
+        } catch (error) {
+          console.error('Error in difficulty calibration cron job:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'Europe/Istanbul',
+      },
+    );
+
+    this.jobs.push({
+      name: 'question_difficulty_calibration',
+      schedule: '30 3 * * *',
+      job,
+    });
+  }
+
+  // Schedule crowning of the previous ISO week's champions
+  scheduleWeeklyChampions() {
+    const job = cron.schedule(
+      '5 0 * * 1',
+      async () => {
+        console.log('Running weekly champions job...');
+        try {
+          const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+          const result = await weeklyChampionService.crownWeek(lastWeek);
+          if (result.skipped) {
+            console.log(
+              `Weekly champions already crowned for ${result.isoWeek}`,
+            );
+          } else {
+            console.log(
+              `Weekly champions crowned for ${result.isoWeek}: ${result.champions.length} titles, ${result.notified} notified`,
+            );
+          }
+        } catch (error) {
+          console.error('Error in weekly champions cron job:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'Europe/Istanbul',
+      },
+    );
+
+    this.jobs.push({
+      name: 'weekly_champions',
+      schedule: '5 0 * * 1',
+      job,
+    });
+  }
+
+  // Schedule result calculation of async duels whose deadline passed and
+  // reminders for players who haven't finished
+  scheduleAsyncDuels() {
+    const job = cron.schedule(
+      '*/5 * * * *',
+      async () => {
+        try {
+          const result = await asyncDuelService.processDeadlines();
+          if (
+            result.completed > 0 ||
+            result.discarded > 0 ||
+            result.failed > 0
+          ) {
+            console.log(
+              `Expired async duels settled: ${result.completed} successful, ${result.discarded} never accepted, ${result.failed} failed`,
+            );
+          }
+
+          const reminders = await asyncDuelService.sendReminders();
+          if (reminders.reminded > 0 || reminders.failed > 0) {
+            console.log(
+              `Async duel reminders: ${reminders.reminded} sent, ${reminders.failed} failed`,
+            );
+          }
+        } catch (error) {
+          console.error('Error in async duel cron job:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'Europe/Istanbul',
+      },
+    );
+
+    this.jobs.push({
+      name: 'async_duels',
+      schedule: '*/5 * * * *',
+      job,
+    });
+  }
+
+  // Schedule tournament starts, walkovers for matches not played by their
+  // round deadline, and retries of rounds that failed to be scheduled
+  scheduleTournaments() {
+    const job = cron.schedule(
+      '*/5 * * * *',
+      async () => {
+        try {
+          const starts = await tournamentService.startDueTournaments();
+          if (starts.started > 0 || starts.cancelled > 0) {
+            console.log(
+              `Tournaments started: ${starts.started}, cancelled for lack of players: ${starts.cancelled}`,
+            );
+          }
+
+          const result = await tournamentService.settleOverdueMatches();
+          if (result.settled > 0 || result.failed > 0) {
+            console.log(
+              `Overdue tournament matches settled: ${result.settled} successful, ${result.failed} failed`,
+            );
+          }
+
+          const resumes = await tournamentService.resumeStalledTournaments();
+          if (resumes.resumed > 0 || resumes.failed > 0) {
+            console.log(
+              `Stalled tournaments resumed: ${resumes.resumed} successful, ${resumes.failed} failed`,
+            );
+          }
+        } catch (error) {
+          console.error('Error in tournament cron job:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: 'Europe/Istanbul',
+      },
+    );
+
+    this.jobs.push({
+      name: 'tournaments',
+      schedule: '*/5 * * * *',
+      job,
+    });
+  }
+
   // ENHANCED: Schedule device token cleanup
   scheduleDeviceTokenCleanup() {
     const job = cron.schedule(
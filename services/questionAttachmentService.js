@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const questionAttachmentModel = require('../models/questionAttachmentModel');
+const mediaStorageService = require('./mediaStorageService');
+
+// Where an attachment is shown
+const TARGETS = ['question', 'option', 'explanation'];
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Accepted image types and their file extensions
+const ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// Radiographs and slides can be large, but uploads arrive base64-encoded
+// inside the 10mb JSON body limit
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_DIMENSION = 8000;
+const THUMBNAIL_WIDTH = 320;
+
+// Helper: detect the real image type from the file signature, so the
+// declared MIME type can't smuggle in other content
+const detectMimeType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return 'image/jpeg';
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return 'image/png';
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return 'image/gif';
+  }
+  return null;
+};
+
+// Helper: decode base64 content, with or without a data: URL prefix
+const decodeContent = (content) => {
+  const base64 = String(content).replace(/^data:[^;,]*;base64,/, '');
+  return Buffer.from(base64, 'base64');
+};
+
+const questionAttachmentService = {
+  TARGETS,
+  OPTION_KEYS,
+  ALLOWED_TYPES,
+  MAX_FILE_SIZE,
+
+  // Check where the attachment goes. Returns an error message or null.
+  validateTarget(question, target, optionKey) {
+    if (!TARGETS.includes(target)) {
+      return `Target must be one of: ${TARGETS.join(', ')}`;
+    }
+    if (target === 'option') {
+      if (!OPTION_KEYS.includes(optionKey)) {
+        return `Option key must be one of: ${OPTION_KEYS.join(', ')}`;
+      }
+      if (!question.options || !(optionKey in question.options)) {
+        return `Question has no option ${optionKey}`;
+      }
+    } else if (optionKey) {
+      return 'Option key is only allowed for option attachments';
+    }
+    return null;
+  },
+
+  // Check the file itself. Returns { error } or { mimeType, width, height }.
+  async validateFile(buffer, declaredType) {
+    if (buffer.length === 0) {
+      return { error: 'File is empty' };
+    }
+    if (buffer.length > MAX_FILE_SIZE) {
+      return {
+        error: `File is too large (max ${MAX_FILE_SIZE / 1024 / 1024} MB)`,
+      };
+    }
+
+    const mimeType = detectMimeType(buffer);
+    if (!mimeType) {
+      return {
+        error: `Unsupported file type. Allowed: ${Object.keys(
+          ALLOWED_TYPES,
+        ).join(', ')}`,
+      };
+    }
+    if (declaredType && declaredType !== mimeType) {
+      return {
+        error: `File content is ${mimeType} but was declared as ${declaredType}`,
+      };
+    }
+
+    try {
+      const { width, height } = await sharp(buffer).metadata();
+      if (!width || !height) {
+        return { error: 'Could not read image dimensions' };
+      }
+      if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+        return {
+          error: `Image is too large (max ${MAX_DIMENSION}x${MAX_DIMENSION} pixels)`,
+        };
+      }
+      return { mimeType, width, height };
+    } catch (error) {
+      return { error: 'File is not a valid image' };
+    }
+  },
+
+  // Store an uploaded image and its thumbnail, then record it.
+  // Returns { attachment } or { error, status }.
+  async upload(question, upload, userId) {
+    try {
+      const {
+        content,
+        mimeType: declaredType,
+        target,
+        optionKey,
+        altText,
+      } = upload;
+
+      const targetError = this.validateTarget(question, target, optionKey);
+      if (targetError) {
+        return { error: targetError, status: 400 };
+      }
+
+      const buffer = decodeContent(content);
+      const file = await this.validateFile(buffer, declaredType);
+      if (file.error) {
+        return { error: file.error, status: 400 };
+      }
+
+      // First frame only for GIFs; thumbnails are always WebP
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const fileId = crypto.randomUUID();
+      const baseKey = `questions/${question.question_id}/${fileId}`;
+      const storageKey = `${baseKey}.${ALLOWED_TYPES[file.mimeType]}`;
+      const thumbnailKey = `${baseKey}_thumb.webp`;
+
+      await mediaStorageService.save(storageKey, buffer, file.mimeType);
+      await mediaStorageService.save(thumbnailKey, thumbnail, 'image/webp');
+
+      try {
+        const attachment = await questionAttachmentModel.create({
+          questionId: question.question_id,
+          target,
+          optionKey: target === 'option' ? optionKey : null,
+          storageKey,
+          thumbnailKey,
+          mimeType: file.mimeType,
+          sizeBytes: buffer.length,
+          width: file.width,
+          height: file.height,
+          altText,
+          createdBy: userId,
+        });
+        return { attachment };
+      } catch (error) {
+        // Don't leave orphaned files behind
+        await this.removeFiles({
+          storage_key: storageKey,
+          thumbnail_key: thumbnailKey,
+        });
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error uploading question attachment:', error);
+      throw error;
+    }
+  },
+
+  // Remove the stored files of an attachment (non-fatal)
+  async removeFiles(attachment) {
+    const keys = [attachment.storage_key, attachment.thumbnail_key].filter(
+      Boolean,
+    );
+    for (const key of keys) {
+      try {
+        await mediaStorageService.delete(key);
+      } catch (err) {
+        console.warn(`Failed to delete media file ${key}:`, err);
+      }
+    }
+  },
+
+  // Delete an attachment record and its files
+  async remove(attachment) {
+    try {
+      await questionAttachmentModel.delete(attachment.attachment_id);
+      await this.removeFiles(attachment);
+      return true;
+    } catch (error) {
+      console.error('Error removing question attachment:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionAttachmentService;
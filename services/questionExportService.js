@@ -0,0 +1,213 @@
+const questionModel = require('../models/questionModel');
+const testModel = require('../models/testModel');
+const topicModel = require('../models/topicModel');
+const courseModel = require('../models/courseModel');
+
+const SUPPORTED_FORMATS = ['csv', 'json', 'html'];
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+// Column names match what the question import accepts
+const CSV_HEADER = [
+  'test_id',
+  'test_title',
+  'question_text',
+  ...OPTION_KEYS.map((key) => `option_${key.toLowerCase()}`),
+  'correct_answer',
+  'explanation',
+];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const sortedOptionKeys = (options) => Object.keys(options || {}).sort();
+
+const questionExportService = {
+  SUPPORTED_FORMATS,
+
+  // Load the tests of the requested scope with their questions.
+  // scope is 'test', 'topic' or 'course'. Returns null if not found.
+  async collect(scope, id) {
+    try {
+      let title;
+      let tests;
+
+      if (scope === 'test') {
+        const test = await testModel.getById(id);
+        if (!test) return null;
+        title = test.title;
+        tests = [test];
+      } else if (scope === 'topic') {
+        const topic = await topicModel.getById(id);
+        if (!topic) return null;
+        title = topic.title;
+        tests = await testModel.getByTopicId(id);
+      } else {
+        const course = await courseModel.getById(id);
+        if (!course) return null;
+        title = course.title;
+        tests = await testModel.getByCourseId(id);
+      }
+
+      // Oldest first so the booklet follows the order tests were added
+      const orderedTests = [...tests].sort(
+        (a, b) => new Date(a.created_at) - new Date(b.created_at),
+      );
+      const sections = [];
+      for (const test of orderedTests) {
+        const questions = await questionModel.getByTestId(test.test_id);
+        sections.push({ test, questions });
+      }
+
+      return { scope, id: Number(id), title, sections };
+    } catch (error) {
+      console.error('Error collecting questions for export:', error);
+      throw error;
+    }
+  },
+
+  toCsv(collection) {
+    const lines = [CSV_HEADER.join(',')];
+    collection.sections.forEach(({ test, questions }) => {
+      questions.forEach((q) => {
+        lines.push(
+          [
+            test.test_id,
+            test.title,
+            q.question_text,
+            ...OPTION_KEYS.map((key) => (q.options || {})[key]),
+            q.correct_answer,
+            q.explanation,
+          ]
+            .map(escapeCsv)
+            .join(','),
+        );
+      });
+    });
+    // BOM so Excel opens Turkish characters correctly
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  },
+
+  // Same question fields as the JSON import, so the file can be re-imported
+  toJson(collection) {
+    return {
+      exportedAt: new Date().toISOString(),
+      scope: collection.scope,
+      id: collection.id,
+      title: collection.title,
+      questions: collection.sections.flatMap(({ test, questions }) =>
+        questions.map((q) => ({
+          testId: test.test_id,
+          testTitle: test.title,
+          questionText: q.question_text,
+          options: q.options,
+          correctAnswer: q.correct_answer,
+          explanation: q.explanation,
+        })),
+      ),
+    };
+  },
+
+  // Printable exam booklet; the answer key starts on a new page
+  toHtml(collection) {
+    let number = 0;
+    const answerKey = [];
+
+    const sectionsHtml = collection.sections
+      .filter(({ questions }) => questions.length > 0)
+      .map(({ test, questions }) => {
+        const questionsHtml = questions
+          .map((q) => {
+            number++;
+            answerKey.push({
+              number,
+              answer: q.correct_answer,
+              explanation: q.explanation,
+            });
+            const optionsHtml = sortedOptionKeys(q.options)
+              .map(
+                (key) =>
+                  `<li><span class="key">${escapeHtml(
+                    key,
+                  )})</span> ${escapeHtml(q.options[key])}</li>`,
+              )
+              .join('');
+            return `<div class="question"><p><strong>${number}.</strong> ${escapeHtml(
+              q.question_text,
+            )}</p><ol class="options">${optionsHtml}</ol></div>`;
+          })
+          .join('\n');
+        return `<section><h2>${escapeHtml(
+          test.title,
+        )}</h2>\n${questionsHtml}</section>`;
+      })
+      .join('\n');
+
+    const answerKeyHtml = answerKey
+      .map(
+        (item) =>
+          `<tr><td>${item.number}</td><td>${escapeHtml(
+            item.answer,
+          )}</td><td>${escapeHtml(item.explanation)}</td></tr>`,
+      )
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(collection.title)}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; margin: 2cm; color: #000; }
+  h1 { text-align: center; }
+  h2 { border-bottom: 1px solid #000; padding-bottom: 4px; }
+  .question { page-break-inside: avoid; margin-bottom: 16px; }
+  .options { list-style: none; padding-left: 16px; }
+  .key { font-weight: bold; }
+  .answer-key { page-break-before: always; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border: 1px solid #000; padding: 4px 8px; text-align: left; vertical-align: top; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(collection.title)}</h1>
+<p>Soru sayısı: ${number}</p>
+${sectionsHtml}
+<div class="answer-key">
+<h1>Cevap Anahtarı</h1>
+<table>
+<thead><tr><th>#</th><th>Cevap</th><th>Açıklama</th></tr></thead>
+<tbody>
+${answerKeyHtml}
+</tbody>
+</table>
+</div>
+</body>
+</html>
+`;
+  },
+
+  // File name without characters that break Content-Disposition
+  fileName(collection, format) {
+    const slug =
+      String(collection.title || collection.scope)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/ı/g, 'i')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .toLowerCase() || collection.scope;
+    return `${collection.scope}-${collection.id}-${slug}.${format}`;
+  },
+};
+
+module.exports = questionExportService;
@@ -0,0 +1,411 @@
+const questionModel = require('../models/questionModel');
+const questionImportModel = require('../models/questionImportModel');
+const questionAttachmentModel = require('../models/questionAttachmentModel');
+const questionRevisionService = require('./questionRevisionService');
+const questionSimilarityService = require('./questionSimilarityService');
+const questionAttachmentService = require('./questionAttachmentService');
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E'];
+const SUPPORTED_FORMATS = ['csv', 'json'];
+const MAX_ROWS = 1000;
+// Keeps .in() filters well under the URL length limit
+const ID_CHUNK_SIZE = 100;
+
+// CSV header aliases, matched case-insensitively
+const CSV_COLUMNS = {
+  questionText: ['question_text', 'questiontext', 'question', 'soru'],
+  correctAnswer: [
+    'correct_answer',
+    'correctanswer',
+    'answer',
+    'cevap',
+    'dogru_cevap',
+  ],
+  explanation: ['explanation', 'aciklama'],
+};
+OPTION_KEYS.forEach((key) => {
+  CSV_COLUMNS[`option${key}`] = [
+    `option_${key.toLowerCase()}`,
+    `option${key.toLowerCase()}`,
+    key.toLowerCase(),
+  ];
+});
+
+const cleanText = (value) =>
+  value === null || value === undefined ? '' : String(value).trim();
+
+// Duplicate detection ignores case and repeated whitespace
+const textKey = (text) =>
+  cleanText(text).replace(/\s+/g, ' ').toLocaleLowerCase('tr-TR');
+
+const questionImportService = {
+  SUPPORTED_FORMATS,
+  MAX_ROWS,
+
+  // Parse CSV text into rows of cells. Handles quoted cells with embedded
+  // delimiters, quotes and line breaks. The delimiter is detected from the
+  // header line (Excel in Turkish locale exports with ';').
+  parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter =
+      (headerLine.match(/;/g) || []).length >
+      (headerLine.match(/,/g) || []).length
+        ? ';'
+        : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter((r) => r.some((c) => c.trim() !== ''));
+  },
+
+  // Map CSV rows to question records using the header row
+  csvToRecords(content) {
+    const [header, ...rows] = this.parseCsv(content);
+    if (!header) {
+      return { error: 'The CSV file is empty' };
+    }
+
+    const normalizedHeader = header.map((h) => h.trim().toLowerCase());
+    const columnIndex = {};
+    Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+      columnIndex[field] = normalizedHeader.findIndex((h) =>
+        aliases.includes(h),
+      );
+    });
+
+    if (columnIndex.questionText === -1 || columnIndex.correctAnswer === -1) {
+      return {
+        error:
+          'CSV header must include question_text, option_a to option_e, correct_answer and explanation columns',
+      };
+    }
+
+    const cellAt = (row, field) =>
+      columnIndex[field] === -1 ? '' : row[columnIndex[field]];
+
+    return {
+      records: rows.map((row) => {
+        const options = {};
+        OPTION_KEYS.forEach((key) => {
+          options[key] = cellAt(row, `option${key}`);
+        });
+        return {
+          questionText: cellAt(row, 'questionText'),
+          options,
+          correctAnswer: cellAt(row, 'correctAnswer'),
+          explanation: cellAt(row, 'explanation'),
+        };
+      }),
+    };
+  },
+
+  // Accept the same field names as POST /api/questions/batch, plus
+  // snake_case and flat optionA..optionE fields
+  jsonToRecords(content) {
+    let items = content;
+    if (typeof content === 'string') {
+      try {
+        items = JSON.parse(content.replace(/^\uFEFF/, ''));
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    }
+
+    if (items && !Array.isArray(items) && Array.isArray(items.questions)) {
+      items = items.questions;
+    }
+    if (!Array.isArray(items)) {
+      return { error: 'JSON content must be an array of questions' };
+    }
+
+    return {
+      records: items.map((item) => {
+        const source = item && typeof item === 'object' ? item : {};
+        const rawOptions =
+          source.options &&
+          typeof source.options === 'object' &&
+          !Array.isArray(source.options)
+            ? source.options
+            : {};
+        const options = {};
+        OPTION_KEYS.forEach((key) => {
+          options[key] =
+            rawOptions[key] ??
+            rawOptions[key.toLowerCase()] ??
+            source[`option${key}`] ??
+            source[`option_${key.toLowerCase()}`];
+        });
+        return {
+          questionText: source.questionText ?? source.question_text,
+          options,
+          correctAnswer: source.correctAnswer ?? source.correct_answer,
+          explanation: source.explanation,
+        };
+      }),
+    };
+  },
+
+  // Check each record and build the validation report.
+  // existingTexts: question texts already in the target test
+  validateRecords(records, existingTexts = []) {
+    const existing = new Set(existingTexts.map(textKey));
+    const seenInFile = new Map();
+
+    const rows = records.map((record, index) => {
+      const errors = [];
+      const questionText = cleanText(record.questionText);
+      const correctAnswer = cleanText(record.correctAnswer).toUpperCase();
+      const options = {};
+
+      if (!questionText) {
+        errors.push('Question text is missing');
+      }
+
+      OPTION_KEYS.forEach((key) => {
+        const option = cleanText(record.options[key]);
+        if (!option) {
+          errors.push(`Option ${key} is missing`);
+        } else {
+          options[key] = option;
+        }
+      });
+
+      if (!correctAnswer) {
+        errors.push('Correct answer is missing');
+      } else if (!OPTION_KEYS.includes(correctAnswer)) {
+        errors.push(
+          `Correct answer "${correctAnswer}" is not one of the options A-E`,
+        );
+      }
+
+      if (questionText) {
+        const key = textKey(questionText);
+        if (existing.has(key)) {
+          errors.push(
+            'A question with the same text already exists in this test',
+          );
+        } else if (seenInFile.has(key)) {
+          errors.push(
+            `Duplicate of row ${seenInFile.get(key)} in the same file`,
+          );
+        } else {
+          seenInFile.set(key, index + 1);
+        }
+      }
+
+      return {
+        row: index + 1,
+        valid: errors.length === 0,
+        errors,
+        question: {
+          questionText,
+          options,
+          correctAnswer,
+          explanation: cleanText(record.explanation) || null,
+        },
+      };
+    });
+
+    const validCount = rows.filter((r) => r.valid).length;
+
+    return {
+      totalRows: rows.length,
+      validCount,
+      invalidCount: rows.length - validCount,
+      rows,
+    };
+  },
+
+  // Flag valid rows that closely resemble a question in the bank or another
+  // row of the file. Warnings don't block the import.
+  async addDuplicateWarnings(report) {
+    report.rows.forEach((row) => {
+      row.warnings = [];
+    });
+
+    const validRows = report.rows.filter((r) => r.valid);
+    try {
+      const matches = await questionSimilarityService.findNearDuplicates(
+        validRows.map((r) => ({
+          question_text: r.question.questionText,
+          options: r.question.options,
+        })),
+      );
+
+      validRows.forEach((row, index) => {
+        row.warnings = matches[index].map(({ batchIndex, ...match }) =>
+          batchIndex === undefined
+            ? match
+            : { row: validRows[batchIndex].row, ...match },
+        );
+      });
+    } catch (similarityError) {
+      console.warn('Failed to check for duplicate questions:', similarityError);
+    }
+
+    report.warningCount = report.rows.filter((r) => r.warnings.length).length;
+  },
+
+  // Parse and validate an upload for a test without writing anything
+  async buildReport(testId, format, content) {
+    try {
+      const parsed =
+        format === 'csv'
+          ? this.csvToRecords(content)
+          : this.jsonToRecords(content);
+      if (parsed.error) {
+        return { error: parsed.error };
+      }
+
+      if (parsed.records.length === 0) {
+        return { error: 'The file does not contain any questions' };
+      }
+
+      if (parsed.records.length > MAX_ROWS) {
+        return {
+          error: `A single import can contain at most ${MAX_ROWS} questions`,
+        };
+      }
+
+      const existingQuestions = await questionModel.getByTestId(testId);
+      const report = this.validateRecords(
+        parsed.records,
+        existingQuestions.map((q) => q.question_text),
+      );
+      await this.addDuplicateWarnings(report);
+      return { report };
+    } catch (error) {
+      console.error('Error building import report:', error);
+      throw error;
+    }
+  },
+
+  // Insert every valid row and record the import so it can be rolled back
+  async commitImport(testId, userId, format, content, fileName) {
+    try {
+      const { report, error } = await this.buildReport(testId, format, content);
+      if (error) {
+        return { error };
+      }
+
+      const validRows = report.rows.filter((r) => r.valid);
+      if (validRows.length === 0) {
+        return { error: 'No valid rows to import', report };
+      }
+
+      const createdQuestions = await questionModel.createBatch(
+        validRows.map((r) => ({ testId, ...r.question })),
+      );
+
+      try {
+        await questionRevisionService.recordCreated(createdQuestions, userId);
+      } catch (revisionError) {
+        console.warn('Failed to record question revisions:', revisionError);
+      }
+
+      const importRecord = await questionImportModel.create({
+        testId,
+        userId,
+        format,
+        fileName,
+        totalRows: report.totalRows,
+        questionIds: createdQuestions.map((q) => q.question_id),
+        errors: report.rows
+          .filter((r) => !r.valid)
+          .map((r) => ({ row: r.row, errors: r.errors })),
+      });
+
+      return { importRecord, report, questions: createdQuestions };
+    } catch (error) {
+      console.error('Error committing question import:', error);
+      throw error;
+    }
+  },
+
+  // Delete the questions created by an import, with their attachment files
+  async rollbackImport(importRecord, userId) {
+    try {
+      // Claim the import first so a concurrent rollback can't delete too
+      const updated = await questionImportModel.markRolledBack(
+        importRecord.import_id,
+        userId,
+      );
+      if (!updated) {
+        return { alreadyRolledBack: true };
+      }
+
+      const questionIds = importRecord.question_ids || [];
+      // Attachment rows are deleted with their question, their files are not
+      const deletedAttachments = [];
+      let deletedCount = 0;
+      try {
+        for (let i = 0; i < questionIds.length; i += ID_CHUNK_SIZE) {
+          const chunk = questionIds.slice(i, i + ID_CHUNK_SIZE);
+          const attachments = await questionAttachmentModel.getByQuestionIds(
+            chunk,
+          );
+          const deleted = await questionModel.deleteBatch(chunk);
+          deletedCount += deleted.length;
+          deletedAttachments.push(...attachments);
+        }
+      } catch (deleteError) {
+        // Let the rollback be retried for the questions still left
+        await questionImportModel.reopen(importRecord.import_id);
+        throw deleteError;
+      } finally {
+        for (const attachment of deletedAttachments) {
+          await questionAttachmentService.removeFiles(attachment);
+        }
+      }
+
+      return {
+        alreadyRolledBack: false,
+        importRecord: updated,
+        deletedCount,
+      };
+    } catch (error) {
+      console.error('Error rolling back question import:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionImportService;
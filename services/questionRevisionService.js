@@ -0,0 +1,182 @@
+const questionModel = require('../models/questionModel');
+const questionRevisionModel = require('../models/questionRevisionModel');
+const questionSimilarityService = require('./questionSimilarityService');
+const flashcardService = require('./flashcardService');
+
+// Word diffs of very long texts fall back to a whole-text replacement
+const MAX_DIFF_TOKENS = 1000;
+
+const TEXT_FIELDS = ['question_text', 'correct_answer', 'explanation'];
+
+// Word-level diff via longest common subsequence.
+// Returns [{ type: 'equal' | 'delete' | 'insert', text }].
+const diffWords = (fromText, toText) => {
+  const from = (fromText || '').split(/(\s+)/).filter(Boolean);
+  const to = (toText || '').split(/(\s+)/).filter(Boolean);
+
+  if (from.length > MAX_DIFF_TOKENS || to.length > MAX_DIFF_TOKENS) {
+    return [
+      { type: 'delete', text: fromText || '' },
+      { type: 'insert', text: toText || '' },
+    ].filter((op) => op.text);
+  }
+
+  // lcs[i][j] = LCS length of from[i..] and to[j..]
+  const lcs = Array.from({ length: from.length + 1 }, () =>
+    new Array(to.length + 1).fill(0),
+  );
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        from[i] === to[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, text) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) last.text += text;
+    else ops.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < from.length && j < to.length) {
+    if (from[i] === to[j]) {
+      push('equal', from[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', from[i++]);
+    } else {
+      push('insert', to[j++]);
+    }
+  }
+  while (i < from.length) push('delete', from[i++]);
+  while (j < to.length) push('insert', to[j++]);
+
+  return ops;
+};
+
+const isSameState = (a, b) =>
+  TEXT_FIELDS.every((field) => (a[field] ?? null) === (b[field] ?? null)) &&
+  JSON.stringify(a.options || {}) === JSON.stringify(b.options || {});
+
+const questionRevisionService = {
+  diffWords,
+
+  // Record the first revision of newly created questions
+  async recordCreated(questions, editorId) {
+    return questionRevisionModel.createInitial(questions, editorId);
+  },
+
+  // Record a revision after an edit. The state before the edit is kept as
+  // a baseline revision if the question had no history yet.
+  async recordEdit(previousQuestion, updatedQuestion, editorId, changeType) {
+    try {
+      const latest = await questionRevisionModel.ensureBaseline(
+        previousQuestion,
+      );
+
+      if (isSameState(latest, updatedQuestion)) {
+        return latest;
+      }
+
+      return await questionRevisionModel.create(
+        updatedQuestion,
+        latest.revision_number + 1,
+        changeType,
+        editorId,
+      );
+    } catch (error) {
+      console.error('Error recording question revision:', error);
+      throw error;
+    }
+  },
+
+  // Field-by-field comparison of two revisions
+  diff(fromRevision, toRevision) {
+    const fields = TEXT_FIELDS.map((field) => {
+      const from = fromRevision[field] ?? null;
+      const to = toRevision[field] ?? null;
+      return {
+        field,
+        changed: from !== to,
+        from,
+        to,
+        changes: from !== to ? diffWords(from, to) : [],
+      };
+    });
+
+    const fromOptions = fromRevision.options || {};
+    const toOptions = toRevision.options || {};
+    const optionKeys = [
+      ...new Set([...Object.keys(fromOptions), ...Object.keys(toOptions)]),
+    ].sort();
+    const options = optionKeys.map((key) => {
+      const from = fromOptions[key] ?? null;
+      const to = toOptions[key] ?? null;
+      return {
+        key,
+        changed: from !== to,
+        from,
+        to,
+        changes:
+          from !== to ? diffWords(from && String(from), to && String(to)) : [],
+      };
+    });
+
+    return {
+      questionId: toRevision.question_id,
+      fromRevision: fromRevision.revision_number,
+      toRevision: toRevision.revision_number,
+      changed: fields.some((f) => f.changed) || options.some((o) => o.changed),
+      fields,
+      options,
+    };
+  },
+
+  // Bring back the content of an old revision as a new revision
+  async restore(question, revision, editorId) {
+    try {
+      const latest = await questionRevisionModel.ensureBaseline(question);
+
+      const restoredQuestion = await questionModel.update(
+        question.question_id,
+        revision.question_text,
+        revision.options,
+        revision.correct_answer,
+        revision.explanation,
+      );
+
+      const newRevision = await questionRevisionModel.create(
+        restoredQuestion,
+        latest.revision_number + 1,
+        'restore',
+        editorId,
+        revision.revision_number,
+      );
+
+      // Bring the fingerprint and generated flashcards back in line too
+      try {
+        await questionSimilarityService.record([restoredQuestion]);
+      } catch (similarityError) {
+        console.warn('Failed to update question fingerprint:', similarityError);
+      }
+      try {
+        await flashcardService.syncQuestion(restoredQuestion.question_id);
+      } catch (flashcardError) {
+        console.warn('Failed to sync question flashcards:', flashcardError);
+      }
+
+      return { question: restoredQuestion, revision: newRevision };
+    } catch (error) {
+      console.error('Error restoring question revision:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionRevisionService;
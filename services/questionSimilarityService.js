@@ -0,0 +1,372 @@
+const questionFingerprintModel = require('../models/questionFingerprintModel');
+const searchService = require('./searchService');
+
+// MinHash over character shingles of the normalized question text plus its
+// option set. 64 hashes split into 16 LSH bands of 4 rows: pairs at 0.8
+// similarity share a band with >99.9% probability, so the band lookup finds
+// candidates and the signatures confirm them.
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+const SIMILARITY_THRESHOLD = 0.8;
+// Questions checked per candidate lookup (keeps request URLs short)
+const LOOKUP_CHUNK_SIZE = 10;
+// Buckets larger than this are boilerplate shared by unrelated questions
+const MAX_BUCKET_SIZE = 50;
+const SNIPPET_LENGTH = 120;
+
+// Helper: 32-bit FNV-1a hash of a string
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Helper: murmur3 finalizer, spreads seeded values over 32 bits
+const mix32 = (value) => {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// One fixed seed per hash function, so signatures are stable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) =>
+  mix32(0x9e3779b9 + i),
+);
+
+const truncate = (text) =>
+  text && text.length > SNIPPET_LENGTH
+    ? `${text.slice(0, SNIPPET_LENGTH)}…`
+    : text;
+
+const questionSimilarityService = {
+  SIMILARITY_THRESHOLD,
+
+  // Normalized comparison text: question text plus the option set (order
+  // doesn't matter, so shuffled options still match)
+  comparisonText(question) {
+    const clean = (text) =>
+      searchService
+        .normalize(text)
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+
+    const options = Object.values(question.options || {})
+      .map(clean)
+      .filter(Boolean)
+      .sort();
+
+    return [clean(question.question_text), ...options].join(' | ');
+  },
+
+  // MinHash signature and LSH band keys of a question.
+  // Returns null when the text is too short to compare.
+  fingerprint(question) {
+    const text = this.comparisonText(question);
+    if (text.length < SHINGLE_SIZE) return null;
+
+    const shingleHashes = new Set();
+    for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+      shingleHashes.add(fnv1a(text.slice(i, i + SHINGLE_SIZE)));
+    }
+
+    const signature = SEEDS.map((seed) => {
+      let min = 0xffffffff;
+      shingleHashes.forEach((hash) => {
+        const value = mix32(hash ^ seed);
+        if (value < min) min = value;
+      });
+      // Stored as Postgres integer
+      return min | 0;
+    });
+
+    const bandKeys = [];
+    for (let band = 0; band < NUM_HASHES / BAND_ROWS; band++) {
+      const rows = signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS);
+      bandKeys.push(`${band}:${fnv1a(rows.join(',')).toString(16)}`);
+    }
+
+    return { signature, bandKeys };
+  },
+
+  // Estimated Jaccard similarity of two signatures
+  similarity(signatureA, signatureB) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) {
+      if (signatureA[i] === signatureB[i]) equal++;
+    }
+    return equal / NUM_HASHES;
+  },
+
+  // Find near-duplicates of questions, both in the bank and within the list
+  // itself. Questions with a question_id never match themselves.
+  // Returns one array of warnings per question:
+  //   { questionId, testId, questionText, similarity } for bank matches
+  //   { batchIndex, similarity } for matches within the list
+  async findNearDuplicates(questions) {
+    try {
+      const fingerprints = questions.map((q) => this.fingerprint(q));
+      const warnings = questions.map(() => []);
+      const ownIds = new Set(
+        questions.map((q) => q.question_id).filter(Boolean),
+      );
+
+      for (let i = 0; i < questions.length; i += LOOKUP_CHUNK_SIZE) {
+        const chunk = fingerprints.slice(i, i + LOOKUP_CHUNK_SIZE);
+        const bandKeys = chunk.flatMap((fp) => (fp ? fp.bandKeys : []));
+        if (bandKeys.length === 0) continue;
+
+        const candidates = await questionFingerprintModel.getCandidates(
+          bandKeys,
+        );
+
+        chunk.forEach((fp, offset) => {
+          if (!fp) return;
+          candidates.forEach((candidate) => {
+            if (ownIds.has(candidate.question_id)) return;
+            const similarity = this.similarity(
+              fp.signature,
+              candidate.signature,
+            );
+            if (similarity >= SIMILARITY_THRESHOLD) {
+              warnings[i + offset].push({
+                questionId: candidate.question_id,
+                testId: candidate.test_questions?.test_id || null,
+                questionText: truncate(candidate.test_questions?.question_text),
+                similarity: Math.round(similarity * 100) / 100,
+              });
+            }
+          });
+        });
+      }
+
+      // Within the list itself
+      for (let a = 0; a < fingerprints.length; a++) {
+        for (let b = a + 1; b < fingerprints.length; b++) {
+          if (!fingerprints[a] || !fingerprints[b]) continue;
+          const similarity = this.similarity(
+            fingerprints[a].signature,
+            fingerprints[b].signature,
+          );
+          if (similarity >= SIMILARITY_THRESHOLD) {
+            const rounded = Math.round(similarity * 100) / 100;
+            warnings[a].push({ batchIndex: b, similarity: rounded });
+            warnings[b].push({ batchIndex: a, similarity: rounded });
+          }
+        }
+      }
+
+      warnings.forEach((list) =>
+        list.sort((x, y) => y.similarity - x.similarity),
+      );
+      return warnings;
+    } catch (error) {
+      console.error('Error finding near-duplicate questions:', error);
+      throw error;
+    }
+  },
+
+  // Store fingerprints of saved questions
+  async record(questions) {
+    try {
+      const fingerprints = questions
+        .map((q) => ({ questionId: q.question_id, ...this.fingerprint(q) }))
+        .filter((fp) => fp.signature);
+
+      if (fingerprints.length > 0) {
+        await questionFingerprintModel.upsertBatch(fingerprints);
+      }
+      return fingerprints.length;
+    } catch (error) {
+      console.error('Error recording question fingerprints:', error);
+      throw error;
+    }
+  },
+
+  // Check newly created questions and index them. Within-list matches are
+  // reported by question ID. Returns one warning array per question.
+  async checkCreated(questions) {
+    try {
+      const warnings = await this.findNearDuplicates(questions);
+      await this.record(questions);
+
+      return warnings.map((list) =>
+        list.map(({ batchIndex, ...warning }) =>
+          batchIndex === undefined
+            ? warning
+            : {
+                questionId: questions[batchIndex].question_id,
+                testId: questions[batchIndex].test_id,
+                questionText: truncate(questions[batchIndex].question_text),
+                ...warning,
+              },
+        ),
+      );
+    } catch (error) {
+      console.error('Error checking created questions:', error);
+      throw error;
+    }
+  },
+
+  // Fingerprint the whole bank (questions created before the checker, or
+  // after changing the algorithm). Returns the number indexed.
+  async reindex() {
+    try {
+      let indexed = 0;
+      for (let page = 0; ; page++) {
+        const questions = await questionFingerprintModel.getQuestionPage(page);
+        indexed += await this.record(questions);
+        if (questions.length < questionFingerprintModel.PAGE_SIZE) break;
+      }
+      return indexed;
+    } catch (error) {
+      console.error('Error reindexing question fingerprints:', error);
+      throw error;
+    }
+  },
+
+  // Group the whole bank into clusters of near-duplicates, largest first
+  async findClusters() {
+    try {
+      const fingerprints = [];
+      for (let page = 0; ; page++) {
+        const rows = await questionFingerprintModel.getPage(page);
+        fingerprints.push(...rows);
+        if (rows.length < questionFingerprintModel.PAGE_SIZE) break;
+      }
+
+      const buckets = new Map();
+      fingerprints.forEach((fp, index) => {
+        fp.band_keys.forEach((key) => {
+          if (!buckets.has(key)) buckets.set(key, []);
+          buckets.get(key).push(index);
+        });
+      });
+
+      // Union-find over confirmed pairs
+      const parent = fingerprints.map((_, index) => index);
+      const find = (x) => {
+        while (parent[x] !== x) {
+          parent[x] = parent[parent[x]];
+          x = parent[x];
+        }
+        return x;
+      };
+
+      const checked = new Set();
+      const pairs = [];
+      buckets.forEach((members) => {
+        if (members.length < 2 || members.length > MAX_BUCKET_SIZE) return;
+        for (let a = 0; a < members.length; a++) {
+          for (let b = a + 1; b < members.length; b++) {
+            const pairKey = `${members[a]}:${members[b]}`;
+            if (checked.has(pairKey)) continue;
+            checked.add(pairKey);
+
+            const similarity = this.similarity(
+              fingerprints[members[a]].signature,
+              fingerprints[members[b]].signature,
+            );
+            if (similarity >= SIMILARITY_THRESHOLD) {
+              pairs.push([members[a], members[b], similarity]);
+              parent[find(members[a])] = find(members[b]);
+            }
+          }
+        }
+      });
+
+      const clusters = new Map();
+      pairs.forEach(([a, b, similarity]) => {
+        const root = find(a);
+        if (!clusters.has(root)) {
+          clusters.set(root, { members: new Set(), minSimilarity: 1 });
+        }
+        const cluster = clusters.get(root);
+        cluster.members.add(a).add(b);
+        cluster.minSimilarity = Math.min(cluster.minSimilarity, similarity);
+      });
+
+      return [...clusters.values()]
+        .map((cluster) => ({
+          size: cluster.members.size,
+          minSimilarity: Math.round(cluster.minSimilarity * 100) / 100,
+          questions: [...cluster.members]
+            .map((index) => fingerprints[index])
+            .sort((a, b) => a.question_id - b.question_id)
+            .map((fp) => ({
+              questionId: fp.question_id,
+              testId: fp.test_questions?.test_id || null,
+              status: fp.test_questions?.status || null,
+              questionText: truncate(fp.test_questions?.question_text),
+            })),
+        }))
+        .sort((a, b) => b.size - a.size);
+    } catch (error) {
+      console.error('Error finding duplicate clusters:', error);
+      throw error;
+    }
+  },
+
+  // Merge duplicates into one question: their tags, bookmarks, review
+  // cards and flashcards move to the kept question, and they are retired
+  // (back to draft, hidden from students) rather than deleted, so answer
+  // history stays intact. The writes run in one database transaction.
+  // Returns the moved counts or { error, status }.
+  async merge(keepQuestionId, duplicateQuestionIds, userId) {
+    try {
+      const ids = [keepQuestionId, ...duplicateQuestionIds];
+      const questions = await questionFingerprintModel.getQuestions(ids);
+      const byId = new Map(questions.map((q) => [q.question_id, q]));
+
+      const missing = ids.filter((id) => !byId.has(id));
+      if (missing.length > 0) {
+        return {
+          error: `Questions not found: ${missing.join(', ')}`,
+          status: 404,
+        };
+      }
+
+      const alreadyMerged = ids.filter(
+        (id) => byId.get(id).merged_into_question_id,
+      );
+      if (alreadyMerged.length > 0) {
+        return {
+          error: `Questions already merged: ${alreadyMerged.join(', ')}`,
+          status: 409,
+        };
+      }
+
+      const outcome = await questionFingerprintModel.mergeQuestions(
+        keepQuestionId,
+        duplicateQuestionIds,
+        userId,
+      );
+      if (!outcome) {
+        return {
+          error: 'One of the questions was merged by someone else',
+          status: 409,
+        };
+      }
+
+      return {
+        merged: outcome.merged,
+        tagsMoved: outcome.tags_moved,
+        bookmarksMoved: outcome.bookmarks_moved,
+        reviewCardsMoved: outcome.review_cards_moved,
+        flashcardsMoved: outcome.flashcards_moved,
+      };
+    } catch (error) {
+      console.error('Error merging duplicate questions:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = questionSimilarityService;
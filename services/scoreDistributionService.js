@@ -0,0 +1,190 @@
+const resultModel = require('../models/resultModel');
+const mockExamModel = require('../models/mockExamModel');
+const duelStateService = require('./duelStateService');
+
+// Distributions are rebuilt at most once per TTL, or after a new result
+// is stored, instead of scanning every result on each request. They are
+// cached in the shared state, so a result stored on one instance
+// invalidates them everywhere.
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const TEST_HISTOGRAM_BUCKET_SIZE = 10;
+const MOCK_EXAM_HISTOGRAM_BUCKET_SIZE = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const cacheKey = (key) => `score-distribution:${key}`;
+
+const scoreDistributionService = {
+  // Keep each user's best score so repeat attempts don't inflate the pool
+  bestScorePerUser(rows) {
+    const best = new Map();
+    rows.forEach((row) => {
+      const score = Number(row.score);
+      if (isNaN(score)) return;
+      if (!best.has(row.user_id) || score > best.get(row.user_id)) {
+        best.set(row.user_id, score);
+      }
+    });
+    return [...best.values()];
+  },
+
+  // Build a compact distribution: sorted scores plus a histogram
+  buildDistribution(scores, bucketSize, minScore = null, maxScore = null) {
+    const sorted = [...scores].sort((a, b) => a - b);
+    const count = sorted.length;
+
+    const quantile = (q) => {
+      if (count === 0) return 0;
+      const pos = (count - 1) * q;
+      const lower = Math.floor(pos);
+      const upper = Math.ceil(pos);
+      return round2(
+        sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower),
+      );
+    };
+
+    const low = minScore !== null ? minScore : count > 0 ? sorted[0] : 0;
+    const high =
+      maxScore !== null ? maxScore : count > 0 ? sorted[count - 1] : 0;
+    const firstBucket = Math.floor(low / bucketSize) * bucketSize;
+    // The last bucket is inclusive of its upper bound
+    const histogram = [];
+    for (
+      let start = firstBucket;
+      start < high || histogram.length === 0;
+      start += bucketSize
+    ) {
+      histogram.push({ from: start, to: start + bucketSize, count: 0 });
+    }
+    sorted.forEach((score) => {
+      const index = Math.min(
+        histogram.length - 1,
+        Math.floor((score - firstBucket) / bucketSize),
+      );
+      if (index >= 0) histogram[index].count++;
+    });
+
+    return {
+      takerCount: count,
+      mean:
+        count > 0 ? round2(sorted.reduce((sum, s) => sum + s, 0) / count) : 0,
+      percentiles: {
+        p25: quantile(0.25),
+        p50: quantile(0.5),
+        p75: quantile(0.75),
+        p90: quantile(0.9),
+      },
+      histogram,
+      sortedScores: sorted,
+      generatedAt: new Date().toISOString(),
+    };
+  },
+
+  // Percentile rank (share of takers scoring below, ties counted half)
+  // and estimated rank (1 + takers scoring strictly higher)
+  getStanding(distribution, score) {
+    const scores = distribution.sortedScores;
+    const total = scores.length;
+    if (total === 0) {
+      return { percentile: 100, estimatedRank: 1, totalTakers: 0 };
+    }
+
+    let below = 0;
+    let equal = 0;
+    scores.forEach((s) => {
+      if (s < score) below++;
+      else if (s === score) equal++;
+    });
+    const higher = total - below - equal;
+
+    return {
+      percentile: round2(((below + equal / 2) / total) * 100),
+      estimatedRank: higher + 1,
+      totalTakers: total,
+    };
+  },
+
+  async getCached(key, loader) {
+    const cached = await duelStateService.getCached(cacheKey(key));
+    if (cached) return cached;
+
+    const value = await loader();
+    await duelStateService.setCached(cacheKey(key), value, CACHE_TTL_MS);
+    return value;
+  },
+
+  // A failed invalidation only leaves the distribution stale until its TTL
+  async invalidate(key) {
+    try {
+      await duelStateService.deleteCached(cacheKey(key));
+    } catch (error) {
+      console.warn('Failed to invalidate score distribution:', error);
+    }
+  },
+
+  // Drop a test's distribution after one of its results is stored
+  invalidateTest(testId) {
+    return this.invalidate(`test:${testId}`);
+  },
+
+  invalidateMockExams() {
+    return this.invalidate('mock_exams');
+  },
+
+  // Mock exams can have different question counts, so they are compared
+  // by net as a percentage of the questions rather than raw net
+  getNetPercent(result) {
+    const questionCount =
+      Number(result.correct_count) +
+      Number(result.wrong_count) +
+      Number(result.blank_count);
+    return questionCount > 0
+      ? round2((Number(result.total_net) / questionCount) * 100)
+      : 0;
+  },
+
+  async getTestDistribution(testId) {
+    try {
+      return await this.getCached(`test:${testId}`, async () => {
+        const rows = await resultModel.getScoresByTest(testId);
+        return this.buildDistribution(
+          this.bestScorePerUser(rows),
+          TEST_HISTOGRAM_BUCKET_SIZE,
+          0,
+          100,
+        );
+      });
+    } catch (error) {
+      console.error('Error building test score distribution:', error);
+      throw error;
+    }
+  },
+
+  async getMockExamDistribution() {
+    try {
+      return await this.getCached('mock_exams', async () => {
+        const rows = await mockExamModel.getAllTotalNets();
+        return this.buildDistribution(
+          this.bestScorePerUser(
+            rows.map((r) => ({
+              user_id: r.user_id,
+              score: this.getNetPercent(r),
+            })),
+          ),
+          MOCK_EXAM_HISTOGRAM_BUCKET_SIZE,
+        );
+      });
+    } catch (error) {
+      console.error('Error building mock exam score distribution:', error);
+      throw error;
+    }
+  },
+
+  // Strip the raw score list before sending a distribution to clients
+  toPublic(distribution) {
+    const { sortedScores, ...rest } = distribution;
+    return rest;
+  },
+};
+
+module.exports = scoreDistributionService;
@@ -0,0 +1,166 @@
+const searchModel = require('../models/searchModel');
+
+const RESULT_TYPES = ['question', 'topic', 'subtopic', 'coaching_note'];
+
+// Turkish letters (and circumflexed vowels) folded to their ASCII base, so
+// "diş", "DİŞ" and "dis" all match. Every entry maps one character to one
+// character, which keeps folded and original text aligned for highlighting.
+// The search columns fold text with the same map (see searchModel).
+const TURKISH_FOLD = {
+  ı: 'i',
+  İ: 'i',
+  I: 'i',
+  ş: 's',
+  Ş: 's',
+  ğ: 'g',
+  Ğ: 'g',
+  ç: 'c',
+  Ç: 'c',
+  ö: 'o',
+  Ö: 'o',
+  ü: 'u',
+  Ü: 'u',
+  â: 'a',
+  Â: 'a',
+  î: 'i',
+  Î: 'i',
+  û: 'u',
+  Û: 'u',
+};
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERMS = 8;
+const SNIPPET_LENGTH = 160;
+
+// Helper: fold one character (always returns exactly one character)
+const foldChar = (char) => {
+  if (TURKISH_FOLD[char]) return TURKISH_FOLD[char];
+  const lower = char.toLowerCase();
+  return lower.length === 1 ? lower : char;
+};
+
+// Helper: escape text for the HTML snippets
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const searchService = {
+  RESULT_TYPES,
+
+  // Turkish-aware normalization: fold letters and lowercase
+  normalize(text) {
+    return Array.from(String(text || ''), foldChar).join('');
+  },
+
+  // Split a search string into normalized terms
+  parseTerms(searchTerm) {
+    const terms = this.normalize(searchTerm)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((term) => term.length >= MIN_TERM_LENGTH);
+
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+  },
+
+  // Every term must match the start of a word. Prefix matching also covers
+  // Turkish suffixes ("ligamentin", "dişlerde").
+  buildTsQuery(terms) {
+    return terms.map((term) => `${term}:*`).join(' & ');
+  },
+
+  // Build an HTML snippet around the first match with <mark> highlights
+  highlight(text, terms) {
+    if (!text) return null;
+
+    const folded = this.normalize(text);
+    const matches = [];
+    const wordStart = /[\p{L}\p{N}]+/gu;
+    let word;
+    while ((word = wordStart.exec(folded)) !== null) {
+      const term = terms.find((t) => word[0].startsWith(t));
+      if (term) {
+        matches.push([word.index, word.index + term.length]);
+      }
+    }
+
+    // Start the window a little before the first match
+    let start = 0;
+    if (matches.length > 0 && matches[0][0] > SNIPPET_LENGTH / 4) {
+      start = text.lastIndexOf(' ', matches[0][0] - SNIPPET_LENGTH / 4) + 1;
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    let snippet = start > 0 ? '…' : '';
+    let position = start;
+    matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .forEach(([from, to]) => {
+        snippet += escapeHtml(text.slice(position, from));
+        snippet += `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        position = to;
+      });
+    snippet += escapeHtml(text.slice(position, end));
+    if (end < text.length) snippet += '…';
+
+    return snippet;
+  },
+
+  // Search questions, explanations, topics, subtopics and coaching notes.
+  // Returns { terms, results, total }.
+  async search(userId, searchTerm, options = {}) {
+    try {
+      const terms = this.parseTerms(searchTerm);
+      if (terms.length === 0) {
+        return { terms, results: [], total: 0 };
+      }
+
+      let types = options.types || RESULT_TYPES;
+      // Only questions can be answered, and coaching notes have no course
+      if (options.answered !== undefined) {
+        types = types.filter((type) => type === 'question');
+      }
+      if (options.courseId || options.topicId) {
+        types = types.filter((type) => type !== 'coaching_note');
+      }
+      if (types.length === 0) {
+        return { terms, results: [], total: 0 };
+      }
+
+      const { rows, total } = await searchModel.search({
+        tsQuery: this.buildTsQuery(terms),
+        userId,
+        types,
+        courseId: options.courseId,
+        topicId: options.topicId,
+        answered: options.answered,
+        limit: options.limit,
+        offset: options.offset,
+      });
+
+      const results = rows.map((row) => ({
+        type: row.result_type,
+        id: row.result_id,
+        title: row.title,
+        courseId: row.course_id,
+        topicId: row.topic_id,
+        testId: row.test_id,
+        answered: row.result_type === 'question' ? row.answered : undefined,
+        rank: Number(row.rank),
+        snippet: this.highlight(row.primary_text, terms),
+        // Explanation / description snippet, only when it matched too
+        secondarySnippet: row.secondary_matched
+          ? this.highlight(row.secondary_text, terms)
+          : null,
+      }));
+
+      return { terms, results, total };
+    } catch (error) {
+      console.error('Error searching content:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = searchService;
@@ -0,0 +1,314 @@
+const reviewCardModel = require('../models/reviewCardModel');
+const flashcardModel = require('../models/flashcardModel');
+
+// SM-2 scheduling (SuperMemo 2). Quality is graded 0-5; below 3 is a lapse.
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const PASSING_QUALITY = 3;
+// Quality recorded when only correctness is known (tests, duels)
+const CORRECT_QUALITY = 4;
+const INCORRECT_QUALITY = 1;
+const DEFAULT_NEW_CARDS_PER_DAY = 10;
+const DEFAULT_REVIEWS_PER_DAY = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Review days roll over at midnight Istanbul time (UTC+3, no DST)
+const DAY_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined || answer === ''
+    ? null
+    : String(answer).trim().toUpperCase();
+
+const spacedRepetitionService = {
+  DEFAULT_NEW_CARDS_PER_DAY,
+  DEFAULT_REVIEWS_PER_DAY,
+
+  // Start and end of the review day containing the given time
+  getDayBounds(now = new Date()) {
+    const start = new Date(
+      Math.floor((now.getTime() + DAY_OFFSET_MS) / DAY_MS) * DAY_MS -
+        DAY_OFFSET_MS,
+    );
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  },
+
+  qualityFromAnswer(isCorrect, grade) {
+    if (!isCorrect) return INCORRECT_QUALITY;
+    if (Number.isInteger(grade) && grade >= PASSING_QUALITY && grade <= 5) {
+      return grade;
+    }
+    return CORRECT_QUALITY;
+  },
+
+  // Apply one SM-2 step to a card (or a new card when card is null)
+  schedule(card, quality, now = new Date()) {
+    let easeFactor = card ? Number(card.ease_factor) : DEFAULT_EASE_FACTOR;
+    let interval = card ? card.interval_days : 0;
+    let repetitions = card ? card.repetitions : 0;
+    let lapses = card ? card.lapses : 0;
+
+    if (quality < PASSING_QUALITY) {
+      repetitions = 0;
+      interval = 1;
+      lapses++;
+    } else {
+      repetitions++;
+      if (repetitions === 1) interval = 1;
+      else if (repetitions === 2) interval = 6;
+      else interval = Math.round(interval * easeFactor);
+    }
+
+    easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      round2(easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+    );
+
+    return {
+      ease_factor: easeFactor,
+      interval_days: interval,
+      repetitions,
+      lapses,
+      due_at: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+      last_reviewed_at: now.toISOString(),
+    };
+  },
+
+  // Update cards after answers from tests, duels or review sessions.
+  // answers: [{ questionId, isCorrect, grade? }]
+  async recordAnswers(userId, answers, source) {
+    try {
+      if (answers.length === 0) return [];
+
+      const questionIds = answers.map((a) => a.questionId);
+      const [courses, existingCards] = await Promise.all([
+        reviewCardModel.getQuestionCourses(questionIds),
+        reviewCardModel.getCards(userId, questionIds),
+      ]);
+
+      const courseMap = new Map(
+        courses.map((c) => [String(c.question_id), c.course_id]),
+      );
+      const cardMap = new Map(
+        existingCards.map((c) => [String(c.question_id), c]),
+      );
+
+      const now = new Date();
+      const cards = [];
+      const logs = [];
+
+      answers.forEach((answer) => {
+        const key = String(answer.questionId);
+        if (!courseMap.has(key)) return;
+
+        const card = cardMap.get(key) || null;
+        const quality = this.qualityFromAnswer(answer.isCorrect, answer.grade);
+
+        cards.push({
+          user_id: userId,
+          question_id: answer.questionId,
+          course_id: courseMap.get(key),
+          ...this.schedule(card, quality, now),
+        });
+        logs.push({
+          user_id: userId,
+          question_id: answer.questionId,
+          course_id: courseMap.get(key),
+          source,
+          quality,
+          was_new: !card,
+          reviewed_at: now.toISOString(),
+        });
+      });
+
+      if (cards.length === 0) return [];
+
+      const savedCards = await reviewCardModel.upsertCards(cards);
+      await reviewCardModel.addLogs(logs);
+
+      return savedCards;
+    } catch (error) {
+      console.error('Error recording spaced repetition answers:', error);
+      throw error;
+    }
+  },
+
+  // Daily limits for each course, falling back to the defaults
+  async getLimits(userId) {
+    const settings = await reviewCardModel.getSettings(userId);
+    const byCourse = new Map(
+      settings.map((s) => [
+        String(s.course_id),
+        {
+          newCardsPerDay: s.new_cards_per_day,
+          reviewsPerDay: s.reviews_per_day,
+        },
+      ]),
+    );
+
+    return (courseId) =>
+      byCourse.get(String(courseId)) || {
+        newCardsPerDay: DEFAULT_NEW_CARDS_PER_DAY,
+        reviewsPerDay: DEFAULT_REVIEWS_PER_DAY,
+      };
+  },
+
+  // What was already studied today per course: question reviews and
+  // flashcards count against the same daily limits. A flashcard counts
+  // once a day, as new when its schedule was created today.
+  async getDoneToday(userId, now = new Date()) {
+    const { start } = this.getDayBounds(now);
+    const [todayLogs, todayFlashcards] = await Promise.all([
+      reviewCardModel.getReviewLogsSince(userId, start.toISOString()),
+      flashcardModel.getReviewedSince(userId, start.toISOString()),
+    ]);
+
+    const doneToday = new Map();
+    const count = (courseId, isNew) => {
+      const key = String(courseId);
+      if (!doneToday.has(key)) {
+        doneToday.set(key, { reviews: 0, newCards: 0 });
+      }
+      doneToday.get(key)[isNew ? 'newCards' : 'reviews']++;
+    };
+    todayLogs.forEach((log) => count(log.course_id, log.was_new));
+    todayFlashcards.forEach((card) =>
+      count(card.course_id, new Date(card.created_at) >= start),
+    );
+
+    return (courseId) =>
+      doneToday.get(String(courseId)) || { reviews: 0, newCards: 0 };
+  },
+
+  // Build today's queue: due reviews first, then new cards, each capped
+  // by what remains of the course's daily limits. New cards are only
+  // introduced when a course is given.
+  async getDueQueue(userId, courseId = null, now = new Date()) {
+    try {
+      const { end } = this.getDayBounds(now);
+      const [limitsFor, done, dueCards] = await Promise.all([
+        this.getLimits(userId),
+        this.getDoneToday(userId, now),
+        reviewCardModel.getDueCards(userId, end.toISOString(), courseId),
+      ]);
+
+      const taken = new Map();
+      const reviews = dueCards.filter((card) => {
+        const key = String(card.course_id);
+        const remaining =
+          limitsFor(card.course_id).reviewsPerDay -
+          done(card.course_id).reviews;
+        const count = taken.get(key) || 0;
+        if (count >= remaining) return false;
+        taken.set(key, count + 1);
+        return true;
+      });
+
+      let newQuestionIds = [];
+      if (courseId) {
+        const remainingNew =
+          limitsFor(courseId).newCardsPerDay - done(courseId).newCards;
+
+        if (remainingNew > 0) {
+          const [courseQuestionIds, cardQuestionIds] = await Promise.all([
+            reviewCardModel.getCourseQuestionIds(courseId),
+            reviewCardModel.getCardQuestionIds(userId, courseId),
+          ]);
+          const seen = new Set(cardQuestionIds.map(String));
+          newQuestionIds = courseQuestionIds
+            .filter((id) => !seen.has(String(id)))
+            .slice(0, remainingNew);
+        }
+      }
+
+      const questions = await reviewCardModel.getQuestions([
+        ...reviews.map((c) => c.question_id),
+        ...newQuestionIds,
+      ]);
+      const questionMap = new Map(
+        questions.map((q) => [String(q.question_id), q]),
+      );
+
+      return {
+        reviews: reviews
+          .filter((card) => questionMap.has(String(card.question_id)))
+          .map((card) => ({
+            ...questionMap.get(String(card.question_id)),
+            course_id: card.course_id,
+            due_at: card.due_at,
+            interval_days: card.interval_days,
+            repetitions: card.repetitions,
+          })),
+        newCards: newQuestionIds
+          .filter((id) => questionMap.has(String(id)))
+          .map((id) => ({
+            ...questionMap.get(String(id)),
+            course_id: Number(courseId),
+          })),
+      };
+    } catch (error) {
+      console.error('Error building review queue:', error);
+      throw error;
+    }
+  },
+
+  // Grade an answer given during a review session and reschedule the card.
+  // grade (3-5) lets the student rate how easy a correct answer was. Only
+  // published questions the user has a card due today for, or could be
+  // given as a new card today, are graded, so the answer key of anything
+  // else isn't revealed. Returns null otherwise.
+  async answerReview(userId, questionId, userAnswer, grade, now = new Date()) {
+    try {
+      const question = await reviewCardModel.getAnswerKey(questionId);
+      if (
+        !question ||
+        question.status !== 'published' ||
+        question.tests?.status !== 'published'
+      ) {
+        return null;
+      }
+
+      const [existingCard] = await reviewCardModel.getCards(userId, [
+        question.question_id,
+      ]);
+      if (existingCard) {
+        const { end } = this.getDayBounds(now);
+        if (new Date(existingCard.due_at) > end) return null;
+      } else {
+        const courseId = question.tests.course_id;
+        const [limitsFor, done] = await Promise.all([
+          this.getLimits(userId),
+          this.getDoneToday(userId, now),
+        ]);
+        if (limitsFor(courseId).newCardsPerDay <= done(courseId).newCards) {
+          return null;
+        }
+      }
+
+      const selected = normalizeAnswer(userAnswer);
+      const isCorrect =
+        selected !== null &&
+        selected === normalizeAnswer(question.correct_answer);
+
+      const [card] = await this.recordAnswers(
+        userId,
+        [{ questionId: question.question_id, isCorrect, grade }],
+        'review',
+      );
+
+      return {
+        isCorrect,
+        correctAnswer: question.correct_answer,
+        explanation: question.explanation,
+        nextDueAt: card ? card.due_at : null,
+        intervalDays: card ? card.interval_days : null,
+      };
+    } catch (error) {
+      console.error('Error answering review:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = spacedRepetitionService;
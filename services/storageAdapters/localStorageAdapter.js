@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local filesystem storage adapter (development)
+ *
+ * Files are written under `directory` and served by app.js from
+ * `publicPath` with express.static.
+ */
+const createLocalStorageAdapter = ({
+  directory,
+  publicPath = '/media',
+  publicBaseUrl = '',
+}) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by us, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory: root,
+    publicPath,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl(key) {
+      return `${publicBaseUrl}${publicPath}/${key}`;
+    },
+  };
+};
+
+module.exports = createLocalStorageAdapter;
@@ -0,0 +1,34 @@
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../../config/supabase');
+
+/**
+ * Supabase Storage adapter (production)
+ *
+ * The bucket must be public, since attachment URLs are sent to clients as-is.
+ */
+const createSupabaseStorageAdapter = ({ bucket }) => {
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  return {
+    name: 'supabase',
+
+    async save(key, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(key, buffer, { contentType, upsert: false });
+
+      if (error) throw error;
+    },
+
+    async delete(key) {
+      const { error } = await supabase.storage.from(bucket).remove([key]);
+      if (error) throw error;
+    },
+
+    getUrl(key) {
+      return supabase.storage.from(bucket).getPublicUrl(key).data.publicUrl;
+    },
+  };
+};
+
+module.exports = createSupabaseStorageAdapter;
@@ -0,0 +1,89 @@
+const testModel = require('../models/testModel');
+
+// Normalize an answer key so "b", " B " and "B" are graded the same
+const normalizeAnswer = (answer) =>
+  answer === null || answer === undefined
+    ? null
+    : String(answer).trim().toUpperCase();
+
+const testGradingService = {
+  // Grade answers against the given test questions.
+  // Returns { valid: false, message } when the submission is malformed,
+  // otherwise the computed score and per-answer correctness.
+  gradeAnswers(questions, answers) {
+    const questionMap = new Map(
+      questions.map((question) => [String(question.question_id), question]),
+    );
+    const seenQuestionIds = new Set();
+    const gradedAnswers = [];
+
+    for (const answer of answers) {
+      if (!answer || !answer.questionId || answer.userAnswer === undefined) {
+        return {
+          valid: false,
+          message: 'Each answer must have questionId and userAnswer fields',
+        };
+      }
+
+      const key = String(answer.questionId);
+      const question = questionMap.get(key);
+
+      if (!question) {
+        return {
+          valid: false,
+          message: `Question ${answer.questionId} does not belong to this test`,
+        };
+      }
+
+      if (seenQuestionIds.has(key)) {
+        return {
+          valid: false,
+          message: `Question ${answer.questionId} was answered more than once`,
+        };
+      }
+      seenQuestionIds.add(key);
+
+      const userAnswer = normalizeAnswer(answer.userAnswer);
+      const isCorrect =
+        userAnswer !== null &&
+        userAnswer === normalizeAnswer(question.correct_answer);
+
+      gradedAnswers.push({
+        questionId: question.question_id,
+        userAnswer: userAnswer,
+        isCorrect,
+      });
+    }
+
+    const totalQuestions = questions.length;
+    const correctCount = gradedAnswers.filter((a) => a.isCorrect).length;
+
+    // Unanswered questions count as incorrect
+    const score =
+      totalQuestions > 0
+        ? Math.round((correctCount / totalQuestions) * 10000) / 100
+        : 0;
+
+    return {
+      valid: true,
+      score,
+      totalQuestions,
+      correctCount,
+      answeredCount: gradedAnswers.length,
+      answers: gradedAnswers,
+    };
+  },
+
+  // Load the questions of a test and grade the submitted answers against them
+  async gradeSubmission(testId, answers) {
+    try {
+      const questions = await testModel.getQuestions(testId);
+      return this.gradeAnswers(questions, answers);
+    } catch (error) {
+      console.error('Error grading test submission:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = testGradingService;
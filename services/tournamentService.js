@@ -0,0 +1,788 @@
+const tournamentModel = require('../models/tournamentModel');
+const duelModel = require('../models/duelModel');
+const duelResultModel = require('../models/duelResultModel');
+const duelRatingModel = require('../models/duelRatingModel');
+const notificationService = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FORMATS = ['single_elimination', 'swiss'];
+const MIN_PLAYERS = 2;
+const DEFAULT_RATING = 1500;
+// A duel still being played at the round deadline gets this long to finish
+const LIVE_DUEL_GRACE_MS = 30 * 60 * 1000;
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+const seedOf = (player) => player.seed ?? Number.MAX_SAFE_INTEGER;
+
+// Seed of each bracket position, so the top seeds meet as late as
+// possible: 1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight players
+const bracketOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const mirror = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, mirror - seed]);
+  }
+  return order;
+};
+
+// First-round pairings of a seeded bracket. Missing seeds are byes, which
+// go to the top seeds.
+const eliminationPairings = (seeded) => {
+  let size = 1;
+  while (size < seeded.length) size *= 2;
+
+  const bySeed = new Map(seeded.map((player) => [player.seed, player.user_id]));
+  const order = bracketOrder(size);
+  const pairings = [];
+  for (let i = 0; i < size; i += 2) {
+    pairings.push([bySeed.get(order[i]), bySeed.get(order[i + 1]) || null]);
+  }
+  return pairings;
+};
+
+// Pair players from the top of the standings down, each with the
+// highest-placed player they haven't met yet (or the next one when they
+// have met everybody left). With an odd count the lowest-placed player
+// without a bye sits this round out with one.
+const swissPairings = (standings, matches) => {
+  const met = new Set(
+    matches
+      .filter((match) => match.player2_id)
+      .map((match) => pairKey(match.player1_id, match.player2_id)),
+  );
+  const hadBye = new Set(
+    matches
+      .filter((match) => match.status === 'bye')
+      .map((match) => match.player1_id),
+  );
+
+  let pool = standings.map((row) => row.userId);
+  let byePlayer = null;
+  if (pool.length % 2 === 1) {
+    let index = pool.length - 1;
+    while (index > 0 && hadBye.has(pool[index])) index--;
+    [byePlayer] = pool.splice(index, 1);
+  }
+
+  const pairings = [];
+  while (pool.length > 0) {
+    const [first, ...rest] = pool;
+    const opponent =
+      rest.find((userId) => !met.has(pairKey(first, userId))) || rest[0];
+    pairings.push([first, opponent]);
+    pool = rest.filter((userId) => userId !== opponent);
+  }
+
+  if (byePlayer) pairings.push([byePlayer, null]);
+  return pairings;
+};
+
+// Players' records rebuilt from the decided matches. A bye counts as a
+// win; a Swiss walkover with no winner is a loss for both. Losers are
+// knocked out only in a bracket.
+const tallyMatches = (players, matches, knockout) => {
+  const records = new Map(
+    players.map((player) => [
+      player.user_id,
+      {
+        user_id: player.user_id,
+        points: 0,
+        wins: 0,
+        losses: 0,
+        draws: 0,
+        eliminated_in_round: null,
+      },
+    ]),
+  );
+  const win = (userId) => {
+    const record = records.get(userId);
+    if (!record) return;
+    record.points += 1;
+    record.wins++;
+  };
+  const lose = (userId, round, eliminate) => {
+    const record = records.get(userId);
+    if (!record) return;
+    record.losses++;
+    if (eliminate) record.eliminated_in_round = round;
+  };
+
+  matches
+    .filter((match) => match.status !== 'scheduled')
+    .forEach((match) => {
+      const players = [match.player1_id, match.player2_id].filter(Boolean);
+      if (match.winner_id) {
+        win(match.winner_id);
+        players
+          .filter((userId) => userId !== match.winner_id)
+          .forEach((userId) => lose(userId, match.round, knockout));
+      } else if (match.status === 'completed') {
+        players.forEach((userId) => {
+          const record = records.get(userId);
+          if (!record) return;
+          record.points += 0.5;
+          record.draws++;
+        });
+      } else {
+        players.forEach((userId) => lose(userId, match.round, false));
+      }
+    });
+
+  return [...records.values()];
+};
+
+// Who takes a walkover: the player who accepted or played the match's duel
+// when only one of them did, otherwise null. The challenge stands for the
+// challenger (player 1), so a duel the opponent never accepted goes to
+// them; in a duel that was accepted but not finished, only answering a
+// question counts.
+const walkoverWinner = async (match, duel) => {
+  if (!duel) return null;
+  if (duel.status === 'pending') return match.player1_id;
+
+  // Required here because duelSessionService reports results to this module
+  const duelSessionService = require('./duelSessionService');
+  const session = await duelSessionService.getSessionByDuelId(duel.duel_id);
+  if (!session) return null;
+
+  const played = await duelSessionService.getPlayedUserIds(session.session_id);
+  const present = [match.player1_id, match.player2_id].filter((userId) =>
+    played.includes(userId),
+  );
+  return present.length === 1 ? present[0] : null;
+};
+
+const notifyMatch = async (tournament, match, names) => {
+  const players = [match.player1_id, match.player2_id];
+  for (const [userId, opponentId] of [players, [...players].reverse()]) {
+    try {
+      await notificationService.sendNotification(
+        userId,
+        'duel_invitation',
+        'tournament_match',
+        {
+          tournament_name: tournament.name,
+          round: match.round,
+          opponent_name: names.get(opponentId) || 'Unknown',
+          duel_id: match.duel_id,
+          deadline: match.deadline_at,
+        },
+      );
+    } catch (error) {
+      console.warn('Failed to send tournament match notification:', error);
+    }
+  }
+};
+
+/**
+ * Duel tournaments
+ *
+ * Single-elimination brackets are seeded by course duel rating; Swiss
+ * tournaments pair players with equal scores each round and rank them by
+ * points, then Buchholz (the sum of their opponents' points). Every match
+ * is a normal duel challenge. When a duel completes its match is decided
+ * and, once the round is over, the next round is scheduled. Matches not
+ * played by the round deadline are walkovers won by the player who
+ * accepted or played the duel. When neither or both did, the higher seed
+ * goes through in a bracket and both players lose in Swiss.
+ */
+const tournamentService = {
+  FORMATS,
+
+  async createTournament(userId, input) {
+    return tournamentModel.create({
+      name: input.name,
+      course_id: input.courseId,
+      format: input.format,
+      created_by: userId,
+      max_players: input.maxPlayers,
+      swiss_rounds: input.format === 'swiss' ? input.swissRounds || null : null,
+      question_count: input.questionCount,
+      round_hours: input.roundHours,
+      starts_at: input.startsAt || null,
+    });
+  },
+
+  async register(tournament, userId) {
+    if (tournament.status !== 'registration') {
+      return { error: 'Registration for this tournament is closed' };
+    }
+
+    // The limit is checked with the insert so concurrent registrations
+    // can't overfill the tournament
+    const outcome = await tournamentModel.addPlayer(
+      tournament.tournament_id,
+      userId,
+    );
+    if (outcome.status === 'closed') {
+      return { error: 'Registration for this tournament is closed' };
+    }
+    if (outcome.status === 'full') {
+      return { error: 'This tournament is full' };
+    }
+    if (outcome.status === 'already_registered') {
+      return { error: 'You are already registered for this tournament' };
+    }
+
+    return { player: outcome.player };
+  },
+
+  async withdraw(tournament, userId) {
+    if (tournament.status !== 'registration') {
+      return { error: 'You can only withdraw before the tournament starts' };
+    }
+
+    const removed = await tournamentModel.removePlayer(
+      tournament.tournament_id,
+      userId,
+    );
+    if (!removed) {
+      return { error: 'You are not registered for this tournament' };
+    }
+
+    return { withdrawn: true };
+  },
+
+  // Close registration, seed the players and schedule the first round
+  async start(tournament) {
+    const tournamentId = tournament.tournament_id;
+    const count = await tournamentModel.countPlayers(tournamentId);
+    if (count < MIN_PLAYERS) {
+      return {
+        error: `At least ${MIN_PLAYERS} players are needed to start`,
+        notEnoughPlayers: true,
+      };
+    }
+
+    const started = await tournamentModel.updateIf(
+      tournamentId,
+      { status: 'registration' },
+      { status: 'running', started_at: new Date().toISOString() },
+    );
+    if (!started) {
+      return { error: 'This tournament has already started' };
+    }
+
+    const seeded = await this.seedPlayers(started);
+    if (started.format === 'swiss' && !started.swiss_rounds) {
+      started.swiss_rounds = Math.ceil(Math.log2(seeded.length));
+      await tournamentModel.updateIf(
+        tournamentId,
+        { status: 'running' },
+        { swiss_rounds: started.swiss_rounds },
+      );
+    }
+
+    const pairings =
+      started.format === 'swiss'
+        ? swissPairings(
+            seeded.map((player) => ({ userId: player.user_id })),
+            [],
+          )
+        : eliminationPairings(seeded);
+    try {
+      await this.scheduleRound(started, 1, pairings);
+    } catch (error) {
+      // Reopen registration so the start can be retried
+      await tournamentModel.updateIf(
+        tournamentId,
+        { status: 'running', round: 0 },
+        { status: 'registration', started_at: null },
+      );
+      throw error;
+    }
+
+    return { tournament: await tournamentModel.getById(tournamentId) };
+  },
+
+  // Seed players by their course duel rating, unrated players last in
+  // order of registration
+  async seedPlayers(tournament) {
+    const players = await tournamentModel.getPlayers(tournament.tournament_id);
+    const ratings = await duelRatingModel.getRatings(
+      players.map((player) => player.user_id),
+      tournament.course_id,
+    );
+    const ratingOf = new Map(ratings.map((r) => [r.user_id, r.rating]));
+
+    const seeded = [...players]
+      .sort(
+        (a, b) =>
+          (ratingOf.get(b.user_id) ?? DEFAULT_RATING) -
+            (ratingOf.get(a.user_id) ?? DEFAULT_RATING) ||
+          new Date(a.registered_at) - new Date(b.registered_at),
+      )
+      .map((player, index) => ({ user_id: player.user_id, seed: index + 1 }));
+
+    await tournamentModel.updatePlayers(tournament.tournament_id, seeded);
+    return seeded;
+  },
+
+  // Create a round's matches and their duels. Byes are decided straight
+  // away. Returns null when another request scheduled the round first.
+  async scheduleRound(tournament, round, pairings) {
+    const tournamentId = tournament.tournament_id;
+    const moved = await tournamentModel.updateIf(
+      tournamentId,
+      { status: 'running', round: round - 1 },
+      { current_round: round },
+    );
+    if (!moved) return null;
+
+    const now = new Date();
+    const deadline = new Date(now.getTime() + tournament.round_hours * HOUR_MS);
+    const matches = [];
+
+    for (const [index, [player1Id, player2Id]] of pairings.entries()) {
+      const match = {
+        tournament_id: tournamentId,
+        round,
+        match_number: index + 1,
+        player1_id: player1Id,
+        player2_id: player2Id,
+        duel_id: null,
+        winner_id: null,
+        status: 'scheduled',
+        deadline_at: deadline.toISOString(),
+      };
+
+      if (!player2Id) {
+        match.status = 'bye';
+        match.winner_id = player1Id;
+        match.completed_at = now.toISOString();
+      } else {
+        // Without a duel the match becomes a walkover at the deadline
+        try {
+          const duel = await duelModel.create(
+            player1Id,
+            player2Id,
+            null,
+            tournament.question_count,
+            'mixed',
+            'random',
+            null,
+            tournament.course_id,
+          );
+          match.duel_id = duel.duel_id;
+        } catch (error) {
+          console.warn('Failed to create tournament duel:', error);
+        }
+      }
+
+      matches.push(match);
+    }
+
+    let created;
+    try {
+      created = await tournamentModel.createMatches(matches);
+    } catch (error) {
+      // Put the round back so resumeStalledTournaments retries it
+      await tournamentModel.updateIf(
+        tournamentId,
+        { status: 'running', round },
+        { current_round: round - 1 },
+      );
+      for (const match of matches.filter((m) => m.duel_id)) {
+        await duelModel.decline(match.duel_id).catch(() => null);
+      }
+      throw error;
+    }
+
+    const players = await this.syncPlayers(tournament);
+    const names = new Map(
+      players.map((player) => [player.user_id, player.user?.username]),
+    );
+
+    for (const match of created.filter((m) => m.status === 'scheduled')) {
+      await notifyMatch(tournament, match, names);
+    }
+
+    return created;
+  },
+
+  // Rewrite every player's record from the matches. Returns the players
+  // with their usernames.
+  async syncPlayers(tournament, matches = null) {
+    const tournamentId = tournament.tournament_id;
+    const [players, allMatches] = await Promise.all([
+      tournamentModel.getPlayers(tournamentId),
+      matches || tournamentModel.getMatches(tournamentId),
+    ]);
+
+    const records = tallyMatches(
+      players,
+      allMatches,
+      tournament.format === 'single_elimination',
+    );
+    await tournamentModel.updatePlayers(tournamentId, records);
+
+    const recordOf = new Map(records.map((r) => [r.user_id, r]));
+    return players.map((player) => ({
+      ...player,
+      ...recordOf.get(player.user_id),
+    }));
+  },
+
+  // Standings of a tournament, best first. Bracket players are ranked by
+  // how far they got; players knocked out in the same round share a rank.
+  buildStandings(tournament, players, matches) {
+    const pointsOf = new Map(
+      players.map((player) => [player.user_id, Number(player.points) || 0]),
+    );
+    const buchholz = (userId) =>
+      matches
+        .filter(
+          (match) =>
+            match.player2_id &&
+            (match.player1_id === userId || match.player2_id === userId),
+        )
+        .reduce(
+          (sum, match) =>
+            sum +
+            (pointsOf.get(
+              match.player1_id === userId ? match.player2_id : match.player1_id,
+            ) || 0),
+          0,
+        );
+
+    const rows = players.map((player) => ({
+      userId: player.user_id,
+      username: player.user?.username,
+      seed: player.seed,
+      points: Number(player.points) || 0,
+      wins: player.wins,
+      losses: player.losses,
+      draws: player.draws,
+      buchholz: buchholz(player.user_id),
+      eliminatedInRound: player.eliminated_in_round,
+      finalRank: player.final_rank,
+    }));
+    const lastRound = (row) => row.eliminatedInRound ?? Number.MAX_SAFE_INTEGER;
+
+    if (tournament.format === 'swiss') {
+      rows.sort(
+        (a, b) =>
+          b.points - a.points ||
+          b.buchholz - a.buchholz ||
+          b.wins - a.wins ||
+          seedOf(a) - seedOf(b),
+      );
+      return rows.map((row, index) => ({ ...row, rank: index + 1 }));
+    }
+
+    rows.sort(
+      (a, b) =>
+        lastRound(b) - lastRound(a) || b.wins - a.wins || seedOf(a) - seedOf(b),
+    );
+    return rows.map((row) => ({
+      ...row,
+      rank: rows.findIndex((other) => lastRound(other) === lastRound(row)) + 1,
+    }));
+  },
+
+  async getStandings(tournament) {
+    const [players, matches] = await Promise.all([
+      tournamentModel.getPlayers(tournament.tournament_id),
+      tournamentModel.getMatches(tournament.tournament_id),
+    ]);
+    return this.buildStandings(tournament, players, matches);
+  },
+
+  // Matches grouped by round, with player names
+  async getRounds(tournament) {
+    const [players, matches] = await Promise.all([
+      tournamentModel.getPlayers(tournament.tournament_id),
+      tournamentModel.getMatches(tournament.tournament_id),
+    ]);
+    const names = new Map(
+      players.map((player) => [player.user_id, player.user?.username]),
+    );
+
+    const rounds = new Map();
+    matches.forEach((match) => {
+      if (!rounds.has(match.round)) rounds.set(match.round, []);
+      rounds.get(match.round).push({
+        matchId: match.match_id,
+        matchNumber: match.match_number,
+        player1: {
+          userId: match.player1_id,
+          username: names.get(match.player1_id),
+        },
+        player2: match.player2_id
+          ? { userId: match.player2_id, username: names.get(match.player2_id) }
+          : null,
+        duelId: match.duel_id,
+        winnerId: match.winner_id,
+        status: match.status,
+        deadlineAt: match.deadline_at,
+        completedAt: match.completed_at,
+      });
+    });
+
+    return [...rounds.entries()].map(([round, roundMatches]) => ({
+      round,
+      matches: roundMatches,
+    }));
+  },
+
+  // Decide a tournament match from its completed duel. Called for every
+  // completed duel; duels outside tournaments are ignored.
+  async recordDuelResult(duel, winnerId) {
+    const match = await tournamentModel.getMatchByDuelId(duel.duel_id);
+    if (!match || match.status !== 'scheduled') return null;
+
+    const tournament = await tournamentModel.getById(match.tournament_id);
+    if (!tournament || tournament.status !== 'running') return null;
+
+    return this.settleMatch(tournament, match, 'completed', winnerId);
+  },
+
+  // Record a match outcome and move the tournament on. A bracket match
+  // needs a winner, so a draw or a walkover nobody showed up for goes to
+  // the higher seed.
+  async settleMatch(tournament, match, status, winnerId) {
+    let winner = winnerId;
+    if (!winner && tournament.format === 'single_elimination') {
+      const players = await tournamentModel.getPlayers(
+        tournament.tournament_id,
+      );
+      const seeds = new Map(players.map((p) => [p.user_id, seedOf(p)]));
+      winner =
+        seeds.get(match.player1_id) <= seeds.get(match.player2_id)
+          ? match.player1_id
+          : match.player2_id;
+    }
+
+    const decided = await tournamentModel.completeMatch(
+      match.match_id,
+      status,
+      winner,
+    );
+    if (!decided) return null;
+
+    return this.advance(tournament.tournament_id);
+  },
+
+  // Once every match of the current round is decided, schedule the next
+  // round or crown the winner
+  async advance(tournamentId) {
+    const tournament = await tournamentModel.getById(tournamentId);
+    if (!tournament || tournament.status !== 'running') return tournament;
+
+    const matches = await tournamentModel.getMatches(tournamentId);
+    const players = await this.syncPlayers(tournament, matches);
+
+    const round = tournament.current_round;
+    const current = matches.filter((match) => match.round === round);
+    if (
+      current.length === 0 ||
+      current.some((match) => match.status === 'scheduled')
+    ) {
+      return tournament;
+    }
+
+    const standings = this.buildStandings(tournament, players, matches);
+
+    if (tournament.format === 'swiss') {
+      if (round >= tournament.swiss_rounds) {
+        return this.finish(tournament, standings);
+      }
+      await this.scheduleRound(
+        tournament,
+        round + 1,
+        swissPairings(standings, matches),
+      );
+      return tournamentModel.getById(tournamentId);
+    }
+
+    const winners = current.map((match) => match.winner_id);
+    if (winners.length <= 1) {
+      return this.finish(tournament, standings);
+    }
+
+    const pairings = [];
+    for (let i = 0; i < winners.length; i += 2) {
+      pairings.push([winners[i], winners[i + 1] || null]);
+    }
+    await this.scheduleRound(tournament, round + 1, pairings);
+    return tournamentModel.getById(tournamentId);
+  },
+
+  async finish(tournament, standings) {
+    const winner = standings[0];
+    const completed = await tournamentModel.updateIf(
+      tournament.tournament_id,
+      { status: 'running', round: tournament.current_round },
+      {
+        status: 'completed',
+        winner_id: winner?.userId || null,
+        completed_at: new Date().toISOString(),
+      },
+    );
+    if (!completed) return tournamentModel.getById(tournament.tournament_id);
+
+    await tournamentModel.updatePlayers(
+      tournament.tournament_id,
+      standings.map((row) => ({ user_id: row.userId, final_rank: row.rank })),
+    );
+
+    if (winner) {
+      try {
+        await notificationService.sendNotification(
+          winner.userId,
+          'achievement_unlock',
+          'tournament_won',
+          {
+            tournament_name: tournament.name,
+            course_name: tournament.course?.title || 'Genel',
+            player_count: standings.length,
+          },
+        );
+      } catch (error) {
+        console.warn('Failed to send tournament winner notification:', error);
+      }
+    }
+
+    return tournamentModel.getById(tournament.tournament_id);
+  },
+
+  // Cancel a tournament that hasn't finished. Challenges of unplayed
+  // matches are withdrawn.
+  async cancel(tournament) {
+    if (!['registration', 'running'].includes(tournament.status)) {
+      return { error: 'This tournament has already ended' };
+    }
+
+    const cancelled = await tournamentModel.updateIf(
+      tournament.tournament_id,
+      { status: tournament.status },
+      { status: 'cancelled', completed_at: new Date().toISOString() },
+    );
+    if (!cancelled) {
+      return { error: 'This tournament has changed, try again' };
+    }
+
+    const matches = await tournamentModel.getMatches(tournament.tournament_id);
+    for (const match of matches) {
+      if (match.status !== 'scheduled' || !match.duel_id) continue;
+      try {
+        const duel = await duelModel.getById(match.duel_id);
+        if (duel.status === 'pending') await duelModel.decline(match.duel_id);
+      } catch (error) {
+        console.warn('Failed to withdraw tournament duel:', error);
+      }
+    }
+
+    return { tournament: cancelled };
+  },
+
+  // Start tournaments whose start time has come, cancelling those without
+  // enough players
+  async startDueTournaments(now = new Date()) {
+    const due = await tournamentModel.getDueToStart(now);
+    let started = 0;
+    let cancelled = 0;
+
+    for (const tournament of due) {
+      try {
+        const outcome = await this.start(tournament);
+        if (!outcome.error) {
+          started++;
+        } else if (
+          outcome.notEnoughPlayers &&
+          !(await this.cancel(tournament)).error
+        ) {
+          cancelled++;
+        }
+      } catch (error) {
+        console.error('Error starting tournament:', error);
+      }
+    }
+
+    return { started, cancelled };
+  },
+
+  // Decide matches whose round deadline has passed: from the duel result
+  // when it was recorded late, otherwise as a walkover. Duels still being
+  // played get LIVE_DUEL_GRACE_MS to finish.
+  async settleOverdueMatches(now = new Date()) {
+    const overdue = await tournamentModel.getOverdueMatches(now);
+    let settled = 0;
+    let failed = 0;
+
+    for (const match of overdue) {
+      try {
+        const tournament = await tournamentModel.getById(match.tournament_id);
+        const duel = match.duel_id
+          ? await duelModel.getById(match.duel_id).catch(() => null)
+          : null;
+
+        if (duel?.status === 'completed') {
+          const result = await duelResultModel.getByDuelId(duel.duel_id);
+          await this.settleMatch(
+            tournament,
+            match,
+            'completed',
+            result?.winner_id || null,
+          );
+          settled++;
+          continue;
+        }
+
+        const deadline = new Date(match.deadline_at).getTime();
+        if (
+          duel?.status === 'active' &&
+          now.getTime() < deadline + LIVE_DUEL_GRACE_MS
+        ) {
+          continue;
+        }
+
+        const winnerId = await walkoverWinner(match, duel);
+        if (duel?.status === 'pending') {
+          await duelModel.decline(duel.duel_id);
+        }
+        await this.settleMatch(tournament, match, 'walkover', winnerId);
+        settled++;
+      } catch (error) {
+        console.error('Error settling overdue tournament match:', error);
+        failed++;
+      }
+    }
+
+    return { settled, failed };
+  },
+
+  // Move on running tournaments whose current round has no match left to
+  // play, such as when scheduling the next round failed and was put back
+  async resumeStalledTournaments() {
+    const running = await tournamentModel.getRunning();
+    let resumed = 0;
+    let failed = 0;
+
+    for (const tournament of running) {
+      try {
+        const matches = await tournamentModel.getMatches(
+          tournament.tournament_id,
+        );
+        if (matches.some((match) => match.status === 'scheduled')) continue;
+
+        const advanced = await this.advance(tournament.tournament_id);
+        if (
+          advanced &&
+          (advanced.status !== tournament.status ||
+            advanced.current_round !== tournament.current_round)
+        ) {
+          resumed++;
+        }
+      } catch (error) {
+        console.error('Error resuming tournament:', error);
+        failed++;
+      }
+    }
+
+    return { resumed, failed };
+  },
+};
+
+module.exports = tournamentService;
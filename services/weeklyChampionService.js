@@ -0,0 +1,241 @@
+const weeklyChampionModel = require('../models/weeklyChampionModel');
+const duelRatingModel = require('../models/duelRatingModel');
+const courseModel = require('../models/courseModel');
+const notificationService = require('./notificationService');
+const achievementService = require('./achievementService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weeks start on Monday at midnight Istanbul time (UTC+3, no DST)
+const DAY_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Weekly score: a duel win outweighs a handful of questions, and an hour
+// of study is worth about three duel wins
+const POINTS_PER_DUEL_WIN = 20;
+const POINTS_PER_QUESTION = 2;
+const POINTS_PER_STUDY_MINUTE = 1;
+
+// Key of the overall competition in the per-scope maps
+const OVERALL = 'overall';
+
+const emptyTotals = () => ({
+  duelWins: 0,
+  questionsAnswered: 0,
+  studySeconds: 0,
+});
+
+const scoreOf = (totals) =>
+  totals.duelWins * POINTS_PER_DUEL_WIN +
+  totals.questionsAnswered * POINTS_PER_QUESTION +
+  Math.floor(totals.studySeconds / 60) * POINTS_PER_STUDY_MINUTE;
+
+// Higher score first, then more duel wins, then the lower user ID so the
+// ranking is stable
+const compareTotals = (a, b) =>
+  b.score - a.score || b.duelWins - a.duelWins || a.userId - b.userId;
+
+const weeklyChampionService = {
+  // ISO week containing the given time: its start and end instants, the
+  // Monday's date and the 'YYYY-Www' label
+  getWeekBounds(now = new Date()) {
+    const localDay = Math.floor((now.getTime() + DAY_OFFSET_MS) / DAY_MS);
+    const weekday = (new Date(localDay * DAY_MS).getUTCDay() + 6) % 7;
+    const mondayMs = (localDay - weekday) * DAY_MS;
+
+    const thursday = new Date(mondayMs + 3 * DAY_MS);
+    const isoYear = thursday.getUTCFullYear();
+    const dayOfYear = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / DAY_MS);
+    const week = Math.floor(dayOfYear / 7) + 1;
+
+    return {
+      start: new Date(mondayMs - DAY_OFFSET_MS),
+      end: new Date(mondayMs + 7 * DAY_MS - DAY_OFFSET_MS),
+      weekStart: new Date(mondayMs).toISOString().slice(0, 10),
+      lastDay: new Date(mondayMs + 6 * DAY_MS).toISOString().slice(0, 10),
+      isoWeek: `${isoYear}-W${String(week).padStart(2, '0')}`,
+    };
+  },
+
+  // Per-user totals of a week for every course and overall, without bots.
+  // Returns a Map of scope (course ID or OVERALL) to sorted totals.
+  async collectTotals(week) {
+    try {
+      const [duelWins, answers, sessions, botUserIds] = await Promise.all([
+        weeklyChampionModel.getDuelWins(week.start, week.end),
+        weeklyChampionModel.getAnsweredQuestions(week.start, week.end),
+        weeklyChampionModel.getStudySessions(week.weekStart, week.lastDay),
+        duelRatingModel.getBotUserIds(),
+      ]);
+      const bots = new Set(botUserIds);
+
+      const scopes = new Map();
+      const add = (userId, courseId, field, amount) => {
+        if (!userId || bots.has(userId)) return;
+        const keys = courseId ? [OVERALL, courseId] : [OVERALL];
+        keys.forEach((key) => {
+          if (!scopes.has(key)) scopes.set(key, new Map());
+          const users = scopes.get(key);
+          if (!users.has(userId)) users.set(userId, emptyTotals());
+          users.get(userId)[field] += amount;
+        });
+      };
+
+      duelWins.forEach((row) =>
+        add(row.winner_id, row.duels?.course_id, 'duelWins', 1),
+      );
+      answers.forEach((row) =>
+        add(row.user_id, row.course_id, 'questionsAnswered', 1),
+      );
+      sessions.forEach((row) =>
+        add(
+          row.user_id,
+          row.course_id,
+          'studySeconds',
+          row.study_duration_seconds || 0,
+        ),
+      );
+
+      const ranked = new Map();
+      scopes.forEach((users, key) => {
+        ranked.set(
+          key,
+          [...users.entries()]
+            .map(([userId, totals]) => ({
+              userId,
+              ...totals,
+              score: scoreOf(totals),
+            }))
+            .filter((totals) => totals.score > 0)
+            .sort(compareTotals),
+        );
+      });
+      return ranked;
+    } catch (error) {
+      console.error('Error collecting weekly totals:', error);
+      throw error;
+    }
+  },
+
+  // Live standings of the current week for a course (or overall)
+  async getStandings(courseId = null, limit = 10, now = new Date()) {
+    try {
+      const week = this.getWeekBounds(now);
+      const totals = await this.collectTotals(week);
+
+      return {
+        isoWeek: week.isoWeek,
+        weekStart: week.weekStart,
+        endsAt: week.end.toISOString(),
+        standings: (totals.get(courseId || OVERALL) || [])
+          .slice(0, limit)
+          .map((row, index) => ({ rank: index + 1, ...row })),
+      };
+    } catch (error) {
+      console.error('Error getting weekly standings:', error);
+      throw error;
+    }
+  },
+
+  // Crown the champions of the week containing the given time: save every
+  // user's totals, record the winner of each course and the overall
+  // competition and notify them. Weeks already crowned are skipped.
+  async crownWeek(time) {
+    try {
+      const week = this.getWeekBounds(time);
+      if (await weeklyChampionModel.isWeekCrowned(week.weekStart)) {
+        return { isoWeek: week.isoWeek, champions: [], skipped: true };
+      }
+
+      const totals = await this.collectTotals(week);
+
+      const statsRows = [];
+      const championRows = [];
+      totals.forEach((rows, key) => {
+        const courseId = key === OVERALL ? null : key;
+        rows.forEach((row) =>
+          statsRows.push({
+            week_start: week.weekStart,
+            course_id: courseId,
+            user_id: row.userId,
+            duel_wins: row.duelWins,
+            questions_answered: row.questionsAnswered,
+            study_seconds: row.studySeconds,
+            score: row.score,
+          }),
+        );
+
+        if (rows.length > 0) {
+          const [winner] = rows;
+          championRows.push({
+            week_start: week.weekStart,
+            iso_week: week.isoWeek,
+            course_id: courseId,
+            user_id: winner.userId,
+            score: winner.score,
+            duel_wins: winner.duelWins,
+            questions_answered: winner.questionsAnswered,
+            study_seconds: winner.studySeconds,
+          });
+        }
+      });
+
+      await weeklyChampionModel.saveStats(statsRows);
+      const champions = await weeklyChampionModel.createChampions(championRows);
+
+      let notified = 0;
+      for (const champion of champions) {
+        try {
+          await this.notifyChampion(champion);
+          notified++;
+        } catch (notifyError) {
+          console.warn('Failed to notify weekly champion:', notifyError);
+        }
+      }
+
+      // Titles count towards the weekly_champion achievement
+      const winners = [...new Set(champions.map((c) => c.user_id))];
+      for (const userId of winners) {
+        try {
+          await achievementService.checkUserAchievements(userId);
+        } catch (achievementError) {
+          console.warn(
+            'Failed to check weekly champion achievements:',
+            achievementError,
+          );
+        }
+      }
+
+      return {
+        isoWeek: week.isoWeek,
+        participants: (totals.get(OVERALL) || []).length,
+        champions,
+        notified,
+      };
+    } catch (error) {
+      console.error('Error crowning weekly champions:', error);
+      throw error;
+    }
+  },
+
+  // Tell a champion which competition they won
+  async notifyChampion(champion) {
+    const course = champion.course_id
+      ? await courseModel.getById(champion.course_id)
+      : null;
+
+    return notificationService.sendNotification(
+      champion.user_id,
+      'achievement_unlock',
+      'weekly_champion',
+      {
+        iso_week: champion.iso_week,
+        competition_name: course ? course.title : 'Genel',
+        score: champion.score,
+        duel_wins: champion.duel_wins,
+        questions_answered: champion.questions_answered,
+        study_minutes: Math.floor(champion.study_seconds / 60),
+      },
+    );
+  },
+};
+
+module.exports = weeklyChampionService;
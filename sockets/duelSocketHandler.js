@@ -5,25 +5,67 @@ const { createClient } = require('@supabase/supabase-js');
 const db = require('../config/db');
 const duelSessionService = require('../services/duelSessionService');
 const botService = require('../services/botService');
+const spacedRepetitionService = require('../services/spacedRepetitionService');
+const matchmakingService = require('../services/matchmakingService');
+const duelStateService = require('../services/duelStateService');
+const courseModel = require('../models/courseModel');
+const duelModel = require('../models/duelModel');
+const friendModel = require('../models/friendModel');
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-const activeSessions = new Map();
-const userSockets = new Map();
-const botSessions = new Map(); // duelId -> bot session info
-
-// Track active question timers for server-controlled timing
-const activeQuestionTimers = new Map(); // duelId -> timer info
-
-// 🔧 FIX: Track active bot timeouts to prevent stale executions
-const activeBotTimeouts = new Map(); // duelId -> timeout info
+// Sessions, socket routing, bot sessions and timers live in the shared
+// duel state. Only the handles of timers this instance owns are local.
+const localTimers = new Map(); // `${duelId}:${kind}` -> timeout
+const timerBroadcasts = new Map(); // duelId -> timer_update interval
 
 // CONSTANTS: Hard-coded 60 second timing
 const QUESTION_TIME_LIMIT = 60000; // 60 seconds in milliseconds
 const BOT_MIN_THINKING_TIME = 3000; // 3 seconds minimum
 const BOT_MAX_THINKING_TIME = 57000; // 57 seconds maximum (3 second buffer)
+const MATCHMAKING_TICK_MS = 2000; // pairing and queue status interval
+const TIMER_SWEEP_MS = 5000; // heartbeat and orphaned timer check interval
+const DUEL_START_DELAY_MS = 4000; // 3-2-1 countdown before the first question
+const BOT_START_DELAY_MS = 1000; // bot starts thinking after the question shows
+const ROUND_LOCK_MS = 120000;
+const ABANDONED_SESSION_TTL_MS = 30000;
+const COMPLETED_SESSION_TTL_MS = 60000;
+const COMPLETE_LOCK_MS = 10 * 60 * 1000;
+const SESSION_CREATE_LOCK_MS = 10000;
+const SESSION_CREATE_POLL_MS = 100;
+
+// A player who drops mid-duel has this long to rejoin. The duel keeps
+// running meanwhile; unanswered questions time out as blanks. After that
+// the player forfeits.
+const DUEL_RECONNECT_GRACE_MS = 30000;
+const IN_PLAY_STATUSES = ['starting', 'active'];
+
+// Spectators join the duel room read-only, so they get every broadcast to
+// `duel_${id}`. Nothing sent there may carry the correct answer or a
+// player's choice before the round result. They also join this room,
+// which is only used to count and remove them.
+const spectatorRoom = (duelId) => `duel_${duelId}:spectators`;
+
+// What a due timer does, by kind. Timers are records in the shared state so
+// another instance can run them if the owner goes away.
+const TIMER_HANDLERS = {
+  start: (io, duelId) => startDuelSession(duelId, `duel_${duelId}`, io),
+  question: handleQuestionTimeout,
+  bot_answer: handleBotAnswer,
+  next_round: handleNextRound,
+  forfeit: handleForfeit, // kind is `forfeit:${userId}`, one per player
+};
 
 const setupDuelSockets = (io) => {
+  // Mark this instance alive before it owns any timers, then keep checking
+  // for timers left behind by instances that stopped
+  sweepTimers(io);
+  setInterval(() => sweepTimers(io), TIMER_SWEEP_MS).unref();
+
+  // Matchmaking runs on a fixed tick rather than per join, so widening
+  // windows and the bot fallback also apply while nobody new arrives
+  setInterval(() => processMatchmaking(io), MATCHMAKING_TICK_MS).unref();
+
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
@@ -57,7 +99,9 @@ const setupDuelSockets = (io) => {
     console.log(
       `User ${socket.userId} (${socket.username}) connected: ${socket.id}`,
     );
-    userSockets.set(socket.userId, socket.id);
+    duelStateService
+      .setUserSocket(socket.userId, socket.id)
+      .catch((error) => console.error('Error saving user socket:', error));
 
     socket.on('join_duel_room', async (data) => {
       try {
@@ -76,6 +120,13 @@ const setupDuelSockets = (io) => {
         if (duel.status !== 'active') {
           return socket.emit('room_error', { message: 'Duel is not active' });
         }
+
+        // Async duels are played over HTTP, one player at a time
+        if (duel.mode === 'async') {
+          return socket.emit('room_error', {
+            message: 'Async duels are played from the duel screen',
+          });
+        }
         socket.join(roomName);
         socket.currentDuelId = duelId;
         const opponentId =
@@ -83,17 +134,33 @@ const setupDuelSockets = (io) => {
             ? duel.opponent_id
             : duel.initiator_id;
         const isOpponentBot = await botService.isBot(opponentId);
-        let session = activeSessions.get(duelId);
-        if (!session) {
-          session = await duelSessionService.createSession(duel);
-          activeSessions.set(duelId, session);
-        }
-        session.connectedUsers.set(socket.userId, {
-          socketId: socket.id,
-          username: socket.username,
-          ready: false,
+        const botInfo = isOpponentBot
+          ? await botService.getBotInfo(opponentId)
+          : null;
+        await ensureSession(duelId, duel);
+        let rejoined = false;
+        const session = await duelStateService.updateSession(duelId, (s) => {
+          rejoined = IN_PLAY_STATUSES.includes(s.status);
+          s.connectedUsers.set(socket.userId, {
+            socketId: socket.id,
+            username: socket.username,
+            // A player coming back mid-duel needn't get ready again
+            ready: rejoined,
+          });
+          if (isOpponentBot) {
+            s.connectedUsers.set(opponentId, {
+              socketId: `bot-${opponentId}`,
+              username: botInfo?.botName || 'Dr. Bot',
+              ready: false,
+              isBot: true,
+            });
+          }
         });
+        // Rejoining cancels the expiry set when everyone had left
+        await duelStateService.expireSession(duelId);
         socket.emit('room_joined', {
+          allowSpectators: duel.allow_spectators,
+          spectatorCount: await countSpectators(io, duelId),
           session: {
             sessionId: session.sessionId,
             duelId: session.duelId,
@@ -103,25 +170,34 @@ const setupDuelSockets = (io) => {
             ),
           },
         });
+        if (rejoined) {
+          // Back within the grace period: cancel the forfeit and let the
+          // client catch up on the running duel
+          await cancelTimer(duelId, `forfeit:${socket.userId}`);
+          socket.to(roomName).emit('opponent_reconnected', {
+            userId: socket.userId,
+            username: socket.username,
+          });
+          socket.emit(
+            'duel_state',
+            await buildDuelSnapshot(session, socket.userId),
+          );
+          return;
+        }
         if (isOpponentBot) {
-          botSessions.set(duelId, {
+          await duelStateService.setBotSession(duelId, {
             botUserId: opponentId,
             humanUserId: socket.userId,
           });
-          const botInfo = await botService.getBotInfo(opponentId);
-          session.connectedUsers.set(opponentId, {
-            socketId: `bot-${opponentId}`,
-            username: botInfo?.botName || 'Dr. Bot',
-            ready: false,
-            isBot: true,
-          });
           io.to(roomName).emit('opponent_joined', {
             username: botInfo?.botName || 'Dr. Bot',
             isBot: true,
           });
           setTimeout(() => io.to(roomName).emit('both_players_connected'), 500);
         } else {
-          const opponentSocketId = userSockets.get(opponentId);
+          const opponentSocketId = await duelStateService.getUserSocket(
+            opponentId,
+          );
           if (opponentSocketId)
             io.to(opponentSocketId).emit('opponent_joined', {
               username: socket.username,
@@ -139,40 +215,44 @@ const setupDuelSockets = (io) => {
       try {
         const duelId = socket.currentDuelId;
         if (!duelId) return;
-        const session = activeSessions.get(duelId);
+        const botSessionInfo = await duelStateService.getBotSession(duelId);
+        let starting = false;
+        const session = await duelStateService.updateSession(duelId, (s) => {
+          const user = s.connectedUsers.get(socket.userId);
+          if (user) user.ready = true;
+          if (botSessionInfo) {
+            const botUser = s.connectedUsers.get(botSessionInfo.botUserId);
+            if (botUser) botUser.ready = true;
+          }
+          // Only the last player to get ready starts the duel
+          starting =
+            s.status === 'waiting' &&
+            s.connectedUsers.size === 2 &&
+            Array.from(s.connectedUsers.values()).every((u) => u.ready);
+          if (starting) s.status = 'starting';
+        });
         if (!session) return;
-        const user = session.connectedUsers.get(socket.userId);
-        if (user) user.ready = true;
         const roomName = `duel_${duelId}`;
         io.to(roomName).emit('player_ready', {
           userId: socket.userId,
           username: socket.username,
         });
-        const botSessionInfo = botSessions.get(duelId);
         if (botSessionInfo) {
           const botUser = session.connectedUsers.get(botSessionInfo.botUserId);
-          if (botUser) botUser.ready = true;
           io.to(roomName).emit('player_ready', {
             userId: botSessionInfo.botUserId,
             username: botUser?.username || 'Dr. Bot',
             isBot: true,
           });
         }
-        const allReady = Array.from(session.connectedUsers.values()).every(
-          (u) => u.ready,
-        );
-        if (allReady && session.connectedUsers.size === 2) {
-          session.status = 'starting';
-          activeSessions.set(duelId, session);
+        if (starting) {
           let countdown = 3;
           const countdownInterval = setInterval(() => {
             io.to(roomName).emit('duel_starting', { countdown });
             countdown--;
-            if (countdown < 0) {
-              clearInterval(countdownInterval);
-              startDuelSession(duelId, roomName, io);
-            }
+            if (countdown < 0) clearInterval(countdownInterval);
           }, 1000);
+          await scheduleTimer(io, duelId, 'start', DUEL_START_DELAY_MS);
         }
       } catch (error) {
         console.error('Error setting ready status:', error);
@@ -184,7 +264,7 @@ const setupDuelSockets = (io) => {
         const { questionId, selectedAnswer, timeTaken } = data;
         const duelId = socket.currentDuelId;
         if (!duelId) return;
-        const session = activeSessions.get(duelId);
+        const session = await duelStateService.getSession(duelId);
         if (!session || session.status !== 'active') return;
 
         console.log(
@@ -197,7 +277,7 @@ const setupDuelSockets = (io) => {
           `BACKEND: Processing lock status: ${session.processingLock}`,
         );
 
-        await duelSessionService.submitAnswer(
+        const { isCorrect } = await duelSessionService.submitAnswer(
           session.sessionId,
           socket.userId,
           questionId,
@@ -206,6 +286,15 @@ const setupDuelSockets = (io) => {
           timeTaken,
         );
 
+        // Review scheduling must not hold up the duel
+        if (selectedAnswer) {
+          spacedRepetitionService
+            .recordAnswers(socket.userId, [{ questionId, isCorrect }], 'duel')
+            .catch((reviewError) =>
+              console.warn('Failed to update review schedule:', reviewError),
+            );
+        }
+
         const roomName = `duel_${duelId}`;
         io.to(roomName).emit('opponent_answered', {
           userId: socket.userId,
@@ -215,7 +304,7 @@ const setupDuelSockets = (io) => {
         console.log(
           `BACKEND: About to check round completion for duel ${duelId}`,
         );
-        await checkAndProcessRoundResultEnhanced(duelId, session, io);
+        await checkAndProcessRoundResultEnhanced(duelId, io);
         console.log(
           `BACKEND: Round completion check finished for duel ${duelId}`,
         );
@@ -225,6 +314,109 @@ const setupDuelSockets = (io) => {
       }
     });
 
+    // Watch a friend's live duel read-only
+    socket.on('spectate_duel', async (data) => {
+      try {
+        const { duelId } = data;
+        const duel = await duelSessionService.getDuelById(duelId);
+        if (!duel || duel.status !== 'active' || duel.mode === 'async') {
+          return socket.emit('spectate_error', {
+            message: 'This duel cannot be watched',
+          });
+        }
+        if (
+          duel.initiator_id === socket.userId ||
+          duel.opponent_id === socket.userId
+        ) {
+          return socket.emit('spectate_error', {
+            message: 'Players join their duel with join_duel_room',
+          });
+        }
+        if (!duel.allow_spectators) {
+          return socket.emit('spectate_error', {
+            message: 'Spectating is turned off for this duel',
+          });
+        }
+        if (socket.role !== 'admin') {
+          const friendships = await Promise.all(
+            [duel.initiator_id, duel.opponent_id].map((playerId) =>
+              friendModel.getFriendshipStatus(socket.userId, playerId),
+            ),
+          );
+          if (!friendships.includes('accepted')) {
+            return socket.emit('spectate_error', {
+              message: 'Only friends of the players can watch this duel',
+            });
+          }
+        }
+
+        const watching = spectatedDuelId(socket);
+        if (watching && watching !== duelId) {
+          await stopSpectating(io, socket);
+        }
+        socket.join([`duel_${duelId}`, spectatorRoom(duelId)]);
+        socket.spectatingDuelId = duelId;
+
+        const session = await duelStateService.getSession(duelId);
+        socket.emit('spectating_started', {
+          duelId,
+          players: [
+            { userId: duel.initiator_id, username: duel.initiator_username },
+            { userId: duel.opponent_id, username: duel.opponent_username },
+          ],
+          // No session yet means the players haven't joined
+          state: session ? await buildDuelSnapshot(session, null) : null,
+        });
+        await broadcastSpectatorCount(io, duelId);
+      } catch (error) {
+        console.error('Error joining duel as spectator:', error);
+        socket.emit('spectate_error', { message: 'Failed to watch duel' });
+      }
+    });
+
+    socket.on('stop_spectating', async () => {
+      try {
+        await stopSpectating(io, socket);
+      } catch (error) {
+        console.error('Error leaving spectated duel:', error);
+      }
+    });
+
+    // A player turns spectating of their duel on or off. Turning it off
+    // sends current spectators away (see spectatedDuelId).
+    socket.on('set_spectating', async (data) => {
+      try {
+        const duelId = socket.currentDuelId;
+        if (!duelId) return;
+        const allowed = Boolean(data?.allowed);
+
+        await duelModel.setAllowSpectators(duelId, allowed);
+        const roomName = `duel_${duelId}`;
+        if (!allowed) {
+          io.to(spectatorRoom(duelId)).emit('spectating_closed', { duelId });
+          io.in(spectatorRoom(duelId)).socketsLeave([
+            roomName,
+            spectatorRoom(duelId),
+          ]);
+        }
+        io.to(roomName).emit('spectating_changed', {
+          duelId,
+          allowed,
+          changedBy: socket.userId,
+        });
+        if (allowed) {
+          await broadcastSpectatorCount(io, duelId);
+        } else {
+          io.to(roomName).emit('spectator_count', { duelId, count: 0 });
+        }
+      } catch (error) {
+        console.error('Error changing duel spectating:', error);
+        socket.emit('room_error', {
+          message: 'Failed to change spectating setting',
+        });
+      }
+    });
+
     socket.on('challenge_bot', async (data) => {
       try {
         const { testId, courseId, difficulty = 1 } = data;
@@ -306,36 +498,389 @@ const setupDuelSockets = (io) => {
       }
     });
 
-    socket.on('disconnect', () => {
+    socket.on('join_matchmaking', async (data) => {
+      try {
+        const { courseId } = data || {};
+
+        if (!courseId) {
+          return socket.emit('matchmaking_error', {
+            message: 'Course ID is required for matchmaking',
+          });
+        }
+        if (await matchmakingService.getEntry(socket.userId)) {
+          return socket.emit('matchmaking_error', {
+            message: 'Already searching for an opponent',
+          });
+        }
+
+        const course = await courseModel.getById(courseId);
+        if (!course) {
+          return socket.emit('matchmaking_error', {
+            message: 'Course not found',
+          });
+        }
+
+        const rating = await matchmakingService.getRating(
+          socket.userId,
+          course.course_id,
+        );
+        const entry = await matchmakingService.join(
+          socket.userId,
+          socket.username,
+          course.course_id,
+          rating,
+        );
+        if (!entry) {
+          return socket.emit('matchmaking_error', {
+            message: 'Already searching for an opponent',
+          });
+        }
+
+        socket.emit(
+          'matchmaking_joined',
+          await matchmakingService.getStatus(entry),
+        );
+      } catch (error) {
+        console.error('Error joining matchmaking:', error);
+        socket.emit('matchmaking_error', {
+          message: 'Failed to join matchmaking',
+        });
+      }
+    });
+
+    socket.on('cancel_matchmaking', async () => {
+      try {
+        const entry = await matchmakingService.leave(socket.userId);
+        socket.emit('matchmaking_cancelled', {
+          courseId: entry ? entry.courseId : null,
+        });
+      } catch (error) {
+        console.error('Error cancelling matchmaking:', error);
+        socket.emit('matchmaking_error', {
+          message: 'Failed to cancel matchmaking',
+        });
+      }
+    });
+
+    // Rooms are already left by 'disconnect', so check the spectated duel
+    // while they can still be seen
+    socket.on('disconnecting', () => {
+      spectatedDuelId(socket);
+    });
+
+    socket.on('disconnect', async () => {
       console.log(`User ${socket.userId} disconnected: ${socket.id}`);
-      userSockets.delete(socket.userId);
-      const duelId = socket.currentDuelId;
-      if (duelId) {
-        const session = activeSessions.get(duelId);
-        if (session) {
-          session.connectedUsers.delete(socket.userId);
+      try {
+        await duelStateService.removeUserSocket(socket.userId, socket.id);
+        await matchmakingService.leave(socket.userId);
+        // The socket has already left its rooms, so the count is current
+        if (socket.spectatingDuelId) {
+          await broadcastSpectatorCount(io, socket.spectatingDuelId);
+        }
+        const duelId = socket.currentDuelId;
+        if (!duelId) return;
+
+        let stale = false;
+        let inPlay = false;
+        const session = await duelStateService.updateSession(duelId, (s) => {
+          const player = s.connectedUsers.get(socket.userId);
+          // A newer connection of the player has already taken over
+          stale = !player || player.socketId !== socket.id;
+          if (stale) return;
+
+          inPlay = IN_PLAY_STATUSES.includes(s.status);
+          if (inPlay) {
+            // Kept during the grace period so the player can resume
+            player.disconnectedAt = Date.now();
+          } else {
+            s.connectedUsers.delete(socket.userId);
+          }
+        });
+        if (!session || stale) return;
+
+        if (inPlay) {
           io.to(`duel_${duelId}`).emit('opponent_disconnected', {
             userId: socket.userId,
             username: socket.username,
+            graceSeconds: DUEL_RECONNECT_GRACE_MS / 1000,
           });
+          await scheduleTimer(
+            io,
+            duelId,
+            `forfeit:${socket.userId}`,
+            DUEL_RECONNECT_GRACE_MS,
+            { userId: socket.userId },
+          );
+          return;
+        }
 
-          if (session.connectedUsers.size === 0) {
-            cleanupDuelTimers(duelId);
-            cleanupBotTimeouts(duelId);
-            setTimeout(() => activeSessions.delete(duelId), 30000);
-          }
+        io.to(`duel_${duelId}`).emit('opponent_disconnected', {
+          userId: socket.userId,
+          username: socket.username,
+        });
+        if (session.connectedUsers.size === 0) {
+          await cleanupDuelTimers(duelId);
+          await cleanupBotTimeouts(duelId);
+          await duelStateService.expireSession(
+            duelId,
+            ABANDONED_SESSION_TTL_MS,
+          );
         }
-        botSessions.delete(duelId);
+        await duelStateService.deleteBotSession(duelId);
+      } catch (error) {
+        console.error('Error handling disconnect:', error);
       }
     });
   });
 };
 
+// Emit to a user's latest socket, on whichever instance holds it
+async function emitToUser(io, userId, event, payload) {
+  const socketId = await duelStateService.getUserSocket(userId);
+  if (socketId) io.to(socketId).emit(event, payload);
+}
+
+// Spectator sockets of a duel, on every instance
+async function countSpectators(io, duelId) {
+  const spectators = await io.in(spectatorRoom(duelId)).fetchSockets();
+  return spectators.length;
+}
+
+async function broadcastSpectatorCount(io, duelId) {
+  io.to(`duel_${duelId}`).emit('spectator_count', {
+    duelId,
+    count: await countSpectators(io, duelId),
+  });
+}
+
+// The duel a socket is watching. set_spectating sends spectators away with
+// socketsLeave, which may run on another instance and can't reach
+// spectatingDuelId, so a socket no longer in the spectator room has it
+// cleared here.
+function spectatedDuelId(socket) {
+  const duelId = socket.spectatingDuelId;
+  if (duelId && !socket.rooms.has(spectatorRoom(duelId))) {
+    socket.spectatingDuelId = null;
+  }
+  return socket.spectatingDuelId || null;
+}
+
+async function stopSpectating(io, socket) {
+  const duelId = spectatedDuelId(socket);
+  if (!duelId) return;
+
+  socket.spectatingDuelId = null;
+  socket.leave(`duel_${duelId}`);
+  socket.leave(spectatorRoom(duelId));
+  await broadcastSpectatorCount(io, duelId);
+}
+
+// Pair queued players, hand long waits to bots and tell everyone still
+// waiting where they stand
+async function processMatchmaking(io) {
+  try {
+    // One instance runs each tick; the lock lapses before the next one
+    if (
+      !(await duelStateService.acquireLock(
+        'matchmaking',
+        MATCHMAKING_TICK_MS - 100,
+      ))
+    ) {
+      return;
+    }
+
+    const now = Date.now();
+    const emitTo = (userId, event, payload) =>
+      emitToUser(io, userId, event, payload).catch((error) =>
+        console.error('Error emitting matchmaking event:', error),
+      );
+
+    for (const [first, second] of await matchmakingService.takeMatches(now)) {
+      try {
+        const duel = await matchmakingService.createMatchDuel(first, second);
+        for (const [player, opponent] of [
+          [first, second],
+          [second, first],
+        ]) {
+          await matchmakingService.recordWait(
+            player.courseId,
+            now - player.joinedAt,
+          );
+          emitTo(player.userId, 'match_found', {
+            duel,
+            opponent: {
+              userId: opponent.userId,
+              username: opponent.username,
+              rating: Math.round(opponent.rating),
+              isBot: false,
+            },
+          });
+          setTimeout(
+            () =>
+              emitTo(player.userId, 'auto_join_duel', {
+                duelId: duel.duel_id,
+              }),
+            500,
+          );
+        }
+      } catch (error) {
+        console.error('Error creating matched duel:', error);
+        [first, second].forEach((player) =>
+          emitTo(player.userId, 'matchmaking_error', {
+            message: 'Failed to create duel, please search again',
+          }),
+        );
+      }
+    }
+
+    for (const entry of await matchmakingService.takeExpired(now)) {
+      try {
+        const botDuel = await matchmakingService.createFallbackBotDuel(entry);
+        emitTo(entry.userId, 'match_found', {
+          duel: botDuel,
+          opponent: botDuel.opponent,
+        });
+        setTimeout(
+          () =>
+            emitTo(entry.userId, 'auto_join_duel', {
+              duelId: botDuel.duel_id,
+            }),
+          500,
+        );
+      } catch (error) {
+        console.error('Error creating fallback bot duel:', error);
+        emitTo(entry.userId, 'matchmaking_error', {
+          message: 'No opponent found, please search again',
+        });
+      }
+    }
+
+    // Statuses are sent after pairing so nobody sees a stale position
+    const statusTime = Date.now();
+    const entries = await matchmakingService.getQueuedEntries();
+    for (const entry of entries) {
+      emitTo(
+        entry.userId,
+        'matchmaking_status',
+        await matchmakingService.getStatus(entry, statusTime, entries),
+      );
+    }
+  } catch (error) {
+    console.error('Error processing matchmaking:', error);
+  }
+}
+
+// Create the duel's session once. Both players joining on different
+// instances at the same moment would otherwise each insert a duel_sessions
+// row, so one takes the lock and the other waits for its session.
+async function ensureSession(duelId, duel) {
+  const lockName = `session-create:${duelId}`;
+  const deadline = Date.now() + SESSION_CREATE_LOCK_MS;
+
+  while (!(await duelStateService.getSession(duelId))) {
+    if (await duelStateService.acquireLock(lockName, SESSION_CREATE_LOCK_MS)) {
+      try {
+        // It may have been created between the check and the lock
+        if (!(await duelStateService.getSession(duelId))) {
+          await duelStateService.addSession(
+            await duelSessionService.createSession(duel),
+          );
+        }
+      } finally {
+        await duelStateService.releaseLock(lockName);
+      }
+      return;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the session of duel ${duelId}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, SESSION_CREATE_POLL_MS));
+  }
+}
+
+// Record a timer owned by this instance and arm it locally
+async function scheduleTimer(io, duelId, kind, delayMs, data = {}) {
+  const timer = await duelStateService.setTimer(
+    duelId,
+    kind,
+    Date.now() + delayMs,
+    data,
+  );
+  armTimer(io, timer);
+  return timer;
+}
+
+function armTimer(io, timer) {
+  const key = `${timer.duelId}:${timer.kind}`;
+  clearTimeout(localTimers.get(key));
+  localTimers.set(
+    key,
+    setTimeout(
+      () => runTimer(io, timer),
+      Math.max(0, timer.deadline - Date.now()),
+    ),
+  );
+}
+
+async function runTimer(io, timer) {
+  localTimers.delete(`${timer.duelId}:${timer.kind}`);
+  try {
+    // Skip timers cancelled, replaced or claimed on another instance
+    if (!(await duelStateService.takeTimer(timer))) return;
+    const [handler] = timer.kind.split(':');
+    await TIMER_HANDLERS[handler](io, timer.duelId, timer.data);
+  } catch (error) {
+    console.error(
+      `Error running ${timer.kind} timer for duel ${timer.duelId}:`,
+      error,
+    );
+  }
+}
+
+async function cancelTimer(duelId, kind) {
+  const key = `${duelId}:${kind}`;
+  clearTimeout(localTimers.get(key));
+  localTimers.delete(key);
+  await duelStateService.deleteTimer(duelId, kind);
+}
+
+// Keep this instance's heartbeat alive and take over the timers of
+// instances that stopped heartbeating
+async function sweepTimers(io) {
+  try {
+    await duelStateService.heartbeat();
+
+    for (const timer of await duelStateService.getTimers()) {
+      if (timer.owner === duelStateService.instanceId) continue;
+      if (await duelStateService.isInstanceAlive(timer.owner)) continue;
+
+      const claimed = await duelStateService.claimTimer(timer);
+      if (!claimed) continue;
+
+      console.log(
+        `Claimed ${claimed.kind} timer of duel ${claimed.duelId} from ${timer.owner}`,
+      );
+      armTimer(io, claimed);
+      if (claimed.kind === 'question') {
+        startServerTimerBroadcast(
+          claimed.duelId,
+          `duel_${claimed.duelId}`,
+          io,
+          claimed,
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Error sweeping duel timers:', error);
+  }
+}
+
 async function startDuelSession(duelId, roomName, io) {
   try {
     console.log(`Starting duel session ${duelId}...`);
 
-    const session = activeSessions.get(duelId);
+    const session = await duelStateService.getSession(duelId);
     if (!session) {
       console.error(`Session not found for duel ${duelId}`);
       io.to(roomName).emit('room_error', {
@@ -345,21 +890,17 @@ async function startDuelSession(duelId, roomName, io) {
       return;
     }
 
-    session.status = 'active';
-    session.startedAt = new Date();
-    session.currentQuestionIndex = 0;
-    session.processingLock = false;
-
+    let questions;
     try {
       console.log(`Fetching questions for duel ${duelId}...`);
-      session.questions = await duelSessionService.getQuestionsForDuel(duelId);
+      questions = await duelSessionService.getQuestionsForDuel(duelId);
 
-      if (!session.questions || session.questions.length === 0) {
+      if (!questions || questions.length === 0) {
         throw new Error('No questions available for this course');
       }
 
       console.log(
-        `Successfully loaded ${session.questions.length} questions for duel ${duelId}`,
+        `Successfully loaded ${questions.length} questions for duel ${duelId}`,
       );
     } catch (questionError) {
       console.error(
@@ -374,7 +915,13 @@ async function startDuelSession(duelId, roomName, io) {
       return;
     }
 
-    activeSessions.set(duelId, session);
+    await duelStateService.updateSession(duelId, (s) => {
+      s.status = 'active';
+      s.startedAt = new Date();
+      s.currentQuestionIndex = 0;
+      s.processingLock = false;
+      s.questions = questions;
+    });
 
     const duel = await duelSessionService.getDuelById(duelId);
     const isOpponentBot = await botService.isBot(duel.opponent_id);
@@ -392,7 +939,7 @@ async function startDuelSession(duelId, roomName, io) {
 
 async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
   try {
-    const session = activeSessions.get(duelId);
+    const session = await duelStateService.getSession(duelId);
     if (!session) {
       console.error(
         `Session not found when presenting question for duel ${duelId}`,
@@ -404,6 +951,9 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
       return;
     }
 
+    // The duel may have been forfeited meanwhile
+    if (session.status !== 'active') return;
+
     if (session.currentQuestionIndex >= session.questions.length) {
       console.log(`All questions completed for duel ${duelId}`);
       return await completeDuel(duelId, roomName, io);
@@ -438,11 +988,12 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
     }
 
     // 🔧 FIX: Clean up any stale timeouts FIRST before starting new question
-    cleanupDuelTimers(duelId);
-    cleanupBotTimeouts(duelId);
+    await cleanupDuelTimers(duelId);
+    await cleanupBotTimeouts(duelId);
 
-    session.processingLock = false;
-    activeSessions.set(duelId, session);
+    await duelStateService.updateSession(duelId, (s) => {
+      s.processingLock = false;
+    });
 
     console.log(
       `Presenting question ${session.currentQuestionIndex + 1}/${
@@ -450,66 +1001,26 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
       } for duel ${duelId}`,
     );
 
-    const questionStartTime = Date.now();
     const timeLimit = QUESTION_TIME_LIMIT;
 
-    // 🔧 FIX: Create the 60-second timeout and store its reference
-    const questionTimeout = setTimeout(async () => {
-      const currentSession = activeSessions.get(duelId);
-      const timerInfo = activeQuestionTimers.get(duelId);
-
-      if (
-        currentSession &&
-        timerInfo &&
-        currentSession.currentQuestionIndex === timerInfo.questionIndex &&
-        !currentSession.processingLock
-      ) {
-        console.log(
-          `BACKEND: 60s timeout for question ${
-            session.currentQuestionIndex + 1
-          } in duel ${duelId}`,
-        );
-
-        io.to(roomName).emit('question_time_up', {
-          questionIndex: session.currentQuestionIndex,
-          serverTime: Date.now(),
-        });
-
-        await duelSessionService.autoSubmitUnanswered(
-          session.sessionId,
-          session.currentQuestionIndex,
-        );
-        await checkAndProcessRoundResultEnhanced(duelId, currentSession, io);
-
-        activeQuestionTimers.delete(duelId);
-      } else {
-        console.log(
-          `BACKEND: 60s timeout cancelled for duel ${duelId} - state changed`,
-        );
-      }
-    }, timeLimit);
-
-    // 🔧 FIX: Store ALL timer references including the question timeout
-    activeQuestionTimers.set(duelId, {
-      startTime: questionStartTime,
+    // The 60-second timeout is a shared timer record, so another instance
+    // can fire it if this one goes away
+    const questionTimer = await scheduleTimer(
+      io,
+      duelId,
+      'question',
       timeLimit,
-      questionIndex: session.currentQuestionIndex,
-      endTime: questionStartTime + timeLimit,
-      questionTimeout, // 🔧 Store the timeout reference for cancellation
-      broadcastInterval: null, // Will be set by startServerTimerBroadcast
-    });
+      { questionIndex: session.currentQuestionIndex },
+    );
+    const questionStartTime = questionTimer.deadline - timeLimit;
 
     io.to(roomName).emit('question_presented', {
       questionIndex: session.currentQuestionIndex,
       totalQuestions: session.questions.length,
-      question: {
-        id: currentQuestion.question_id,
-        text: currentQuestion.question_text,
-        options: currentQuestion.options,
-      },
+      question: duelSessionService.toClientQuestion(currentQuestion),
       timeLimit: timeLimit,
       serverStartTime: questionStartTime,
-      serverEndTime: questionStartTime + timeLimit,
+      serverEndTime: questionTimer.deadline,
     });
 
     console.log(
@@ -518,7 +1029,7 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
       } sent to room ${roomName} with 60s server-controlled timing`,
     );
 
-    startServerTimerBroadcast(duelId, roomName, io, timeLimit);
+    startServerTimerBroadcast(duelId, roomName, io, questionTimer);
 
     // Start bot thinking with proper cleanup
     if (botInfo.isOpponentBot) {
@@ -526,9 +1037,7 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
         `🤖 BACKEND: Starting bot thinking for question ${session.currentQuestionIndex}`,
       );
 
-      setTimeout(() => {
-        startBotThinkingForCurrentQuestion(duelId, roomName, io);
-      }, 1000);
+      await startBotThinkingForCurrentQuestion(duelId, roomName, io);
     }
   } catch (error) {
     console.error(`Error presenting question for duel ${duelId}:`, error);
@@ -539,69 +1048,98 @@ async function presentNextQuestion(duelId, roomName, io, botInfo = {}) {
   }
 }
 
-// Server-side timer broadcast function
-function startServerTimerBroadcast(duelId, roomName, io, timeLimit) {
-  const timerInfo = activeQuestionTimers.get(duelId);
-  if (!timerInfo) return;
+// 60 seconds are up: fill in blank answers and close the round
+async function handleQuestionTimeout(io, duelId, { questionIndex }) {
+  const roomName = `duel_${duelId}`;
+  const session = await duelStateService.getSession(duelId);
 
-  const timerInterval = setInterval(() => {
-    const now = Date.now();
-    const elapsed = now - timerInfo.startTime;
-    const remaining = Math.max(0, timeLimit - elapsed);
+  if (
+    !session ||
+    session.currentQuestionIndex !== questionIndex ||
+    session.processingLock
+  ) {
+    console.log(
+      `BACKEND: 60s timeout cancelled for duel ${duelId} - state changed`,
+    );
+    return;
+  }
 
-    if (remaining <= 0 || !activeSessions.has(duelId)) {
-      clearInterval(timerInterval);
-      return;
-    }
+  console.log(
+    `BACKEND: 60s timeout for question ${questionIndex + 1} in duel ${duelId}`,
+  );
+  stopTimerBroadcast(duelId);
 
-    io.to(roomName).emit('timer_update', {
-      timeRemaining: Math.ceil(remaining / 1000),
-      serverTime: now,
-      questionIndex: timerInfo.questionIndex,
-    });
-  }, 1000);
+  io.to(roomName).emit('question_time_up', {
+    questionIndex,
+    serverTime: Date.now(),
+  });
 
-  // Store the interval reference
-  if (timerInfo) {
-    timerInfo.broadcastInterval = timerInterval;
-  }
+  await duelSessionService.autoSubmitUnanswered(
+    session.sessionId,
+    questionIndex,
+  );
+  await checkAndProcessRoundResultEnhanced(duelId, io);
 }
 
-// 🔧 FIX: Enhanced cleanup function - cancel ALL timeouts and intervals
-function cleanupDuelTimers(duelId) {
-  const timerInfo = activeQuestionTimers.get(duelId);
-  if (timerInfo) {
-    // Clear broadcast interval
-    if (timerInfo.broadcastInterval) {
-      clearInterval(timerInfo.broadcastInterval);
-    }
-    // 🔧 FIX: Clear the 60s question timeout
-    if (timerInfo.questionTimeout) {
-      clearTimeout(timerInfo.questionTimeout);
-      console.log(`🔧 CLEANUP: Cancelled stale 60s timeout for duel ${duelId}`);
+// Server-side timer broadcast, run by the instance that owns the question
+// timer
+function startServerTimerBroadcast(duelId, roomName, io, questionTimer) {
+  stopTimerBroadcast(duelId);
+  const { questionIndex } = questionTimer.data;
+
+  const timerInterval = setInterval(async () => {
+    try {
+      const now = Date.now();
+      const remaining = Math.max(0, questionTimer.deadline - now);
+      const current = await duelStateService.getTimer(duelId, 'question');
+
+      // Stop once the question is over, here or on another instance
+      if (
+        remaining <= 0 ||
+        !current ||
+        current.data.questionIndex !== questionIndex
+      ) {
+        clearInterval(timerInterval);
+        if (timerBroadcasts.get(duelId) === timerInterval) {
+          timerBroadcasts.delete(duelId);
+        }
+        return;
+      }
+
+      io.to(roomName).emit('timer_update', {
+        timeRemaining: Math.ceil(remaining / 1000),
+        serverTime: now,
+        questionIndex,
+      });
+    } catch (error) {
+      console.error('Error broadcasting duel timer:', error);
     }
-  }
-  activeQuestionTimers.delete(duelId);
+  }, 1000);
+
+  timerBroadcasts.set(duelId, timerInterval);
+}
+
+function stopTimerBroadcast(duelId) {
+  clearInterval(timerBroadcasts.get(duelId));
+  timerBroadcasts.delete(duelId);
+}
+
+// 🔧 FIX: Enhanced cleanup function - cancel the question timeout and its
+// broadcast
+async function cleanupDuelTimers(duelId) {
+  stopTimerBroadcast(duelId);
+  await cancelTimer(duelId, 'question');
 }
 
 // Bot timeout cleanup function
-function cleanupBotTimeouts(duelId) {
-  const botTimeoutInfo = activeBotTimeouts.get(duelId);
-  if (botTimeoutInfo) {
-    if (botTimeoutInfo.thinkingTimeout) {
-      clearTimeout(botTimeoutInfo.thinkingTimeout);
-      console.log(
-        `🔧 CLEANUP: Cleared bot thinking timeout for duel ${duelId}`,
-      );
-    }
-    activeBotTimeouts.delete(duelId);
-  }
+async function cleanupBotTimeouts(duelId) {
+  await cancelTimer(duelId, 'bot_answer');
 }
 
-// Bot thinking logic with timeout tracking
+// Bot thinking logic: the answer is decided now and submitted by a timer
 async function startBotThinkingForCurrentQuestion(duelId, roomName, io) {
   try {
-    const session = activeSessions.get(duelId);
+    const session = await duelStateService.getSession(duelId);
     if (!session) {
       console.log(
         `🤖 BACKEND: Session not found for duel ${duelId}, aborting bot thinking`,
@@ -628,7 +1166,7 @@ async function startBotThinkingForCurrentQuestion(duelId, roomName, io) {
     }
 
     // Check if bot thinking is already in progress for this duel
-    if (activeBotTimeouts.has(duelId)) {
+    if (await duelStateService.getTimer(duelId, 'bot_answer')) {
       console.log(
         `🤖 BACKEND: Bot thinking already in progress for duel ${duelId}, skipping`,
       );
@@ -655,109 +1193,116 @@ async function startBotThinkingForCurrentQuestion(duelId, roomName, io) {
       )}s for question index ${questionIndex}`,
     );
 
-    // Store the timeout so we can cancel it if needed
-    const thinkingTimeout = setTimeout(async () => {
-      try {
-        // Double-check the session state hasn't changed
-        const currentSession = activeSessions.get(duelId);
-        if (!currentSession) {
-          console.log(
-            `🤖 BACKEND: Session no longer exists for duel ${duelId}, cancelling bot answer`,
-          );
-          activeBotTimeouts.delete(duelId);
-          return;
-        }
-
-        if (currentSession.currentQuestionIndex !== questionIndex) {
-          console.log(
-            `🤖 BACKEND: Question changed from ${questionIndex} to ${currentSession.currentQuestionIndex} for duel ${duelId}, cancelling bot answer`,
-          );
-          activeBotTimeouts.delete(duelId);
-          return;
-        }
-
-        if (currentSession.processingLock) {
-          console.log(
-            `🤖 BACKEND: Round is being processed for duel ${duelId}, cancelling bot answer`,
-          );
-          activeBotTimeouts.delete(duelId);
-          return;
-        }
+    await scheduleTimer(
+      io,
+      duelId,
+      'bot_answer',
+      BOT_START_DELAY_MS + botAnswer.thinkingTime,
+      {
+        questionIndex,
+        questionId: currentQuestion.question_id,
+        botUserId: duel.opponent_id,
+        botName,
+        selectedAnswer: botAnswer.selectedAnswer,
+        timeTaken: botAnswer.timeTaken,
+      },
+    );
+  } catch (error) {
+    console.error('🤖 BACKEND ERROR starting bot thinking:', error);
+  }
+}
 
-        console.log(
-          `🤖 BACKEND: Bot ${botName} thinking time completed for question ${questionIndex}`,
-        );
+// The bot's thinking time is over: submit its answer
+async function handleBotAnswer(io, duelId, bot) {
+  const { questionIndex, botName } = bot;
+  const roomName = `duel_${duelId}`;
 
-        // Clear the timeout from our tracking
-        activeBotTimeouts.delete(duelId);
+  // Double-check the session state hasn't changed
+  const currentSession = await duelStateService.getSession(duelId);
+  if (!currentSession) {
+    console.log(
+      `🤖 BACKEND: Session no longer exists for duel ${duelId}, cancelling bot answer`,
+    );
+    return;
+  }
 
-        // Emit opponent answered event
-        io.to(roomName).emit('opponent_answered', {
-          userId: duel.opponent_id,
-          username: botName,
-          isBot: true,
-        });
+  if (currentSession.currentQuestionIndex !== questionIndex) {
+    console.log(
+      `🤖 BACKEND: Question changed from ${questionIndex} to ${currentSession.currentQuestionIndex} for duel ${duelId}, cancelling bot answer`,
+    );
+    return;
+  }
 
-        console.log(
-          `🤖 BACKEND: Bot ${botName} submitting answer for question index ${questionIndex}`,
-        );
+  if (currentSession.processingLock) {
+    console.log(
+      `🤖 BACKEND: Round is being processed for duel ${duelId}, cancelling bot answer`,
+    );
+    return;
+  }
 
-        // Submit the bot's answer
-        await duelSessionService.submitAnswer(
-          session.sessionId,
-          duel.opponent_id,
-          currentQuestion.question_id,
-          questionIndex,
-          botAnswer.selectedAnswer,
-          botAnswer.timeTaken,
-        );
+  console.log(
+    `🤖 BACKEND: Bot ${botName} thinking time completed for question ${questionIndex}`,
+  );
 
-        console.log(
-          `🤖 BACKEND: Bot answer submitted, checking round completion after brief pause...`,
-        );
+  // Emit opponent answered event
+  io.to(roomName).emit('opponent_answered', {
+    userId: bot.botUserId,
+    username: botName,
+    isBot: true,
+  });
 
-        // Small delay before checking round completion
-        setTimeout(async () => {
-          const latestSession = activeSessions.get(duelId);
-          if (
-            latestSession &&
-            latestSession.currentQuestionIndex === questionIndex
-          ) {
-            console.log(
-              `🤖 BACKEND: Checking round completion after bot answer for question ${questionIndex}`,
-            );
-            await checkAndProcessRoundResultEnhanced(duelId, latestSession, io);
-          } else {
-            console.log(
-              `🤖 BACKEND: Skipping round completion check - question has changed`,
-            );
-          }
-        }, 1500);
-      } catch (error) {
-        console.error('🤖 BACKEND ERROR in bot answer execution:', error);
-        activeBotTimeouts.delete(duelId);
-      }
-    }, botAnswer.thinkingTime);
+  console.log(
+    `🤖 BACKEND: Bot ${botName} submitting answer for question index ${questionIndex}`,
+  );
+
+  // Submit the bot's answer
+  await duelSessionService.submitAnswer(
+    currentSession.sessionId,
+    bot.botUserId,
+    bot.questionId,
+    questionIndex,
+    bot.selectedAnswer,
+    bot.timeTaken,
+  );
+
+  console.log(
+    `🤖 BACKEND: Bot answer submitted, checking round completion after brief pause...`,
+  );
+
+  // Small delay before checking round completion
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+
+  const latestSession = await duelStateService.getSession(duelId);
+  if (latestSession && latestSession.currentQuestionIndex === questionIndex) {
+    console.log(
+      `🤖 BACKEND: Checking round completion after bot answer for question ${questionIndex}`,
+    );
+    await checkAndProcessRoundResultEnhanced(duelId, io);
+  } else {
+    console.log(
+      `🤖 BACKEND: Skipping round completion check - question has changed`,
+    );
+  }
+}
 
-    // Track the timeout so we can cancel it later
-    activeBotTimeouts.set(duelId, {
-      thinkingTimeout,
-      questionIndex,
-      startTime: Date.now(),
+// Let a round be processed again after a failure
+async function unlockRound(duelId, questionIndex) {
+  try {
+    await duelStateService.updateSession(duelId, (s) => {
+      s.processingLock = false;
     });
+    await duelStateService.releaseLock(`round:${duelId}:${questionIndex}`);
   } catch (error) {
-    console.error('🤖 BACKEND ERROR starting bot thinking:', error);
-    activeBotTimeouts.delete(duelId);
+    console.error('BACKEND ERROR releasing round lock:', error);
   }
 }
 
-async function checkAndProcessRoundResultEnhanced(
-  duelId,
-  session,
-  io,
-  maxRetries = 3,
-) {
+async function checkAndProcessRoundResultEnhanced(duelId, io, maxRetries = 3) {
+  let questionIndex = null;
   try {
+    const session = await duelStateService.getSession(duelId);
+    if (!session) return;
+
     if (session.processingLock) {
       console.log(
         `BACKEND: Round already being processed for duel ${duelId}, skipping...`,
@@ -765,8 +1310,9 @@ async function checkAndProcessRoundResultEnhanced(
       return;
     }
 
+    questionIndex = session.currentQuestionIndex;
     console.log(
-      `BACKEND: Checking round completion for duel ${duelId}, question ${session.currentQuestionIndex}`,
+      `BACKEND: Checking round completion for duel ${duelId}, question ${questionIndex}`,
     );
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -776,7 +1322,7 @@ async function checkAndProcessRoundResultEnhanced(
 
       const bothAnswered = await duelSessionService.checkBothAnswered(
         session.sessionId,
-        session.currentQuestionIndex,
+        questionIndex,
       );
 
       console.log(
@@ -784,21 +1330,36 @@ async function checkAndProcessRoundResultEnhanced(
       );
 
       if (bothAnswered) {
-        session.processingLock = true;
-        activeSessions.set(duelId, session);
+        // Answers landing on different instances at once must not process
+        // the round twice
+        const roundLock = `round:${duelId}:${questionIndex}`;
+        if (!(await duelStateService.acquireLock(roundLock, ROUND_LOCK_MS))) {
+          console.log(
+            `BACKEND: Round already being processed for duel ${duelId}, skipping...`,
+          );
+          return;
+        }
+
+        const lockedSession = await duelStateService.updateSession(
+          duelId,
+          (s) => {
+            s.processingLock = true;
+          },
+        );
+        if (!lockedSession) return;
 
         console.log(
-          `BACKEND: Both players answered question ${session.currentQuestionIndex} for duel ${duelId} - PROCEEDING IMMEDIATELY`,
+          `BACKEND: Both players answered question ${questionIndex} for duel ${duelId} - PROCEEDING IMMEDIATELY`,
         );
 
         console.log(
           `BACKEND: Cleaning up timers for early completion of duel ${duelId}`,
         );
         // Clean up ALL timers immediately when round completes early
-        cleanupDuelTimers(duelId);
-        cleanupBotTimeouts(duelId);
+        await cleanupDuelTimers(duelId);
+        await cleanupBotTimeouts(duelId);
 
-        await processRoundResult(duelId, session, io);
+        await processRoundResult(duelId, lockedSession, io);
         return;
       }
 
@@ -815,32 +1376,34 @@ async function checkAndProcessRoundResultEnhanced(
     );
   } catch (error) {
     console.error('BACKEND ERROR in enhanced round result check:', error);
-    if (session) {
-      session.processingLock = false;
-      activeSessions.set(duelId, session);
+    if (questionIndex !== null) {
+      await unlockRound(duelId, questionIndex);
     }
   }
 }
 
 async function processRoundResult(duelId, session, io) {
+  const questionIndex = session.currentQuestionIndex;
   try {
     console.log(
-      `BACKEND: Processing round result for duel ${duelId}, question ${session.currentQuestionIndex}`,
+      `BACKEND: Processing round result for duel ${duelId}, question ${questionIndex}`,
     );
 
     const roomName = `duel_${duelId}`;
     const roundResults = await duelSessionService.getRoundResults(
       session.sessionId,
-      session.currentQuestionIndex,
+      questionIndex,
     );
 
     io.to(roomName).emit('round_result', roundResults);
     console.log(`BACKEND: Round result emitted to room ${roomName}`);
 
-    session.currentQuestionIndex += 1;
-    activeSessions.set(duelId, session);
+    const updated = await duelStateService.updateSession(duelId, (s) => {
+      s.currentQuestionIndex = questionIndex + 1;
+    });
+    if (!updated) return;
 
-    const isDuelOver = session.currentQuestionIndex >= session.questions.length;
+    const isDuelOver = updated.currentQuestionIndex >= updated.questions.length;
 
     const roundDisplayTime = duelSessionService.getRoundResultDisplayTime();
     console.log(
@@ -849,35 +1412,12 @@ async function processRoundResult(duelId, session, io) {
       }`,
     );
 
-    setTimeout(async () => {
-      if (isDuelOver) {
-        console.log(`BACKEND: Completing duel ${duelId} after results display`);
-        await completeDuel(duelId, roomName, io);
-      } else {
-        console.log(
-          `BACKEND: Moving to question ${session.currentQuestionIndex + 1}/${
-            session.questions.length
-          } after results display`,
-        );
-
-        session.processingLock = false;
-        activeSessions.set(duelId, session);
-
-        const duel = await duelSessionService.getDuelById(duelId);
-        const isOpponentBot = await botService.isBot(duel.opponent_id);
-
-        await presentNextQuestion(duelId, roomName, io, {
-          isOpponentBot,
-          duel,
-        });
-      }
-    }, roundDisplayTime);
+    await scheduleTimer(io, duelId, 'next_round', roundDisplayTime, {
+      isDuelOver,
+    });
   } catch (error) {
     console.error('BACKEND ERROR processing round result:', error);
-    if (session) {
-      session.processingLock = false;
-      activeSessions.set(duelId, session);
-    }
+    await unlockRound(duelId, questionIndex);
     io.to(`duel_${duelId}`).emit('room_error', {
       message: 'Error processing round result.',
       code: 'ROUND_PROCESS_ERROR',
@@ -885,19 +1425,169 @@ async function processRoundResult(duelId, session, io) {
   }
 }
 
-async function completeDuel(duelId, roomName, io) {
-  try {
-    cleanupDuelTimers(duelId);
-    cleanupBotTimeouts(duelId);
+// Round results have been shown: finish the duel or ask the next question
+async function handleNextRound(io, duelId, { isDuelOver }) {
+  const roomName = `duel_${duelId}`;
 
-    const session = activeSessions.get(duelId);
-    if (!session) return;
+  if (isDuelOver) {
+    console.log(`BACKEND: Completing duel ${duelId} after results display`);
+    await completeDuel(duelId, roomName, io);
+    return;
+  }
+
+  const session = await duelStateService.updateSession(duelId, (s) => {
+    s.processingLock = false;
+  });
+  if (!session) return;
+
+  console.log(
+    `BACKEND: Moving to question ${session.currentQuestionIndex + 1}/${
+      session.questions.length
+    } after results display`,
+  );
+
+  const duel = await duelSessionService.getDuelById(duelId);
+  const isOpponentBot = await botService.isBot(duel.opponent_id);
+
+  await presentNextQuestion(duelId, roomName, io, {
+    isOpponentBot,
+    duel,
+  });
+}
+
+// A player didn't rejoin within the grace period: they lose the duel
+async function handleForfeit(io, duelId, { userId }) {
+  const session = await duelStateService.getSession(duelId);
+  const player = session?.connectedUsers.get(userId);
+  if (
+    !session ||
+    !IN_PLAY_STATUSES.includes(session.status) ||
+    !player?.disconnectedAt
+  ) {
+    return;
+  }
 
-    console.log(`BACKEND: Completing duel ${duelId}`);
+  console.log(
+    `BACKEND: User ${userId} did not rejoin duel ${duelId}, forfeiting`,
+  );
+  await completeDuel(duelId, `duel_${duelId}`, io, userId);
+}
 
-    const finalResults = await duelSessionService.calculateFinalResults(
+// Everything a rejoining client or a new spectator (userId null) needs to
+// pick up a running duel. Scores only cover finished rounds and only who
+// has answered is shown, so the current answers stay hidden.
+async function buildDuelSnapshot(session, userId) {
+  const now = Date.now();
+  const questions = session.questions || [];
+  const index = session.currentQuestionIndex;
+
+  const [questionTimer, nextRoundTimer, scores] = await Promise.all([
+    duelStateService.getTimer(session.duelId, 'question'),
+    duelStateService.getTimer(session.duelId, 'next_round'),
+    duelSessionService.getScores(session.sessionId, index),
+  ]);
+
+  const snapshot = {
+    duelId: session.duelId,
+    status: session.status,
+    phase: session.status,
+    currentQuestionIndex: index,
+    totalQuestions: questions.length,
+    players: Array.from(session.connectedUsers.entries()).map(
+      ([playerId, player]) => ({
+        userId: playerId,
+        username: player.username,
+        isBot: Boolean(player.isBot),
+        connected: !player.disconnectedAt,
+        score: scores[playerId]?.score || 0,
+        totalTime: scores[playerId]?.totalTime || 0,
+      }),
+    ),
+    serverTime: now,
+  };
+
+  if (
+    questionTimer &&
+    questionTimer.data.questionIndex === index &&
+    questions[index]
+  ) {
+    const answered = await duelSessionService.getAnsweredUserIds(
       session.sessionId,
+      index,
     );
+    return {
+      ...snapshot,
+      phase: 'question',
+      question: duelSessionService.toClientQuestion(questions[index]),
+      hasAnswered: answered.includes(userId),
+      answeredUserIds: answered,
+      timeLimit: QUESTION_TIME_LIMIT,
+      timeRemaining: Math.ceil(
+        Math.max(0, questionTimer.deadline - now) / 1000,
+      ),
+      serverEndTime: questionTimer.deadline,
+    };
+  }
+
+  if (nextRoundTimer) {
+    return {
+      ...snapshot,
+      phase: 'round_result',
+      roundResult: await duelSessionService.getRoundResults(
+        session.sessionId,
+        index - 1,
+      ),
+      nextRoundAt: nextRoundTimer.deadline,
+    };
+  }
+
+  return snapshot;
+}
+
+// Finish a duel with the final results, or as a forfeit by forfeitedBy
+async function completeDuel(duelId, roomName, io, forfeitedBy = null) {
+  try {
+    await cleanupDuelTimers(duelId);
+    await cleanupBotTimeouts(duelId);
+
+    const session = await duelStateService.getSession(duelId);
+    if (!session || session.status === 'completed') return;
+
+    // A forfeit and the last round can race; only one completes the duel
+    if (
+      !(await duelStateService.acquireLock(
+        `complete:${duelId}`,
+        COMPLETE_LOCK_MS,
+      ))
+    ) {
+      return;
+    }
+
+    await duelStateService.updateSession(duelId, (s) => {
+      s.status = 'completed';
+    });
+    await Promise.all(
+      [
+        'start',
+        'next_round',
+        ...Array.from(session.connectedUsers.keys()).map(
+          (userId) => `forfeit:${userId}`,
+        ),
+      ].map((kind) => cancelTimer(duelId, kind)),
+    );
+
+    console.log(
+      `BACKEND: Completing duel ${duelId}${
+        forfeitedBy ? ` (forfeited by user ${forfeitedBy})` : ''
+      }`,
+    );
+
+    const finalResults = forfeitedBy
+      ? await duelSessionService.calculateForfeitResults(
+          session.sessionId,
+          forfeitedBy,
+        )
+      : await duelSessionService.calculateFinalResults(session.sessionId);
 
     if (finalResults) {
       await duelSessionService.completeDuelSession(
@@ -915,17 +1605,18 @@ async function completeDuel(duelId, roomName, io) {
       });
     }
 
-    botSessions.delete(duelId);
-    setTimeout(() => {
-      activeSessions.delete(duelId);
-      cleanupDuelTimers(duelId);
-      cleanupBotTimeouts(duelId);
-      console.log(`BACKEND: Cleaned up completed session for duel ${duelId}`);
-    }, 60000);
+    await duelStateService.deleteBotSession(duelId);
+    // The finished session stays readable for a minute, then expires
+    await duelStateService.expireSession(duelId, COMPLETED_SESSION_TTL_MS);
+    console.log(`BACKEND: Session for duel ${duelId} expires in 60s`);
   } catch (error) {
     console.error('BACKEND ERROR completing duel:', error);
-    cleanupDuelTimers(duelId);
-    cleanupBotTimeouts(duelId);
+    await Promise.all([
+      cleanupDuelTimers(duelId),
+      cleanupBotTimeouts(duelId),
+    ]).catch((cleanupError) =>
+      console.error('BACKEND ERROR cleaning up duel timers:', cleanupError),
+    );
   }
 }
 